@@ -1,11 +1,16 @@
 const { FusesPlugin } = require('@electron-forge/plugin-fuses');
 const { FuseV1Options, FuseVersion } = require('@electron/fuses');
+const fs = require('node:fs');
+
+// Native SHCarrier builds are bundled next to SHCarrier.exe when they exist
+const nativeEngines = ['./SHCarrier-linux', './SHCarrier-darwin'].filter(file => fs.existsSync(file));
 
 module.exports = {
   packagerConfig: {
     asar: true,
     extraResource: [
-      './SHCarrier.exe'  // 确保使用相对路径，这样electron-forge能正确找到文件
+      './SHCarrier.exe',  // 确保使用相对路径，这样electron-forge能正确找到文件
+      ...nativeEngines
     ]
   },
   rebuildConfig: {},
@@ -0,0 +1,81 @@
+/**
+ * Page Translations
+ *
+ * Translates a page with the messages of the chosen language, which the main
+ * process sends through the preload bridge. Static labels are marked in the
+ * HTML with data-i18n (text), data-i18n-placeholder and data-i18n-title, and
+ * the page scripts build their messages with t(). Loaded by index.html and
+ * viewer.html before the page scripts.
+ */
+
+/**
+ * Create the translator of the current page
+ * @returns {Object} - { load, t, translatePage, getBundle, onChange }
+ */
+const createTranslations = () => {
+  // Messages of the current language, replaced when the language changes
+  let bundle = { locale: 'en', messages: {}, preference: null, supported: ['en'] };
+
+  // Callbacks run after the page was translated into a new language
+  const listeners = [];
+
+  /**
+   * Translate a message key
+   * @param {string} key - Message key, e.g. 'process.done'
+   * @param {Object} [params] - Values of the {param} placeholders
+   * @returns {string} - Message text, or the key when it is unknown
+   */
+  const t = (key, params = {}) => {
+    const template = bundle.messages[key] === undefined ? key : bundle.messages[key];
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+      params[name] === undefined || params[name] === null ? match : String(params[name])
+    ));
+  };
+
+  /**
+   * Translate the marked elements of the page
+   * @param {ParentNode} [root=document] - Element whose descendants are translated
+   */
+  const translatePage = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = t(element.dataset.i18nTitle);
+    });
+    document.documentElement.lang = bundle.locale;
+  };
+
+  /**
+   * Switch to the messages of another language
+   * @param {Object} nextBundle - { locale, messages, preference, supported } from the main process
+   */
+  const applyBundle = (nextBundle) => {
+    bundle = nextBundle;
+    translatePage();
+    listeners.forEach(listener => listener(bundle));
+  };
+
+  /**
+   * Load the messages of the current language and follow later language changes
+   */
+  const load = async () => {
+    try {
+      applyBundle(await window.i18n.getBundle());
+      window.i18n.onUpdate(applyBundle);
+    } catch (error) {
+      console.error('[I18n] Failed to load messages:', error);
+    }
+  };
+
+  return {
+    load,
+    t,
+    translatePage,
+    getBundle: () => bundle,
+    onChange: (listener) => listeners.push(listener)
+  };
+};
@@ -0,0 +1,92 @@
+/**
+ * Application Menu
+ *
+ * Builds the template of the application menu: File (open, open recent,
+ * process, open output folder), Edit, View (show log) and Help (about).
+ * Entries that act on the page are sent to the renderer as menu commands,
+ * the others run in the main process. Kept free of Electron so the template
+ * can be checked in the test suite; main.js passes it to Menu.buildFromTemplate.
+ */
+const path = require('node:path');
+
+// Commands sent to the renderer over the 'menu:command' channel
+const MENU_COMMANDS = ['open-files', 'open-folder', 'open-recent', 'process', 'show-log'];
+
+/**
+ * Build the application menu template
+ * @param {Object} params
+ * @param {Function} params.t - Translator for the labels
+ * @param {string} [params.platform=process.platform] - Platform the menu is built for
+ * @param {string[]} [params.recentFiles] - Recently opened input files, newest first
+ * @param {Function} params.sendCommand - Called with (command, payload) for entries handled by the renderer
+ * @param {Object} params.actions - Entries handled by the main process: { openRecent, clearRecent, openOutputFolder, showAbout }
+ * @returns {Object[]} - Menu template
+ */
+const buildMenuTemplate = ({ t, platform = process.platform, recentFiles = [], sendCommand, actions }) => {
+  const isMac = platform === 'darwin';
+
+  const recentItems = recentFiles.length === 0
+    ? [{ label: t('menu.noRecent'), enabled: false }]
+    : recentFiles.map(filePath => ({
+      label: path.basename(filePath),
+      sublabel: filePath,
+      toolTip: filePath,
+      click: () => actions.openRecent(filePath)
+    }));
+
+  const template = [
+    {
+      label: t('menu.file'),
+      submenu: [
+        { label: t('menu.open'), accelerator: 'CmdOrCtrl+O', click: () => sendCommand('open-files') },
+        { label: t('menu.openFolder'), accelerator: 'CmdOrCtrl+Shift+O', click: () => sendCommand('open-folder') },
+        {
+          label: t('menu.openRecent'),
+          submenu: [
+            ...recentItems,
+            { type: 'separator' },
+            { label: t('menu.clearRecent'), enabled: recentFiles.length > 0, click: () => actions.clearRecent() }
+          ]
+        },
+        { type: 'separator' },
+        { label: t('menu.process'), accelerator: 'CmdOrCtrl+Enter', click: () => sendCommand('process') },
+        { label: t('menu.openOutputFolder'), click: () => actions.openOutputFolder() },
+        // macOS keeps Quit in the app menu
+        ...(isMac ? [] : [{ type: 'separator' }, { label: t('menu.quit'), role: 'quit' }])
+      ]
+    },
+    {
+      label: t('menu.edit'),
+      submenu: [
+        { label: t('menu.undo'), role: 'undo' },
+        { label: t('menu.redo'), role: 'redo' },
+        { type: 'separator' },
+        { label: t('menu.cut'), role: 'cut' },
+        { label: t('menu.copy'), role: 'copy' },
+        { label: t('menu.paste'), role: 'paste' },
+        { label: t('menu.selectAll'), role: 'selectAll' }
+      ]
+    },
+    {
+      label: t('menu.view'),
+      submenu: [
+        { label: t('menu.showLog'), accelerator: 'CmdOrCtrl+L', click: () => sendCommand('show-log') }
+      ]
+    },
+    {
+      label: t('menu.help'),
+      role: 'help',
+      submenu: [
+        { label: t('menu.about'), click: () => actions.showAbout() }
+      ]
+    }
+  ];
+
+  // macOS shows the first menu under the app name
+  if (isMac) {
+    template.unshift({ role: 'appMenu' });
+  }
+  return template;
+};
+
+module.exports = { MENU_COMMANDS, buildMenuTemplate };
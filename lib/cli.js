@@ -0,0 +1,213 @@
+/**
+ * Command-Line Mode
+ *
+ * Parses the headless command line used by LIMS pipelines, e.g.
+ *   shcarrier --input a.txt --area --std NC01 --gbk --out dir
+ * and builds the JSON summary printed when the runs are finished.
+ * The runs themselves go through the same path as the 'process-file' handler.
+ */
+const path = require('node:path');
+const { deliverOutputs } = require('./engine');
+const { IpcValidationError, validateOptions } = require('./ipc-security');
+
+// Process exit codes of the command-line mode
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILED: 1,
+  USAGE: 2,
+  NO_INPUT: 3
+};
+
+const USAGE = `Usage: shcarrier --input <file|folder|glob> [options]
+
+Options:
+  -i, --input <path>       Input file, folder or file name glob (repeatable)
+  -a, --area               Use peak area data (-Area)
+  -s, --std <name>         Standard sample name (default: STD)
+  -g, --gbk                Read input as GBK when its encoding is not detected (-GBK)
+      --dev                Development mode (-dev)
+  -o, --out <dir>          Copy the result files to this folder, keeping earlier results
+  -c, --concurrency <n>    Number of files processed in parallel (default: 1)
+  -h, --help               Show this help
+
+Prints a JSON summary to stdout. Exit codes: 0 all files succeeded,
+1 at least one file failed, 2 invalid arguments, 3 an --input matched no file.`;
+
+/**
+ * Error raised for invalid command-line arguments
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} [exitCode=EXIT_CODES.USAGE] - Exit code to use
+   */
+  constructor(message, exitCode = EXIT_CODES.USAGE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Check whether the command line asks for headless mode
+ * @param {string[]} argv - Arguments after the executable (and app path in development)
+ * @returns {boolean} - True when an input or help flag is present
+ */
+const isHeadless = (argv) => argv.some(arg => ['-i', '--input', '-h', '--help'].includes(arg.split('=')[0]));
+
+/**
+ * Parse the command-line arguments
+ * The options are checked like those of the renderer and the HTTP API, so e.g. a
+ * standard sample name given as --std=-dev cannot reach the engine as a flag.
+ * @param {string[]} argv - Arguments after the executable (and app path in development)
+ * @returns {Object} - { help, inputs, options, outDir, concurrency }
+ * @throws {CliError} - When an argument is unknown, a value is missing or an option is invalid
+ */
+const parseCliArgs = (argv) => {
+  const parsed = {
+    help: false,
+    inputs: [],
+    options: { useArea: false, stdName: 'STD', useGBK: false, devMode: false, outputDir: null, moveOutputs: false },
+    outDir: null,
+    concurrency: 1
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    // Support both "--std NC01" and "--std=NC01"
+    const [flag, inlineValue] = argv[i].startsWith('--') && argv[i].includes('=')
+      ? [argv[i].slice(0, argv[i].indexOf('=')), argv[i].slice(argv[i].indexOf('=') + 1)]
+      : [argv[i], undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('-')) {
+        throw new CliError(`Missing value for ${flag}`);
+      }
+      return value;
+    };
+
+    switch (flag) {
+      case '-i':
+      case '--input':
+        parsed.inputs.push(takeValue());
+        break;
+      case '-a':
+      case '--area':
+        parsed.options.useArea = true;
+        break;
+      case '-s':
+      case '--std':
+        parsed.options.stdName = takeValue();
+        break;
+      case '-g':
+      case '--gbk':
+        parsed.options.useGBK = true;
+        break;
+      case '--dev':
+        parsed.options.devMode = true;
+        break;
+      case '-o':
+      case '--out':
+        parsed.outDir = path.resolve(takeValue());
+        break;
+      case '-c':
+      case '--concurrency': {
+        const value = Number.parseInt(takeValue(), 10);
+        if (!Number.isInteger(value) || value < 1) {
+          throw new CliError('--concurrency must be a positive integer');
+        }
+        parsed.concurrency = value;
+        break;
+      }
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      default:
+        throw new CliError(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!parsed.help && parsed.inputs.length === 0) {
+    throw new CliError('At least one --input is required');
+  }
+  try {
+    parsed.options = validateOptions(parsed.options);
+  } catch (error) {
+    if (error instanceof IpcValidationError) {
+      throw new CliError(error.message);
+    }
+    throw error;
+  }
+  return parsed;
+};
+
+/**
+ * Copy the result files of a run into the output folder
+ * Files already in the folder are never overwritten, see deliverOutputs
+ * @param {Object} outputFiles - { summary, calculation } file paths
+ * @param {string} outDir - Destination folder, created when missing
+ * @returns {Object} - { summary, calculation } paths of the copies
+ */
+const copyOutputFiles = (outputFiles, outDir) => deliverOutputs(outputFiles, outDir);
+
+/**
+ * Build the JSON summary of a headless run
+ * A failed file takes precedence, otherwise any input that matched no file is reported
+ * with NO_INPUT, so a mistyped path never passes as success.
+ * @param {Object[]} jobs - Finished job snapshots from the queue
+ * @param {Object} params
+ * @param {Object} params.options - Processing options
+ * @param {string[]} params.unmatched - Input arguments that matched no file
+ * @returns {Object} - Summary with the exit code to use
+ */
+const buildSummary = (jobs, { options, unmatched }) => {
+  const failed = jobs.filter(job => job.status !== 'done').length;
+  let exitCode = EXIT_CODES.SUCCESS;
+  if (jobs.length === 0) {
+    exitCode = EXIT_CODES.NO_INPUT;
+  } else if (failed > 0) {
+    exitCode = EXIT_CODES.FAILED;
+  } else if (unmatched.length > 0) {
+    exitCode = EXIT_CODES.NO_INPUT;
+  }
+
+  return {
+    success: exitCode === EXIT_CODES.SUCCESS,
+    exitCode,
+    options,
+    unmatchedInputs: unmatched,
+    total: jobs.length,
+    failed,
+    files: jobs.map(job => {
+      const result = job.result || {};
+      const samples = result.parsed ? result.parsed.samples : [];
+      return {
+        input: job.filePath,
+        status: job.status,
+        exitCode: result.code === undefined ? null : result.code,
+        error: job.error,
+        outputFiles: result.outputFiles || null,
+        samples: samples.length,
+        carriers: samples.filter(sample => sample.call === 'carrier').map(sample => sample.name),
+        abnormal: samples.filter(sample => sample.call === 'abnormal').map(sample => sample.name),
+        failure: result.failure ? result.failure.type : null,
+        qc: result.qc ? result.qc.status : null,
+        engineVersion: result.engineVersion || null,
+        historyId: result.historyId || null
+      };
+    })
+  };
+};
+
+module.exports = {
+  EXIT_CODES,
+  USAGE,
+  CliError,
+  isHeadless,
+  parseCliArgs,
+  copyOutputFiles,
+  buildSummary
+};
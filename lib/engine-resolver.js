@@ -0,0 +1,224 @@
+/**
+ * Engine Resolver
+ *
+ * Decides how SHCarrier is launched on the current platform. Candidates are
+ * tried in order:
+ *   1. an executable path configured by the user (Windows .exe files run through Wine elsewhere)
+ *   2. a native binary shipped for the platform (SHCarrier.exe, SHCarrier-linux, SHCarrier-darwin)
+ *   3. the bundled SHCarrier.exe through a Wine launcher on Linux and macOS
+ * Everything the resolver touches (platform, folders, PATH) is passed in, so it
+ * can be exercised with a stub executable.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { createTranslator } = require('./i18n');
+
+// Native binary names per platform, in order of preference
+const PLATFORM_BINARIES = {
+  win32: ['SHCarrier.exe'],
+  linux: ['SHCarrier-linux', 'SHCarrier'],
+  darwin: ['SHCarrier-darwin', 'SHCarrier']
+};
+
+// Windows build run through Wine on other platforms
+const WINDOWS_BINARY = 'SHCarrier.exe';
+
+// Wine launchers looked up on the PATH when none is configured
+const WINE_LAUNCHERS = ['wine64', 'wine'];
+
+/**
+ * Check whether a path is an executable file
+ * @param {string} filePath - Path to check
+ * @param {string} platform - Target platform, Windows has no executable bit
+ * @returns {boolean} - True when the file exists and can be executed
+ */
+const isExecutable = (filePath, platform) => {
+  try {
+    if (!fs.statSync(filePath).isFile()) {
+      return false;
+    }
+    if (platform !== 'win32') {
+      fs.accessSync(filePath, fs.constants.X_OK);
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Find an executable on the PATH
+ * @param {string} name - Executable name
+ * @param {Object} env - Environment with the PATH variable
+ * @param {string} platform - Target platform
+ * @returns {string|null} - Full path, or null when not found
+ */
+const findOnPath = (name, env, platform) => {
+  const searchPath = env.PATH || env.Path || '';
+  const delimiter = platform === 'win32' ? ';' : ':';
+  for (const dir of searchPath.split(delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    if (isExecutable(candidate, platform)) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find a Wine launcher
+ * @param {Object} params
+ * @param {string} [params.winePath] - Launcher configured by the user
+ * @param {Object} params.env - Environment with the PATH variable
+ * @param {string} params.platform - Target platform
+ * @returns {string|null} - Path to the launcher, or null when none is available
+ */
+const findWine = ({ winePath, env, platform }) => {
+  if (winePath) {
+    return isExecutable(winePath, platform) ? winePath : null;
+  }
+  for (const name of WINE_LAUNCHERS) {
+    const found = findOnPath(name, env, platform);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+};
+
+/**
+ * Resolve how SHCarrier is launched
+ * @param {Object} params
+ * @param {string} params.resourceDir - Folder holding the bundled binaries
+ * @param {string} [params.configuredPath] - Executable chosen by the user
+ * @param {string} [params.winePath] - Wine launcher chosen by the user
+ * @param {string} [params.platform=process.platform] - Target platform
+ * @param {Object} [params.env=process.env] - Environment used for the PATH lookup
+ * @returns {Object} - { engine, checked } where engine is { kind, command, prefixArgs, exePath }
+ *   or null, and checked lists every candidate with the reason it was rejected
+ *   ({ kind, path, found, code, reason, detail })
+ */
+const resolveEngine = ({ resourceDir, configuredPath = null, winePath = null, platform = process.platform, env = process.env }) => {
+  const checked = [];
+  const isWindowsBinary = (filePath) => /\.exe$/i.test(filePath);
+
+  // Launch a Windows .exe through Wine, or report why that is not possible
+  const viaWine = (kind, exePath) => {
+    const launcher = findWine({ winePath, env, platform });
+    if (!launcher) {
+      checked.push({ kind, path: exePath, found: true, code: 'noWine', reason: 'Wine launcher not found' });
+      return null;
+    }
+    return { kind, command: launcher, prefixArgs: [exePath], exePath, launcher };
+  };
+
+  if (configuredPath) {
+    if (!fs.existsSync(configuredPath)) {
+      checked.push({ kind: 'configured', path: configuredPath, found: false, code: 'missing', reason: 'File does not exist' });
+    } else if (platform !== 'win32' && isWindowsBinary(configuredPath)) {
+      const engine = viaWine('configured', configuredPath);
+      if (engine) {
+        return { engine, checked };
+      }
+    } else if (isExecutable(configuredPath, platform)) {
+      return { engine: { kind: 'configured', command: configuredPath, prefixArgs: [], exePath: configuredPath }, checked };
+    } else {
+      checked.push({ kind: 'configured', path: configuredPath, found: true, code: 'notExecutable', reason: 'File is not executable' });
+    }
+  }
+
+  for (const name of PLATFORM_BINARIES[platform] || []) {
+    const candidate = path.join(resourceDir, name);
+    if (isExecutable(candidate, platform)) {
+      return { engine: { kind: 'native', command: candidate, prefixArgs: [], exePath: candidate }, checked };
+    }
+    const found = fs.existsSync(candidate);
+    checked.push({
+      kind: 'native',
+      path: candidate,
+      found,
+      code: found ? 'notExecutable' : 'missing',
+      reason: found ? 'File is not executable' : 'File does not exist'
+    });
+  }
+
+  if (platform !== 'win32') {
+    const exePath = path.join(resourceDir, WINDOWS_BINARY);
+    if (fs.existsSync(exePath)) {
+      const engine = viaWine('wine', exePath);
+      if (engine) {
+        return { engine, checked };
+      }
+    } else {
+      checked.push({ kind: 'wine', path: exePath, found: false, code: 'missing', reason: 'File does not exist' });
+    }
+  }
+
+  return { engine: null, checked };
+};
+
+/**
+ * Describe a resolution result for logs and the UI
+ * @param {Object} resolution - Result of resolveEngine
+ * @param {Function} [t] - Translator for the description, English by default
+ * @returns {string} - Human readable description
+ */
+const describeResolution = ({ engine, checked }, t = createTranslator()) => {
+  if (engine && engine.launcher) {
+    return t('engine.viaWine', { exe: engine.exePath, launcher: engine.launcher });
+  }
+  if (engine) {
+    return t(engine.kind === 'configured' ? 'engine.configured' : 'engine.bundled', { path: engine.exePath });
+  }
+  const reasons = checked
+    .map(item => `${item.path}: ${item.code ? t(`engine.reason.${item.code}`, { detail: item.detail }) : item.reason}`)
+    .join('; ');
+  return t('engine.none', { reasons });
+};
+
+/**
+ * Startup self-check: resolve the engine and make sure a Wine launcher actually runs
+ * @param {Object} params - Same parameters as resolveEngine
+ * @param {number} [params.timeout=5000] - Milliseconds to wait for the Wine launcher
+ * @returns {Promise<Object>} - { available, engine, checked, message }
+ */
+const checkEngine = async (params) => {
+  const resolution = resolveEngine(params);
+  const { engine } = resolution;
+
+  if (engine && engine.launcher) {
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(engine.launcher, ['--version'], { timeout: params.timeout || 5000 }, (error) => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      const checked = [...resolution.checked, {
+        kind: engine.kind,
+        path: engine.launcher,
+        found: true,
+        code: 'wineFailed',
+        reason: `Wine launcher failed: ${error.message}`,
+        detail: error.message
+      }];
+      return { available: false, engine: null, checked, message: describeResolution({ engine: null, checked }) };
+    }
+  }
+
+  return {
+    available: Boolean(engine),
+    engine,
+    checked: resolution.checked,
+    message: describeResolution(resolution)
+  };
+};
+
+module.exports = {
+  PLATFORM_BINARIES,
+  WINDOWS_BINARY,
+  isExecutable,
+  findOnPath,
+  resolveEngine,
+  describeResolution,
+  checkEngine
+};
@@ -0,0 +1,368 @@
+/**
+ * Processing Engine
+ *
+ * Runs SHCarrier on one input file. The interface has three steps: build the
+ * command line arguments, run the engine resolved by engine-resolver, and
+ * collect the result files it wrote next to the input, optionally copying or
+ * moving them into a separate output folder. Any executable that
+ * follows the SHCarrier command line works, which is how the fake engine in
+ * test/fixtures stands in for SHCarrier.exe in the test suite.
+ * Failed runs carry one of the FAILURE_TYPES so the UI can explain them, and
+ * the process tree of a run is killed on timeout, on cancel and on app quit.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+// Why a run failed: the input file does not exist, the installed engine version
+// changed since it was installed, the engine could not be found or started, it ran
+// too long, exited with an error code, could not read the input encoding, did not
+// write both result files, its results could not be written to the output folder,
+// or the user cancelled it
+const FAILURE_TYPES = ['inputNotFound', 'engineModified', 'notFound', 'launch', 'timeout', 'exitCode', 'encoding', 'missingOutput', 'deliverOutput', 'cancelled'];
+
+// Error output of SHCarrier when it cannot decode the input. Only decoder
+// failures count, the name of an encoding alone (e.g. an echoed -GBK) does not.
+const ENCODING_ERROR_PATTERN = /(?:decode|decoding|encoding) error|(?:cannot|could not|unable to|failed to) decode|invalid (?:byte|multibyte|character)|UnicodeDecodeError|无法解码/i;
+
+// Child processes of the runs in progress, killed when the app quits
+const runningProcesses = new Set();
+
+/**
+ * Error raised when the engine process cannot be started
+ */
+class EngineError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} failure - { type, params } with type 'notFound' or 'launch'
+   */
+  constructor(message, failure) {
+    super(message);
+    this.name = 'EngineError';
+    this.failure = failure;
+  }
+}
+
+/**
+ * Kill a process together with the processes it started, e.g. Wine and its helpers
+ * @param {ChildProcess} child - Process started by runEngine
+ * @param {string} [platform=process.platform] - Platform the process runs on
+ */
+const killProcessTree = (child, platform = process.platform) => {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  if (platform === 'win32') {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true })
+      .on('error', () => child.kill());
+    return;
+  }
+  try {
+    // The child leads its own process group, see the detached option in runEngine
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    child.kill('SIGKILL');
+  }
+};
+
+/**
+ * Kill the process trees of all runs in progress, used when the app quits
+ * @returns {number} - Number of runs that were still running
+ */
+const killRunningProcesses = () => {
+  const count = runningProcesses.size;
+  runningProcesses.forEach(child => killProcessTree(child));
+  return count;
+};
+
+/**
+ * Build the SHCarrier command line arguments for an input file
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options
+ * @returns {string[]} - Command line arguments
+ */
+const buildArgs = (filePath, options) => {
+  const args = ['-i', filePath];
+
+  // Add options based on user selections
+  if (options.useArea) {
+    args.push('-Area');
+  }
+
+  if (options.stdName && options.stdName !== 'STD') {
+    args.push('-STD', options.stdName);
+  }
+
+  if (options.useGBK) {
+    args.push('-GBK');
+  }
+
+  if (options.devMode) {
+    args.push('-dev');
+  }
+
+  return args;
+};
+
+/**
+ * Paths of the result files SHCarrier writes next to an input file
+ * @param {string} filePath - Path to the input file
+ * @returns {{summary: string, calculation: string}} - Expected result file paths
+ */
+const getOutputPaths = (filePath) => {
+  const inputBaseName = path.basename(filePath, path.extname(filePath));
+  const inputDirName = path.dirname(filePath);
+  return {
+    summary: path.join(inputDirName, `${inputBaseName}-summary.tsv`),
+    calculation: path.join(inputDirName, `${inputBaseName}-cal.tsv`)
+  };
+};
+
+/**
+ * Find the result files written for an input file
+ * @param {string} filePath - Path to the input file
+ * @returns {{summary: string|null, calculation: string|null}} - Result file paths, null when missing
+ */
+const collectOutputs = (filePath) => {
+  const expected = getOutputPaths(filePath);
+  return {
+    summary: fs.existsSync(expected.summary) ? expected.summary : null,
+    calculation: fs.existsSync(expected.calculation) ? expected.calculation : null
+  };
+};
+
+/**
+ * Copy or move result files into an output folder without overwriting earlier results
+ * When a name is taken, the files of the run get a common " (2)", " (3)", ... suffix
+ * before "-summary.tsv" / "-cal.tsv", so they still pair up and are never mistaken for input.
+ * @param {Object} outputFiles - { summary, calculation } file paths, null when missing
+ * @param {string} outputDir - Destination folder, created when missing
+ * @param {Object} [params]
+ * @param {boolean} [params.move=false] - Move instead of copy
+ * @param {boolean} [params.overwrite=false] - Replace earlier results like SHCarrier does, instead of adding a suffix
+ * @returns {Object} - { summary, calculation } paths in the output folder
+ */
+const deliverOutputs = (outputFiles, outputDir, { move = false, overwrite = false } = {}) => {
+  const entries = Object.entries(outputFiles).filter(([, filePath]) => filePath);
+
+  // The results are already in place when the output folder is the input folder
+  if (entries.every(([, filePath]) => path.resolve(path.dirname(filePath)) === path.resolve(outputDir))) {
+    return { ...outputFiles };
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Destination of a result file with the given copy number (1 keeps the original name)
+  const destinationFor = (filePath, number) => {
+    const name = path.basename(filePath);
+    if (number === 1) {
+      return path.join(outputDir, name);
+    }
+    return path.join(outputDir, name.replace(/(-(summary|cal))?(\.[^.]*)$/i, ` (${number})$&`));
+  };
+
+  let number = 1;
+  while (!overwrite && entries.some(([, filePath]) => fs.existsSync(destinationFor(filePath, number)))) {
+    number++;
+  }
+
+  const delivered = {};
+  Object.entries(outputFiles).forEach(([kind, filePath]) => {
+    if (!filePath) {
+      delivered[kind] = null;
+      return;
+    }
+    const destination = destinationFor(filePath, number);
+    fs.copyFileSync(filePath, destination, overwrite ? 0 : fs.constants.COPYFILE_EXCL);
+    if (move) {
+      fs.unlinkSync(filePath);
+    }
+    delivered[kind] = destination;
+  });
+  return delivered;
+};
+
+/**
+ * Describe a process that could not be started
+ * @param {Error} error - Error from spawn
+ * @param {string} command - Command that was started
+ * @returns {EngineError} - Error with the failure type
+ */
+const toLaunchError = (error, command) => new EngineError(
+  `Failed to start process: ${error.message}`,
+  { type: error.code === 'ENOENT' ? 'notFound' : 'launch', params: { command, error: error.message } }
+);
+
+/**
+ * Run the engine on an input file
+ * The working directory is the folder of the input file, where the results are written.
+ * With options.outputDir set, the results are then copied (or moved with options.moveOutputs)
+ * into that folder, replacing earlier results there with options.overwriteOutputs. A run that exits with 0 but misses a result file has failed.
+ * @param {Object} engine - Engine from engine-resolver: { command, prefixArgs }
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options
+ * @param {Object} [params]
+ * @param {AbortSignal} [params.signal] - Aborting the signal kills the running process
+ * @param {number} [params.timeoutMs=0] - Kill the process after this many milliseconds, 0 waits forever
+ * @param {Function} [params.onStdout] - Called with each chunk of standard output
+ * @param {Function} [params.onStderr] - Called with each chunk of standard error
+ * @returns {Promise<Object>} - { success, code, stdout, stderr, outputFiles } on exit, with
+ *   failure: { type, params } when the run failed, or { success: false, cancelled: true, ... }
+ *   when aborted; rejects with an EngineError when the process cannot be started
+ */
+const runEngine = (engine, filePath, options, { signal = null, timeoutMs = 0, onStdout = () => {}, onStderr = () => {} } = {}) => new Promise((resolve, reject) => {
+  const args = [...engine.prefixArgs, ...buildArgs(filePath, options)];
+
+  let child;
+  try {
+    child = spawn(engine.command, args, {
+      cwd: path.dirname(filePath),
+      shell: false,  // Don't use shell to avoid command injection
+      windowsHide: false,  // Allow window to show for debugging purposes
+      // Own process group outside Windows, so the whole tree can be killed
+      detached: process.platform !== 'win32'
+    });
+  } catch (error) {
+    reject(toLaunchError(error, engine.command));
+    return;
+  }
+  runningProcesses.add(child);
+
+  let stdout = '';
+  let stderr = '';
+  let cancelled = false;
+  let timedOut = false;
+
+  // Kill the process tree when the job is cancelled
+  const handleAbort = () => {
+    cancelled = true;
+    killProcessTree(child);
+  };
+  if (signal) {
+    if (signal.aborted) {
+      handleAbort();
+    } else {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+  }
+
+  // Kill the process tree when it runs longer than allowed
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      killProcessTree(child);
+    }, timeoutMs)
+    : null;
+
+  // Forget the process once it is gone
+  const finish = () => {
+    clearTimeout(timer);
+    runningProcesses.delete(child);
+    if (signal) {
+      signal.removeEventListener('abort', handleAbort);
+    }
+  };
+
+  child.stdout.on('data', (data) => {
+    const output = data.toString();
+    stdout += output;
+    onStdout(output);
+  });
+
+  child.stderr.on('data', (data) => {
+    const error = data.toString();
+    stderr += error;
+    onStderr(error);
+  });
+
+  child.on('close', (code) => {
+    finish();
+
+    if (cancelled) {
+      resolve({
+        success: false,
+        cancelled: true,
+        code,
+        stdout,
+        stderr,
+        error: 'Cancelled by user',
+        failure: { type: 'cancelled', params: {} }
+      });
+    } else if (timedOut) {
+      const seconds = Math.round(timeoutMs / 1000);
+      resolve({
+        success: false,
+        code,
+        stdout,
+        stderr,
+        error: `Timed out after ${seconds} s`,
+        failure: { type: 'timeout', params: { seconds } }
+      });
+    } else if (code === 0) {
+      let outputFiles = collectOutputs(filePath);
+      const expected = getOutputPaths(filePath);
+      const missing = Object.keys(expected).filter(kind => !outputFiles[kind]).map(kind => path.basename(expected[kind]));
+      if (missing.length > 0) {
+        const folder = path.dirname(filePath);
+        resolve({
+          success: false,
+          code,
+          stdout,
+          stderr,
+          outputFiles,
+          error: `${missing.join(', ')} not written to ${folder}`,
+          failure: { type: 'missingOutput', params: { folder, missing } }
+        });
+        return;
+      }
+      if (options.outputDir) {
+        try {
+          outputFiles = deliverOutputs(outputFiles, options.outputDir, {
+            move: options.moveOutputs,
+            overwrite: options.overwriteOutputs
+          });
+        } catch (error) {
+          resolve({
+            success: false,
+            code,
+            stdout,
+            stderr,
+            outputFiles,
+            error: `Failed to write results to ${options.outputDir}: ${error.message}`,
+            failure: { type: 'deliverOutput', params: { folder: options.outputDir, message: error.message } }
+          });
+          return;
+        }
+      }
+      resolve({ success: true, code, stdout, stderr, outputFiles });
+    } else {
+      resolve({
+        success: false,
+        code,
+        stdout,
+        stderr,
+        error: `Process exited with code ${code}`,
+        failure: { type: ENCODING_ERROR_PATTERN.test(stderr) ? 'encoding' : 'exitCode', params: { code } }
+      });
+    }
+  });
+
+  // Raised when the executable cannot be started, e.g. it does not exist
+  child.on('error', (error) => {
+    finish();
+    const launchError = toLaunchError(error, engine.command);
+    launchError.code = error.code;
+    reject(launchError);
+  });
+});
+
+module.exports = {
+  FAILURE_TYPES,
+  EngineError,
+  killProcessTree,
+  killRunningProcesses,
+  buildArgs,
+  getOutputPaths,
+  collectOutputs,
+  deliverOutputs,
+  runEngine
+};
@@ -0,0 +1,145 @@
+/**
+ * Folder Watcher
+ *
+ * Watches a folder with fs.watch and emits a 'file' event for every new input
+ * file once the instrument has finished writing it (its size stopped changing).
+ * Files already present when watching starts are ignored, and each file is
+ * reported only once per modification time.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const { isInputFileName } = require('./input-files');
+
+class FolderWatcher extends EventEmitter {
+  /**
+   * @param {Object} [params]
+   * @param {number} [params.stableInterval=1000] - Milliseconds between size checks
+   * @param {number} [params.stableChecks=2] - Number of unchanged checks before a file counts as complete
+   */
+  constructor({ stableInterval = 1000, stableChecks = 2 } = {}) {
+    super();
+    this.stableInterval = stableInterval;
+    this.stableChecks = stableChecks;
+    this.dirPath = null;
+    this.watcher = null;
+    // Files waiting for their size to settle, keyed by path
+    this.pending = new Map();
+    // "path|mtime" keys of files that were already reported or existed at start
+    this.seen = new Set();
+  }
+
+  /**
+   * @returns {boolean} - Whether a folder is being watched
+   */
+  isWatching() {
+    return this.watcher !== null;
+  }
+
+  /**
+   * Start watching a folder, stopping any previous watch
+   * @param {string} dirPath - Folder to watch
+   */
+  start(dirPath) {
+    this.stop();
+    this.dirPath = dirPath;
+
+    // Remember existing exports so only new files are processed
+    fs.readdirSync(dirPath).forEach(name => {
+      const key = this.fileKey(path.join(dirPath, name));
+      if (key) {
+        this.seen.add(key);
+      }
+    });
+
+    this.watcher = fs.watch(dirPath, (eventType, fileName) => {
+      if (fileName && isInputFileName(fileName)) {
+        this.track(path.join(dirPath, fileName.toString()));
+      }
+    });
+    this.watcher.on('error', (error) => {
+      this.emit('error', error);
+      this.stop();
+    });
+  }
+
+  /**
+   * Stop watching and forget pending files
+   */
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.pending.forEach(entry => clearTimeout(entry.timer));
+    this.pending.clear();
+    this.seen.clear();
+  }
+
+  /**
+   * Identify a file version by path and modification time
+   * @param {string} filePath - File path
+   * @returns {string|null} - Key, or null when the path is not a file
+   */
+  fileKey(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      return stats.isFile() ? `${filePath}|${stats.mtimeMs}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start or restart the size checks of a changed file
+   * @param {string} filePath - File that changed
+   */
+  track(filePath) {
+    const entry = this.pending.get(filePath) || { size: -1, unchanged: 0, timer: null };
+    clearTimeout(entry.timer);
+    entry.unchanged = 0;
+    entry.timer = setTimeout(() => this.check(filePath), this.stableInterval);
+    this.pending.set(filePath, entry);
+  }
+
+  /**
+   * Check whether a file stopped growing and report it when it did
+   * @param {string} filePath - File being written
+   */
+  check(filePath) {
+    const entry = this.pending.get(filePath);
+    if (!entry) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      // The file was deleted or renamed before it settled
+      this.pending.delete(filePath);
+      return;
+    }
+
+    if (stats.size > 0 && stats.size === entry.size) {
+      entry.unchanged++;
+    } else {
+      entry.unchanged = 0;
+      entry.size = stats.size;
+    }
+
+    if (entry.unchanged < this.stableChecks) {
+      entry.timer = setTimeout(() => this.check(filePath), this.stableInterval);
+      return;
+    }
+
+    this.pending.delete(filePath);
+    const key = `${filePath}|${stats.mtimeMs}`;
+    if (!this.seen.has(key)) {
+      this.seen.add(key);
+      this.emit('file', filePath);
+    }
+  }
+}
+
+module.exports = { FolderWatcher };
@@ -0,0 +1,127 @@
+/**
+ * History Store
+ *
+ * Audit trail of every SHCarrier run for clinical traceability. Each run is
+ * appended as one JSON line to history.jsonl under app.getPath('userData'),
+ * recording who ran which file (by hash), when, with which options and exe,
+ * and what it produced. Existing lines are never rewritten.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+// Captured process output is truncated to this many characters per stream
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex encoded hash
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Keep the end of long process output, where errors usually are
+ * @param {string} text - Process output
+ * @returns {string} - Output of at most MAX_OUTPUT_LENGTH characters
+ */
+const truncateOutput = (text) => {
+  if (!text || text.length <= MAX_OUTPUT_LENGTH) {
+    return text || '';
+  }
+  return `[${text.length - MAX_OUTPUT_LENGTH} characters truncated]\n${text.slice(-MAX_OUTPUT_LENGTH)}`;
+};
+
+class HistoryStore {
+  /**
+   * @param {string} filePath - Path to the history.jsonl file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a run record
+   * @param {Object} record - Run details, an ID and timestamp are added when missing
+   * @returns {Object} - The stored record
+   */
+  append(record) {
+    const stored = {
+      id: record.id || crypto.randomUUID(),
+      recordedAt: new Date().toISOString(),
+      ...record,
+      stdout: truncateOutput(record.stdout),
+      stderr: truncateOutput(record.stderr)
+    };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(stored)}\n`, 'utf8');
+    return stored;
+  }
+
+  /**
+   * Read all records, skipping lines that cannot be parsed
+   * @returns {Object[]} - Records in the order they were written
+   */
+  readAll() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.error(`[History] Skipping corrupt line ${index + 1}:`, error.message);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Search run records, newest first
+   * @param {Object} [params]
+   * @param {string} [params.query] - Case-insensitive text matched against file, operator, options and status
+   * @param {number} [params.limit=200] - Maximum number of records returned
+   * @returns {Object[]} - Matching records
+   */
+  list({ query = '', limit = 200 } = {}) {
+    const needle = String(query).trim().toLowerCase();
+    return this.readAll()
+      .reverse()
+      .filter(record => !needle || [
+        record.inputFile,
+        record.operator,
+        record.status,
+        record.startedAt,
+        record.options && record.options.stdName,
+        record.args && record.args.join(' ')
+      ].some(value => value && String(value).toLowerCase().includes(needle)))
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {string} id - Record ID
+   * @returns {Object|null} - The record, or null when unknown
+   */
+  get(id) {
+    return this.readAll().find(record => record.id === id) || null;
+  }
+}
+
+module.exports = { HistoryStore, hashFile, truncateOutput, MAX_OUTPUT_LENGTH };
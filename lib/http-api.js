@@ -0,0 +1,368 @@
+/**
+ * Local HTTP API
+ *
+ * Opt-in REST server for lab systems (LIMS) that cannot click buttons. It only
+ * listens on 127.0.0.1 and every request must carry the token shown in the
+ * Advanced options as "Authorization: Bearer <token>". Requests from browsers
+ * (with an Origin header) or for another host name are refused, so web pages
+ * cannot reach it through DNS rebinding. Submitted files go through the batch
+ * queue, the same path as the 'process-file' handler.
+ *
+ *   POST /jobs                        { filePath, options: { useArea, stdName, useGBK } } -> 201 job
+ *   GET  /jobs/<id>                   job status with its QC result
+ *   GET  /jobs/<id>/output            engine output, streamed until the job finishes
+ *   GET  /jobs/<id>/files/summary     <base>-summary.tsv
+ *   GET  /jobs/<id>/files/calculation <base>-cal.tsv
+ */
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+const { JobQueue } = require('./job-queue');
+const { IpcValidationError, validateObject, validatePath, validateOptions } = require('./ipc-security');
+
+// Port used until the user chooses another one
+const DEFAULT_API_PORT = 17310;
+
+// Processing options a request may set
+const API_OPTION_NAMES = ['useArea', 'stdName', 'useGBK'];
+
+// Largest accepted request body in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Engine output kept per job, older output is dropped beyond this many characters
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+
+// Number of submitted jobs whose output is kept, the oldest is forgotten first
+const MAX_TRACKED_JOBS = 200;
+
+/**
+ * Error answered with an HTTP status code
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Description of the problem
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether they are equal
+ */
+const safeEqual = (a, b) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+/**
+ * Describe a job for API clients, without the captured process output
+ * @param {Object} job - Job snapshot from the queue
+ * @returns {Object} - Job status with links to its result files
+ */
+const describeJob = (job) => {
+  const result = job.result || {};
+  const outputFiles = result.outputFiles || {};
+  const fileLink = (kind) => (outputFiles[kind] ? `/jobs/${job.id}/files/${kind}` : null);
+  return {
+    id: job.id,
+    filePath: job.filePath,
+    options: job.options,
+    status: job.status,
+    error: job.error,
+    failure: result.failure ? result.failure.type : null,
+    exitCode: result.code === undefined ? null : result.code,
+    historyId: result.historyId || null,
+    engineVersion: result.engineVersion || null,
+    qc: result.qc || null,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    output: `/jobs/${job.id}/output`,
+    files: { summary: fileLink('summary'), calculation: fileLink('calculation') }
+  };
+};
+
+class ApiServer extends EventEmitter {
+  /**
+   * @param {Object} params
+   * @param {JobQueue} params.jobQueue - Queue the submitted files are added to
+   * @param {string} params.token - Token clients must send
+   * @param {number} [params.port=DEFAULT_API_PORT] - Port to listen on, 0 picks a free one
+   * @param {string} [params.host='127.0.0.1'] - Loopback address to listen on
+   */
+  constructor({ jobQueue, token, port = DEFAULT_API_PORT, host = '127.0.0.1' }) {
+    super();
+    this.jobQueue = jobQueue;
+    this.token = token;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    // Engine output of the jobs submitted through the API, keyed by job ID
+    this.outputs = new Map();
+  }
+
+  /**
+   * Create a random token for a new installation
+   * @returns {string} - 64 hex characters
+   */
+  static generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} - The port the server listens on
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((request, response) => this.handleRequest(request, response));
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.off('error', reject);
+        server.on('error', (error) => console.error('[API] Server error:', error));
+        this.server = server;
+        this.port = server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections, including running output streams
+   * @returns {Promise<void>}
+   */
+  stop() {
+    const { server } = this;
+    this.server = null;
+    if (!server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /**
+   * @returns {boolean} - Whether the server is listening
+   */
+  isRunning() {
+    return this.server !== null;
+  }
+
+  /**
+   * Record engine output of a job and pass it on to open output streams
+   * @param {string|null} jobId - Job the output belongs to
+   * @param {string} text - Output chunk
+   */
+  appendOutput(jobId, text) {
+    if (!this.outputs.has(jobId)) {
+      return;
+    }
+    this.outputs.set(jobId, `${this.outputs.get(jobId)}${text}`.slice(-MAX_OUTPUT_LENGTH));
+    this.emit('output', jobId, text);
+  }
+
+  /**
+   * Check the host name, origin and token of a request
+   * @param {http.IncomingMessage} request - Incoming request
+   */
+  checkRequest(request) {
+    const allowedHosts = [`127.0.0.1:${this.port}`, `localhost:${this.port}`];
+    if (!allowedHosts.includes(String(request.headers.host).toLowerCase())) {
+      throw new ApiError(403, 'Requests must be sent to 127.0.0.1');
+    }
+    if (request.headers.origin !== undefined) {
+      throw new ApiError(403, 'Browser requests are not accepted');
+    }
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!match || !safeEqual(match[1], this.token)) {
+      throw new ApiError(401, 'Missing or invalid token');
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} request - Incoming request
+   * @returns {Promise<*>} - Parsed body
+   */
+  readJson(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new ApiError(413, 'Request body is too large'));
+          request.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      request.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new ApiError(400, 'Request body must be JSON'));
+        }
+      });
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Route a request and answer errors as JSON
+   * @param {http.IncomingMessage} request - Incoming request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  async handleRequest(request, response) {
+    try {
+      this.checkRequest(request);
+      const parts = new URL(request.url, 'http://127.0.0.1').pathname.split('/').filter(Boolean);
+
+      if (parts[0] !== 'jobs' || parts.length > 4) {
+        throw new ApiError(404, 'Not found');
+      }
+      if (parts.length === 1) {
+        if (request.method !== 'POST') {
+          throw new ApiError(405, 'Use POST to submit a job');
+        }
+        await this.submitJob(request, response);
+        return;
+      }
+      if (request.method !== 'GET') {
+        throw new ApiError(405, 'Use GET to read a job');
+      }
+
+      const job = this.jobQueue.get(parts[1]);
+      if (!job) {
+        throw new ApiError(404, `Job ${parts[1]} not found`);
+      }
+      if (parts.length === 2) {
+        this.sendJson(response, 200, describeJob(job));
+      } else if (parts[2] === 'output' && parts.length === 3) {
+        this.streamOutput(job, response);
+      } else if (parts[2] === 'files' && parts.length === 4) {
+        this.sendResultFile(job, parts[3], response);
+      } else {
+        throw new ApiError(404, 'Not found');
+      }
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : error instanceof IpcValidationError ? 400 : 500;
+      if (status === 500) {
+        console.error('[API] Request failed:', error);
+      }
+      if (response.headersSent) {
+        response.destroy();
+      } else {
+        this.sendJson(response, status, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Add the file of a request to the batch queue
+   * @param {http.IncomingMessage} request - POST /jobs request
+   * @param {http.ServerResponse} response - Response to write
+   */
+  async submitJob(request, response) {
+    const body = validateObject(await this.readJson(request), 'Request');
+    const filePath = validatePath(body.filePath, 'Input file');
+    const requested = body.options === undefined ? {} : validateObject(body.options, 'Options');
+    const unknown = Object.keys(requested).find(name => !API_OPTION_NAMES.includes(name));
+    if (unknown) {
+      throw new ApiError(400, `Unknown option: ${unknown}`);
+    }
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new ApiError(400, `Input file not found: ${filePath}`);
+    }
+
+    const job = this.jobQueue.add(filePath, validateOptions(requested));
+    this.outputs.set(job.id, '');
+    if (this.outputs.size > MAX_TRACKED_JOBS) {
+      this.outputs.delete(this.outputs.keys().next().value);
+    }
+    console.log('[API] Job submitted:', job.id, filePath);
+    this.sendJson(response, 201, describeJob(job));
+  }
+
+  /**
+   * Send the output of a job so far and keep streaming it until the job finishes
+   * @param {Object} job - Job snapshot
+   * @param {http.ServerResponse} response - Response to write
+   */
+  streamOutput(job, response) {
+    response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.write(this.outputs.get(job.id) || '');
+    if (!JobQueue.isPending(job)) {
+      response.end();
+      return;
+    }
+
+    const handleOutput = (jobId, text) => {
+      if (jobId === job.id) {
+        response.write(text);
+      }
+    };
+    const handleUpdate = (snapshot) => {
+      if (snapshot.id === job.id && !JobQueue.isPending(snapshot)) {
+        cleanup();
+        response.end();
+      }
+    };
+    const cleanup = () => {
+      this.off('output', handleOutput);
+      this.jobQueue.off('update', handleUpdate);
+    };
+    this.on('output', handleOutput);
+    this.jobQueue.on('update', handleUpdate);
+    response.on('close', cleanup);
+  }
+
+  /**
+   * Send a result file of a finished job
+   * @param {Object} job - Job snapshot
+   * @param {string} kind - 'summary' or 'calculation'
+   * @param {http.ServerResponse} response - Response to write
+   */
+  sendResultFile(job, kind, response) {
+    const outputFiles = (job.result && job.result.outputFiles) || {};
+    if (!['summary', 'calculation'].includes(kind)) {
+      throw new ApiError(404, 'Result files are "summary" and "calculation"');
+    }
+    const filePath = outputFiles[kind];
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new ApiError(404, `Job ${job.id} has no ${kind} file`);
+    }
+
+    response.writeHead(200, {
+      'Content-Type': 'text/tab-separated-values',
+      'Content-Length': fs.statSync(filePath).size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(path.basename(filePath))}`
+    });
+    fs.createReadStream(filePath).on('error', () => response.destroy()).pipe(response);
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} response - Response to write
+   * @param {number} status - HTTP status code
+   * @param {*} body - Value to send
+   */
+  sendJson(response, status, body) {
+    const json = JSON.stringify(body);
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+    response.end(json);
+  }
+}
+
+module.exports = { ApiServer, ApiError, DEFAULT_API_PORT, API_OPTION_NAMES, describeJob };
@@ -0,0 +1,92 @@
+/**
+ * Localization
+ *
+ * Loads the locale bundles in locales/ (flat "section.name" keys with {param}
+ * placeholders) and builds translators for the main process. The renderer
+ * receives the same bundle over IPC, so labels and the error messages sent back
+ * by the main process use one language. English is the fallback for keys a
+ * bundle does not translate.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Locales with a bundle in locales/, in the order they are offered
+const SUPPORTED_LOCALES = ['en', 'zh-CN'];
+
+// Locale used when neither the setting nor the system language is supported
+const DEFAULT_LOCALE = 'en';
+
+// Folder holding the <locale>.json bundles
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+// Parsed bundles, keyed by locale
+const bundleCache = new Map();
+
+/**
+ * Read the messages of a locale
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @returns {Object} - Messages keyed by message key
+ */
+const loadMessages = (locale) => {
+  if (!bundleCache.has(locale)) {
+    bundleCache.set(locale, JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8')));
+  }
+  return bundleCache.get(locale);
+};
+
+/**
+ * Pick the locale to use
+ * @param {string|null} preferred - Locale chosen in the settings, null to follow the system
+ * @param {string} [systemLocale] - Language of the operating system, e.g. 'zh-CN', 'zh-TW' or 'en-US'
+ * @returns {string} - One of SUPPORTED_LOCALES
+ */
+const resolveLocale = (preferred, systemLocale = '') => {
+  if (SUPPORTED_LOCALES.includes(preferred)) {
+    return preferred;
+  }
+  if (/^zh\b/i.test(systemLocale)) {
+    return 'zh-CN';
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Fill the {param} placeholders of a message
+ * @param {string} template - Message with placeholders
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} - Message text, unknown placeholders are kept as they are
+ */
+const formatMessage = (template, params = {}) => template.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined || params[name] === null ? match : String(params[name])
+));
+
+/**
+ * Messages of a locale merged over the English fallback
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @returns {Object} - { locale, messages }
+ */
+const getBundle = (locale) => ({
+  locale,
+  messages: { ...loadMessages(DEFAULT_LOCALE), ...loadMessages(locale) }
+});
+
+/**
+ * Create a translate function for a locale
+ * @param {string} [locale=DEFAULT_LOCALE] - One of SUPPORTED_LOCALES
+ * @returns {Function} - t(key, params) returning the message, or the key when it is unknown
+ */
+const createTranslator = (locale = DEFAULT_LOCALE) => {
+  const { messages } = getBundle(locale);
+  return (key, params) => formatMessage(messages[key] === undefined ? key : messages[key], params);
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  LOCALES_DIR,
+  loadMessages,
+  resolveLocale,
+  formatMessage,
+  getBundle,
+  createTranslator
+};
@@ -0,0 +1,170 @@
+/**
+ * Input Encoding
+ *
+ * Sniffs the text encoding of instrument exports and result files so users no
+ * longer have to guess the -GBK flag. SHCarrier.exe only reads UTF-8 and GBK:
+ * GBK and plain UTF-8 inputs are passed as they are with the matching flag,
+ * while UTF-8 with a byte order mark and UTF-16 inputs are transcoded to plain
+ * UTF-8 in a temporary folder first. The -GBK option is only used when the
+ * encoding cannot be detected.
+ */
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Encodings that are converted to plain UTF-8 before SHCarrier reads them
+const TRANSCODED_ENCODINGS = ['utf-8-bom', 'utf-16le', 'utf-16be'];
+
+/**
+ * Detect the text encoding of a file buffer
+ * @param {Buffer} buffer - Raw file content
+ * @returns {string} - 'utf-8-bom', 'utf-16le', 'utf-16be', 'ascii', 'utf-8', 'gbk' or 'unknown'
+ */
+const detectEncoding = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8-bom';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return 'utf-16le';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return 'utf-16be';
+  }
+  if (buffer.every(byte => byte < 0x80)) {
+    return 'ascii';
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch (error) {
+    // Not valid UTF-8, try GBK next
+  }
+
+  try {
+    new TextDecoder('gbk', { fatal: true }).decode(buffer);
+    return 'gbk';
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+/**
+ * Decode a buffer with a detected encoding
+ * @param {Buffer} buffer - Raw file content
+ * @param {string} encoding - Result of detectEncoding
+ * @returns {string} - Decoded text without a byte order mark
+ */
+const decodeWithEncoding = (buffer, encoding) => {
+  const labels = {
+    'utf-8-bom': 'utf-8',
+    'utf-16le': 'utf-16le',
+    'utf-16be': 'utf-16be',
+    gbk: 'gbk'
+  };
+  const text = new TextDecoder(labels[encoding] || 'utf-8').decode(buffer);
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+};
+
+/**
+ * Detect the encoding of a buffer and decode it
+ * @param {Buffer} buffer - Raw file content
+ * @param {Object} [params]
+ * @param {boolean} [params.useGBK=false] - Decode as GBK when the encoding cannot be detected
+ * @returns {{encoding: string, text: string}} - Detected encoding and decoded text
+ */
+const decodeBuffer = (buffer, { useGBK = false } = {}) => {
+  const encoding = detectEncoding(buffer);
+  return { encoding, text: decodeWithEncoding(buffer, encoding === 'unknown' && useGBK ? 'gbk' : encoding) };
+};
+
+/**
+ * Decide how an input file with a detected encoding is passed to SHCarrier
+ * @param {string} encoding - Result of detectEncoding
+ * @param {boolean} useGBK - The -GBK option chosen by the user
+ * @returns {{useGBK: boolean, transcode: boolean}} - Flag to pass and whether to convert the file first
+ */
+const planEncoding = (encoding, useGBK) => {
+  if (encoding === 'gbk') {
+    return { useGBK: true, transcode: false };
+  }
+  if (encoding === 'unknown') {
+    return { useGBK: Boolean(useGBK), transcode: false };
+  }
+  return { useGBK: false, transcode: TRANSCODED_ENCODINGS.includes(encoding) };
+};
+
+/**
+ * Prepare an input file for SHCarrier
+ * A transcoded copy keeps the file name in a temporary folder, so its results are
+ * moved from there to options.outputDir, or next to the input file when it is not set.
+ * Next to the input they replace earlier results, as they do when SHCarrier reads the file itself.
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options
+ * @returns {Object} - { encoding, transcoded, gbkOverride, options, runFilePath, runOptions, cleanup, keepOutputs } where
+ *   gbkOverride is 'added' or 'removed' when the detected encoding changed the user's -GBK
+ *   choice (null otherwise), options are the processing options with the detected -GBK flag,
+ *   runFilePath and runOptions are passed to the engine, cleanup removes the temporary copy
+ *   and keepOutputs(outputFiles) sets the result paths that cleanup removes to null
+ */
+const prepareInput = (filePath, options) => {
+  const buffer = fs.readFileSync(filePath);
+  const encoding = detectEncoding(buffer);
+  const plan = planEncoding(encoding, options.useGBK);
+  const effectiveOptions = { ...options, useGBK: plan.useGBK };
+  let gbkOverride = null;
+  if (Boolean(options.useGBK) !== plan.useGBK) {
+    gbkOverride = plan.useGBK ? 'added' : 'removed';
+  }
+
+  if (!plan.transcode) {
+    return {
+      encoding,
+      transcoded: false,
+      gbkOverride,
+      options: effectiveOptions,
+      runFilePath: filePath,
+      runOptions: effectiveOptions,
+      cleanup: () => {},
+      keepOutputs: outputFiles => outputFiles
+    };
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-input-'));
+  const runFilePath = path.join(tempDir, path.basename(filePath));
+  try {
+    fs.writeFileSync(runFilePath, decodeWithEncoding(buffer, encoding), 'utf8');
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    encoding,
+    transcoded: true,
+    gbkOverride,
+    options: effectiveOptions,
+    runFilePath,
+    runOptions: {
+      ...effectiveOptions,
+      outputDir: options.outputDir || path.dirname(filePath),
+      moveOutputs: true,
+      overwriteOutputs: !options.outputDir
+    },
+    cleanup: () => fs.rmSync(tempDir, { recursive: true, force: true }),
+    // A failed run leaves its results in the temporary folder
+    keepOutputs: outputFiles => outputFiles && Object.fromEntries(Object.entries(outputFiles).map(([kind, outputFile]) => [
+      kind,
+      outputFile && path.dirname(outputFile) === tempDir ? null : outputFile
+    ]))
+  };
+};
+
+module.exports = {
+  TRANSCODED_ENCODINGS,
+  detectEncoding,
+  decodeWithEncoding,
+  decodeBuffer,
+  planEncoding,
+  prepareInput
+};
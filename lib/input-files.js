@@ -0,0 +1,133 @@
+/**
+ * Input Files
+ *
+ * Helpers for finding SHCarrier input files: listing a folder, resolving
+ * dropped files and folders, and expanding the file, folder and glob
+ * arguments accepted by the command-line mode.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+
+// File extensions accepted as SHCarrier input
+const INPUT_EXTENSIONS = ['txt', 'csv', 'tsv'];
+
+// Result files written by SHCarrier.exe, never treated as input
+const RESULT_FILE_PATTERN = /-(summary|cal)\.tsv$/i;
+
+/**
+ * Check whether a file name looks like an SHCarrier input file
+ * @param {string} name - File name
+ * @returns {boolean} - True for txt/csv/tsv files that are not SHCarrier results
+ */
+const isInputFileName = (name) => INPUT_EXTENSIONS.includes(path.extname(name).slice(1).toLowerCase())
+  && !RESULT_FILE_PATTERN.test(name);
+
+/**
+ * List the input files inside a folder (non-recursive)
+ * Result files written by SHCarrier.exe (-summary.tsv / -cal.tsv) are skipped
+ * @param {string} dirPath - Folder to scan
+ * @returns {string[]} - Sorted list of input file paths
+ */
+const collectInputFiles = (dirPath) => fs.readdirSync(dirPath, { withFileTypes: true })
+  .filter(entry => entry.isFile() && isInputFileName(entry.name))
+  .map(entry => entry.name)
+  .sort((a, b) => a.localeCompare(b))
+  .map(name => path.join(dirPath, name));
+
+/**
+ * Resolve dropped or picked paths into input files
+ * Folders are expanded to the input files they contain, other files are kept
+ * when they look like SHCarrier input
+ * @param {string[]} paths - File and folder paths
+ * @returns {string[]} - De-duplicated input file paths
+ */
+const resolveInputPaths = (paths) => {
+  const files = [];
+  paths.forEach(itemPath => {
+    let stats;
+    try {
+      stats = fs.statSync(itemPath);
+    } catch (error) {
+      return;
+    }
+    const matches = stats.isDirectory()
+      ? collectInputFiles(itemPath)
+      : (isInputFileName(path.basename(itemPath)) ? [itemPath] : []);
+    matches.forEach(filePath => {
+      if (!files.includes(filePath)) {
+        files.push(filePath);
+      }
+    });
+  });
+  return files;
+};
+
+/**
+ * Convert a file name glob (* and ?) into a regular expression
+ * @param {string} pattern - Glob for a file name, without directory separators
+ * @returns {RegExp} - Case-insensitive regular expression matching the whole name
+ */
+const globToRegExp = (pattern) => {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '[^/\\\\]*';
+      }
+      if (char === '?') {
+        return '[^/\\\\]';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Expand file, folder and glob arguments into a de-duplicated list of input files
+ * Globs are supported in the file name part only, e.g. "exports/*.txt"
+ * @param {string[]} patterns - Paths as given on the command line
+ * @param {string} [cwd=process.cwd()] - Directory relative paths are resolved against
+ * @returns {{files: string[], unmatched: string[]}} - Input files and the arguments that matched nothing
+ */
+const expandInputPatterns = (patterns, cwd = process.cwd()) => {
+  const files = [];
+  const unmatched = [];
+
+  patterns.forEach(pattern => {
+    const resolved = path.resolve(cwd, pattern);
+    let matches = [];
+
+    if (/[*?]/.test(path.basename(resolved))) {
+      const dirPath = path.dirname(resolved);
+      const regExp = globToRegExp(path.basename(resolved));
+      matches = fs.existsSync(dirPath)
+        ? collectInputFiles(dirPath).filter(filePath => regExp.test(path.basename(filePath)))
+        : [];
+    } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      matches = collectInputFiles(resolved);
+    } else if (fs.existsSync(resolved)) {
+      matches = [resolved];
+    }
+
+    if (matches.length === 0) {
+      unmatched.push(pattern);
+    }
+    matches.forEach(filePath => {
+      if (!files.includes(filePath)) {
+        files.push(filePath);
+      }
+    });
+  });
+
+  return { files, unmatched };
+};
+
+module.exports = {
+  INPUT_EXTENSIONS,
+  isInputFileName,
+  collectInputFiles,
+  resolveInputPaths,
+  globToRegExp,
+  expandInputPatterns
+};
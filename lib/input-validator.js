@@ -0,0 +1,195 @@
+/**
+ * Input Validator
+ *
+ * Pre-flight checks for SHCarrier input files (txt/csv/tsv instrument exports),
+ * run before SHCarrier.exe is spawned. Reports the detected text encoding, parses
+ * the header and columns, and reports errors and warnings per row so a malformed
+ * export or a missing standard sample is caught before the run starts.
+ * Every issue carries its message key so it can be shown in the user's language.
+ */
+const fs = require('node:fs');
+const { createTranslator } = require('./i18n');
+const { decodeBuffer } = require('./input-encoding');
+
+// Column header patterns of the instrument export
+const SAMPLE_HEADER_PATTERN = /sample|样本/i;
+const HEIGHT_HEADER_PATTERN = /height|峰高/i;
+const AREA_HEADER_PATTERN = /area|峰面积/i;
+
+// Per-row issues beyond this limit are summarized to keep the IPC payload small
+const MAX_ROW_ISSUES = 200;
+
+/**
+ * Split a delimited line into cells, honoring double-quoted cells in CSV files
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Tab or comma
+ * @returns {string[]} - Cells
+ */
+const splitLine = (line, delimiter) => {
+  if (delimiter === '\t') {
+    return line.split('\t').map(cell => cell.trim());
+  }
+
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Pick the delimiter used by the header line
+ * @param {string} headerLine - First line of the file
+ * @returns {string} - Tab or comma
+ */
+const detectDelimiter = (headerLine) => {
+  const tabs = headerLine.split('\t').length;
+  const commas = headerLine.split(',').length;
+  return commas > tabs ? ',' : '\t';
+};
+
+/**
+ * Validate input text against the processing options
+ * @param {string} text - Decoded file content
+ * @param {Object} options - Processing options (useArea, stdName)
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the issue messages, English by default
+ * @returns {Object} - Column layout, sample names and the list of issues, each issue
+ *   as { level, row, code, params, message } where code is the message key in locales/
+ */
+const validateText = (text, options = {}, { t = createTranslator() } = {}) => {
+  const issues = [];
+  const addIssue = (level, row, code, params = {}) => issues.push({ level, row, code, params, message: t(code, params) });
+
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    addIssue('error', null, 'validation.emptyFile');
+    return { delimiter: null, headers: [], columns: {}, sampleNames: [], rowCount: 0, issues };
+  }
+
+  const delimiter = detectDelimiter(lines[headerIndex]);
+  const headers = splitLine(lines[headerIndex], delimiter);
+  const findColumn = (pattern) => headers.findIndex(header => pattern.test(header));
+  const columns = {
+    sample: findColumn(SAMPLE_HEADER_PATTERN),
+    height: findColumn(HEIGHT_HEADER_PATTERN),
+    area: findColumn(AREA_HEADER_PATTERN)
+  };
+
+  if (headers.length < 2) {
+    addIssue('error', headerIndex + 1, 'validation.singleColumn');
+  }
+  if (columns.sample === -1) {
+    addIssue('error', headerIndex + 1, 'validation.noSampleColumn');
+  }
+  if (options.useArea && columns.area === -1) {
+    addIssue('error', headerIndex + 1, 'validation.noAreaColumn');
+  }
+  if (!options.useArea && columns.height === -1) {
+    addIssue('error', headerIndex + 1, 'validation.noHeightColumn');
+  }
+
+  // The column the signal values are read from for the chosen option
+  const valueColumn = options.useArea ? columns.area : columns.height;
+  const sampleNames = new Set();
+  let rowCount = 0;
+  let rowIssueCount = 0;
+  const addRowIssue = (level, row, code, params) => {
+    rowIssueCount++;
+    if (rowIssueCount <= MAX_ROW_ISSUES) {
+      addIssue(level, row, code, params);
+    }
+  };
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+    rowCount++;
+    const rowNumber = i + 1;
+    const cells = splitLine(lines[i], delimiter);
+
+    if (cells.length !== headers.length) {
+      addRowIssue('warning', rowNumber, 'validation.columnCount', { expected: headers.length, found: cells.length });
+    }
+
+    if (columns.sample !== -1) {
+      const sampleName = cells[columns.sample] || '';
+      if (sampleName) {
+        sampleNames.add(sampleName);
+      } else {
+        addRowIssue('warning', rowNumber, 'validation.emptySampleName');
+      }
+    }
+
+    if (valueColumn !== -1) {
+      const value = cells[valueColumn] || '';
+      if (value !== '' && !Number.isFinite(Number(value))) {
+        addRowIssue('warning', rowNumber, 'validation.notANumber', { column: headers[valueColumn], value });
+      }
+    }
+  }
+
+  if (rowIssueCount > MAX_ROW_ISSUES) {
+    addIssue('warning', null, 'validation.moreIssues', { count: rowIssueCount - MAX_ROW_ISSUES });
+  }
+  if (rowCount === 0) {
+    addIssue('error', null, 'validation.noDataRows');
+  }
+
+  const stdName = (options.stdName || 'STD').trim();
+  if (columns.sample !== -1 && rowCount > 0 && !sampleNames.has(stdName)) {
+    addIssue('error', null, 'validation.stdNotFound', { name: stdName });
+  }
+
+  return { delimiter, headers, columns, sampleNames: Array.from(sampleNames), rowCount, issues };
+};
+
+/**
+ * Validate an input file before it is processed
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options (useArea, stdName, useGBK)
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the issue messages, English by default
+ * @returns {Object} - Validation report with the detected encoding and all issues
+ */
+const validateInputFile = (filePath, options = {}, { t = createTranslator() } = {}) => {
+  const { encoding, text } = decodeBuffer(fs.readFileSync(filePath), { useGBK: options.useGBK });
+  const report = validateText(text, options, { t });
+
+  // Known encodings are handled when the file is processed, only an unknown one needs attention
+  if (encoding === 'unknown') {
+    const code = options.useGBK ? 'validation.unknownEncodingGbk' : 'validation.unknownEncodingUtf8';
+    report.issues.unshift({ level: 'warning', row: null, code, params: {}, message: t(code) });
+  }
+
+  return {
+    filePath,
+    encoding,
+    ...report,
+    valid: !report.issues.some(issue => issue.level === 'error')
+  };
+};
+
+module.exports = {
+  HEIGHT_HEADER_PATTERN,
+  AREA_HEADER_PATTERN,
+  splitLine,
+  validateText,
+  validateInputFile
+};
@@ -0,0 +1,346 @@
+/**
+ * IPC Security
+ *
+ * Guards the ipcMain handlers: every call must come from one of the app's own
+ * pages, arguments are checked against small schemas before they reach the
+ * handlers, and files are only opened or read when the app produced them or
+ * the user picked them in a dialog.
+ */
+const path = require('node:path');
+const { fileURLToPath } = require('node:url');
+const { normalizeOptions } = require('./settings-store');
+const { QC_RULE_TYPES, QC_SEVERITIES, MAX_QC_RULES } = require('./qc-rules');
+
+// Longest path accepted over IPC
+const MAX_PATH_LENGTH = 4096;
+
+// Processing option names and the type of their values
+const OPTION_TYPES = {
+  useArea: 'boolean',
+  stdName: 'string',
+  useGBK: 'boolean',
+  devMode: 'boolean',
+  outputDir: 'path',
+  moveOutputs: 'boolean'
+};
+
+// Standard sample names: letters (any script), digits, spaces, "_", "." and "-", not starting with "-"
+const STD_NAME_PATTERN = /^(?!-)[\p{L}\p{N}_. -]{1,64}$/u;
+
+// Job, history and preset identifiers
+const ID_PATTERN = /^[\w-]{1,100}$/;
+
+/**
+ * Error raised when an IPC argument does not match its schema
+ */
+class IpcValidationError extends Error {
+  /**
+   * @param {string} message - Description of the invalid argument
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'IpcValidationError';
+  }
+}
+
+/**
+ * Normalize a path for comparisons, case-insensitive on Windows
+ * @param {string} filePath - Absolute path
+ * @param {string} [platform=process.platform] - Platform whose rules apply
+ * @returns {string} - Comparable path
+ */
+const pathKey = (filePath, platform = process.platform) => {
+  const resolved = path.resolve(filePath);
+  return platform === 'win32' ? resolved.toLowerCase() : resolved;
+};
+
+/**
+ * Check that an IPC call comes from a top-level frame showing one of the app's pages
+ * @param {Object} senderFrame - event.senderFrame of the IPC call
+ * @param {Object} params
+ * @param {string} params.appDir - Folder of the app's HTML files
+ * @param {string[]} params.pages - File names of the pages allowed to call the main process
+ * @returns {boolean} - True for trusted senders
+ */
+const isTrustedSender = (senderFrame, { appDir, pages }) => {
+  if (!senderFrame || senderFrame.parent || typeof senderFrame.url !== 'string') {
+    return false;
+  }
+
+  let filePath;
+  try {
+    const url = new URL(senderFrame.url);
+    if (url.protocol !== 'file:') {
+      return false;
+    }
+    filePath = fileURLToPath(url);
+  } catch (error) {
+    return false;
+  }
+
+  return pages.some(page => pathKey(filePath) === pathKey(path.join(appDir, page)));
+};
+
+/**
+ * Wrap ipcMain.handle so that calls from untrusted senders are rejected
+ * @param {Object} ipcMain - Electron's ipcMain
+ * @param {Function} isTrusted - Called with the IPC event, returns whether the sender is trusted
+ * @returns {Function} - handle(channel, handler) with the same signature as ipcMain.handle
+ */
+const createGuardedHandle = (ipcMain, isTrusted) => (channel, handler) => {
+  ipcMain.handle(channel, (event, ...args) => {
+    if (!isTrusted(event)) {
+      console.error('[IPC] Rejected call to', channel, 'from', event.senderFrame ? event.senderFrame.url : 'unknown sender');
+      throw new Error(`Untrusted sender for ${channel}`);
+    }
+    return handler(event, ...args);
+  });
+};
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error message
+ * @returns {Object} - The value
+ * @throws {IpcValidationError}
+ */
+const validateObject = (value, name) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || Object.getPrototypeOf(value) !== Object.prototype) {
+    throw new IpcValidationError(`${name} must be an object`);
+  }
+  return value;
+};
+
+/**
+ * Check that a value is an absolute path
+ * @param {*} value - Value to check
+ * @param {string} [name='Path'] - Argument name for the error message
+ * @returns {string} - The normalized absolute path
+ * @throws {IpcValidationError}
+ */
+const validatePath = (value, name = 'Path') => {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_PATH_LENGTH) {
+    throw new IpcValidationError(`${name} must be a non-empty string`);
+  }
+  if (value.includes('\0')) {
+    throw new IpcValidationError(`${name} contains a NUL character`);
+  }
+  if (!path.isAbsolute(value)) {
+    throw new IpcValidationError(`${name} must be an absolute path`);
+  }
+  return path.normalize(value);
+};
+
+/**
+ * Check a list of absolute paths
+ * @param {*} value - Value to check
+ * @param {string} [name='Paths'] - Argument name for the error message
+ * @returns {string[]} - The normalized paths
+ * @throws {IpcValidationError}
+ */
+const validatePathList = (value, name = 'Paths') => {
+  if (!Array.isArray(value) || value.length > 10000) {
+    throw new IpcValidationError(`${name} must be a list of paths`);
+  }
+  return value.map(item => validatePath(item, name));
+};
+
+/**
+ * Check processing options against the option schema
+ * Unknown options, wrong types and standard sample names that could be read as flags are rejected.
+ * @param {*} value - Options received from the renderer
+ * @returns {Object} - Normalized processing options
+ * @throws {IpcValidationError}
+ */
+const validateOptions = (value) => {
+  const options = validateObject(value, 'Options');
+  Object.keys(options).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(OPTION_TYPES, key)) {
+      throw new IpcValidationError(`Unknown option: ${key}`);
+    }
+    const expected = OPTION_TYPES[key];
+    const optionValue = options[key];
+    if (expected === 'path') {
+      if (optionValue !== null && optionValue !== undefined) {
+        validatePath(optionValue, key);
+      }
+    } else if (typeof optionValue !== expected) {
+      throw new IpcValidationError(`Option ${key} must be a ${expected}`);
+    }
+  });
+
+  if (options.stdName !== undefined && options.stdName.trim() !== '' && !STD_NAME_PATTERN.test(options.stdName.trim())) {
+    throw new IpcValidationError('Standard sample name may only contain letters, digits, spaces, "_", "." and "-"');
+  }
+  return normalizeOptions(options);
+};
+
+/**
+ * Check the QC rules edited by the user
+ * Every rule needs a known type and severity, and a threshold within the range of its type.
+ * @param {*} value - Rules received from the renderer
+ * @returns {Object[]} - Rules as { type, threshold, severity, enabled }
+ * @throws {IpcValidationError}
+ */
+const validateQcRules = (value) => {
+  if (!Array.isArray(value) || value.length > MAX_QC_RULES) {
+    throw new IpcValidationError(`QC rules must be a list of at most ${MAX_QC_RULES} rules`);
+  }
+  return value.map((item, index) => {
+    const rule = validateObject(item, `QC rule ${index + 1}`);
+    const type = validateChoice(rule.type, Object.keys(QC_RULE_TYPES), `QC rule ${index + 1} type`);
+    const severity = validateChoice(rule.severity, QC_SEVERITIES, `QC rule ${index + 1} severity`);
+    if (typeof rule.enabled !== 'boolean') {
+      throw new IpcValidationError(`QC rule ${index + 1} enabled must be a boolean`);
+    }
+
+    const range = QC_RULE_TYPES[type];
+    if (range && (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)
+      || rule.threshold < range.min || rule.threshold > range.max)) {
+      throw new IpcValidationError(`QC rule ${index + 1} threshold must be a number between ${range.min} and ${range.max}`);
+    }
+    return { type, threshold: range ? rule.threshold : null, severity, enabled: rule.enabled };
+  });
+};
+
+/**
+ * Check the { summary, calculation } result file paths of a run
+ * @param {*} value - Value to check
+ * @returns {Object} - { summary, calculation } normalized paths or null
+ * @throws {IpcValidationError}
+ */
+const validateOutputFiles = (value) => {
+  const outputFiles = validateObject(value, 'Output files');
+  const validated = {};
+  ['summary', 'calculation'].forEach(kind => {
+    const filePath = outputFiles[kind];
+    validated[kind] = filePath === null || filePath === undefined ? null : validatePath(filePath, kind);
+  });
+  return validated;
+};
+
+/**
+ * Check a job, history or preset identifier
+ * @param {*} value - Value to check
+ * @param {string} [name='ID'] - Argument name for the error message
+ * @returns {string} - The identifier
+ * @throws {IpcValidationError}
+ */
+const validateId = (value, name = 'ID') => {
+  if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+    throw new IpcValidationError(`${name} is invalid`);
+  }
+  return value;
+};
+
+/**
+ * Check a free-text value such as a search query or a preset name
+ * @param {*} value - Value to check
+ * @param {string} name - Argument name for the error message
+ * @param {number} [maxLength=200] - Longest accepted text
+ * @returns {string} - The text
+ * @throws {IpcValidationError}
+ */
+const validateText = (value, name, maxLength = 200) => {
+  if (typeof value !== 'string' || value.length > maxLength || value.includes('\0')) {
+    throw new IpcValidationError(`${name} must be text of at most ${maxLength} characters`);
+  }
+  return value;
+};
+
+/**
+ * Check that a value is one of the allowed choices
+ * @param {*} value - Value to check
+ * @param {string[]} allowed - Allowed values
+ * @param {string} name - Argument name for the error message
+ * @returns {string} - The value
+ * @throws {IpcValidationError}
+ */
+const validateChoice = (value, allowed, name) => {
+  if (!allowed.includes(value)) {
+    throw new IpcValidationError(`${name} must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Check the location of an update feed
+ * @param {*} value - An http(s) URL or an absolute path to a folder or feed file
+ * @returns {string} - The URL, or the normalized path
+ * @throws {IpcValidationError}
+ */
+const validateFeedLocation = (value) => {
+  if (typeof value === 'string' && /^https?:\/\//i.test(value)) {
+    try {
+      return new URL(validateText(value, 'Feed URL', MAX_PATH_LENGTH)).href;
+    } catch (error) {
+      throw error instanceof IpcValidationError ? error : new IpcValidationError('Feed URL is not a valid URL');
+    }
+  }
+  return validatePath(value, 'Feed location');
+};
+
+/**
+ * Files the renderer may open or read: results and exports the app produced and
+ * summaries the user picked for a comparison
+ */
+class FileAllowlist {
+  constructor() {
+    this.paths = new Set();
+  }
+
+  /**
+   * Allow one or more files
+   * @param {...(string|null|Object)} entries - Paths, or { summary, calculation } objects
+   */
+  allow(...entries) {
+    entries.forEach(entry => {
+      if (entry && typeof entry === 'object') {
+        Object.values(entry).forEach(filePath => this.allow(filePath));
+      } else if (typeof entry === 'string' && path.isAbsolute(entry)) {
+        this.paths.add(pathKey(entry));
+      }
+    });
+  }
+
+  /**
+   * @param {string} filePath - Path requested by the renderer
+   * @returns {boolean} - Whether the file may be opened or read
+   */
+  has(filePath) {
+    return typeof filePath === 'string' && path.isAbsolute(filePath) && this.paths.has(pathKey(filePath));
+  }
+
+  /**
+   * Check that every given file is allowed
+   * @param {...(string|null|Object)} entries - Paths, or { summary, calculation } objects
+   * @throws {IpcValidationError} - When a file was not produced or picked in this app
+   */
+  assertAllowed(...entries) {
+    entries.forEach(entry => {
+      if (entry && typeof entry === 'object') {
+        Object.values(entry).forEach(filePath => this.assertAllowed(filePath));
+      } else if (entry !== null && entry !== undefined && !this.has(entry)) {
+        throw new IpcValidationError(`Access denied: ${entry} was not produced by this app`);
+      }
+    });
+  }
+}
+
+module.exports = {
+  IpcValidationError,
+  STD_NAME_PATTERN,
+  isTrustedSender,
+  createGuardedHandle,
+  validateObject,
+  validatePath,
+  validatePathList,
+  validateOptions,
+  validateQcRules,
+  validateOutputFiles,
+  validateId,
+  validateText,
+  validateChoice,
+  validateFeedLocation,
+  FileAllowlist
+};
@@ -0,0 +1,286 @@
+/**
+ * Job Queue
+ *
+ * Runs SHCarrier jobs in the main process with a configurable concurrency limit.
+ * Each job tracks its own status (queued/running/done/failed/cancelled) and the result
+ * returned by the runner, and every state change is emitted as an 'update' event
+ * so the main process can forward it to the renderer. Failed and cancelled jobs
+ * can be retried in place.
+ */
+const { EventEmitter } = require('node:events');
+const { createTranslator } = require('./i18n');
+
+// Upper bound for parallel SHCarrier.exe processes
+const MAX_CONCURRENCY = 8;
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} params
+   * @param {Function} params.runner - async (job, signal) => result, where result.success marks a done job
+   *   and result.cancelled a job stopped through the AbortSignal
+   * @param {number} [params.concurrency=1] - Maximum number of jobs running at the same time
+   * @param {Function} [params.t] - Translator for the errors the queue itself records, English by default
+   */
+  constructor({ runner, concurrency = 1, t = createTranslator() }) {
+    super();
+    this.runner = runner;
+    this.t = t;
+    this.concurrency = JobQueue.clampConcurrency(concurrency);
+    this.jobs = new Map();
+    // AbortControllers of the running jobs, keyed by job ID
+    this.controllers = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Keep the concurrency limit within a sane integer range
+   * @param {number} value - Requested concurrency
+   * @returns {number} - Concurrency between 1 and MAX_CONCURRENCY
+   */
+  static clampConcurrency(value) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+      return 1;
+    }
+    return Math.min(parsed, MAX_CONCURRENCY);
+  }
+
+  /**
+   * Add a file to the queue
+   * @param {string} filePath - Path to the input file
+   * @param {Object} options - Processing options passed to the runner
+   * @param {Object} [params]
+   * @param {number|null} [params.ownerId=null] - webContents ID of the window that queued the file
+   * @returns {Object} - Snapshot of the queued job
+   */
+  add(filePath, options, { ownerId = null } = {}) {
+    const job = {
+      id: String(this.nextId++),
+      filePath,
+      options: { ...options },
+      ownerId,
+      status: 'queued',
+      result: null,
+      error: null,
+      attempts: 1,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.emitUpdate(job);
+    this.runNext();
+    return JobQueue.snapshot(job);
+  }
+
+  /**
+   * Change the concurrency limit and start more jobs if slots became available
+   * @param {number} value - New concurrency limit
+   * @returns {number} - The applied concurrency limit
+   */
+  setConcurrency(value) {
+    this.concurrency = JobQueue.clampConcurrency(value);
+    this.runNext();
+    return this.concurrency;
+  }
+
+  /**
+   * Cancel a job: queued jobs are skipped, running jobs are aborted through their signal
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Snapshot of the job, or null when it is unknown or already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(String(id));
+    if (!job || !JobQueue.isPending(job)) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.error = this.t('failure.cancelled');
+      job.finishedAt = new Date().toISOString();
+      this.emitUpdate(job);
+    } else {
+      // The runner resolves once the process is gone, start() then records the cancellation
+      this.controllers.get(job.id).abort();
+    }
+    return JobQueue.snapshot(job);
+  }
+
+  /**
+   * Queue a failed or cancelled job again with the same file and options
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Snapshot of the queued job, or null when it is unknown or has not failed
+   */
+  retry(id) {
+    const job = this.jobs.get(String(id));
+    if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) {
+      return null;
+    }
+
+    job.status = 'queued';
+    job.result = null;
+    job.error = null;
+    job.attempts++;
+    job.queuedAt = new Date().toISOString();
+    job.startedAt = null;
+    job.finishedAt = null;
+    this.emitUpdate(job);
+    this.runNext();
+    return JobQueue.snapshot(job);
+  }
+
+  /**
+   * @param {Object} job - Job record or snapshot
+   * @returns {boolean} - Whether the job is still waiting or running
+   */
+  static isPending(job) {
+    return job.status === 'queued' || job.status === 'running';
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Snapshot of the job, or null when unknown
+   */
+  get(id) {
+    const job = this.jobs.get(String(id));
+    return job ? JobQueue.snapshot(job) : null;
+  }
+
+  /**
+   * Wait until a job is no longer queued or running
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Final snapshot of the job, or null when unknown
+   */
+  waitFor(id) {
+    const job = this.jobs.get(String(id));
+    if (!job || !JobQueue.isPending(job)) {
+      return Promise.resolve(job ? JobQueue.snapshot(job) : null);
+    }
+
+    return new Promise(resolve => {
+      const handleUpdate = (snapshot) => {
+        if (snapshot.id === job.id && !JobQueue.isPending(snapshot)) {
+          this.off('update', handleUpdate);
+          resolve(snapshot);
+        }
+      };
+      this.on('update', handleUpdate);
+    });
+  }
+
+  /**
+   * @returns {Object[]} - Snapshots of all jobs in submission order
+   */
+  list() {
+    return Array.from(this.jobs.values(), JobQueue.snapshot);
+  }
+
+  /**
+   * Remove finished, failed and cancelled jobs from the list
+   * @returns {Object[]} - Snapshots of the remaining jobs
+   */
+  clearFinished() {
+    for (const [id, job] of this.jobs) {
+      if (!JobQueue.isPending(job)) {
+        this.jobs.delete(id);
+      }
+    }
+    return this.list();
+  }
+
+  /**
+   * @returns {number} - Number of jobs currently running
+   */
+  runningCount() {
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Start queued jobs until the concurrency limit is reached
+   */
+  runNext() {
+    for (const job of this.jobs.values()) {
+      if (this.runningCount() >= this.concurrency) {
+        return;
+      }
+      if (job.status === 'queued') {
+        this.start(job);
+      }
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {Object} job - Internal job record
+   */
+  async start(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job);
+
+    try {
+      const result = await this.runner(JobQueue.snapshot(job), controller.signal);
+      job.result = result;
+      if (result && result.cancelled) {
+        job.status = 'cancelled';
+        job.error = result.error || this.t('failure.cancelled');
+      } else if (result && result.success) {
+        job.status = 'done';
+      } else {
+        job.status = 'failed';
+        const code = result ? result.code : undefined;
+        job.error = (result && result.error)
+          || (code === undefined || code === null ? this.t('error.unknown') : this.t('failure.exitCode', { code }));
+      }
+    } catch (error) {
+      job.status = 'failed';
+      // The runner may reject with an Error or with a { success: false, error } object
+      job.error = (error && (error.message || error.error)) || this.t('error.unknown');
+    }
+
+    this.controllers.delete(job.id);
+    job.finishedAt = new Date().toISOString();
+    this.emitUpdate(job);
+    this.runNext();
+  }
+
+  /**
+   * Notify listeners that a job changed
+   * @param {Object} job - Internal job record
+   */
+  emitUpdate(job) {
+    this.emit('update', JobQueue.snapshot(job));
+  }
+
+  /**
+   * Create a plain copy of a job that is safe to send over IPC
+   * @param {Object} job - Internal job record
+   * @returns {Object} - Job snapshot
+   */
+  static snapshot(job) {
+    return {
+      id: job.id,
+      filePath: job.filePath,
+      options: { ...job.options },
+      ownerId: job.ownerId,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      queuedAt: job.queuedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = { JobQueue, MAX_CONCURRENCY };
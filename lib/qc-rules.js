@@ -0,0 +1,176 @@
+/**
+ * QC Rules
+ *
+ * Post-run quality checks on the parsed results of a run: minimum peak height
+ * or area per sample, the ratio of the standard sample within a tolerance of
+ * 1.00, and sample names reported more than once. The rules are edited by the
+ * user and stored in the settings. Every sample gets a pass, warn or fail
+ * status and the worst of them is the QC status of the run. Every issue
+ * carries its message key so it can be shown in the user's language.
+ */
+const { createTranslator } = require('./i18n');
+const { HEIGHT_HEADER_PATTERN, AREA_HEADER_PATTERN } = require('./input-validator');
+const { RATIO_HEADER_PATTERN } = require('./result-parser');
+
+// Rule types with the accepted range of their threshold, null for rules without one
+const QC_RULE_TYPES = {
+  minPeakHeight: { min: 0, max: 1e9 },
+  minPeakArea: { min: 0, max: 1e12 },
+  stdRatio: { min: 0, max: 1 },
+  duplicateName: null
+};
+
+// Severities a rule can report
+const QC_SEVERITIES = ['warn', 'fail'];
+
+// QC statuses from best to worst
+const QC_STATUSES = ['pass', 'warn', 'fail'];
+
+// Largest number of rules kept in the settings
+const MAX_QC_RULES = 20;
+
+// Rules used until the user edits them
+const DEFAULT_QC_RULES = [
+  { type: 'minPeakHeight', threshold: 100, severity: 'warn', enabled: true },
+  { type: 'minPeakArea', threshold: 1000, severity: 'warn', enabled: false },
+  { type: 'stdRatio', threshold: 0.1, severity: 'fail', enabled: true },
+  { type: 'duplicateName', threshold: null, severity: 'fail', enabled: true }
+];
+
+/**
+ * Pick the worse of two QC statuses
+ * @param {string} a - 'pass', 'warn' or 'fail'
+ * @param {string} b - 'pass', 'warn' or 'fail'
+ * @returns {string} - The worse status
+ */
+const worseStatus = (a, b) => (QC_STATUSES.indexOf(b) > QC_STATUSES.indexOf(a) ? b : a);
+
+/**
+ * Round a value for messages, e.g. 0.9000000001 -> 0.9
+ * @param {number} value - Number to round
+ * @returns {number} - Value with at most 4 decimals
+ */
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Numeric peak values of a sample in the columns matching a header pattern
+ * Ratio columns are left out, e.g. "Height ratio" is not a peak height.
+ * @param {Object} sample - Parsed sample
+ * @param {Object} parsed - Parsed results with the column headers
+ * @param {RegExp} pattern - Header pattern of the peak column
+ * @returns {number[]} - Values from the calculation rows and the summary row
+ */
+const getPeakValues = (sample, parsed, pattern) => {
+  const pick = (row, headers) => headers
+    .filter(header => pattern.test(header) && !RATIO_HEADER_PATTERN.test(header))
+    .map(header => row[header])
+    .filter(value => typeof value === 'number' && Number.isFinite(value));
+  return [
+    ...sample.calculation.flatMap(row => pick(row, parsed.calculationColumns)),
+    ...(sample.summary ? pick(sample.summary, parsed.summaryColumns) : [])
+  ];
+};
+
+/**
+ * Check the lowest peak value of a sample against the rule threshold
+ * @param {Object} rule - minPeakHeight or minPeakArea rule
+ * @param {Object} sample - Parsed sample
+ * @param {Object} parsed - Parsed results
+ * @param {RegExp} pattern - Header pattern of the peak column
+ * @param {string} code - Message key of the issue
+ * @returns {Object|null} - { code, params } of the issue, or null when the sample passes
+ */
+const checkMinPeak = (rule, sample, parsed, pattern, code) => {
+  const values = getPeakValues(sample, parsed, pattern);
+  if (values.length === 0) {
+    return null;
+  }
+  const lowest = Math.min(...values);
+  return lowest < rule.threshold ? { code, params: { value: round(lowest), threshold: rule.threshold } } : null;
+};
+
+// Per-sample check of every rule type
+const SAMPLE_CHECKS = {
+  minPeakHeight: (rule, sample, parsed) => checkMinPeak(rule, sample, parsed, HEIGHT_HEADER_PATTERN, 'qc.lowHeight'),
+  minPeakArea: (rule, sample, parsed) => checkMinPeak(rule, sample, parsed, AREA_HEADER_PATTERN, 'qc.lowArea'),
+  stdRatio: (rule, sample) => {
+    if (!sample.isStandard) {
+      return null;
+    }
+    if (sample.ratio === null) {
+      return { code: 'qc.stdNoRatio', params: {} };
+    }
+    // The small margin keeps a ratio of exactly 1 ± tolerance inside
+    return Math.abs(sample.ratio - 1) > rule.threshold + 1e-9
+      ? { code: 'qc.stdRatio', params: { ratio: sample.ratio, min: round(1 - rule.threshold), max: round(1 + rule.threshold) } }
+      : null;
+  },
+  duplicateName: (rule, sample) => (sample.summaryRows > 1
+    ? { code: 'qc.duplicateName', params: { count: sample.summaryRows } }
+    : null)
+};
+
+/**
+ * Evaluate QC rules on the parsed results of a run
+ * @param {Object} parsed - Parsed results from parseResultFiles
+ * @param {Object[]} rules - QC rules as { type, threshold, severity, enabled }
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the issue messages, English by default
+ * @returns {Object} - { status, samples, issues, rules } where every sample is
+ *   { name, isStandard, status, issues }, issues not tied to a sample are listed
+ *   in issues, and every issue is { rule, severity, code, params, message }
+ */
+const evaluateQc = (parsed, rules, { t = createTranslator() } = {}) => {
+  const activeRules = rules.filter(rule => rule.enabled && Object.prototype.hasOwnProperty.call(SAMPLE_CHECKS, rule.type));
+  const toIssue = (rule, { code, params }) => ({ rule: rule.type, severity: rule.severity, code, params, message: t(code, params) });
+
+  const samples = parsed.samples.map(sample => {
+    const issues = activeRules
+      .map(rule => {
+        const found = SAMPLE_CHECKS[rule.type](rule, sample, parsed);
+        return found ? toIssue(rule, found) : null;
+      })
+      .filter(Boolean);
+    return {
+      name: sample.name,
+      isStandard: sample.isStandard,
+      status: issues.reduce((status, issue) => worseStatus(status, issue.severity), 'pass'),
+      issues
+    };
+  });
+
+  // The standard sample rule cannot pass when the standard is missing altogether
+  const issues = activeRules
+    .filter(rule => rule.type === 'stdRatio' && !parsed.standardSample)
+    .map(rule => toIssue(rule, { code: 'qc.stdMissing', params: {} }));
+
+  return {
+    status: [...samples.map(sample => sample.status), ...issues.map(issue => issue.severity)].reduce(worseStatus, 'pass'),
+    samples,
+    issues,
+    rules: structuredClone(activeRules)
+  };
+};
+
+/**
+ * Count the samples of a QC result per status
+ * @param {Object} qc - Result of evaluateQc
+ * @returns {{pass: number, warn: number, fail: number}} - Sample counts
+ */
+const countQcStatuses = (qc) => {
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  qc.samples.forEach(sample => {
+    counts[sample.status]++;
+  });
+  return counts;
+};
+
+module.exports = {
+  QC_RULE_TYPES,
+  QC_SEVERITIES,
+  QC_STATUSES,
+  MAX_QC_RULES,
+  DEFAULT_QC_RULES,
+  evaluateQc,
+  countQcStatuses
+};
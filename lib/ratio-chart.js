@@ -0,0 +1,58 @@
+/**
+ * Ratio Chart
+ *
+ * Prepares the data of the ratio chart in the result viewer: one point per
+ * sample with its copy-number ratio from the -cal.tsv file (falling back to the
+ * summary when the calculation has no ratio), and the carrier, normal and
+ * abnormal bands from the result parser's thresholds. The renderer draws it as
+ * SVG, so nothing is loaded from outside the app.
+ */
+const { NORMAL_RATIO_RANGE, RATIO_HEADER_PATTERN } = require('./result-parser');
+
+/**
+ * Average of the numeric values in a list
+ * @param {Array<*>} values - Cell values
+ * @returns {number|null} - Mean, or null when no value is a number
+ */
+const mean = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+};
+
+/**
+ * Build the chart data of parsed results
+ * @param {Object} parsed - Parsed results from parseResultFiles
+ * @returns {Object} - { points, bands, maxRatio } where each point is
+ *   { name, ratio, source, call, isStandard } and source is 'calculation' or 'summary'
+ */
+const buildChartData = (parsed) => {
+  const ratioColumn = parsed.calculationColumns.find(header => RATIO_HEADER_PATTERN.test(header)) || null;
+
+  const points = parsed.samples
+    .map(sample => {
+      // A sample may have several calculation rows (one per marker), their ratios are averaged
+      const calculationRatio = ratioColumn ? mean(sample.calculation.map(row => row[ratioColumn])) : null;
+      const ratio = calculationRatio !== null ? calculationRatio : sample.ratio;
+      return {
+        name: sample.name,
+        ratio: ratio === null ? null : Number(ratio.toFixed(4)),
+        source: calculationRatio !== null ? 'calculation' : 'summary',
+        call: sample.call,
+        isStandard: sample.isStandard
+      };
+    })
+    .filter(point => point.ratio !== null);
+
+  const maxRatio = Math.max(2, ...points.map(point => point.ratio));
+  return {
+    points,
+    bands: [
+      { call: 'carrier', min: 0, max: NORMAL_RATIO_RANGE.min },
+      { call: 'normal', min: NORMAL_RATIO_RANGE.min, max: NORMAL_RATIO_RANGE.max },
+      { call: 'abnormal', min: NORMAL_RATIO_RANGE.max, max: maxRatio }
+    ],
+    maxRatio
+  };
+};
+
+module.exports = { buildChartData };
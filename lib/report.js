@@ -0,0 +1,312 @@
+/**
+ * Report Builder
+ *
+ * Builds the sign-off report of a run from its history record, parsed
+ * results, QC result and sample sheet metadata: an HTML document that the main
+ * process prints to PDF, and the worksheets of the equivalent XLSX workbook.
+ * Both use the same report data, in the language of the translator passed in.
+ */
+const path = require('node:path');
+const { createTranslator } = require('./i18n');
+const { countQcStatuses } = require('./qc-rules');
+
+// Carrier calls and QC statuses with a report label, report.call.<call> and report.qc.<status>
+const CALLS = ['carrier', 'abnormal', 'normal', 'unknown'];
+const QC_STATUSES = ['pass', 'warn', 'fail'];
+
+/**
+ * Label of a carrier call
+ * @param {string} call - Call from result-parser
+ * @param {Function} t - Translator
+ * @returns {string} - E.g. "Carrier", calls without a label are shown as they are
+ */
+const callLabel = (call, t) => (CALLS.includes(call) ? t(`report.call.${call}`) : call);
+
+/**
+ * Label of a QC status
+ * @param {string} status - 'pass', 'warn' or 'fail'
+ * @param {Function} t - Translator
+ * @returns {string} - E.g. "Warn"
+ */
+const qcLabel = (status, t) => (QC_STATUSES.includes(status) ? t(`report.qc.${status}`) : status);
+
+/**
+ * Describe processing options for the report
+ * @param {Object} options - Processing options
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator, English by default
+ * @returns {string} - E.g. "Peak area (-Area), GBK encoding (-GBK), standard sample NC01"
+ */
+const describeOptions = (options = {}, { t = createTranslator() } = {}) => [
+  t(options.useArea ? 'report.options.area' : 'report.options.height'),
+  t(options.useGBK ? 'report.options.gbk' : 'report.options.utf8'),
+  t('report.options.std', { name: options.stdName || 'STD' }),
+  options.devMode ? t('report.options.dev') : null,
+  options.outputDir ? t(options.moveOutputs ? 'report.options.movedTo' : 'report.options.copiedTo', { path: options.outputDir }) : null
+].filter(Boolean).join(', ');
+
+/**
+ * Describe a family member for the report
+ * @param {Object|null} member - { name, patientId, call } of a family summary
+ * @param {Function} t - Translator
+ * @returns {string|null} - E.g. "S01 (P001): Carrier"
+ */
+const describeMember = (member, t) => (member
+  ? `${member.name}${member.patientId ? ` (${member.patientId})` : ''}: ${callLabel(member.call, t)}`
+  : null);
+
+/**
+ * Collect everything the report shows
+ * @param {Object} record - History record of the run
+ * @param {Object} parsed - Parsed results from result-parser
+ * @param {Object|null} [qc] - QC result from qc-rules
+ * @param {Object|null} [sampleSheet] - Sample sheet joined to the run by sample-sheet
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the labels and QC findings, English by default
+ * @returns {Object} - Report data shared by the PDF and XLSX exports
+ */
+const buildReportData = (record, parsed, qc = null, sampleSheet = null, { t = createTranslator() } = {}) => {
+  const samples = parsed.samples;
+  const qcByName = new Map(qc ? qc.samples.map(sample => [sample.name, sample]) : []);
+  const sampleQc = (sample) => (qcByName.has(sample.name) ? qcLabel(qcByName.get(sample.name).status, t) : null);
+  const metadataByName = new Map(sampleSheet ? sampleSheet.samples.map(sample => [sample.name, sample]) : []);
+  const metadata = (sample) => {
+    const found = metadataByName.get(sample.name);
+    return found ? [found.patientId, found.familyId, found.relationship, found.sampleType] : [null, null, null, null];
+  };
+
+  // Extra summary columns after the fixed Sample / Ratio / Call columns
+  const extraColumns = parsed.summaryColumns.filter(header => !/sample|样本|ratio|比值/i.test(header));
+  const sampleTable = {
+    headers: [
+      t('report.column.sample'), t('report.column.ratio'), t('report.column.call'),
+      ...(qc ? [t('report.column.qc')] : []),
+      ...(sampleSheet
+        ? [t('report.column.patientId'), t('report.column.family'), t('report.column.relationship'), t('report.column.sampleType')]
+        : []),
+      ...extraColumns
+    ],
+    rows: samples.map(sample => [
+      sample.isStandard ? t('report.standardSample', { name: sample.name }) : sample.name,
+      sample.ratio,
+      callLabel(sample.call, t),
+      ...(qc ? [sampleQc(sample)] : []),
+      ...(sampleSheet ? metadata(sample) : []),
+      ...extraColumns.map(header => (sample.summary ? sample.summary[header] : null))
+    ])
+  };
+
+  const calculationTable = {
+    headers: parsed.calculationColumns,
+    rows: samples.flatMap(sample => sample.calculation.map(row => parsed.calculationColumns.map(header => row[header])))
+  };
+
+  // One row per QC issue, the issues of the whole run first
+  const qcTable = {
+    headers: [t('report.column.sample'), t('report.column.qc'), t('report.column.finding')],
+    rows: qc
+      ? [
+        ...qc.issues.map(issue => [null, issue]),
+        ...qc.samples.flatMap(sample => sample.issues.map(issue => [sample.name, issue]))
+      ].map(([name, issue]) => [name, qcLabel(issue.severity, t), t(issue.code, issue.params)])
+      : []
+  };
+
+  // One row per couple or trio with both partners in the run
+  const familyTable = {
+    headers: [
+      t('report.column.family'), t('report.column.father'), t('report.column.mother'), t('report.column.proband'), t('report.column.risk')
+    ],
+    rows: sampleSheet
+      ? sampleSheet.families.map(family => [
+        family.familyId,
+        describeMember(family.father, t),
+        describeMember(family.mother, t),
+        describeMember(family.proband, t),
+        t(`sampleSheet.risk.${family.risk}`)
+      ])
+      : []
+  };
+
+  const tested = samples.filter(sample => !sample.isStandard);
+  return {
+    inputFile: record.inputFile,
+    inputFileName: path.basename(record.inputFile),
+    inputHash: record.inputHash,
+    runAt: record.startedAt,
+    operator: record.operator,
+    appVersion: record.appVersion,
+    engineVersion: record.exe ? record.exe.version || null : null,
+    exeSha256: record.exe ? record.exe.sha256 : null,
+    options: record.options,
+    optionsText: describeOptions(record.options, { t }),
+    counts: {
+      samples: tested.length,
+      carriers: tested.filter(sample => sample.call === 'carrier').length,
+      abnormal: tested.filter(sample => sample.call === 'abnormal').length
+    },
+    qc: qc ? { status: qc.status, label: qcLabel(qc.status, t), counts: countQcStatuses(qc) } : null,
+    sampleSheet: sampleSheet
+      ? {
+        fileName: path.basename(sampleSheet.sheetFile),
+        matched: sampleSheet.samples.length,
+        unmatchedSamples: sampleSheet.unmatchedSamples
+      }
+      : null,
+    sampleTable,
+    calculationTable,
+    qcTable,
+    familyTable,
+    calls: samples.map(sample => sample.call)
+  };
+};
+
+/**
+ * Describe the QC result of the report
+ * @param {Object} qc - QC summary of buildReportData
+ * @param {Function} t - Translator
+ * @returns {string} - E.g. "Warn (22 pass, 2 warn, 0 fail)"
+ */
+const describeQc = (qc, t) => t('report.qcSummary', { status: qc.label, ...qc.counts });
+
+/**
+ * Describe the sample sheet of the report
+ * @param {Object} sheet - Sample sheet summary of buildReportData
+ * @param {Function} t - Translator
+ * @returns {string} - E.g. "samples.xlsx (22 matched, 1 not on the sheet: S07)"
+ */
+const describeSampleSheet = (sheet, t) => (sheet.unmatchedSamples.length === 0
+  ? t('report.sampleSheetAll', { file: sheet.fileName, matched: sheet.matched })
+  : t('report.sampleSheetUnmatched', {
+    file: sheet.fileName,
+    matched: sheet.matched,
+    count: sheet.unmatchedSamples.length,
+    samples: sheet.unmatchedSamples.join(', ')
+  }));
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Any value
+ * @returns {string} - HTML-safe text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render a table as HTML
+ * @param {Object} table - { headers, rows }
+ * @param {string[]} [rowClasses] - CSS class per row
+ * @returns {string} - HTML table
+ */
+const renderTable = (table, rowClasses = []) => {
+  const head = table.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = table.rows.map((row, index) => {
+    const cells = row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('');
+    return `<tr class="${escapeHtml(rowClasses[index] || '')}">${cells}</tr>`;
+  }).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+/**
+ * Build the printable HTML report
+ * @param {Object} data - Result of buildReportData
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the labels, English by default
+ * @returns {string} - Complete HTML document
+ */
+const buildReportHtml = (data, { t = createTranslator() } = {}) => {
+  const unknown = t('report.unknown');
+  const details = [
+    [t('report.field.inputFile'), data.inputFile],
+    [t('report.field.inputHash'), data.inputHash || unknown],
+    [t('report.field.runAt'), new Date(data.runAt).toLocaleString()],
+    [t('report.field.operator'), data.operator],
+    [t('report.field.options'), data.optionsText],
+    [t('report.field.versions'), t('report.versions', {
+      app: data.appVersion || unknown,
+      engine: data.engineVersion || unknown,
+      sha256: data.exeSha256 || unknown
+    })],
+    [t('report.field.results'), t('report.resultCounts', data.counts)],
+    ...(data.qc ? [[t('report.field.qc'), describeQc(data.qc, t)]] : []),
+    ...(data.sampleSheet ? [[t('report.field.sampleSheet'), describeSampleSheet(data.sampleSheet, t)]] : [])
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t('report.title'))} - ${escapeHtml(data.inputFileName)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 11px; color: #000; margin: 0; }
+  h1 { font-size: 18px; margin: 0 0 10px; }
+  h2 { font-size: 14px; margin: 20px 0 6px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+  th, td { border: 1px solid #999; padding: 3px 5px; text-align: left; }
+  th { background: #eee; }
+  .details th { width: 25%; }
+  tr.carrier td { background: #ffe0b2; }
+  tr.abnormal td { background: #ffcdd2; }
+  .signature { margin-top: 40px; display: flex; gap: 60px; }
+  .signature div { flex: 1; border-top: 1px solid #000; padding-top: 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('report.title'))}</h1>
+<table class="details"><tbody>
+${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</tbody></table>
+<h2>${escapeHtml(t('report.section.samples'))}</h2>
+${renderTable(data.sampleTable, data.calls)}
+${data.qcTable.rows.length > 0 ? `<h2>${escapeHtml(t('report.section.qc'))}</h2>\n${renderTable(data.qcTable)}` : ''}
+${data.familyTable.rows.length > 0 ? `<h2>${escapeHtml(t('report.section.families'))}</h2>\n${renderTable(data.familyTable)}` : ''}
+${data.calculationTable.rows.length > 0 ? `<h2>${escapeHtml(t('report.section.calculation'))}</h2>\n${renderTable(data.calculationTable)}` : ''}
+<div class="signature">${['performedBy', 'reviewedBy', 'date'].map(key => `<div>${escapeHtml(t(`report.signature.${key}`))}</div>`).join('')}</div>
+</body>
+</html>`;
+};
+
+/**
+ * Build the worksheets of the XLSX report
+ * @param {Object} data - Result of buildReportData
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the sheet names and labels, English by default
+ * @returns {Array<{name: string, rows: Array<Array<*>>}>} - Worksheets for xlsx-writer
+ */
+const buildReportSheets = (data, { t = createTranslator() } = {}) => [
+  {
+    name: t('report.sheet.report'),
+    rows: [
+      [t('report.field.name'), t('report.field.value')],
+      [t('report.field.inputFile'), data.inputFile],
+      [t('report.field.inputHash'), data.inputHash || ''],
+      [t('report.field.runAt'), data.runAt],
+      [t('report.field.operator'), data.operator],
+      [t('report.field.options'), data.optionsText],
+      [t('report.field.appVersion'), data.appVersion || ''],
+      [t('report.field.engineVersion'), data.engineVersion || ''],
+      [t('report.field.exeSha256'), data.exeSha256 || ''],
+      [t('report.field.samples'), data.counts.samples],
+      [t('report.field.carriers'), data.counts.carriers],
+      [t('report.field.abnormal'), data.counts.abnormal],
+      ...(data.qc ? [[t('report.field.qc'), describeQc(data.qc, t)]] : []),
+      ...(data.sampleSheet ? [[t('report.field.sampleSheet'), describeSampleSheet(data.sampleSheet, t)]] : [])
+    ]
+  },
+  { name: t('report.sheet.samples'), rows: [data.sampleTable.headers, ...data.sampleTable.rows] },
+  ...(data.qc ? [{ name: t('report.sheet.qc'), rows: [data.qcTable.headers, ...data.qcTable.rows] }] : []),
+  ...(data.sampleSheet ? [{ name: t('report.sheet.families'), rows: [data.familyTable.headers, ...data.familyTable.rows] }] : []),
+  { name: t('report.sheet.calculation'), rows: [data.calculationTable.headers, ...data.calculationTable.rows] }
+];
+
+module.exports = {
+  describeOptions,
+  buildReportData,
+  escapeHtml,
+  buildReportHtml,
+  buildReportSheets
+};
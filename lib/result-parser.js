@@ -0,0 +1,183 @@
+/**
+ * Result Parser
+ *
+ * Turns the <base>-summary.tsv and <base>-cal.tsv files written by SHCarrier.exe
+ * into structured per-sample records with numeric fields and carrier calls.
+ * This is the single source of truth for interpreting results: the viewer,
+ * the IPC result object and any exports all use these records.
+ */
+const { readResultTable, findColumn } = require('./result-table');
+
+// Ratios between these bounds are considered normal (two copies relative to the standard sample)
+const NORMAL_RATIO_RANGE = { min: 0.75, max: 1.25 };
+
+// Column header patterns used to locate the relevant columns
+const RATIO_HEADER_PATTERN = /ratio|比值/i;
+const CALL_HEADER_PATTERN = /result|call|conclusion|status|结果|结论/i;
+
+// Reported call values, checked in this order ("abnormal" contains "normal")
+const CALL_VALUE_PATTERNS = [
+  { call: 'carrier', pattern: /carrier|携带/i },
+  { call: 'abnormal', pattern: /abnormal|异常/i },
+  { call: 'normal', pattern: /normal|正常/i }
+];
+
+/**
+ * Convert a cell to a number when it holds one
+ * @param {string} value - Cell text
+ * @returns {number|string|null} - Number, the original text, or null for empty cells
+ */
+const toTypedValue = (value) => {
+  if (value === undefined || value === null || value.trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Turn a table row into a record keyed by header
+ * @param {string[]} headers - Header row
+ * @param {string[]} row - Data row
+ * @returns {Object} - Record with typed values
+ */
+const toRecord = (headers, row) => {
+  const record = {};
+  headers.forEach((header, index) => {
+    record[header] = toTypedValue(row[index]);
+  });
+  return record;
+};
+
+/**
+ * Derive the carrier call of a row from its reported call or its ratio
+ * @param {string[]} headers - Header row
+ * @param {string[]} row - Data row
+ * @returns {{call: string, callSource: string|null, ratio: number|null}} - Call is
+ *   'carrier', 'abnormal', 'normal' or 'unknown'; callSource is 'reported', 'ratio' or null
+ */
+const classifyRow = (headers, row) => {
+  const ratioColumn = findColumn(headers, RATIO_HEADER_PATTERN);
+  const ratioValue = ratioColumn === -1 ? NaN : Number.parseFloat(row[ratioColumn]);
+  const ratio = Number.isFinite(ratioValue) ? ratioValue : null;
+
+  const callColumn = findColumn(headers, CALL_HEADER_PATTERN);
+  const reported = callColumn === -1 ? '' : String(row[callColumn] || '');
+  const match = CALL_VALUE_PATTERNS.find(({ pattern }) => pattern.test(reported));
+  if (match) {
+    return { call: match.call, callSource: 'reported', ratio };
+  }
+
+  if (ratio === null) {
+    return { call: 'unknown', callSource: null, ratio };
+  }
+  if (ratio < NORMAL_RATIO_RANGE.min) {
+    return { call: 'carrier', callSource: 'ratio', ratio };
+  }
+  if (ratio > NORMAL_RATIO_RANGE.max) {
+    return { call: 'abnormal', callSource: 'ratio', ratio };
+  }
+  return { call: 'normal', callSource: 'ratio', ratio };
+};
+
+/**
+ * Viewer highlight flags of a row
+ * @param {string[]} headers - Header row
+ * @param {string[]} row - Data row
+ * @returns {{carrier: boolean, abnormalRatio: boolean}} - Row flags
+ */
+const flagRow = (headers, row) => {
+  const { call, ratio } = classifyRow(headers, row);
+  return {
+    carrier: call === 'carrier',
+    abnormalRatio: call === 'abnormal'
+      || (ratio !== null && (ratio < NORMAL_RATIO_RANGE.min || ratio > NORMAL_RATIO_RANGE.max))
+  };
+};
+
+/**
+ * Read a result file when it exists
+ * @param {string|null} filePath - Path to the result file
+ * @param {boolean} useGBK - Whether the file is GBK encoded
+ * @returns {Object|null} - Parsed table, or null when there is no file
+ */
+const readOptionalTable = (filePath, useGBK) => (filePath ? readResultTable(filePath, { useGBK }) : null);
+
+/**
+ * Parse the result files of a run into per-sample records
+ * @param {Object} outputFiles - { summary, calculation } file paths, either may be null
+ * @param {Object} [options]
+ * @param {boolean} [options.useGBK=false] - Whether the files are GBK encoded
+ * @param {string} [options.stdName='STD'] - Name of the standard sample
+ * @returns {Object} - { samples, summaryColumns, calculationColumns, standardSample }
+ */
+const parseResultFiles = (outputFiles, { useGBK = false, stdName = 'STD' } = {}) => {
+  const summaryTable = readOptionalTable(outputFiles.summary, useGBK);
+  const calculationTable = readOptionalTable(outputFiles.calculation, useGBK);
+  const samples = new Map();
+  const standardName = (stdName || 'STD').trim();
+
+  // Create the record of a sample the first time it is seen, in file order
+  const getSample = (name) => {
+    if (!samples.has(name)) {
+      samples.set(name, {
+        name,
+        isStandard: name === standardName,
+        ratio: null,
+        call: 'unknown',
+        callSource: null,
+        summary: null,
+        summaryRows: 0,
+        calculation: []
+      });
+    }
+    return samples.get(name);
+  };
+
+  // A reported call or ratio is only used when no earlier source provided one
+  const applyClassification = (sample, classification) => {
+    if (sample.ratio === null) {
+      sample.ratio = classification.ratio;
+    }
+    if (sample.callSource !== 'reported' && classification.call !== 'unknown'
+      && (classification.callSource === 'reported' || sample.callSource === null)) {
+      sample.call = classification.call;
+      sample.callSource = classification.callSource;
+    }
+  };
+
+  if (summaryTable && summaryTable.sampleColumn !== -1) {
+    summaryTable.rows.forEach(row => {
+      const sample = getSample(row[summaryTable.sampleColumn]);
+      // A name on several summary rows keeps the last one, the count reveals the duplicates
+      sample.summary = toRecord(summaryTable.headers, row);
+      sample.summaryRows++;
+      applyClassification(sample, classifyRow(summaryTable.headers, row));
+    });
+  }
+
+  if (calculationTable && calculationTable.sampleColumn !== -1) {
+    calculationTable.rows.forEach(row => {
+      const sample = getSample(row[calculationTable.sampleColumn]);
+      sample.calculation.push(toRecord(calculationTable.headers, row));
+      applyClassification(sample, classifyRow(calculationTable.headers, row));
+    });
+  }
+
+  const sampleList = Array.from(samples.values());
+  return {
+    samples: sampleList,
+    summaryColumns: summaryTable ? summaryTable.headers : [],
+    calculationColumns: calculationTable ? calculationTable.headers : [],
+    standardSample: sampleList.some(sample => sample.isStandard) ? standardName : null
+  };
+};
+
+module.exports = {
+  NORMAL_RATIO_RANGE,
+  RATIO_HEADER_PATTERN,
+  toTypedValue,
+  classifyRow,
+  flagRow,
+  parseResultFiles
+};
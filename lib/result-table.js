@@ -0,0 +1,78 @@
+/**
+ * Result Table Reader
+ *
+ * Reads the <base>-summary.tsv and <base>-cal.tsv files written by SHCarrier.exe
+ * into plain header/row arrays. Interpretation of the rows (ratios, carrier calls)
+ * lives in result-parser.js.
+ */
+const fs = require('node:fs');
+const { decodeBuffer } = require('./input-encoding');
+
+// Column header pattern of the sample name column
+const SAMPLE_HEADER_PATTERN = /sample|样本/i;
+
+/**
+ * Decode a result file buffer
+ * The encoding is detected from the content, so results of runs started with the
+ * wrong -GBK choice are still shown correctly.
+ * @param {Buffer} buffer - Raw file content
+ * @param {boolean} useGBK - Decode as GBK when the encoding cannot be detected
+ * @returns {string} - Decoded text without a byte order mark
+ */
+const decodeText = (buffer, useGBK) => decodeBuffer(buffer, { useGBK }).text;
+
+/**
+ * Split tab-separated text into a header row and data rows
+ * @param {string} text - TSV content
+ * @returns {{headers: string[], rows: string[][]}} - Parsed table
+ */
+const parseTsv = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = lines[0].split('\t').map(cell => cell.trim());
+  const rows = lines.slice(1).map(line => {
+    const cells = line.split('\t').map(cell => cell.trim());
+    // Pad short rows so every row has one cell per header
+    while (cells.length < headers.length) {
+      cells.push('');
+    }
+    return cells;
+  });
+  return { headers, rows };
+};
+
+/**
+ * Find the index of the first header matching a pattern
+ * @param {string[]} headers - Header row
+ * @param {RegExp} pattern - Header pattern
+ * @returns {number} - Column index, or -1 when not found
+ */
+const findColumn = (headers, pattern) => headers.findIndex(header => pattern.test(header));
+
+/**
+ * Read and parse a result TSV file
+ * @param {string} filePath - Path to the -summary.tsv or -cal.tsv file
+ * @param {Object} [options]
+ * @param {boolean} [options.useGBK=false] - Whether the file is GBK encoded, used when detection fails
+ * @returns {Object} - Table with headers, rows and the sample column index
+ */
+const readResultTable = (filePath, { useGBK = false } = {}) => {
+  const { headers, rows } = parseTsv(decodeText(fs.readFileSync(filePath), useGBK));
+  return {
+    filePath,
+    headers,
+    rows,
+    sampleColumn: findColumn(headers, SAMPLE_HEADER_PATTERN)
+  };
+};
+
+module.exports = {
+  SAMPLE_HEADER_PATTERN,
+  decodeText,
+  parseTsv,
+  findColumn,
+  readResultTable
+};
@@ -0,0 +1,194 @@
+/**
+ * Run Comparison
+ *
+ * Compares the parsed results of two runs of the same plate, e.g. peak height
+ * against -Area, or two standard sample names. Samples are aligned by name and
+ * every row records whether the ratio or the carrier call changed. The diff
+ * table is shared by the in-app view and the XLSX / TSV exports.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseResultFiles } = require('./result-parser');
+const { describeOptions } = require('./report');
+const { createTranslator } = require('./i18n');
+
+// Ratios further apart than this are highlighted as changed
+const DEFAULT_RATIO_TOLERANCE = 0.05;
+
+/**
+ * Load one side of a comparison
+ * @param {Object} source - { historyId } for a recorded run, or { summaryPath, options } for picked files
+ * @param {Object} params
+ * @param {Object} params.history - History store used to look up recorded runs
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Object} - { label, detail, options, outputFiles, parsed }
+ * @throws {Error} - When the run or the result files cannot be found
+ */
+const loadCompareSource = (source, { history, t = createTranslator() }) => {
+  if (source && source.historyId) {
+    const record = history.get(source.historyId);
+    if (!record || !record.outputFiles || !record.outputFiles.summary) {
+      throw new Error(t('compare.error.runNotFound'));
+    }
+    return {
+      label: `${path.basename(record.inputFile)} (${new Date(record.startedAt).toLocaleString()})`,
+      detail: describeOptions(record.options, { t }),
+      options: record.options,
+      outputFiles: record.outputFiles,
+      parsed: parseResultFiles(record.outputFiles, record.options)
+    };
+  }
+
+  if (source && source.summaryPath) {
+    if (!fs.existsSync(source.summaryPath)) {
+      throw new Error(t('compare.error.fileNotFound', { path: source.summaryPath }));
+    }
+    // The calculation file is written next to the summary with the same base name
+    const calculationPath = source.summaryPath.replace(/-summary\.tsv$/i, '-cal.tsv');
+    const outputFiles = {
+      summary: source.summaryPath,
+      calculation: calculationPath !== source.summaryPath && fs.existsSync(calculationPath) ? calculationPath : null
+    };
+    const options = source.options || {};
+    return {
+      label: path.basename(source.summaryPath),
+      detail: describeOptions(options, { t }),
+      options,
+      outputFiles,
+      parsed: parseResultFiles(outputFiles, options)
+    };
+  }
+
+  throw new Error(t('compare.error.noSource'));
+};
+
+/**
+ * Normalize a sample name for alignment
+ * @param {string} name - Sample name
+ * @returns {string} - Trimmed, lower-case name
+ */
+const sampleKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Align the samples of two runs and find the differences
+ * @param {Object} left - Parsed results of run A (from parseResultFiles)
+ * @param {Object} right - Parsed results of run B
+ * @param {Object} [params]
+ * @param {number} [params.ratioTolerance=DEFAULT_RATIO_TOLERANCE] - Largest ratio difference considered equal
+ * @returns {Object} - { rows, counts } where each row is
+ *   { name, presence, left, right, ratioDelta, ratioChanged, callChanged, changed }
+ */
+const compareRuns = (left, right, { ratioTolerance = DEFAULT_RATIO_TOLERANCE } = {}) => {
+  const rightByKey = new Map(right.samples.map(sample => [sampleKey(sample.name), sample]));
+  const matched = new Set();
+
+  // Samples in run order of A, followed by those that only appear in B
+  const pairs = left.samples.map(sample => {
+    const key = sampleKey(sample.name);
+    const other = rightByKey.get(key) || null;
+    if (other) {
+      matched.add(key);
+    }
+    return [sample, other];
+  });
+  right.samples
+    .filter(sample => !matched.has(sampleKey(sample.name)))
+    .forEach(sample => pairs.push([null, sample]));
+
+  const rows = pairs.map(([a, b]) => {
+    const presence = a && b ? 'both' : a ? 'left' : 'right';
+    const ratioDelta = a && b && typeof a.ratio === 'number' && typeof b.ratio === 'number'
+      ? Number((b.ratio - a.ratio).toFixed(4))
+      : null;
+    const ratioChanged = presence === 'both' && (ratioDelta === null
+      ? (a.ratio === null) !== (b.ratio === null)
+      : Math.abs(ratioDelta) > ratioTolerance);
+    const callChanged = presence === 'both' && a.call !== b.call;
+    return {
+      name: (a || b).name,
+      presence,
+      left: a ? { ratio: a.ratio, call: a.call, isStandard: a.isStandard } : null,
+      right: b ? { ratio: b.ratio, call: b.call, isStandard: b.isStandard } : null,
+      ratioDelta,
+      ratioChanged,
+      callChanged,
+      changed: presence !== 'both' || ratioChanged || callChanged
+    };
+  });
+
+  return {
+    rows,
+    counts: {
+      samples: rows.length,
+      ratioChanged: rows.filter(row => row.ratioChanged).length,
+      callChanged: rows.filter(row => row.callChanged).length,
+      onlyLeft: rows.filter(row => row.presence === 'left').length,
+      onlyRight: rows.filter(row => row.presence === 'right').length
+    }
+  };
+};
+
+/**
+ * Build the diff table of a comparison
+ * @param {Object} comparison - Result of compareRuns
+ * @returns {{headers: string[], rows: Array<Array<*>>}} - Table with one row per sample
+ */
+const buildCompareTable = (comparison) => ({
+  headers: ['Sample', 'Ratio A', 'Ratio B', 'Ratio difference', 'Call A', 'Call B', 'Difference'],
+  rows: comparison.rows.map(row => [
+    row.name,
+    row.left ? row.left.ratio : null,
+    row.right ? row.right.ratio : null,
+    row.ratioDelta,
+    row.left ? row.left.call : null,
+    row.right ? row.right.call : null,
+    [
+      row.presence === 'left' ? 'Only in A' : null,
+      row.presence === 'right' ? 'Only in B' : null,
+      row.callChanged ? 'Call changed' : null,
+      row.ratioChanged ? 'Ratio changed' : null
+    ].filter(Boolean).join(', ')
+  ])
+});
+
+/**
+ * Build the worksheets of the XLSX comparison export
+ * @param {Object} comparison - Result of compareRuns
+ * @param {Object} left - Loaded source of run A
+ * @param {Object} right - Loaded source of run B
+ * @returns {Array<{name: string, rows: Array<Array<*>>}>} - Worksheets for xlsx-writer
+ */
+const buildCompareSheets = (comparison, left, right) => {
+  const table = buildCompareTable(comparison);
+  return [
+    { name: 'Comparison', rows: [table.headers, ...table.rows] },
+    {
+      name: 'Runs',
+      rows: [
+        ['Run', 'Source', 'Options', 'Summary file'],
+        ['A', left.label, left.detail, left.outputFiles.summary],
+        ['B', right.label, right.detail, right.outputFiles.summary]
+      ]
+    }
+  ];
+};
+
+/**
+ * Format the diff table as tab-separated text
+ * @param {Object} comparison - Result of compareRuns
+ * @returns {string} - TSV text with a header row
+ */
+const buildCompareTsv = (comparison) => {
+  const table = buildCompareTable(comparison);
+  const formatCell = (cell) => String(cell === null || cell === undefined ? '' : cell).replace(/[\t\r\n]+/g, ' ');
+  return [table.headers, ...table.rows].map(row => row.map(formatCell).join('\t')).join('\n') + '\n';
+};
+
+module.exports = {
+  DEFAULT_RATIO_TOLERANCE,
+  loadCompareSource,
+  compareRuns,
+  buildCompareTable,
+  buildCompareSheets,
+  buildCompareTsv
+};
@@ -0,0 +1,376 @@
+/**
+ * Sample Sheet
+ *
+ * Reads a CSV, TSV or XLSX sample sheet with the patient metadata of every
+ * sample (patient ID, family, relationship, sample type) and joins it to the
+ * samples of a run by name. Samples of the run without a row in the sheet and
+ * rows of the sheet without a sample in the run are flagged. Couples, with or
+ * without their child, get a carrier-risk summary when both partners were
+ * tested in the same run.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const yauzl = require('yauzl');
+const { decodeBuffer } = require('./input-encoding');
+const { createTranslator } = require('./i18n');
+
+// Metadata fields with the header pattern of their column, checked in this order
+// so "Sample type" is not taken for the sample name column
+const SHEET_COLUMNS = [
+  { field: 'sampleType', pattern: /type|specimen|类型/i },
+  { field: 'sampleName', pattern: /sample|well|样本|孔/i },
+  { field: 'patientId', pattern: /patient|受检者|患者|病人/i },
+  { field: 'familyId', pattern: /family|couple|pedigree|家系|家庭|夫妻/i },
+  { field: 'relationship', pattern: /relation|role|member|关系|身份|成员/i }
+];
+
+// Roles of a family member with the relationship values naming them. The whole
+// value must match, so e.g. "grandmother", "stepfather" or "祖母" get no role.
+const RELATIONSHIP_ROLES = [
+  { role: 'proband', pattern: /^(?:proband|child|fetus|foetus|son|daughter|先证者|胎儿|患儿|子女|儿子|女儿|孩子)$/i },
+  { role: 'mother', pattern: /^(?:mother|wife|female(?: partner)?|mom|mum|母亲?|妻子?|女方)$/i },
+  { role: 'father', pattern: /^(?:father|husband|male(?: partner)?|dad|父亲?|丈夫|男方)$/i }
+];
+
+// Carrier risk of a couple from the calls of both partners
+const RISK_LEVELS = ['high', 'oneCarrier', 'low', 'undetermined'];
+
+// File extensions read as spreadsheets, everything else is read as delimited text
+const XLSX_EXTENSIONS = ['.xlsx', '.xlsm'];
+
+/**
+ * Split delimited text into rows, with quoted cells as written by Excel
+ * The delimiter is a tab or semicolon when the first line holds more of them than commas.
+ * @param {string} text - CSV or TSV content
+ * @returns {string[][]} - Rows of trimmed cells, blank lines left out
+ */
+const parseDelimited = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (character) => firstLine.split(character).length - 1;
+  const delimiter = [',', ';', '\t'].reduce((best, character) => (count(character) > count(best) ? character : best));
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (character === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Read the files of a ZIP archive
+ * @param {string} filePath - Path to the archive
+ * @param {Function} wanted - (entryName) => whether to read the entry
+ * @returns {Promise<Map<string, Buffer>>} - Content of the wanted entries by name
+ */
+const readZipEntries = (filePath, wanted) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true }, (openError, zipFile) => {
+    if (openError) {
+      reject(openError);
+      return;
+    }
+    const entries = new Map();
+    zipFile.on('error', reject);
+    zipFile.on('end', () => resolve(entries));
+    zipFile.on('entry', (entry) => {
+      if (!wanted(entry.fileName)) {
+        zipFile.readEntry();
+        return;
+      }
+      zipFile.openReadStream(entry, (streamError, stream) => {
+        if (streamError) {
+          reject(streamError);
+          return;
+        }
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => {
+          entries.set(entry.fileName, Buffer.concat(chunks));
+          zipFile.readEntry();
+        });
+      });
+    });
+    zipFile.readEntry();
+  });
+});
+
+/**
+ * Undo the XML escaping of text
+ * @param {string} text - Escaped XML text
+ * @returns {string} - Plain text
+ */
+const unescapeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|quot|apos|amp);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? Number.parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+  }
+  return { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[entity.toLowerCase()];
+});
+
+/**
+ * Join the text runs of a shared string or an inline string
+ * @param {string} xml - Content of an <si> or <is> element
+ * @returns {string} - Text of the string
+ */
+const readXmlText = (xml) => Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), match => unescapeXml(match[1])).join('');
+
+/**
+ * Convert column letters into a zero-based column index (A -> 0, AA -> 26)
+ * @param {string} letters - Column letters of a cell reference
+ * @returns {number} - Column index
+ */
+const columnIndex = (letters) => [...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Read the rows of the first worksheet of an XLSX workbook
+ * @param {string} filePath - Path to the workbook
+ * @returns {Promise<string[][]>} - Rows of trimmed cell texts, blank rows left out
+ */
+const readXlsxRows = async (filePath) => {
+  const entries = await readZipEntries(filePath, name => (name.startsWith('xl/') && name.endsWith('.xml')) || name.endsWith('.rels'));
+  const readEntry = (name) => (entries.has(name) ? entries.get(name).toString('utf8') : '');
+
+  // The first sheet of the workbook is found through its relationship ID
+  const firstSheet = /<sheet\s[^>]*r:id="([^"]+)"/.exec(readEntry('xl/workbook.xml'));
+  const relation = firstSheet && new RegExp(`<Relationship\\s[^>]*Id="${firstSheet[1]}"[^>]*>`).exec(readEntry('xl/_rels/workbook.xml.rels'));
+  const target = relation && /Target="([^"]+)"/.exec(relation[0])[1];
+  const sheetName = target ? path.posix.join('xl', target.replace(/^\/?xl\//, '')) : 'xl/worksheets/sheet1.xml';
+
+  const sharedStrings = Array.from(readEntry('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g), match => readXmlText(match[1]));
+  // Empty rows Excel keeps for their formatting are written as <row .../>
+  const rows = Array.from(readEntry(sheetName).matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g), rowMatch => {
+    const cells = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = /\br="([A-Z]+)\d+"/i.exec(attributes);
+      const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+      const value = (/<v>([\s\S]*?)<\/v>/.exec(content) || [])[1];
+      let text = '';
+      if (type === 's') {
+        text = sharedStrings[Number(value)] || '';
+      } else if (type === 'inlineStr') {
+        text = readXmlText(content);
+      } else if (value !== undefined) {
+        text = unescapeXml(value);
+      }
+      cells[reference ? columnIndex(reference[1]) : cells.length] = text.trim();
+    }
+    return Array.from(cells, cell => cell || '');
+  });
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Find the column of every metadata field
+ * @param {string[]} headers - Header row of the sheet
+ * @returns {Object} - Column index per field, -1 for fields without a column
+ */
+const mapColumns = (headers) => {
+  const columns = Object.fromEntries(SHEET_COLUMNS.map(({ field }) => [field, -1]));
+  headers.forEach((header, index) => {
+    const match = SHEET_COLUMNS.find(({ field, pattern }) => columns[field] === -1 && pattern.test(header));
+    if (match) {
+      columns[match.field] = index;
+    }
+  });
+  return columns;
+};
+
+/**
+ * Get the role of a family member from its relationship
+ * @param {string} relationship - Relationship as written in the sheet, e.g. "Husband" or "先证者"
+ * @returns {string|null} - 'proband', 'mother' or 'father', or null when not recognized
+ */
+const getRole = (relationship) => {
+  const value = (relationship || '').trim().replace(/\s+/g, ' ');
+  const match = RELATIONSHIP_ROLES.find(({ pattern }) => pattern.test(value));
+  return match ? match.role : null;
+};
+
+/**
+ * Read a sample sheet
+ * @param {string} filePath - Path to a .csv, .tsv, .txt or .xlsx file
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Promise<Object>} - { filePath, headers, columns, rows, duplicates } where every row is
+ *   { sampleName, patientId, familyId, relationship, role, sampleType } and duplicates lists the
+ *   sample names found on more than one row, of which only the first is used
+ * @throws {Error} - When the file cannot be read or has no sample name column
+ */
+const readSampleSheet = async (filePath, { t = createTranslator() } = {}) => {
+  let table;
+  try {
+    table = XLSX_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+      ? await readXlsxRows(filePath)
+      : parseDelimited(decodeBuffer(fs.readFileSync(filePath)).text);
+  } catch (error) {
+    throw new Error(t('sampleSheet.error.unreadable', { error: error.message }));
+  }
+  if (table.length < 2) {
+    throw new Error(t('sampleSheet.error.empty'));
+  }
+
+  const headers = table[0];
+  const columns = mapColumns(headers);
+  if (columns.sampleName === -1) {
+    throw new Error(t('sampleSheet.error.noSampleColumn'));
+  }
+
+  const cell = (cells, field) => (columns[field] === -1 ? '' : cells[columns[field]] || '');
+  const rows = [];
+  const duplicates = [];
+  const seen = new Set();
+  table.slice(1).forEach(cells => {
+    const sampleName = cell(cells, 'sampleName');
+    if (!sampleName) {
+      return;
+    }
+    if (seen.has(sampleName)) {
+      duplicates.push(sampleName);
+      return;
+    }
+    seen.add(sampleName);
+    const relationship = cell(cells, 'relationship');
+    rows.push({
+      sampleName,
+      patientId: cell(cells, 'patientId'),
+      familyId: cell(cells, 'familyId'),
+      relationship,
+      role: getRole(relationship),
+      sampleType: cell(cells, 'sampleType')
+    });
+  });
+
+  return { filePath, headers, columns, rows, duplicates };
+};
+
+/**
+ * Assess the carrier risk of a couple from the calls of both partners
+ * SMN1 carrier screening is for an autosomal recessive condition, so a child of
+ * two carriers is affected with a chance of one in four.
+ * @param {string} fatherCall - Carrier call of the father or male partner
+ * @param {string} motherCall - Carrier call of the mother or female partner
+ * @returns {string} - One of RISK_LEVELS
+ */
+const assessCoupleRisk = (fatherCall, motherCall) => {
+  const calls = [fatherCall, motherCall];
+  if (calls.some(call => call !== 'carrier' && call !== 'normal')) {
+    return 'undetermined';
+  }
+  const carriers = calls.filter(call => call === 'carrier').length;
+  return carriers === 2 ? 'high' : carriers === 1 ? 'oneCarrier' : 'low';
+};
+
+/**
+ * Join a sample sheet to the samples of a run
+ * @param {Object} parsed - Parsed results from parseResultFiles
+ * @param {Object} sheet - Result of readSampleSheet
+ * @returns {Object} - { sheetFile, samples, unmatchedSamples, unmatchedRows, families } where
+ *   samples holds the metadata of every matched sample in run order, unmatchedSamples the tested
+ *   samples without a row, unmatchedRows the rows without a sample, and families a couple or trio
+ *   summary for every family with both partners in the run
+ */
+const matchSampleSheet = (parsed, sheet) => {
+  const byName = new Map(sheet.rows.map(row => [row.sampleName, row]));
+  // Names differing only in case are matched when there is no exact match
+  const byLowerName = new Map();
+  sheet.rows.forEach(row => {
+    if (!byLowerName.has(row.sampleName.toLowerCase())) {
+      byLowerName.set(row.sampleName.toLowerCase(), row);
+    }
+  });
+
+  const matchedRows = new Set();
+  const samples = [];
+  const unmatchedSamples = [];
+  parsed.samples.forEach(sample => {
+    const row = byName.get(sample.name) || byLowerName.get(sample.name.toLowerCase());
+    if (!row) {
+      // The standard sample is a control, it is not expected on the sheet
+      if (!sample.isStandard) {
+        unmatchedSamples.push(sample.name);
+      }
+      return;
+    }
+    matchedRows.add(row);
+    samples.push({
+      name: sample.name,
+      call: sample.call,
+      patientId: row.patientId,
+      familyId: row.familyId,
+      relationship: row.relationship,
+      role: row.role,
+      sampleType: row.sampleType
+    });
+  });
+
+  const families = new Map();
+  samples.filter(sample => sample.familyId && sample.role).forEach(sample => {
+    if (!families.has(sample.familyId)) {
+      families.set(sample.familyId, {});
+    }
+    const family = families.get(sample.familyId);
+    // A second sample of the same role, e.g. a sibling, does not replace the first
+    family[sample.role] = family[sample.role] || sample;
+  });
+  const member = (sample) => (sample ? { name: sample.name, patientId: sample.patientId, call: sample.call } : null);
+
+  return {
+    sheetFile: sheet.filePath,
+    samples,
+    unmatchedSamples,
+    unmatchedRows: sheet.rows.filter(row => !matchedRows.has(row)).map(row => row.sampleName),
+    families: Array.from(families, ([familyId, family]) => ({ familyId, ...family }))
+      .filter(family => family.father && family.mother)
+      .map(family => ({
+        familyId: family.familyId,
+        kind: family.proband ? 'trio' : 'couple',
+        father: member(family.father),
+        mother: member(family.mother),
+        proband: member(family.proband),
+        risk: assessCoupleRisk(family.father.call, family.mother.call)
+      }))
+  };
+};
+
+module.exports = {
+  SHEET_COLUMNS,
+  RISK_LEVELS,
+  parseDelimited,
+  readXlsxRows,
+  getRole,
+  readSampleSheet,
+  assessCoupleRisk,
+  matchSampleSheet
+};
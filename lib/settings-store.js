@@ -0,0 +1,227 @@
+/**
+ * Settings Store
+ *
+ * Persists user settings as JSON under app.getPath('userData'): the last used
+ * processing options, the last used directory, named processing presets and
+ * the watched folder, the engine executable chosen by the user and the time
+ * limit of a run, the update feed and the active engine version, the UI
+ * language, the recently opened files, the local HTTP API (on/off, port and
+ * token), the post-run QC rules and the size and position of the main window.
+ * Writes go to a temporary file first so a crash never leaves a truncated file.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { DEFAULT_QC_RULES } = require('./qc-rules');
+
+// Processing options used when nothing has been remembered yet
+const DEFAULT_OPTIONS = {
+  useArea: false,
+  stdName: 'STD',
+  useGBK: false,
+  devMode: false,
+  outputDir: null,
+  moveOutputs: false
+};
+
+// Minutes a run may take before the engine is stopped, 0 for no limit
+const DEFAULT_ENGINE_TIMEOUT_MINUTES = 10;
+
+// Longest time limit that can be set, in minutes
+const MAX_ENGINE_TIMEOUT_MINUTES = 24 * 60;
+
+// Number of files kept in the Open Recent menu
+const MAX_RECENT_FILES = 10;
+
+// Complete settings shape with default values
+const DEFAULT_SETTINGS = {
+  lastDirectory: null,
+  lastOptions: DEFAULT_OPTIONS,
+  concurrency: 1,
+  presets: [],
+  activePreset: null,
+  watchFolder: null,
+  watchEnabled: false,
+  enginePath: null,
+  winePath: null,
+  engineTimeoutMinutes: DEFAULT_ENGINE_TIMEOUT_MINUTES,
+  updateFeed: null,
+  engineVersion: null,
+  locale: null,
+  recentFiles: [],
+  apiEnabled: false,
+  apiPort: null,
+  apiToken: null,
+  qcRules: DEFAULT_QC_RULES,
+  windowState: null
+};
+
+/**
+ * Keep only the known processing options, with the expected types
+ * @param {Object} options - Options received from the renderer
+ * @returns {Object} - Normalized processing options
+ */
+const normalizeOptions = (options = {}) => ({
+  useArea: Boolean(options.useArea),
+  stdName: typeof options.stdName === 'string' && options.stdName.trim() ? options.stdName.trim() : DEFAULT_OPTIONS.stdName,
+  useGBK: Boolean(options.useGBK),
+  devMode: Boolean(options.devMode),
+  outputDir: typeof options.outputDir === 'string' && options.outputDir.trim() ? options.outputDir.trim() : null,
+  moveOutputs: Boolean(options.moveOutputs)
+});
+
+class SettingsStore {
+  /**
+   * @param {string} filePath - Path to the settings JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = this.load();
+  }
+
+  /**
+   * Read the settings file, falling back to defaults when it is missing or corrupt
+   * @returns {Object} - Settings merged over the defaults
+   */
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return { ...structuredClone(DEFAULT_SETTINGS), ...stored };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Settings] Failed to read settings, using defaults:', error.message);
+      }
+      return structuredClone(DEFAULT_SETTINGS);
+    }
+  }
+
+  /**
+   * Write the settings to disk
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @param {string} key - Setting name
+   * @returns {*} - Copy of the setting value
+   */
+  get(key) {
+    return structuredClone(this.data[key]);
+  }
+
+  /**
+   * @returns {Object} - Copy of all settings
+   */
+  getAll() {
+    return structuredClone(this.data);
+  }
+
+  /**
+   * Change a setting and persist it
+   * @param {string} key - Setting name
+   * @param {*} value - New value
+   */
+  set(key, value) {
+    this.data[key] = structuredClone(value);
+    this.save();
+  }
+
+  /**
+   * Remember the options of the last run
+   * @param {Object} options - Processing options
+   * @returns {Object} - The normalized options that were stored
+   */
+  setLastOptions(options) {
+    const normalized = normalizeOptions(options);
+    this.set('lastOptions', normalized);
+    return normalized;
+  }
+
+  /**
+   * Put opened files at the top of the recent files list
+   * @param {string[]} filePaths - Opened files, the first one ends up on top
+   * @returns {string[]} - Recent files after the change, newest first
+   */
+  addRecentFiles(filePaths) {
+    const added = [...new Set(filePaths)];
+    const recentFiles = [...added, ...this.data.recentFiles.filter(filePath => !added.includes(filePath))];
+    this.set('recentFiles', recentFiles.slice(0, MAX_RECENT_FILES));
+    return this.get('recentFiles');
+  }
+
+  /**
+   * Remove files from the recent files list, or all of them without an argument
+   * @param {string[]} [filePaths] - Files to remove
+   * @returns {string[]} - Recent files after the change
+   */
+  removeRecentFiles(filePaths = this.data.recentFiles) {
+    this.set('recentFiles', this.data.recentFiles.filter(filePath => !filePaths.includes(filePath)));
+    return this.get('recentFiles');
+  }
+
+  /**
+   * @returns {Object[]} - All presets as { name, options }
+   */
+  listPresets() {
+    return this.get('presets');
+  }
+
+  /**
+   * Create or replace a named preset
+   * @param {string} name - Preset name, e.g. "Area + GBK, STD=NC01"
+   * @param {Object} options - Processing options of the preset
+   * @returns {Object[]} - All presets after the change
+   */
+  savePreset(name, options) {
+    const presetName = String(name || '').trim();
+    if (!presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    const presets = this.data.presets.filter(preset => preset.name !== presetName);
+    presets.push({ name: presetName, options: normalizeOptions(options) });
+    presets.sort((a, b) => a.name.localeCompare(b.name));
+    this.data.presets = presets;
+    this.data.activePreset = presetName;
+    this.save();
+    return this.listPresets();
+  }
+
+  /**
+   * Delete a named preset
+   * @param {string} name - Preset name
+   * @returns {Object[]} - All presets after the change
+   */
+  deletePreset(name) {
+    this.data.presets = this.data.presets.filter(preset => preset.name !== name);
+    if (this.data.activePreset === name) {
+      this.data.activePreset = null;
+    }
+    this.save();
+    return this.listPresets();
+  }
+
+  /**
+   * Mark a preset as the active one, or clear the selection with null
+   * @param {string|null} name - Preset name
+   * @returns {Object|null} - The selected preset
+   */
+  selectPreset(name) {
+    const preset = this.data.presets.find(item => item.name === name) || null;
+    this.set('activePreset', preset ? preset.name : null);
+    return preset ? structuredClone(preset) : null;
+  }
+}
+
+module.exports = {
+  SettingsStore,
+  DEFAULT_OPTIONS,
+  DEFAULT_SETTINGS,
+  DEFAULT_ENGINE_TIMEOUT_MINUTES,
+  MAX_ENGINE_TIMEOUT_MINUTES,
+  MAX_RECENT_FILES,
+  normalizeOptions
+};
@@ -0,0 +1,472 @@
+/**
+ * Updater
+ *
+ * Checks an update feed for new app releases and SHCarrier engine builds. The
+ * feed is a feed.json manifest in a local folder, on a file share or on a web
+ * server, so updates can be tested and distributed without internet access:
+ *
+ *   {
+ *     "app": { "version": "1.5.0", "notes": "...",
+ *              "files": { "win32": { "path": "SHCarrier-1.5.0 Setup.exe", "sha256": "..." } } },
+ *     "engines": [
+ *       { "version": "2.4.0", "notes": "...",
+ *         "files": [{ "name": "SHCarrier.exe", "path": "engines/2.4.0/SHCarrier.exe", "sha256": "..." }] }
+ *     ]
+ *   }
+ *
+ * File paths are relative to the feed. Every downloaded file is checked against
+ * its SHA-256 before it is used. Engine builds are installed into a folder per
+ * version with an engine.json manifest, so the bundled engine or any installed
+ * version can be made active, and an earlier one restored, at any time.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { Readable, Transform } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { PLATFORM_BINARIES, WINDOWS_BINARY } = require('./engine-resolver');
+const { hashFile } = require('./history-store');
+const { createTranslator } = require('./i18n');
+
+// Name of the manifest in a feed folder
+const FEED_FILE = 'feed.json';
+
+// Name of the manifest in the folder of an installed engine version
+const ENGINE_MANIFEST = 'engine.json';
+
+// Binaries an engine version may contain, named as the resolver looks them up
+const ENGINE_FILE_NAMES = Array.from(new Set([WINDOWS_BINARY, ...Object.values(PLATFORM_BINARIES).flat()]));
+
+// Semantic versions such as 2.4.0 or 2.4.0-beta.1, also used as folder names.
+// Captures the major, minor and patch numbers and the pre-release identifiers.
+const VERSION_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?$/;
+
+// Hex encoded SHA-256
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Split a version into its parts
+ * @param {string} version - Semantic version
+ * @returns {Object} - { numbers, preRelease } with the major, minor and patch numbers
+ *   and the pre-release identifiers, empty for a release
+ * @throws {Error} - When the version is not a semantic version
+ */
+const parseVersion = (version) => {
+  const match = VERSION_PATTERN.exec(String(version));
+  if (!match) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+  return { numbers: match.slice(1, 4).map(Number), preRelease: match[4] ? match[4].split('.') : [] };
+};
+
+/**
+ * Compare two pre-release identifiers: numbers by value and before names, names in ASCII order
+ * @param {string} a - First identifier
+ * @param {string} b - Second identifier
+ * @returns {number} - Negative when a comes first, positive when b comes first, 0 when equal
+ */
+const compareIdentifiers = (a, b) => {
+  const numericA = /^\d+$/.test(a);
+  const numericB = /^\d+$/.test(b);
+  if (numericA && numericB) {
+    return Number(a) - Number(b);
+  }
+  if (numericA !== numericB) {
+    return numericA ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Compare two semantic versions, e.g. 1.10.0 is newer than 1.9.2
+ * A pre-release such as 1.5.0-beta.1 is older than 1.5.0.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative when a is older, positive when a is newer, 0 when equal
+ * @throws {Error} - When either version is not a semantic version
+ */
+const compareVersions = (a, b) => {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+  for (let index = 0; index < 3; index++) {
+    const difference = versionA.numbers[index] - versionB.numbers[index];
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  const preA = versionA.preRelease;
+  const preB = versionB.preRelease;
+  if (preA.length === 0 || preB.length === 0) {
+    return preB.length - preA.length;
+  }
+  for (let index = 0; index < Math.min(preA.length, preB.length); index++) {
+    const difference = compareIdentifiers(preA[index], preB[index]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return preA.length - preB.length;
+};
+
+/**
+ * Find the manifest of a feed
+ * @param {string} feed - Feed folder, path to a feed.json file, or http(s) URL
+ * @returns {Object} - { feedUrl, baseUrl } for a server, { feedPath, baseDir } for a folder
+ */
+const resolveFeedLocation = (feed) => {
+  if (/^https?:\/\//i.test(feed)) {
+    const feedUrl = /\.json$/i.test(new URL(feed).pathname) ? feed : `${feed.replace(/\/?$/, '/')}${FEED_FILE}`;
+    return { feedUrl, baseUrl: new URL('.', feedUrl).href };
+  }
+  const feedPath = fs.existsSync(feed) && fs.statSync(feed).isDirectory() ? path.join(feed, FEED_FILE) : feed;
+  return { feedPath, baseDir: path.dirname(feedPath) };
+};
+
+/**
+ * Open a file of the feed for reading
+ * @param {Object} location - Result of resolveFeedLocation
+ * @param {string} filePath - Path of the file relative to the feed
+ * @returns {Promise<Readable>} - Content of the file
+ */
+const openFeedFile = async (location, filePath) => {
+  if (location.baseUrl) {
+    const response = await fetch(new URL(filePath, location.baseUrl));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${response.url}`);
+    }
+    return Readable.fromWeb(response.body);
+  }
+  return fs.createReadStream(path.resolve(location.baseDir, filePath));
+};
+
+/**
+ * Check a file entry of the feed
+ * @param {Object} file - { path, sha256 } and for engines the binary name
+ * @param {string} label - Where the entry is, for the error message
+ * @param {boolean} named - Whether the entry must name an engine binary
+ * @returns {Object} - The entry with a lower case checksum
+ * @throws {Error} - When the entry is incomplete
+ */
+const normalizeFile = (file, label, named) => {
+  if (!file || typeof file.path !== 'string' || !file.path.trim()) {
+    throw new Error(`${label} has no path`);
+  }
+  if (typeof file.sha256 !== 'string' || !SHA256_PATTERN.test(file.sha256)) {
+    throw new Error(`${label} has no valid SHA-256`);
+  }
+  if (named && !ENGINE_FILE_NAMES.includes(file.name)) {
+    throw new Error(`${label} must be named one of ${ENGINE_FILE_NAMES.join(', ')}`);
+  }
+  return { ...(named ? { name: file.name } : {}), path: file.path, sha256: file.sha256.toLowerCase() };
+};
+
+/**
+ * Check the manifest of a feed and keep the known fields
+ * @param {Object} manifest - Parsed feed.json
+ * @returns {Object} - { app, engines } where app is null when the feed has no app release
+ * @throws {Error} - When an entry is invalid
+ */
+const normalizeFeed = (manifest) => {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error('The feed is not a JSON object');
+  }
+  const checkVersion = (version, label) => {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      throw new Error(`${label} has no valid version`);
+    }
+    return version;
+  };
+  const notes = (entry) => (typeof entry.notes === 'string' ? entry.notes : '');
+
+  const app = manifest.app
+    ? {
+      version: checkVersion(manifest.app.version, 'app'),
+      notes: notes(manifest.app),
+      files: Object.fromEntries(Object.entries(manifest.app.files || {})
+        .map(([platform, file]) => [platform, normalizeFile(file, `app file for ${platform}`, false)]))
+    }
+    : null;
+
+  const engines = (Array.isArray(manifest.engines) ? manifest.engines : []).map((engine, index) => {
+    const version = checkVersion(engine && engine.version, `engines[${index}]`);
+    if (!Array.isArray(engine.files) || engine.files.length === 0) {
+      throw new Error(`engine ${version} has no files`);
+    }
+    return {
+      version,
+      notes: notes(engine),
+      files: engine.files.map((file, fileIndex) => normalizeFile(file, `engine ${version} file ${fileIndex + 1}`, true))
+    };
+  });
+  engines.sort((a, b) => compareVersions(b.version, a.version));
+
+  return { app, engines };
+};
+
+/**
+ * Read the manifest of a feed
+ * @param {string} feed - Feed folder, path to a feed.json file, or http(s) URL
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Promise<Object>} - { location, app, engines }
+ * @throws {Error} - When the feed cannot be read or is invalid
+ */
+const loadFeed = async (feed, { t = createTranslator() } = {}) => {
+  const location = resolveFeedLocation(feed);
+  let manifest;
+  try {
+    if (location.feedUrl) {
+      const response = await fetch(location.feedUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      manifest = await response.json();
+    } else {
+      manifest = JSON.parse(fs.readFileSync(location.feedPath, 'utf8'));
+    }
+  } catch (error) {
+    throw new Error(t('update.error.unreadable', { feed, error: error.message }));
+  }
+  try {
+    return { location, ...normalizeFeed(manifest) };
+  } catch (error) {
+    throw new Error(t('update.error.invalidFeed', { error: error.message }));
+  }
+};
+
+/**
+ * Copy a file of the feed and verify its checksum
+ * The file is written next to the destination first and only moved there when
+ * the checksum matches, so a failed download never replaces a good file.
+ * @param {Object} location - Result of resolveFeedLocation
+ * @param {Object} file - { path, sha256 } entry of the feed
+ * @param {string} destination - Where to store the file
+ * @param {Object} [params]
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Promise<string>} - The destination path
+ * @throws {Error} - When the file cannot be downloaded or its checksum differs
+ */
+const downloadVerified = async (location, file, destination, { t = createTranslator() } = {}) => {
+  const tempPath = `${destination}.download`;
+  const hash = crypto.createHash('sha256');
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  try {
+    await pipeline(
+      await openFeedFile(location, file.path),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      }),
+      fs.createWriteStream(tempPath)
+    );
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw new Error(t('update.error.download', { file: file.path, error: error.message }));
+  }
+
+  const actual = hash.digest('hex');
+  if (actual !== file.sha256) {
+    fs.rmSync(tempPath, { force: true });
+    throw new Error(t('update.error.checksum', { file: file.path, expected: file.sha256, actual }));
+  }
+  fs.renameSync(tempPath, destination);
+  return destination;
+};
+
+/**
+ * Check a feed for a newer app release and for engine versions
+ * @param {Object} params
+ * @param {string} params.feed - Feed folder, path to a feed.json file, or http(s) URL
+ * @param {string} params.currentVersion - Version of the running app
+ * @param {string} [params.platform=process.platform] - Platform the app installer is for
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Promise<Object>} - { checkedAt, feed, app, engines } where app is
+ *   { currentVersion, latestVersion, notes, available } and engines lists the
+ *   engine versions of the feed, newest first
+ */
+const checkForUpdates = async ({ feed, currentVersion, platform = process.platform, t = createTranslator() }) => {
+  const loaded = await loadFeed(feed, { t });
+  const release = loaded.app && loaded.app.files[platform] ? loaded.app : null;
+  return {
+    checkedAt: new Date().toISOString(),
+    feed,
+    app: {
+      currentVersion,
+      latestVersion: release ? release.version : null,
+      notes: release ? release.notes : '',
+      available: Boolean(release) && compareVersions(release.version, currentVersion) > 0
+    },
+    engines: loaded.engines.map(engine => ({ version: engine.version, notes: engine.notes, files: engine.files.map(file => file.name) }))
+  };
+};
+
+/**
+ * Download the installer of the app release in the feed
+ * @param {Object} params
+ * @param {string} params.feed - Feed folder, path to a feed.json file, or http(s) URL
+ * @param {string} params.downloadDir - Folder the installer is stored in
+ * @param {string} [params.platform=process.platform] - Platform the installer is for
+ * @param {Function} [params.t] - Translator for the error messages, English by default
+ * @returns {Promise<Object>} - { version, filePath } of the verified installer
+ * @throws {Error} - When the feed has no installer for the platform or the download fails
+ */
+const downloadAppUpdate = async ({ feed, downloadDir, platform = process.platform, t = createTranslator() }) => {
+  const loaded = await loadFeed(feed, { t });
+  const file = loaded.app && loaded.app.files[platform];
+  if (!file) {
+    throw new Error(t('update.error.noInstaller', { platform }));
+  }
+  const filePath = path.join(downloadDir, path.basename(file.path));
+  await downloadVerified(loaded.location, file, filePath, { t });
+  return { version: loaded.app.version, filePath };
+};
+
+class EngineStore {
+  /**
+   * @param {string} dir - Folder holding one folder per installed engine version
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {string} version - Engine version
+   * @returns {string} - Folder of the version, used as the resource folder of the engine resolver
+   * @throws {Error} - When the version is not a valid version string
+   */
+  getFolder(version) {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      throw new Error(`Invalid engine version: ${version}`);
+    }
+    return path.join(this.dir, version);
+  }
+
+  /**
+   * @param {string} version - Engine version
+   * @returns {Object|null} - Manifest of the installed version, or null when it is not installed
+   */
+  get(version) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.getFolder(version), ENGINE_MANIFEST), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Object[]} - Manifests of the installed versions, newest first
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter(name => VERSION_PATTERN.test(name))
+      .map(name => this.get(name))
+      .filter(Boolean)
+      .sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Download an engine version from the feed and install it
+   * The files are verified in a staging folder that replaces the version folder
+   * only once every checksum matched.
+   * @param {string} feed - Feed folder, path to a feed.json file, or http(s) URL
+   * @param {string} version - Engine version listed in the feed
+   * @param {Object} [params]
+   * @param {Function} [params.t] - Translator for the error messages, English by default
+   * @returns {Promise<Object>} - Manifest of the installed version
+   * @throws {Error} - When the version is not in the feed or a file fails verification
+   */
+  async install(feed, version, { t = createTranslator() } = {}) {
+    const loaded = await loadFeed(feed, { t });
+    const engine = loaded.engines.find(entry => entry.version === version);
+    if (!engine) {
+      throw new Error(t('update.error.unknownEngine', { version }));
+    }
+
+    const folder = this.getFolder(version);
+    const stagingFolder = `${folder}.partial`;
+    fs.rmSync(stagingFolder, { recursive: true, force: true });
+    try {
+      for (const file of engine.files) {
+        const destination = await downloadVerified(loaded.location, file, path.join(stagingFolder, file.name), { t });
+        if (!/\.exe$/i.test(file.name)) {
+          fs.chmodSync(destination, 0o755);
+        }
+      }
+      const manifest = {
+        version,
+        notes: engine.notes,
+        installedAt: new Date().toISOString(),
+        source: loaded.location.feedUrl || loaded.location.feedPath,
+        files: engine.files.map(file => ({ name: file.name, sha256: file.sha256 }))
+      };
+      fs.writeFileSync(path.join(stagingFolder, ENGINE_MANIFEST), JSON.stringify(manifest, null, 2), 'utf8');
+      fs.rmSync(folder, { recursive: true, force: true });
+      fs.renameSync(stagingFolder, folder);
+      return manifest;
+    } catch (error) {
+      fs.rmSync(stagingFolder, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Check the files of an installed version against the checksums they were installed with
+   * @param {string} version - Engine version
+   * @returns {Promise<Object>} - { valid, mismatched } where mismatched lists the changed or missing files
+   */
+  async verify(version) {
+    const manifest = this.get(version);
+    if (!manifest) {
+      return { valid: false, mismatched: [] };
+    }
+    const mismatched = [];
+    for (const file of manifest.files) {
+      const actual = await hashFile(path.join(this.getFolder(version), file.name)).catch(() => null);
+      if (actual !== file.sha256) {
+        mismatched.push(file.name);
+      }
+    }
+    return { valid: mismatched.length === 0, mismatched };
+  }
+
+  /**
+   * Check one file of an installed version against the checksum it was installed with
+   * Cheaper than verify when the checksum of the file is already known, e.g. before each run.
+   * @param {string} version - Engine version
+   * @param {string} name - Binary name, e.g. SHCarrier.exe
+   * @param {string} sha256 - Current SHA-256 of the file
+   * @returns {boolean} - Whether the manifest lists the file with this checksum
+   */
+  matches(version, name, sha256) {
+    const manifest = this.get(version);
+    const file = manifest ? manifest.files.find(entry => entry.name === name) : null;
+    return Boolean(file) && typeof sha256 === 'string' && file.sha256 === sha256.toLowerCase();
+  }
+
+  /**
+   * Delete an installed version
+   * @param {string} version - Engine version
+   */
+  remove(version) {
+    fs.rmSync(this.getFolder(version), { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  FEED_FILE,
+  ENGINE_FILE_NAMES,
+  compareVersions,
+  resolveFeedLocation,
+  normalizeFeed,
+  loadFeed,
+  downloadVerified,
+  checkForUpdates,
+  downloadAppUpdate,
+  EngineStore
+};
@@ -0,0 +1,89 @@
+/**
+ * Window State
+ *
+ * Remembers the size, position and maximized state of the main window between
+ * starts. Saved bounds are only reused when they are still visible on one of
+ * the connected displays, so the window never opens off-screen after a monitor
+ * was unplugged.
+ */
+
+// Size of the main window on first start
+const DEFAULT_WINDOW_SIZE = { width: 1000, height: 850 };
+
+// Smallest size at which the layout remains usable
+const MIN_WINDOW_SIZE = { width: 640, height: 600 };
+
+// Part of the title bar that must be on a display for saved bounds to be reused
+const VISIBLE_MARGIN = 50;
+
+/**
+ * Check whether the top edge of a window lies on a display work area
+ * @param {Object} bounds - { x, y, width, height }
+ * @param {Object} area - Display work area { x, y, width, height }
+ * @returns {boolean} - True when enough of the title bar is inside the area
+ */
+const isTitleBarVisible = (bounds, area) => {
+  const visibleWidth = Math.min(bounds.x + bounds.width, area.x + area.width) - Math.max(bounds.x, area.x);
+  return visibleWidth >= VISIBLE_MARGIN && bounds.y >= area.y && bounds.y <= area.y + area.height - VISIBLE_MARGIN;
+};
+
+/**
+ * Work out the initial bounds of the main window
+ * @param {Object|null} saved - Stored window state { x, y, width, height, isMaximized }
+ * @param {Object[]} workAreas - Work areas of the connected displays
+ * @returns {Object} - { width, height, x?, y?, isMaximized }; x and y are left out to center the window
+ */
+const restoreWindowState = (saved, workAreas) => {
+  const largest = workAreas.reduce(
+    (max, area) => ({ width: Math.max(max.width, area.width), height: Math.max(max.height, area.height) }),
+    { width: 0, height: 0 }
+  );
+  const valid = saved && Number.isFinite(saved.width) && Number.isFinite(saved.height);
+  const size = valid ? saved : DEFAULT_WINDOW_SIZE;
+
+  const state = {
+    width: Math.max(MIN_WINDOW_SIZE.width, Math.min(size.width, largest.width || size.width)),
+    height: Math.max(MIN_WINDOW_SIZE.height, Math.min(size.height, largest.height || size.height)),
+    isMaximized: Boolean(valid && saved.isMaximized)
+  };
+
+  if (valid && Number.isFinite(saved.x) && Number.isFinite(saved.y)
+    && workAreas.some(area => isTitleBarVisible({ ...state, x: saved.x, y: saved.y }, area))) {
+    state.x = saved.x;
+    state.y = saved.y;
+  }
+  return state;
+};
+
+/**
+ * Report the state of a window whenever it is resized, moved, maximized or closed
+ * @param {BrowserWindow} win - Window to track
+ * @param {Function} onChange - Called with { x, y, width, height, isMaximized }
+ * @param {number} [delay=500] - Milliseconds to wait for resizing or moving to settle
+ */
+const trackWindowState = (win, onChange, delay = 500) => {
+  let timer = null;
+
+  // Normal bounds are kept while maximized, so restoring un-maximizes to the right size
+  const report = () => {
+    clearTimeout(timer);
+    if (win.isDestroyed() || win.isMinimized()) {
+      return;
+    }
+    onChange({ ...win.getNormalBounds(), isMaximized: win.isMaximized() });
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(report, delay);
+  };
+
+  ['resize', 'move', 'maximize', 'unmaximize'].forEach(eventName => win.on(eventName, schedule));
+  win.on('close', report);
+};
+
+module.exports = {
+  DEFAULT_WINDOW_SIZE,
+  MIN_WINDOW_SIZE,
+  restoreWindowState,
+  trackWindowState
+};
@@ -2,270 +2,1898 @@
  * Main process file for the Electron application.
  * This file handles the application lifecycle, window creation, and IPC communication.
  */
+// Import required Electron modules and Node.js path module
+const { app, BrowserWindow, ipcMain, Menu, nativeTheme, dialog, screen, shell } = require('electron')
+const path = require('node:path')
+const fs = require('fs')
+const os = require('node:os')
+const { JobQueue } = require('./lib/job-queue')
+const { readResultTable } = require('./lib/result-table')
+const { parseResultFiles, flagRow } = require('./lib/result-parser')
+const { DEFAULT_QC_RULES, evaluateQc } = require('./lib/qc-rules')
+const { readSampleSheet, matchSampleSheet } = require('./lib/sample-sheet')
+const { buildChartData } = require('./lib/ratio-chart')
+const { SettingsStore, MAX_ENGINE_TIMEOUT_MINUTES } = require('./lib/settings-store')
+const { validateInputFile } = require('./lib/input-validator')
+const { HistoryStore, hashFile } = require('./lib/history-store')
+const { collectInputFiles, resolveInputPaths, expandInputPatterns } = require('./lib/input-files')
+const { FolderWatcher } = require('./lib/folder-watcher')
+const { resolveEngine, describeResolution, checkEngine } = require('./lib/engine-resolver')
+const { EngineError, buildArgs, runEngine, killRunningProcesses } = require('./lib/engine')
+const { checkForUpdates, downloadAppUpdate, EngineStore } = require('./lib/updater')
+const { prepareInput } = require('./lib/input-encoding')
+const { MIN_WINDOW_SIZE, restoreWindowState, trackWindowState } = require('./lib/window-state')
+const { buildReportData, buildReportHtml, buildReportSheets } = require('./lib/report')
+const { writeXlsx } = require('./lib/xlsx-writer')
+const { loadCompareSource, compareRuns, buildCompareSheets, buildCompareTsv } = require('./lib/run-compare')
+const { EXIT_CODES, USAGE, CliError, isHeadless, parseCliArgs, copyOutputFiles, buildSummary } = require('./lib/cli')
+const {
+  IpcValidationError, isTrustedSender, createGuardedHandle, validateObject, validatePath, validatePathList,
+  validateOptions, validateQcRules, validateOutputFiles, validateId, validateText, validateChoice, validateFeedLocation,
+  FileAllowlist
+} = require('./lib/ipc-security')
+const { SUPPORTED_LOCALES, resolveLocale, getBundle, createTranslator } = require('./lib/i18n')
+const { buildMenuTemplate } = require('./lib/app-menu')
+const { ApiServer, DEFAULT_API_PORT } = require('./lib/http-api')
+
+// Command-line arguments after the executable (and after the app path when not packaged)
+const cliArgv = process.argv.slice(app.isPackaged ? 1 : 2)
+
+// Headless mode runs the given inputs without a window and prints a JSON summary
+const headless = isHeadless(cliArgv)
+if (headless) {
+  // Keep stdout free for the JSON summary, diagnostics go to stderr
+  console.log = console.error
+}
+
 console.log('Hello from Electron')
 
-// Import required Electron modules and Node.js path module
-const { app, BrowserWindow, ipcMain, Menu, nativeTheme, dialog } = require('electron')
-const path = require('node:path')
-const { spawn } = require('child_process')
-const fs = require('fs')
+/**
+ * Get the folder holding the bundled SHCarrier binaries
+ * In development mode (or when not explicitly in production), use __dirname
+ * In production build, use process.resourcesPath
+ * @returns {string} - Folder with SHCarrier.exe and the native builds
+ */
+const getResourceDir = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const isPackaged = app.isPackaged;
+  
+  // If either NODE_ENV is explicitly set to 'production' OR the app is packaged,
+  // consider it production mode
+  return (isProduction || isPackaged) ? process.resourcesPath : __dirname;
+}
+
+// Persistent user settings, created once the app is ready and userData is resolved
+let settings = null
+
+// Language of the UI and of the messages sent back to the renderer
+let locale = 'en'
+let t = createTranslator()
+
+/**
+ * Apply the language chosen in the settings, or the system language when none is chosen
+ */
+const applyLocale = () => {
+  locale = resolveLocale(settings.get('locale'), app.getLocale())
+  t = createTranslator(locale)
+  console.log('[I18n] Language:', locale)
+}
+
+/**
+ * Messages of the current language for the renderer
+ * @returns {Object} - { locale, messages, preference, supported } where preference is the setting (null follows the system)
+ */
+const getLocaleBundle = () => ({ ...getBundle(locale), preference: settings.get('locale'), supported: SUPPORTED_LOCALES })
+
+// Engine versions installed from the update feed, created once the app is ready and userData is resolved
+let engineStore = null
+
+/**
+ * Engine version chosen by an admin, when it is still installed
+ * @returns {string|null} - Installed engine version, or null for the bundled engine
+ */
+const getActiveEngineVersion = () => {
+  const version = settings && engineStore ? settings.get('engineVersion') : null
+  return version && engineStore.get(version) ? version : null
+}
+
+/**
+ * Parameters for the engine resolver: the binaries of the active engine version
+ * (the bundled ones by default) plus the user's configured paths
+ * @param {string|null} [engineVersion] - Installed engine version, the active one by default
+ * @returns {Object} - Parameters for resolveEngine and checkEngine
+ */
+const getEngineParams = (engineVersion = getActiveEngineVersion()) => ({
+  resourceDir: engineVersion ? engineStore.getFolder(engineVersion) : getResourceDir(),
+  configuredPath: settings ? settings.get('enginePath') : null,
+  winePath: settings ? settings.get('winePath') : null
+})
+
+// Pending or finished engine self-check, shown in the renderer
+let engineStatus = null
+
+/**
+ * Run the engine self-check and remember the result
+ * @returns {Promise<Object>} - { available, engine, checked, message }
+ */
+const refreshEngineStatus = () => {
+  engineStatus = checkEngine(getEngineParams()).then(status => {
+    console[status.available ? 'log' : 'error']('[Engine]', status.message);
+    return status;
+  });
+  return engineStatus;
+}
+
+/**
+ * Describe the engine self-check in the current language
+ * @param {Object} status - Result of checkEngine
+ * @returns {Object} - The status with a translated message, the configured Wine launcher
+ *   (null when it is looked up on the PATH) and whether this platform runs SHCarrier.exe through Wine
+ */
+const localizeEngineStatus = (status) => ({
+  ...status,
+  message: describeResolution(status, t),
+  winePath: settings.get('winePath'),
+  usesWine: process.platform !== 'win32'
+})
+
+// Kind of every open window ('main' or 'viewer'), keyed by webContents ID
+const windowKinds = new Map()
+
+// Run shown by each result viewer window, keyed by webContents ID
+const viewerPayloads = new Map()
+
+// Pages allowed to call the main process, loaded from the app folder
+const APP_PAGES = ['index.html', 'viewer.html']
+
+// Register an IPC handler that rejects calls from anything but the app's own pages
+const handle = createGuardedHandle(ipcMain, (event) => isTrustedSender(event.senderFrame, { appDir: __dirname, pages: APP_PAGES }))
+
+// Result files the app produced and files the user picked, the only files the renderer may open or read
+const allowedFiles = new FileAllowlist()
+
+/**
+ * Check one side of a comparison received from the renderer
+ * @param {*} source - { historyId }, { summaryPath, options } or null
+ * @returns {Object|null} - Validated source
+ */
+const validateCompareSource = (source) => {
+  if (source === null || source === undefined) {
+    return null;
+  }
+  validateObject(source, 'Compare source');
+  if (source.historyId !== undefined) {
+    return { historyId: validateId(source.historyId, 'History ID') };
+  }
+  const summaryPath = validatePath(source.summaryPath, 'Summary file');
+  allowedFiles.assertAllowed(summaryPath);
+  return { summaryPath, options: validateOptions(source.options || {}) };
+}
+
+/**
+ * Send a message to every main window
+ * Viewer windows only show finished results and never receive queue or progress messages
+ * @param {string} channel - IPC channel
+ * @param {*} payload - Message payload
+ */
+const sendToMainWindows = (channel, payload) => {
+  BrowserWindow.getAllWindows()
+    .filter(window => windowKinds.get(window.webContents.id) === 'main')
+    .forEach(window => window.webContents.send(channel, payload));
+}
+
+/**
+ * Send a message about a run to the window that started it
+ * Runs without an owner (watched folder) or whose window was closed go to every main window
+ * @param {number|null} ownerId - webContents ID of the window that started the run
+ * @param {string} channel - IPC channel
+ * @param {*} payload - Message payload
+ */
+const sendToOwner = (ownerId, channel, payload) => {
+  const owner = ownerId === null ? null : BrowserWindow.getAllWindows().find(window => window.webContents.id === ownerId);
+  if (owner) {
+    owner.webContents.send(channel, payload);
+  } else {
+    sendToMainWindows(channel, payload);
+  }
+}
+
+// Local HTTP API for lab systems, running while it is enabled in the Advanced options
+let apiServer = null
+
+// Why the HTTP API could not be started, shown next to the API options
+let apiError = null
+
+/**
+ * Send engine output of a run to the window that started it and to API clients following the job
+ * @param {number|null} ownerId - webContents ID of the window that started the run
+ * @param {Object} progress - { jobId, filePath, output }
+ */
+const sendProgress = (ownerId, progress) => {
+  sendToOwner(ownerId, 'process-file:progress', progress)
+  if (apiServer) {
+    apiServer.appendOutput(progress.jobId, progress.output)
+  }
+}
+
+/**
+ * Process a file using SHCarrier.exe
+ * Shared by the single-file 'process-file' handler and the batch job queue
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options
+ * @param {Object} [context]
+ * @param {Object} [context.job] - Queue job this run belongs to, if any
+ * @param {AbortSignal} [context.signal] - Aborting the signal kills the running process
+ * @param {number|null} [context.ownerId] - webContents ID of the window that started the run, defaults to the job's owner
+ * @returns {Promise<Object>} - Processing result, with the detected input encoding and the options and arguments actually used
+ */
+const runSHCarrier = async (filePath, options, { job = null, signal = null, ownerId = job ? job.ownerId : null } = {}) => {
+  const jobId = job ? job.id : null;
+
+  console.log('[SHCarrier] Processing file:', filePath);
+  console.log('[SHCarrier] Options:', options);
+  
+  // Validate file exists
+  if (!fs.existsSync(filePath)) {
+    return failedRun({ type: 'inputNotFound', params: { file: filePath } });
+  }
+  
+  const engineVersion = getActiveEngineVersion();
+  const resolution = resolveEngine(getEngineParams(engineVersion));
+  const { engine } = resolution;
+  
+  console.log('[SHCarrier] Is packaged:', app.isPackaged);
+  
+  // First verify an engine is available on this platform
+  if (!engine) {
+    console.error('[SHCarrier] No engine available:', describeResolution(resolution));
+    return { 
+      success: false, 
+      failure: { type: 'notFound', params: {} },
+      error: t('error.noEngine', { description: describeResolution(resolution, t) })
+    };
+  }
+  
+  // Identify the binary before it runs, so activating another engine version
+  // meanwhile does not change what is recorded for this run
+  const exe = await getEngineInfo(engine, engineVersion);
+  
+  // Never run an installed engine version whose binary changed since it was verified at install
+  if (exe && engineVersion && exe.version === engineVersion
+    && !engineStore.matches(engineVersion, path.basename(exe.path), exe.sha256)) {
+    console.error('[SHCarrier] Engine binary does not match its install checksum:', exe.path);
+    return { ...failedRun({ type: 'engineModified', params: { version: engineVersion, file: path.basename(exe.path) } }), exe };
+  }
+  
+  // Set -GBK from the detected encoding, or convert the input to UTF-8 when SHCarrier cannot read it
+  let input;
+  try {
+    input = prepareInput(filePath, options);
+  } catch (error) {
+    console.error('[SHCarrier] Failed to prepare the input encoding:', error);
+    return { ...failedRun({ type: 'encoding', params: { error: error.message } }), exe };
+  }
+  const encodingName = t(`encoding.${input.encoding}`);
+  console.log('[SHCarrier] Encoding:', input.encoding, input.transcoded ? `(transcoded to ${input.runFilePath})` : '');
+  sendProgress(ownerId, {
+    jobId,
+    filePath,
+    output: `${t(input.transcoded ? 'process.transcoded' : 'process.encoding', { encoding: encodingName })}\n`
+  });
+  
+  // Explain in the run output why -GBK differs from the option the user chose
+  if (input.gbkOverride) {
+    console.log('[SHCarrier] -GBK', input.gbkOverride, 'for encoding', input.encoding);
+    sendProgress(ownerId, {
+      jobId,
+      filePath,
+      output: `${t(`process.gbk.${input.gbkOverride}`, { encoding: encodingName })}\n`
+    });
+  }
+  
+  // The command line as it runs, with the transcoded copy and its output folder
+  const args = [...engine.prefixArgs, ...buildArgs(input.runFilePath, input.runOptions)];
+  console.log('[SHCarrier] Engine:', engine.kind, engine.exePath);
+  console.log('[SHCarrier] Command:', engine.command, args.join(' '));
+  
+  const timeoutMinutes = settings.get('engineTimeoutMinutes');
+  let result;
+  try {
+    result = await runEngine(engine, input.runFilePath, input.runOptions, {
+      signal,
+      timeoutMs: timeoutMinutes * 60 * 1000,
+      onStdout: (output) => {
+        console.log('[SHCarrier] Output:', output);
+        
+        // Send progress updates to the window that started the run
+        sendProgress(ownerId, { jobId, filePath, output });
+      },
+      onStderr: (error) => {
+        console.error('[SHCarrier] Error:', error);
+        
+        // Send error updates to the window that started the run
+        sendToOwner(ownerId, 'process-file:error', { jobId, filePath, error });
+      }
+    });
+  } catch (error) {
+    // The engine could not be started, e.g. the executable was removed
+    if (error instanceof EngineError) {
+      console.error('[SHCarrier] Failed to start the engine:', error.message);
+      return { ...failedRun(error.failure), exe, args };
+    }
+    throw error;
+  } finally {
+    input.cleanup();
+  }
+  
+  console.log('[SHCarrier] Process exited with code:', result.code);
+  result.outputFiles = input.keepOutputs(result.outputFiles);
+  if (result.failure) {
+    console.error('[SHCarrier] Run failed:', result.failure.type, result.error);
+    result.error = describeFailure(result.failure);
+  }
+  return { ...result, exe, args, encoding: input.encoding, gbkOverride: input.gbkOverride, effectiveOptions: input.options };
+};
+
+// Audit trail of all runs, created once the app is ready and userData is resolved
+let history = null
+
+// SHA-256 of the executable, cached until the file changes
+let exeInfoCache = null
+
+// Imported sample sheet joined to every run until it is cleared, null when none is imported
+let sampleSheet = null
+
+/**
+ * Describe the imported sample sheet for the renderer
+ * @returns {Object|null} - { filePath, rows, duplicates, columns } where columns lists the
+ *   metadata fields found in the sheet, or null when no sheet is imported
+ */
+const getSampleSheetStatus = () => (sampleSheet ? {
+  filePath: sampleSheet.filePath,
+  rows: sampleSheet.rows.length,
+  duplicates: sampleSheet.duplicates,
+  columns: Object.keys(sampleSheet.columns).filter(field => sampleSheet.columns[field] !== -1)
+} : null)
+
+/**
+ * Identify the SHCarrier.exe build used for a run
+ * @param {string} exePath - Path to the executable
+ * @returns {Promise<Object|null>} - Path, size, modification time and SHA-256, or null when missing
+ */
+const getExeInfo = async (exePath) => {
+  if (!fs.existsSync(exePath)) {
+    return null;
+  }
+
+  const stats = fs.statSync(exePath);
+  const modifiedAt = stats.mtime.toISOString();
+  if (!exeInfoCache || exeInfoCache.path !== exePath || exeInfoCache.size !== stats.size || exeInfoCache.modifiedAt !== modifiedAt) {
+    exeInfoCache = { path: exePath, size: stats.size, modifiedAt, sha256: await hashFile(exePath) };
+  }
+  return exeInfoCache;
+}
+
+/**
+ * Identify a resolved engine: the executable build, its version and how it is launched
+ * The version is the installed engine version, 'bundled' for the engine shipped with
+ * the app, or null for an executable chosen by the user.
+ * @param {Object|null} engine - Engine from resolveEngine
+ * @param {string|null} engineVersion - Installed engine version the engine was resolved with
+ * @returns {Promise<Object|null>} - Executable info plus version, kind and launcher, or null when no engine is available
+ */
+const getEngineInfo = async (engine, engineVersion) => {
+  const info = engine ? await getExeInfo(engine.exePath) : null;
+  if (!info) {
+    return null;
+  }
+  const version = engine.kind === 'configured' ? null : engineVersion || 'bundled';
+  return { ...info, version, kind: engine.kind, launcher: engine.launcher || null };
+}
+
+/**
+ * Identify the engine new runs use
+ * @returns {Promise<Object|null>} - See getEngineInfo
+ */
+const getActiveEngineInfo = () => {
+  const engineVersion = getActiveEngineVersion()
+  return getEngineInfo(resolveEngine(getEngineParams(engineVersion)).engine, engineVersion)
+}
+
+/**
+ * Describe a failed run in the current language
+ * List parameters, such as the missing result files, are joined with commas.
+ * @param {Object} failure - { type, params } with one of the engine FAILURE_TYPES
+ * @returns {string} - Message for the UI, the history and the HTTP API
+ */
+const describeFailure = (failure) => t(`failure.${failure.type}`, Object.fromEntries(
+  Object.entries(failure.params || {}).map(([name, value]) => [name, Array.isArray(value) ? value.join(', ') : value])
+))
+
+/**
+ * Result of a run that failed before the engine produced any output
+ * @param {Object} failure - { type, params } with one of the engine FAILURE_TYPES
+ * @returns {Object} - Failed processing result
+ */
+const failedRun = (failure) => ({ success: false, failure, error: describeFailure(failure) })
+
+/**
+ * Run SHCarrier.exe and append the run to the history store
+ * @param {string} filePath - Path to the input file
+ * @param {Object} options - Processing options
+ * @param {Object} [context] - Passed on to runSHCarrier
+ * @returns {Promise<Object>} - Processing result, with the history record ID
+ */
+const runAndRecord = async (filePath, options, context = {}) => {
+  const startedAt = new Date();
+  const inputHash = fs.existsSync(filePath) ? await hashFile(filePath).catch(() => null) : null;
+
+  let result;
+  let thrown = null;
+  try {
+    result = await runSHCarrier(filePath, options, context);
+  } catch (error) {
+    // runEngine rejects when the process cannot be started
+    thrown = error;
+    result = failedRun({ type: 'launch', params: { error: (error && error.message) || t('error.unknown') } });
+  }
+
+  const finishedAt = new Date();
+  // Only complete results are offered to the renderer, a failed run may have left partial files
+  if (result.success) {
+    allowedFiles.allow(result.outputFiles);
+  }
+
+  // Options the run actually used, with -GBK set from the detected encoding
+  const runOptions = result.effectiveOptions || options;
+
+  // Attach the structured per-sample records so the renderer never re-parses the TSVs
+  if (result.success && result.outputFiles) {
+    try {
+      result.parsed = parseResultFiles(result.outputFiles, runOptions);
+    } catch (error) {
+      console.error('[SHCarrier] Failed to parse result files:', error);
+      result.parsed = null;
+      result.parseError = error.message;
+    }
+  }
+
+  // Check the parsed results against the QC rules of the settings
+  if (result.parsed) {
+    result.qc = evaluateQc(result.parsed, settings.get('qcRules'), { t });
+  }
+
+  // Join the patient metadata of the imported sample sheet to the samples
+  if (result.parsed && sampleSheet) {
+    result.sampleSheet = matchSampleSheet(result.parsed, sampleSheet);
+  }
+
+  // The engine identified by runSHCarrier before it started, null when none was available
+  const exe = result.exe || null;
+  result.engineVersion = exe ? exe.version : null;
+
+  try {
+    const record = history.append({
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      operator: os.userInfo().username,
+      host: os.hostname(),
+      appVersion: app.getVersion(),
+      exe,
+      inputFile: filePath,
+      inputHash,
+      inputEncoding: result.encoding || null,
+      gbkOverride: result.gbkOverride || null,
+      options: runOptions,
+      args: result.args || null,
+      status: result.cancelled ? 'cancelled' : result.success ? 'done' : 'failed',
+      exitCode: result.code === undefined ? null : result.code,
+      error: result.error || null,
+      failure: result.failure ? result.failure.type : null,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      outputFiles: (result.success && result.outputFiles) || null,
+      qc: result.qc || null,
+      sampleSheet: result.sampleSheet || null
+    });
+    result.historyId = record.id;
+  } catch (error) {
+    console.error('[History] Failed to record run:', error);
+  }
+
+  if (thrown) {
+    throw thrown;
+  }
+  return result;
+}
+
+// Batch job queue, every job runs through the same runAndRecord path as 'process-file'
+// The translator is looked up on every call so the queue follows language changes
+const jobQueue = new JobQueue({
+  runner: (job, signal) => runAndRecord(job.filePath, job.options, { job, signal }),
+  concurrency: 1,
+  t: (key, params) => t(key, params)
+})
+
+// Watched folder whose new exports are processed automatically
+const folderWatcher = new FolderWatcher()
+
+/**
+ * Options of the active preset, or the last used options when no preset is selected
+ * @returns {Object} - Processing options
+ */
+const getCurrentOptions = () => {
+  const preset = settings.listPresets().find(item => item.name === settings.get('activePreset'))
+  return preset ? preset.options : settings.get('lastOptions')
+}
+
+/**
+ * Current state of the watched folder for the renderer
+ * @returns {Object} - { enabled, folderPath }
+ */
+const getWatchStatus = () => ({
+  enabled: folderWatcher.isWatching(),
+  folderPath: settings.get('watchFolder')
+})
+
+/**
+ * State of the HTTP API for the Advanced options
+ * @returns {Object} - { enabled, running, port, token, url, error }
+ */
+const getApiStatus = () => {
+  const port = settings.get('apiPort') || DEFAULT_API_PORT
+  return {
+    enabled: settings.get('apiEnabled'),
+    running: Boolean(apiServer),
+    port,
+    token: settings.get('apiToken'),
+    url: apiServer ? `http://127.0.0.1:${port}` : null,
+    error: apiError
+  }
+}
+
+// Result of the last check of the update feed, null until the feed is checked
+let lastUpdateCheck = null
+
+// App installer downloaded and verified from the update feed, null until one is downloaded
+let downloadedAppUpdate = null
+
+/**
+ * State of the update feed and the engine versions for the Advanced options
+ * @returns {Object} - { feed, appVersion, engineVersion, installed, check, appDownload } where
+ *   engineVersion is null while the bundled engine is active
+ */
+const getUpdateStatus = () => ({
+  feed: settings.get('updateFeed'),
+  appVersion: app.getVersion(),
+  engineVersion: getActiveEngineVersion(),
+  installed: engineStore.list().map(({ version, notes, installedAt }) => ({ version, notes, installedAt })),
+  check: lastUpdateCheck,
+  appDownload: downloadedAppUpdate
+})
+
+/**
+ * Run an update action and report its outcome with the update state
+ * @param {string} action - Name of the action for the log
+ * @param {Function} callback - Action to run
+ * @returns {Promise<Object>} - { success, error } merged with the update state
+ */
+const runUpdateAction = async (action, callback) => {
+  try {
+    await callback()
+    return { success: true, ...getUpdateStatus() }
+  } catch (error) {
+    console.error(`[Update] Failed to ${action}:`, error)
+    return { success: false, error: error.message, ...getUpdateStatus() }
+  }
+}
+
+/**
+ * The configured update feed
+ * @returns {string} - Feed folder, feed.json path or URL
+ * @throws {Error} - When no feed is configured
+ */
+const getUpdateFeed = () => {
+  const feed = settings.get('updateFeed')
+  if (!feed) {
+    throw new Error(t('update.error.noFeed'))
+  }
+  return feed
+}
+
+/**
+ * Start or stop the HTTP API to match the settings, creating the token on first use
+ * @returns {Promise<Object>} - State of the HTTP API
+ */
+const applyApiSettings = async () => {
+  if (apiServer) {
+    await apiServer.stop()
+    apiServer = null
+  }
+  apiError = null
+  if (!settings.get('apiEnabled')) {
+    return getApiStatus()
+  }
+
+  if (!settings.get('apiToken')) {
+    settings.set('apiToken', ApiServer.generateToken())
+  }
+  const server = new ApiServer({ jobQueue, token: settings.get('apiToken'), port: settings.get('apiPort') || DEFAULT_API_PORT })
+  try {
+    await server.start()
+    apiServer = server
+    console.log('[API] Listening on port', server.port)
+  } catch (error) {
+    console.error('[API] Failed to start:', error)
+    apiError = error.code === 'EADDRINUSE' ? t('api.portInUse', { port: server.port }) : error.message
+  }
+  return getApiStatus()
+}
+
+/**
+ * Notify all main windows that the watched folder changed
+ */
+const broadcastWatchStatus = () => {
+  sendToMainWindows('watch:updated', getWatchStatus());
+}
+
+/**
+ * Start watching a folder and remember it for the next start of the app
+ * @param {string} folderPath - Folder to watch
+ */
+const startWatching = (folderPath) => {
+  folderWatcher.start(folderPath);
+  settings.set('watchFolder', folderPath);
+  settings.set('watchEnabled', true);
+  console.log('[Watch] Watching folder:', folderPath);
+  broadcastWatchStatus();
+}
+
+// Process new instrument exports with the current preset
+folderWatcher.on('file', (filePath) => {
+  console.log('[Watch] New input file:', filePath);
+  jobQueue.add(filePath, getCurrentOptions());
+})
+
+folderWatcher.on('error', (error) => {
+  console.error('[Watch] Watching stopped:', error);
+  broadcastWatchStatus();
+})
+
+// Forward job state changes to all main windows, the queue is shared between them
+jobQueue.on('update', (job) => {
+  sendToMainWindows('queue:updated', job);
+})
+
+/**
+ * Render report HTML in a hidden window and save it as a PDF
+ * @param {string} html - Complete HTML document
+ * @param {string} filePath - Destination .pdf path
+ */
+const printReportToPdf = async (html, filePath) => {
+  const win = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+  try {
+    await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    const pdf = await win.webContents.printToPDF({ pageSize: 'A4', printBackground: true });
+    fs.writeFileSync(filePath, pdf);
+  } finally {
+    win.destroy();
+  }
+}
+
+/**
+ * Run the command-line inputs through the job queue without a window
+ * @returns {Promise<number>} - Process exit code
+ */
+const runHeadless = async () => {
+  let cli;
+  try {
+    cli = parseCliArgs(cliArgv);
+  } catch (error) {
+    if (error instanceof CliError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return error.exitCode;
+    }
+    throw error;
+  }
+
+  if (cli.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const { files, unmatched } = expandInputPatterns(cli.inputs);
+  unmatched.forEach(pattern => console.error('[CLI] No input files match:', pattern));
+
+  jobQueue.setConcurrency(cli.concurrency);
+  const queued = files.map(filePath => jobQueue.add(filePath, cli.options));
+  const finished = await Promise.all(queued.map(job => jobQueue.waitFor(job.id)));
+
+  // Copy the results of successful runs into the requested output folder
+  const jobs = finished.map(job => {
+    if (!cli.outDir || job.status !== 'done' || !job.result.outputFiles) {
+      return job;
+    }
+    try {
+      return { ...job, result: { ...job.result, outputFiles: copyOutputFiles(job.result.outputFiles, cli.outDir) } };
+    } catch (error) {
+      console.error('[CLI] Failed to copy result files:', error);
+      return { ...job, status: 'failed', error: `Failed to copy result files: ${error.message}` };
+    }
+  });
+
+  const summary = buildSummary(jobs, { options: cli.options, unmatched });
+  process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+  return summary.exitCode;
+}
+
+/**
+ * Creates the main application window with appropriate settings
+ * Sets up the preload script and loads the main HTML file
+ * The window is resizable and reopens with its last size, position and maximized state
+ */
+const createWindow = () => {
+  const state = restoreWindowState(settings.get('windowState'), screen.getAllDisplays().map(display => display.workArea))
+
+  // Create a new browser window at the remembered bounds
+  const win = new BrowserWindow({
+    width: state.width,
+    height: state.height,
+    x: state.x,
+    y: state.y,
+    minWidth: MIN_WINDOW_SIZE.width,
+    minHeight: MIN_WINDOW_SIZE.height,
+    webPreferences: {
+      // Preload script runs before the renderer process starts
+      preload: path.join(__dirname, 'preload.js'),
+      // The renderer only reaches the main process through the preload API
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  })
+  if (state.isMaximized) {
+    win.maximize()
+  }
+  trackWindowState(win, (windowState) => settings.set('windowState', windowState))
+
+  const webContentsId = win.webContents.id
+  windowKinds.set(webContentsId, 'main')
+  win.on('closed', () => {
+    windowKinds.delete(webContentsId)
+    // Result viewer windows belong to the main window and close with the last one
+    if (![...windowKinds.values()].includes('main')) {
+      BrowserWindow.getAllWindows().forEach(window => window.close())
+    }
+  })
+
+  // Load the main HTML file
+  win.loadFile('index.html')
+  // Open DevTools for debugging (can be removed in production)
+  // win.webContents.openDevTools()
+}
+
+/**
+ * Open the results of a run in a separate, resizable window
+ * @param {Object} payload - { filePath, options, outputFiles } of the run
+ */
+const createViewerWindow = (payload) => {
+  const win = new BrowserWindow({
+    width: 900,
+    height: 700,
+    minWidth: MIN_WINDOW_SIZE.width,
+    minHeight: 400,
+    title: `SHCarrier Results - ${path.basename(payload.filePath)}`,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  })
+
+  const webContentsId = win.webContents.id
+  windowKinds.set(webContentsId, 'viewer')
+  viewerPayloads.set(webContentsId, payload)
+  win.on('closed', () => {
+    windowKinds.delete(webContentsId)
+    viewerPayloads.delete(webContentsId)
+  })
+
+  win.loadFile('viewer.html')
+}
+
+/**
+ * Main window that receives menu commands
+ * The focused window when it is a main window, otherwise the first main window, which is brought to the front
+ * @returns {BrowserWindow|null} - Target window, or null when no main window is open
+ */
+const getMenuTargetWindow = () => {
+  const focused = BrowserWindow.getFocusedWindow()
+  if (focused && windowKinds.get(focused.webContents.id) === 'main') {
+    return focused
+  }
+  const mainWindow = BrowserWindow.getAllWindows().find(window => windowKinds.get(window.webContents.id) === 'main')
+  if (mainWindow) {
+    mainWindow.focus()
+  }
+  return mainWindow || null
+}
+
+/**
+ * Send a menu command to the renderer of the target main window
+ * @param {string} command - One of MENU_COMMANDS
+ * @param {Object} [payload] - Command parameters, e.g. { filePath }
+ */
+const sendMenuCommand = (command, payload = {}) => {
+  const win = getMenuTargetWindow()
+  if (win) {
+    win.webContents.send('menu:command', { command, ...payload })
+  }
+}
+
+/**
+ * Put opened input files on top of the Open Recent menu and the system's recent documents
+ * @param {string[]} filePaths - Opened files
+ */
+const rememberRecentFiles = (filePaths) => {
+  settings.addRecentFiles(filePaths)
+  filePaths.forEach(filePath => app.addRecentDocument(filePath))
+  updateAppMenu()
+}
+
+/**
+ * Select a file from the Open Recent menu, dropping it from the menu when it no longer exists
+ * @param {string} filePath - Recently opened file
+ */
+const openRecentFile = async (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    settings.removeRecentFiles([filePath])
+    updateAppMenu()
+    await dialog.showMessageBox({ type: 'warning', message: t('menu.recentMissing', { path: filePath }) })
+    return
+  }
+  rememberRecentFiles([filePath])
+  sendMenuCommand('open-recent', { filePath })
+}
+
+/**
+ * Empty the Open Recent menu and the system's recent documents
+ */
+const clearRecentFiles = () => {
+  settings.removeRecentFiles()
+  app.clearRecentDocuments()
+  updateAppMenu()
+}
+
+/**
+ * Folder the results are written to: the chosen output folder, or the folder of the latest results
+ * @returns {string|null} - Folder path, or null before the first run
+ */
+const getOutputFolder = () => {
+  const { outputDir } = settings.get('lastOptions')
+  if (outputDir) {
+    return outputDir
+  }
+  const latest = history.readAll().reverse()
+    .find(record => record.outputFiles && (record.outputFiles.summary || record.outputFiles.calculation))
+  return latest ? path.dirname(latest.outputFiles.summary || latest.outputFiles.calculation) : null
+}
+
+/**
+ * Open the output folder in the system's file manager
+ */
+const openOutputFolder = async () => {
+  const folderPath = getOutputFolder()
+  if (!folderPath || !fs.existsSync(folderPath)) {
+    await dialog.showMessageBox({ type: 'info', message: t('menu.noOutputFolder') })
+    return
+  }
+  const error = await shell.openPath(folderPath)
+  if (error) {
+    console.error('[Menu] Failed to open output folder:', error)
+  }
+}
+
+/**
+ * Show the app version and the engine used for new runs
+ */
+const showAbout = async () => {
+  const info = await getActiveEngineInfo()
+  const engine = info
+    ? t('about.engine', {
+      kind: info.kind,
+      version: info.version === 'bundled' ? t('update.bundled') : info.version || t('about.customEngine'),
+      path: info.path,
+      modifiedAt: info.modifiedAt,
+      sha256: info.sha256
+    })
+    : t('about.noEngine')
+  await dialog.showMessageBox({
+    type: 'info',
+    title: t('menu.about'),
+    message: t('about.version', { version: app.getVersion() }),
+    detail: `${engine}\n\n${t('about.runtime', { electron: process.versions.electron, node: process.versions.node })}`
+  })
+}
+
+/**
+ * Build the application menu in the current language with the current recent files
+ */
+const updateAppMenu = () => {
+  Menu.setApplicationMenu(Menu.buildFromTemplate(buildMenuTemplate({
+    t,
+    recentFiles: settings.get('recentFiles'),
+    sendCommand: sendMenuCommand,
+    actions: { openRecent: openRecentFile, clearRecent: clearRecentFiles, openOutputFolder, showAbout }
+  })))
+}
+
+// Keep every window on the app's own pages: no pop-ups and no navigation to other URLs
+app.on('web-contents-created', (event, contents) => {
+  contents.setWindowOpenHandler(({ url }) => {
+    console.error('[IPC] Blocked window.open:', url)
+    return { action: 'deny' }
+  })
+  contents.on('will-navigate', (navigationEvent, url) => {
+    console.error('[IPC] Blocked navigation:', url)
+    navigationEvent.preventDefault()
+  })
+})
+
+// When Electron has finished initializing
+app.whenReady().then(() => {
+  // Load remembered settings and restore the parallel jobs limit
+  settings = new SettingsStore(path.join(app.getPath('userData'), 'settings.json'))
+  jobQueue.setConcurrency(settings.get('concurrency'))
+  applyLocale()
+  history = new HistoryStore(path.join(app.getPath('userData'), 'history.jsonl'))
+  history.readAll().filter(record => record.status === 'done').forEach(record => allowedFiles.allow(record.outputFiles))
+  engineStore = new EngineStore(path.join(app.getPath('userData'), 'engines'))
+
+  // Startup self-check: report which engine will process the files on this platform
+  refreshEngineStatus()
+
+  // Resume watching the folder that was watched when the app was closed
+  if (!headless && settings.get('watchEnabled') && settings.get('watchFolder')) {
+    try {
+      startWatching(settings.get('watchFolder'));
+    } catch (error) {
+      console.error('[Watch] Failed to resume watching:', error);
+      settings.set('watchEnabled', false);
+    }
+  }
+
+  // Command-line mode: process the inputs, print the summary and exit without a window
+  if (headless) {
+    runHeadless()
+      .then(code => app.exit(code))
+      .catch(error => {
+        console.error('[CLI] Unexpected error:', error);
+        app.exit(EXIT_CODES.FAILED);
+      });
+    return;
+  }
+
+  // Application menu with keyboard shortcuts, rebuilt when the language or the recent files change
+  updateAppMenu()
+
+  // Start the HTTP API when it was enabled in the Advanced options
+  applyApiSettings()
+  
+  // Handle ping IPC message for testing communication
+  handle('ping', () => 'pong')
+  
+  /**
+   * Toggle between dark and light mode
+   * Returns the current dark mode state after toggling
+   */
+  handle('dark-mode:toggle', () => {
+    console.log('[Dark Mode] Toggle theme: Current mode =', nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light');
+    // Switch to opposite theme
+    if (nativeTheme.shouldUseDarkColors) {
+      nativeTheme.themeSource = 'light';
+    } else {
+      nativeTheme.themeSource = 'dark';
+    }
+    const newMode = nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light';
+    console.log('[Dark Mode] Theme switched to:', newMode);
+    
+    // Notify all windows that theme has been updated
+    BrowserWindow.getAllWindows().forEach(window => {
+      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
+    });
+    return nativeTheme.shouldUseDarkColors;
+  });
+
+  /**
+   * Reset theme to follow system preferences
+   */
+  handle('dark-mode:system', () => {
+    console.log('[Dark Mode] Reset to system theme');
+    nativeTheme.themeSource = 'system';
+    const systemMode = nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light';
+    console.log('[Dark Mode] Current system mode:', systemMode);
+    
+    // Notify all windows that theme has been updated
+    BrowserWindow.getAllWindows().forEach(window => {
+      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
+    });
+  });
+
+  /**
+   * Force light mode regardless of system preferences
+   * Returns false to indicate light mode is active
+   */
+  handle('dark-mode:light', () => {
+    console.log('[Light Mode] Switch to light mode');
+    nativeTheme.themeSource = 'light';
+    
+    // Notify all windows that theme has been updated
+    BrowserWindow.getAllWindows().forEach(window => {
+      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
+    });
+    return false;
+  });
+
+  /**
+   * Process a file using SHCarrier.exe
+   * @param {string} filePath - Path to the input file
+   * @param {Object} options - Processing options
+   * @returns {Object} - Processing result, with parsed per-sample records on success
+   */
+  handle('process-file', (event, payload) => {
+    const { filePath, options } = validateObject(payload, 'Request');
+    return runAndRecord(validatePath(filePath, 'Input file'), validateOptions(options), { ownerId: event.sender.id });
+  });
+
+  /**
+   * Pre-flight check of an input file before SHCarrier.exe is spawned
+   * @param {string} filePath - Path to the input file
+   * @param {Object} options - Processing options
+   * @returns {Object} - Validation report with per-row errors and warnings
+   */
+  handle('validate-input', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const filePath = validatePath(request.filePath, 'Input file');
+    const options = validateOptions(request.options);
+    if (!fs.existsSync(filePath)) {
+      return { filePath, valid: false, issues: [{ level: 'error', row: null, code: 'error.fileNotFound', params: {}, message: t('error.fileNotFound') }] };
+    }
+
+    try {
+      return validateInputFile(filePath, options, { t });
+    } catch (error) {
+      console.error('[Validator] Failed to validate input file:', error);
+      return { filePath, valid: false, issues: [{ level: 'error', row: null, message: error.message }] };
+    }
+  });
+
+  /**
+   * Add input files to the batch queue
+   * @param {string[]} filePaths - Paths to the input files
+   * @param {Object} options - Processing options shared by all files
+   * @returns {Object[]} - Snapshots of the queued jobs
+   */
+  handle('queue:add', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const filePaths = validatePathList(request.filePaths, 'Input file');
+    const options = validateOptions(request.options);
+    console.log('[Queue] Adding files:', filePaths.length);
+    return filePaths.map(filePath => jobQueue.add(filePath, options, { ownerId: event.sender.id }));
+  });
+
+  /**
+   * List all jobs in the queue
+   */
+  handle('queue:list', () => jobQueue.list());
+
+  /**
+   * Change how many files are processed in parallel
+   * Returns the applied limit
+   */
+  handle('queue:set-concurrency', (event, concurrency) => {
+    if (!['number', 'string'].includes(typeof concurrency) || !Number.isFinite(Number(concurrency))) {
+      throw new IpcValidationError('Parallel jobs must be a number');
+    }
+    const applied = jobQueue.setConcurrency(Number(concurrency));
+    settings.set('concurrency', applied);
+    console.log('[Queue] Concurrency set to:', applied);
+    return applied;
+  });
+
+  /**
+   * Cancel a queued or running job, killing its SHCarrier.exe process
+   * Returns the job snapshot, or null when the job is unknown or already finished
+   */
+  handle('queue:cancel', (event, jobId) => {
+    console.log('[Queue] Cancelling job:', jobId);
+    return jobQueue.cancel(validateId(jobId, 'Job ID'));
+  });
+
+  /**
+   * Run a failed or cancelled job again with the same file and options
+   * Returns the job snapshot, or null when the job is unknown or did not fail
+   */
+  handle('queue:retry', (event, jobId) => {
+    console.log('[Queue] Retrying job:', jobId);
+    return jobQueue.retry(validateId(jobId, 'Job ID'));
+  });
+
+  /**
+   * Remove finished and failed jobs from the queue
+   */
+  handle('queue:clear-finished', () => jobQueue.clearFinished());
+
+  /**
+   * Open a file dialog to select one or more input files
+   */
+  handle('open-file-dialog', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('lastDirectory') || undefined,
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: t('dialog.dataFiles'), extensions: ['txt', 'csv', 'tsv'] },
+        { name: t('dialog.allFiles'), extensions: [] } // 尝试使用具体文件类型列表代替通配符
+      ]
+    });
+    
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true };
+    }
+    
+    settings.set('lastDirectory', path.dirname(filePaths[0]));
+    rememberRecentFiles(filePaths);
+    return { canceled: false, filePath: filePaths[0], filePaths };
+  });
+
+  /**
+   * Open a file dialog to import the sample sheet joined to the runs from now on
+   * @returns {Object} - { canceled } or { success, sampleSheet } with the sheet status, or an error
+   */
+  handle('sample-sheet:import', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('lastDirectory') || undefined,
+      properties: ['openFile'],
+      filters: [
+        { name: t('dialog.sampleSheets'), extensions: ['csv', 'tsv', 'txt', 'xlsx'] },
+        { name: t('dialog.allFiles'), extensions: [] }
+      ]
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true };
+    }
+
+    try {
+      sampleSheet = await readSampleSheet(filePaths[0], { t });
+      console.log('[SampleSheet] Imported:', filePaths[0], sampleSheet.rows.length, 'rows');
+      return { success: true, sampleSheet: getSampleSheetStatus() };
+    } catch (error) {
+      console.error('[SampleSheet] Failed to import sample sheet:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the imported sample sheet
+   * @returns {Object|null} - Sheet status, or null when none is imported
+   */
+  handle('sample-sheet:get', () => getSampleSheetStatus());
+
+  /**
+   * Stop joining the sample sheet to new runs
+   */
+  handle('sample-sheet:clear', () => {
+    sampleSheet = null;
+    console.log('[SampleSheet] Cleared');
+  });
+
+  /**
+   * Open a folder dialog and collect the input files inside the selected folder
+   */
+  handle('open-folder-dialog', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('lastDirectory') || undefined,
+      properties: ['openDirectory']
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true };
+    }
+
+    const folderPath = filePaths[0];
+    settings.set('lastDirectory', folderPath);
+    return { canceled: false, folderPath, filePaths: collectInputFiles(folderPath) };
+  });
+
+  /**
+   * Open a folder dialog to choose where results are written
+   * @param {string|null} currentPath - Output folder chosen so far
+   * @returns {Object} - { canceled, folderPath }
+   */
+  handle('open-output-folder-dialog', async (event, currentPath) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: (currentPath && validatePath(currentPath, 'Output folder')) || settings.get('lastDirectory') || undefined,
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true };
+    }
+    return { canceled: false, folderPath: filePaths[0] };
+  });
+
+  /**
+   * Open a result file in the system's default application
+   * Only results of successful runs, exported files and summaries picked for a comparison
+   * are opened, never arbitrary paths
+   */
+  handle('open-file', (event, filePath) => {
+    allowedFiles.assertAllowed(validatePath(filePath, 'File'));
+    if (fs.existsSync(filePath)) {
+      shell.openPath(filePath);
+      return { success: true };
+    } else {
+      return { success: false, error: t('error.fileNotFound') };
+    }
+  });
+
+  /**
+   * Resolve dropped files and folders into input files
+   * @param {string[]} paths - Paths of the dropped items, taken from the File objects by the preload
+   * @returns {string[]} - Input file paths
+   */
+  handle('resolve-input-paths', (event, paths) => resolveInputPaths(validatePathList(paths)));
+
+  /**
+   * Get the state of the watched folder
+   */
+  handle('watch:get', () => getWatchStatus());
+
+  /**
+   * Start watching a folder for new instrument exports
+   * Without a remembered folder, or when choose is set, a folder dialog is shown first
+   * @param {boolean} choose - Whether to pick a new folder
+   * @returns {Object} - Watch status, canceled, or an error
+   */
+  handle('watch:start', async (event, payload = {}) => {
+    const choose = Boolean(validateObject(payload, 'Request').choose);
+    let folderPath = settings.get('watchFolder');
+
+    if (choose || !folderPath) {
+      const { canceled, filePaths } = await dialog.showOpenDialog({
+        defaultPath: folderPath || settings.get('lastDirectory') || undefined,
+        properties: ['openDirectory']
+      });
+      if (canceled || filePaths.length === 0) {
+        return { canceled: true, ...getWatchStatus() };
+      }
+      folderPath = filePaths[0];
+    }
+
+    try {
+      startWatching(folderPath);
+      return { success: true, ...getWatchStatus() };
+    } catch (error) {
+      console.error('[Watch] Failed to watch folder:', error);
+      return { success: false, error: error.message, ...getWatchStatus() };
+    }
+  });
+
+  /**
+   * Stop watching the folder
+   */
+  handle('watch:stop', () => {
+    folderWatcher.stop();
+    settings.set('watchEnabled', false);
+    console.log('[Watch] Stopped watching');
+    broadcastWatchStatus();
+    return getWatchStatus();
+  });
+
+  /**
+   * Get the result of the engine self-check
+   * @returns {Object} - { available, engine, checked, message }
+   */
+  handle('engine:status', async () => localizeEngineStatus(await (engineStatus || refreshEngineStatus())));
+
+  /**
+   * Choose the SHCarrier executable to use instead of the bundled one
+   * Windows .exe files are launched through Wine on Linux and macOS
+   * @returns {Object} - Engine status after the change, or canceled
+   */
+  handle('engine:choose', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('enginePath') || undefined,
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true, ...localizeEngineStatus(await engineStatus) };
+    }
+    settings.set('enginePath', filePaths[0]);
+    console.log('[Engine] Configured executable:', filePaths[0]);
+    return localizeEngineStatus(await refreshEngineStatus());
+  });
+
+  /**
+   * Forget the configured executable and use the bundled engine again
+   * @returns {Object} - Engine status after the change
+   */
+  handle('engine:reset', async () => {
+    settings.set('enginePath', null);
+    return localizeEngineStatus(await refreshEngineStatus());
+  });
+
+  /**
+   * Choose the Wine launcher that runs SHCarrier.exe on Linux and macOS
+   * @returns {Object} - Engine status after the change, or canceled
+   */
+  handle('engine:choose-wine', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('winePath') || undefined,
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true, ...localizeEngineStatus(await engineStatus) };
+    }
+    settings.set('winePath', filePaths[0]);
+    console.log('[Engine] Configured Wine launcher:', filePaths[0]);
+    return localizeEngineStatus(await refreshEngineStatus());
+  });
+
+  /**
+   * Forget the configured Wine launcher and look for one on the PATH again
+   * @returns {Object} - Engine status after the change
+   */
+  handle('engine:reset-wine', async () => {
+    settings.set('winePath', null);
+    return localizeEngineStatus(await refreshEngineStatus());
+  });
+
+  /**
+   * Get all remembered settings (last options, last directory, presets, parallel jobs)
+   */
+  handle('settings:get', () => settings.getAll());
 
-/**
- * Creates the main application window with appropriate settings
- * Sets up the preload script and loads the main HTML file
- */
-const createWindow = () => {
-  // Create a new browser window with dimensions of 800x800
-  const win = new BrowserWindow({
-    width: 800,
-    height: 800,
-    resizable: false,
-    webPreferences: {
-      // Preload script runs before the renderer process starts
-      preload: path.join(__dirname, 'preload.js')
+  /**
+   * Change how long a run may take before the engine is stopped
+   * @param {number} minutes - Time limit in whole minutes, 0 for no limit
+   * @returns {number} - The stored time limit
+   */
+  handle('settings:set-engine-timeout', (event, minutes) => {
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ENGINE_TIMEOUT_MINUTES) {
+      throw new IpcValidationError(`Time limit must be a whole number of minutes between 0 and ${MAX_ENGINE_TIMEOUT_MINUTES}`);
     }
-  })
+    settings.set('engineTimeoutMinutes', minutes);
+    return minutes;
+  });
 
-  // Load the main HTML file
-  win.loadFile('index.html')
-  // Open DevTools for debugging (can be removed in production)
-  // win.webContents.openDevTools()
-}
+  /**
+   * Get the QC rules checked after every run
+   * @returns {Object} - { rules, defaults }
+   */
+  handle('qc:get-rules', () => ({ rules: settings.get('qcRules'), defaults: structuredClone(DEFAULT_QC_RULES) }));
 
-// When Electron has finished initializing
-app.whenReady().then(() => {
-  // Remove the default application menu
-  Menu.setApplicationMenu(null)
-  
-  // Handle ping IPC message for testing communication
-  ipcMain.handle('ping', () => 'pong')
-  
   /**
-   * Toggle between dark and light mode
-   * Returns the current dark mode state after toggling
+   * Replace the QC rules, they apply to the runs finished from now on
+   * @param {Object[]} rules - Rules as { type, threshold, severity, enabled }
+   * @returns {Object[]} - The stored rules
    */
-  ipcMain.handle('dark-mode:toggle', () => {
-    console.log('[Dark Mode] Toggle theme: Current mode =', nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light');
-    // Switch to opposite theme
-    if (nativeTheme.shouldUseDarkColors) {
-      nativeTheme.themeSource = 'light';
-    } else {
-      nativeTheme.themeSource = 'dark';
+  handle('qc:set-rules', (event, rules) => {
+    settings.set('qcRules', validateQcRules(rules));
+    return settings.get('qcRules');
+  });
+
+  /**
+   * Get the state of the HTTP API
+   * @returns {Object} - { enabled, running, port, token, url, error }
+   */
+  handle('api:get', () => getApiStatus());
+
+  /**
+   * Enable or disable the HTTP API and change its port
+   * @param {boolean} enabled - Whether the API should run
+   * @param {number} port - Port to listen on
+   * @returns {Promise<Object>} - State of the HTTP API after the change
+   */
+  handle('api:set', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    if (typeof request.enabled !== 'boolean') {
+      throw new IpcValidationError('Enabled must be a boolean');
     }
-    const newMode = nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light';
-    console.log('[Dark Mode] Theme switched to:', newMode);
-    
-    // Notify all windows that theme has been updated
-    BrowserWindow.getAllWindows().forEach(window => {
-      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
-    });
-    return nativeTheme.shouldUseDarkColors;
+    if (!Number.isInteger(request.port) || request.port < 1024 || request.port > 65535) {
+      throw new IpcValidationError('Port must be a number between 1024 and 65535');
+    }
+    settings.set('apiEnabled', request.enabled);
+    settings.set('apiPort', request.port);
+    return applyApiSettings();
   });
 
   /**
-   * Reset theme to follow system preferences
+   * Replace the HTTP API token, clients using the old one are refused from now on
+   * @returns {Promise<Object>} - State of the HTTP API with the new token
    */
-  ipcMain.handle('dark-mode:system', () => {
-    console.log('[Dark Mode] Reset to system theme');
-    nativeTheme.themeSource = 'system';
-    const systemMode = nativeTheme.shouldUseDarkColors ? 'Dark' : 'Light';
-    console.log('[Dark Mode] Current system mode:', systemMode);
-    
-    // Notify all windows that theme has been updated
-    BrowserWindow.getAllWindows().forEach(window => {
-      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
-    });
+  handle('api:new-token', () => {
+    settings.set('apiToken', ApiServer.generateToken());
+    return applyApiSettings();
   });
 
   /**
-   * Force light mode regardless of system preferences
-   * Returns false to indicate light mode is active
+   * Get the messages of the current language
+   * @returns {Object} - { locale, messages, preference, supported }
    */
-  ipcMain.handle('dark-mode:light', () => {
-    console.log('[Light Mode] Switch to light mode');
-    nativeTheme.themeSource = 'light';
-    
-    // Notify all windows that theme has been updated
+  handle('i18n:get', () => getLocaleBundle());
+
+  /**
+   * Change the language, or follow the system language again with null
+   * All windows are notified so they switch at once
+   * @param {string|null} preference - One of the supported locales, or null
+   * @returns {Object} - Messages of the new language
+   */
+  handle('i18n:set-locale', (event, preference) => {
+    settings.set('locale', preference === null ? null : validateChoice(preference, SUPPORTED_LOCALES, 'Language'));
+    applyLocale();
+    updateAppMenu();
+    const bundle = getLocaleBundle();
     BrowserWindow.getAllWindows().forEach(window => {
-      window.webContents.send('dark-mode:updated', nativeTheme.shouldUseDarkColors);
+      window.webContents.send('i18n:updated', bundle);
     });
-    return false;
+    return bundle;
   });
 
   /**
-   * Process a file using SHCarrier.exe
-   * @param {string} filePath - Path to the input file
+   * Remember the options of the last run so they survive a restart
    * @param {Object} options - Processing options
-   * @returns {Object} - Processing result
+   * @returns {Object} - The stored options
    */
-  ipcMain.handle('process-file', async (event, { filePath, options }) => {
-    console.log('[SHCarrier] Processing file:', filePath);
-    console.log('[SHCarrier] Options:', options);
-    
-    // Validate file exists
-    if (!fs.existsSync(filePath)) {
-      return { success: false, error: 'File does not exist' };
+  handle('settings:set-last-options', (event, options) => settings.setLastOptions(validateOptions(options)));
+
+  /**
+   * Create or replace a named processing preset
+   * @param {string} name - Preset name
+   * @param {Object} options - Processing options of the preset
+   * @returns {Object} - Updated preset list or an error
+   */
+  handle('presets:save', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const name = validateText(request.name, 'Preset name', 100);
+    const options = validateOptions(request.options);
+    try {
+      return { success: true, presets: settings.savePreset(name, options) };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
-    
-    // Build command arguments
-    const args = ['-i', filePath];
-    
-    // Add options based on user selections
-    if (options.useArea) {
-      args.push('-Area');
+  });
+
+  /**
+   * Delete a named processing preset
+   * Returns the updated preset list
+   */
+  handle('presets:delete', (event, name) => settings.deletePreset(validateText(name, 'Preset name', 100)));
+
+  /**
+   * Select a preset, or clear the selection with null
+   * Returns the selected preset
+   */
+  handle('presets:select', (event, name) => settings.selectPreset(name === null ? null : validateText(name, 'Preset name', 100)));
+
+  /**
+   * Search the run history, newest first
+   * @param {string} query - Text matched against file, operator, options and status
+   * @returns {Object[]} - Matching run records
+   */
+  handle('history:list', (event, query = '') => history.list({ query: validateText(query, 'Search text') }));
+
+  /**
+   * Read a -summary.tsv or -cal.tsv result file for the in-app viewer
+   * @param {string} filePath - Path to the result file
+   * @param {boolean} useGBK - Whether the file was written with GBK encoding
+   * @returns {Object} - Parsed table or an error
+   */
+  handle('result:read', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const filePath = validatePath(request.filePath, 'Result file');
+    const useGBK = Boolean(request.useGBK);
+    allowedFiles.assertAllowed(filePath);
+    if (!fs.existsSync(filePath)) {
+      return { success: false, error: t('error.fileNotFound') };
     }
-    
-    if (options.stdName && options.stdName !== 'STD') {
-      args.push('-STD', options.stdName);
+
+    try {
+      const table = readResultTable(filePath, { useGBK });
+      table.flags = table.rows.map(row => flagRow(table.headers, row));
+      return { success: true, table };
+    } catch (error) {
+      console.error('[Viewer] Failed to read result file:', error);
+      return { success: false, error: error.message };
     }
-    
-    if (options.useGBK) {
-      args.push('-GBK');
+  });
+
+  /**
+   * Export the report of a recorded run as PDF or XLSX
+   * @param {string} historyId - ID of the run in the history
+   * @param {string} format - 'pdf' or 'xlsx'
+   * @returns {Object} - Path of the saved report, canceled, or an error
+   */
+  handle('report:export', async (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const historyId = validateId(request.historyId, 'History ID');
+    const format = validateChoice(request.format, ['pdf', 'xlsx'], 'Format');
+    const record = history.get(historyId);
+    if (!record || !record.outputFiles) {
+      return { success: false, error: t('error.runNotFound') };
     }
-    
-    if (options.devMode) {
-      args.push('-dev');
+
+    const extension = format === 'xlsx' ? 'xlsx' : 'pdf';
+    const baseName = path.basename(record.inputFile, path.extname(record.inputFile));
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      defaultPath: path.join(path.dirname(record.inputFile), `${baseName}-report.${extension}`),
+      filters: [
+        extension === 'xlsx'
+          ? { name: t('dialog.excel'), extensions: ['xlsx'] }
+          : { name: t('dialog.pdf'), extensions: ['pdf'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      return { canceled: true };
     }
-    
-    // Get the correct path to the executable based on the environment
-    // In development mode (or when not explicitly in production), use __dirname
-    // In production build, use process.resourcesPath
-    const isProduction = process.env.NODE_ENV === 'production';
-    const isPackaged = app.isPackaged;
-    
-    // If either NODE_ENV is explicitly set to 'production' OR the app is packaged,
-    // consider it production mode
-    const appPath = (isProduction || isPackaged) ? process.resourcesPath : __dirname;
-    const exePath = path.join(appPath, 'SHCarrier.exe');
-    
-    console.log('[SHCarrier] Is production env:', isProduction);
-    console.log('[SHCarrier] Is packaged:', isPackaged);
-    console.log('[SHCarrier] Application path:', appPath);
-    console.log('[SHCarrier] Executable path:', exePath);
-    console.log('[SHCarrier] Command:', exePath, args.join(' '));
-    
+
     try {
-      // First verify the executable exists
-      if (!fs.existsSync(exePath)) {
-        console.error('[SHCarrier] Executable not found at path:', exePath);
-        return { 
-          success: false, 
-          error: `Executable not found: ${exePath}. Please ensure SHCarrier.exe is present in the application directory.` 
-        };
+      // Runs recorded before QC rules existed are checked against the current rules,
+      // runs recorded without a sample sheet are joined to the imported one
+      const parsed = parseResultFiles(record.outputFiles, record.options);
+      const data = buildReportData(
+        record,
+        parsed,
+        record.qc || evaluateQc(parsed, settings.get('qcRules'), { t }),
+        record.sampleSheet || (sampleSheet ? matchSampleSheet(parsed, sampleSheet) : null),
+        { t }
+      );
+      if (extension === 'xlsx') {
+        writeXlsx(filePath, buildReportSheets(data, { t }));
+      } else {
+        await printReportToPdf(buildReportHtml(data, { t }), filePath);
       }
-      
-      // Execute SHCarrier.exe with the provided arguments
-      return new Promise((resolve, reject) => {
-        console.log('[SHCarrier] Spawning process with working directory:', path.dirname(filePath));
-        
-        // Use try-catch around spawn to catch any immediate errors
-        let shCarrier;
-        try {
-          shCarrier = spawn(exePath, args, { 
-            cwd: path.dirname(filePath),
-            shell: false,  // Don't use shell to avoid command injection
-            windowsHide: false  // Allow window to show for debugging purposes
-          });
-        } catch (spawnError) {
-          console.error('[SHCarrier] Error during spawn:', spawnError);
-          return reject({ success: false, error: `Failed to launch process: ${spawnError.message}` });
-        }
-        
-        let stdout = '';
-        let stderr = '';
-        
-        shCarrier.stdout.on('data', (data) => {
-          const output = data.toString();
-          stdout += output;
-          console.log('[SHCarrier] Output:', output);
-          
-          // Send progress updates to the renderer
-          BrowserWindow.getAllWindows().forEach(window => {
-            window.webContents.send('process-file:progress', { output });
-          });
-        });
-        
-        shCarrier.stderr.on('data', (data) => {
-          const error = data.toString();
-          stderr += error;
-          console.error('[SHCarrier] Error:', error);
-          
-          // Send error updates to the renderer
-          BrowserWindow.getAllWindows().forEach(window => {
-            window.webContents.send('process-file:error', { error });
-          });
-        });
-        
-        shCarrier.on('close', (code) => {
-          console.log('[SHCarrier] Process exited with code:', code);
-          
-          if (code === 0) {
-            // Get the output file paths
-            const inputBaseName = path.basename(filePath, path.extname(filePath));
-            const inputDirName = path.dirname(filePath);
-            const summaryFilePath = path.join(inputDirName, `${inputBaseName}-summary.tsv`);
-            const calculationFilePath = path.join(inputDirName, `${inputBaseName}-cal.tsv`);
-            
-            // Check if output files were created
-            const summaryExists = fs.existsSync(summaryFilePath);
-            const calculationExists = fs.existsSync(calculationFilePath);
-            
-            resolve({ 
-              success: true, 
-              code, 
-              stdout, 
-              stderr,
-              outputFiles: {
-                summary: summaryExists ? summaryFilePath : null,
-                calculation: calculationExists ? calculationFilePath : null
-              }
-            });
-          } else {
-            resolve({ success: false, code, stdout, stderr });
-          }
-        });
-        
-        shCarrier.on('error', (error) => {
-          console.error('[SHCarrier] Failed to start process:', error);
-          reject({ success: false, error: error.message });
-        });
-      });
+      allowedFiles.allow(filePath);
+      console.log('[Report] Exported report:', filePath);
+      return { success: true, filePath };
     } catch (error) {
-      console.error('[SHCarrier] Exception:', error);
+      console.error('[Report] Failed to export report:', error);
       return { success: false, error: error.message };
     }
   });
 
   /**
-   * Open a file dialog to select input files
+   * Pick a -summary.tsv file for the comparison view
+   * @returns {Object} - { canceled, filePath }
    */
-  ipcMain.handle('open-file-dialog', async () => {
+  handle('compare:choose-summary', async () => {
     const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('lastDirectory') || undefined,
       properties: ['openFile'],
-      filters: [
-        { name: 'Data Files', extensions: ['txt', 'csv', 'tsv'] },
-        { name: 'All Files', extensions: [] } // 尝试使用具体文件类型列表代替通配符
-      ]
+      filters: [{ name: t('dialog.summaryFiles'), extensions: ['tsv'] }]
     });
-    
+
     if (canceled || filePaths.length === 0) {
       return { canceled: true };
     }
-    
+    // A picked summary may be compared and opened like the results of a run
+    allowedFiles.allow(filePaths[0], filePaths[0].replace(/-summary\.tsv$/i, '-cal.tsv'));
     return { canceled: false, filePath: filePaths[0] };
   });
 
   /**
-   * Open a file in the system's default application
+   * Compare the results of two runs, aligned by sample
+   * @param {Object} left - { historyId } or { summaryPath, options } of run A
+   * @param {Object} right - Source of run B
+   * @returns {Object} - Labels of both runs and the comparison, or an error
    */
-  ipcMain.handle('open-file', (event, filePath) => {
-    if (fs.existsSync(filePath)) {
-      const { shell } = require('electron');
-      shell.openPath(filePath);
-      return { success: true };
-    } else {
-      return { success: false, error: 'File does not exist' };
+  handle('compare:run', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const left = validateCompareSource(request.left);
+    const right = validateCompareSource(request.right);
+    try {
+      const a = loadCompareSource(left, { history, t });
+      const b = loadCompareSource(right, { history, t });
+      return {
+        success: true,
+        left: { label: a.label, detail: a.detail, options: a.options },
+        right: { label: b.label, detail: b.detail, options: b.options },
+        comparison: compareRuns(a.parsed, b.parsed)
+      };
+    } catch (error) {
+      console.error('[Compare] Failed to compare runs:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Export the diff table of two runs as XLSX or TSV
+   * @param {Object} left - Source of run A
+   * @param {Object} right - Source of run B
+   * @param {string} format - 'xlsx' or 'tsv'
+   * @returns {Object} - Path of the saved file, canceled, or an error
+   */
+  handle('compare:export', async (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const left = validateCompareSource(request.left);
+    const right = validateCompareSource(request.right);
+    const format = validateChoice(request.format, ['xlsx', 'tsv'], 'Format');
+    let a;
+    let b;
+    try {
+      a = loadCompareSource(left, { history, t });
+      b = loadCompareSource(right, { history, t });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const extension = format === 'tsv' ? 'tsv' : 'xlsx';
+    const baseName = path.basename(a.outputFiles.summary).replace(/-summary\.tsv$/i, '');
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      defaultPath: path.join(path.dirname(a.outputFiles.summary), `${baseName}-compare.${extension}`),
+      filters: [
+        extension === 'xlsx'
+          ? { name: t('dialog.excel'), extensions: ['xlsx'] }
+          : { name: t('dialog.tsv'), extensions: ['tsv'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      return { canceled: true };
+    }
+
+    try {
+      const comparison = compareRuns(a.parsed, b.parsed);
+      if (extension === 'xlsx') {
+        writeXlsx(filePath, buildCompareSheets(comparison, a, b));
+      } else {
+        fs.writeFileSync(filePath, buildCompareTsv(comparison), 'utf8');
+      }
+      allowedFiles.allow(filePath);
+      console.log('[Compare] Exported comparison:', filePath);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('[Compare] Failed to export comparison:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Parse result files into structured per-sample records
+   * @param {Object} outputFiles - { summary, calculation } file paths
+   * @param {Object} options - Processing options (useGBK, stdName)
+   * @returns {Object} - Parsed records or an error
+   */
+  handle('result:parse', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const outputFiles = validateOutputFiles(request.outputFiles);
+    const options = validateOptions(request.options);
+    allowedFiles.assertAllowed(outputFiles);
+    try {
+      return { success: true, parsed: parseResultFiles(outputFiles, options) };
+    } catch (error) {
+      console.error('[Parser] Failed to parse result files:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Open the results of a run in a separate window
+   * @param {string} filePath - Input file of the run
+   * @param {Object} options - Processing options of the run
+   * @param {Object} outputFiles - { summary, calculation } file paths
+   * @returns {Object} - Success, or an error when there are no result files
+   */
+  handle('viewer:open', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const filePath = validatePath(request.filePath, 'Input file');
+    const options = validateOptions(request.options || {});
+    const outputFiles = validateOutputFiles(request.outputFiles);
+    allowedFiles.assertAllowed(outputFiles);
+    if (!outputFiles || ![outputFiles.summary, outputFiles.calculation].some(file => file && fs.existsSync(file))) {
+      return { success: false, error: t('error.resultFilesNotFound') };
+    }
+    createViewerWindow({ filePath, options, outputFiles });
+    return { success: true };
+  });
+
+  /**
+   * Get the run shown by the calling viewer window
+   * @returns {Object|null} - { filePath, options, outputFiles }, or null for other windows
+   */
+  handle('viewer:get-job', (event) => viewerPayloads.get(event.sender.id) || null);
+
+  /**
+   * Build the ratio chart of a run's result files
+   * @param {Object} outputFiles - { summary, calculation } file paths
+   * @param {Object} options - Processing options (useGBK, stdName)
+   * @returns {Object} - Chart points and bands, or an error
+   */
+  handle('result:chart', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const outputFiles = validateOutputFiles(request.outputFiles);
+    const options = validateOptions(request.options);
+    allowedFiles.assertAllowed(outputFiles);
+    try {
+      return { success: true, chart: buildChartData(parseResultFiles(outputFiles, options)) };
+    } catch (error) {
+      console.error('[Viewer] Failed to build ratio chart:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Check a run's result files against the current QC rules
+   * Used for runs whose QC result was not recorded, e.g. in a separate viewer window
+   * @param {Object} outputFiles - { summary, calculation } file paths
+   * @param {Object} options - Processing options (useGBK, stdName)
+   * @returns {Object} - QC result, or an error
+   */
+  handle('qc:evaluate', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const outputFiles = validateOutputFiles(request.outputFiles);
+    const options = validateOptions(request.options);
+    allowedFiles.assertAllowed(outputFiles);
+    try {
+      return { success: true, qc: evaluateQc(parseResultFiles(outputFiles, options), settings.get('qcRules'), { t }) };
+    } catch (error) {
+      console.error('[QC] Failed to check result files:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Join the imported sample sheet to a run's result files
+   * Used for runs whose metadata was not recorded, e.g. runs finished before the import
+   * @param {Object} outputFiles - { summary, calculation } file paths
+   * @param {Object} options - Processing options (useGBK, stdName)
+   * @returns {Object} - Joined metadata, null when no sheet is imported, or an error
+   */
+  handle('sample-sheet:match', (event, payload) => {
+    const request = validateObject(payload, 'Request');
+    const outputFiles = validateOutputFiles(request.outputFiles);
+    const options = validateOptions(request.options);
+    allowedFiles.assertAllowed(outputFiles);
+    if (!sampleSheet) {
+      return { success: true, sampleSheet: null };
+    }
+    try {
+      return { success: true, sampleSheet: matchSampleSheet(parseResultFiles(outputFiles, options), sampleSheet) };
+    } catch (error) {
+      console.error('[SampleSheet] Failed to join the sample sheet:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the state of the update feed and the engine versions
+   * @returns {Object} - { feed, appVersion, engineVersion, installed, check, appDownload }
+   */
+  handle('update:get-status', () => getUpdateStatus());
+
+  /**
+   * Change the update feed, or stop using one with null
+   * @param {string|null} feed - Feed folder, feed.json path, or http(s) URL
+   * @returns {Object} - Update state
+   */
+  handle('update:set-feed', (event, feed) => {
+    settings.set('updateFeed', feed === null ? null : validateFeedLocation(feed));
+    lastUpdateCheck = null;
+    downloadedAppUpdate = null;
+    return getUpdateStatus();
+  });
+
+  /**
+   * Open a folder dialog to choose a local or shared folder as the update feed
+   * @returns {Object} - { canceled } or the update state
+   */
+  handle('update:choose-feed', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      defaultPath: settings.get('updateFeed') || undefined,
+      properties: ['openDirectory']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { canceled: true, ...getUpdateStatus() };
+    }
+    settings.set('updateFeed', filePaths[0]);
+    lastUpdateCheck = null;
+    downloadedAppUpdate = null;
+    return getUpdateStatus();
+  });
+
+  /**
+   * Check the update feed for a newer app release and for engine versions
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('update:check', () => runUpdateAction('check the update feed', async () => {
+    lastUpdateCheck = await checkForUpdates({ feed: getUpdateFeed(), currentVersion: app.getVersion(), t });
+    console.log('[Update] Checked feed:', lastUpdateCheck.feed, 'latest app', lastUpdateCheck.app.latestVersion);
+  }));
+
+  /**
+   * Download the installer of the app release in the feed and verify its checksum
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('update:download-app', () => runUpdateAction('download the app update', async () => {
+    downloadedAppUpdate = await downloadAppUpdate({
+      feed: getUpdateFeed(),
+      downloadDir: path.join(app.getPath('userData'), 'updates'),
+      t
+    });
+    console.log('[Update] Downloaded app update:', downloadedAppUpdate.version, downloadedAppUpdate.filePath);
+  }));
+
+  /**
+   * Start the downloaded installer and quit so it can replace the app
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('update:install-app', () => runUpdateAction('start the app installer', async () => {
+    if (!downloadedAppUpdate) {
+      throw new Error(t('update.error.notDownloaded'));
+    }
+    const error = await shell.openPath(downloadedAppUpdate.filePath);
+    if (error) {
+      throw new Error(error);
     }
+    console.log('[Update] Started installer:', downloadedAppUpdate.filePath);
+    app.quit();
+  }));
+
+  /**
+   * Download an engine version from the feed and install it next to the others
+   * @param {string} version - Engine version listed in the feed
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('engine-versions:install', (event, version) => {
+    const engineVersion = validateText(version, 'Engine version', 50);
+    return runUpdateAction('install the engine version', async () => {
+      await engineStore.install(getUpdateFeed(), engineVersion, { t });
+      console.log('[Update] Installed engine version:', engineVersion);
+    });
+  });
+
+  /**
+   * Make an installed engine version active, or go back to the bundled engine with null
+   * The files of the version are checked against their checksums first.
+   * @param {string|null} version - Installed engine version
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('engine-versions:activate', (event, version) => {
+    const engineVersion = version === null ? null : validateText(version, 'Engine version', 50);
+    return runUpdateAction('activate the engine version', async () => {
+      if (engineVersion) {
+        if (!engineStore.get(engineVersion)) {
+          throw new Error(t('update.error.notInstalled', { version: engineVersion }));
+        }
+        const { valid, mismatched } = await engineStore.verify(engineVersion);
+        if (!valid) {
+          throw new Error(t('update.error.modified', { version: engineVersion, files: mismatched.join(', ') }));
+        }
+      }
+      settings.set('engineVersion', engineVersion);
+      console.log('[Update] Active engine version:', engineVersion || 'bundled');
+      await refreshEngineStatus();
+    });
+  });
+
+  /**
+   * Delete an installed engine version that is not active
+   * @param {string} version - Installed engine version
+   * @returns {Object} - { success, error } merged with the update state
+   */
+  handle('engine-versions:remove', (event, version) => {
+    const engineVersion = validateText(version, 'Engine version', 50);
+    return runUpdateAction('remove the engine version', async () => {
+      if (engineVersion === getActiveEngineVersion()) {
+        throw new Error(t('update.error.activeEngine', { version: engineVersion }));
+      }
+      engineStore.remove(engineVersion);
+      console.log('[Update] Removed engine version:', engineVersion);
+    });
   });
 
   // Create the main application window
@@ -279,6 +1907,18 @@ app.whenReady().then(() => {
   })
 })
 
+// Stop the HTTP API before quitting so its port is free for the next start,
+// and kill engine processes that are still running so none outlive the app
+app.on('will-quit', () => {
+  if (apiServer) {
+    apiServer.stop()
+  }
+  const killed = killRunningProcesses()
+  if (killed > 0) {
+    console.log('[SHCarrier] Stopped running engine processes on quit:', killed)
+  }
+})
+
 // Quit the application when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -2,10 +2,12 @@
  * Preload Script
  * 
  * This script runs in a privileged context before the renderer process starts.
- * It can access both Node.js APIs and a limited set of Electron APIs.
+ * The renderer is sandboxed, so it can only use the limited set of Electron APIs
+ * available to sandboxed preload scripts (contextBridge, ipcRenderer, webUtils).
  * Used to expose specific functionality from the main process to the renderer process.
+ * The main process validates every call, so nothing here is trusted on its own.
  */
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 /**
  * Expose the darkMode API to the renderer process
@@ -35,15 +37,263 @@ contextBridge.exposeInMainWorld('fileProcessor', {
   // Process a file using SHCarrier.exe
   processFile: (filePath, options) => ipcRenderer.invoke('process-file', { filePath, options }),
   
-  // Open a file dialog to select input files
+  // Open a file dialog to select one or more input files
   openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
   
+  // Open a folder dialog and list the input files inside it
+  openFolderDialog: () => ipcRenderer.invoke('open-folder-dialog'),
+  
+  // Open a folder dialog to choose where results are written
+  openOutputFolderDialog: (currentPath) => ipcRenderer.invoke('open-output-folder-dialog', currentPath),
+  
+  // Resolve dropped files and folders into input files
+  // Paths come from the dropped File objects only, the renderer cannot name other folders
+  resolveDroppedFiles: (files) => ipcRenderer.invoke(
+    'resolve-input-paths',
+    Array.from(files).map(file => webUtils.getPathForFile(file)).filter(Boolean)
+  ),
+  
+  // Get the state of the watched folder
+  getWatchStatus: () => ipcRenderer.invoke('watch:get'),
+  
+  // Start watching a folder for new exports, choose picks a new folder first
+  startWatching: (choose) => ipcRenderer.invoke('watch:start', { choose }),
+  
+  // Stop watching the folder
+  stopWatching: () => ipcRenderer.invoke('watch:stop'),
+  
+  // Export the report of a recorded run as 'pdf' or 'xlsx'
+  exportReport: (historyId, format) => ipcRenderer.invoke('report:export', { historyId, format }),
+  
+  // Get the ratio chart data of result files
+  getRatioChart: (outputFiles, options) => ipcRenderer.invoke('result:chart', { outputFiles, options }),
+  
+  // Parse result files into structured per-sample records
+  parseResults: (outputFiles, options) => ipcRenderer.invoke('result:parse', { outputFiles, options }),
+  
+  // Check an input file for problems before processing it
+  validateInput: (filePath, options) => ipcRenderer.invoke('validate-input', { filePath, options }),
+  
+  // Add input files to the batch queue
+  enqueue: (filePaths, options) => ipcRenderer.invoke('queue:add', { filePaths, options }),
+  
+  // List all jobs in the batch queue
+  listJobs: () => ipcRenderer.invoke('queue:list'),
+  
+  // Set how many files are processed in parallel
+  setConcurrency: (concurrency) => ipcRenderer.invoke('queue:set-concurrency', concurrency),
+  
+  // Cancel a queued or running job
+  cancelJob: (jobId) => ipcRenderer.invoke('queue:cancel', jobId),
+  
+  // Run a failed or cancelled job again
+  retryJob: (jobId) => ipcRenderer.invoke('queue:retry', jobId),
+  
+  // Remove finished, failed and cancelled jobs from the batch queue
+  clearFinishedJobs: () => ipcRenderer.invoke('queue:clear-finished'),
+  
   // Open a file in the system's default application
   openFile: (filePath) => ipcRenderer.invoke('open-file', filePath),
   
+  // Read a result TSV file for the in-app viewer
+  readResultFile: (filePath, useGBK) => ipcRenderer.invoke('result:read', { filePath, useGBK }),
+  
   // Register a callback to be notified of processing progress
   onProgress: (callback) => ipcRenderer.on('process-file:progress', (event, data) => callback(data)),
   
   // Register a callback to be notified of processing errors
-  onError: (callback) => ipcRenderer.on('process-file:error', (event, data) => callback(data))
-});
\ No newline at end of file
+  onError: (callback) => ipcRenderer.on('process-file:error', (event, data) => callback(data)),
+  
+  // Register a callback to be notified when the watched folder changes
+  onWatchUpdate: (callback) => ipcRenderer.on('watch:updated', (event, status) => callback(status)),
+  
+  // Register a callback to be notified when a queued job changes status
+  onQueueUpdate: (callback) => ipcRenderer.on('queue:updated', (event, job) => callback(job))
+});
+
+/**
+ * Expose the compare API to the renderer process
+ * This allows the renderer to compare the results of two runs side by side
+ */
+contextBridge.exposeInMainWorld('compare', {
+  // Pick a -summary.tsv file as one side of the comparison
+  chooseSummaryFile: () => ipcRenderer.invoke('compare:choose-summary'),
+  
+  // Compare two runs given as { historyId } or { summaryPath, options }
+  run: (left, right) => ipcRenderer.invoke('compare:run', { left, right }),
+  
+  // Export the diff table as 'xlsx' or 'tsv'
+  exportDiff: (left, right, format) => ipcRenderer.invoke('compare:export', { left, right, format })
+});
+
+/**
+ * Expose the viewer window API to the renderer process
+ * This allows result viewers to be opened in separate windows
+ */
+contextBridge.exposeInMainWorld('viewerWindow', {
+  // Open the results of a run ({ filePath, options, outputFiles }) in a new window
+  open: (payload) => ipcRenderer.invoke('viewer:open', payload),
+  
+  // Get the run shown by this viewer window
+  getJob: () => ipcRenderer.invoke('viewer:get-job')
+});
+
+/**
+ * Expose the engine API to the renderer process
+ * This allows the renderer to show which SHCarrier engine is used and to choose another one
+ */
+contextBridge.exposeInMainWorld('engine', {
+  // Get the result of the startup self-check
+  getStatus: () => ipcRenderer.invoke('engine:status'),
+  
+  // Choose the SHCarrier executable to use
+  chooseExecutable: () => ipcRenderer.invoke('engine:choose'),
+  
+  // Go back to the bundled engine
+  resetExecutable: () => ipcRenderer.invoke('engine:reset'),
+  
+  // Choose the Wine launcher that runs SHCarrier.exe
+  chooseWine: () => ipcRenderer.invoke('engine:choose-wine'),
+  
+  // Go back to the Wine launcher found on the PATH
+  resetWine: () => ipcRenderer.invoke('engine:reset-wine')
+});
+
+/**
+ * Expose the history API to the renderer process
+ * This allows the renderer to search the audit trail of past runs
+ */
+contextBridge.exposeInMainWorld('runHistory', {
+  // Search past runs, newest first
+  list: (query) => ipcRenderer.invoke('history:list', query)
+});
+
+/**
+ * Expose the settings API to the renderer process
+ * This allows the renderer to restore remembered options
+ * and manage named processing presets
+ */
+contextBridge.exposeInMainWorld('settings', {
+  // Get all remembered settings
+  get: () => ipcRenderer.invoke('settings:get'),
+  
+  // Remember the options of the last run
+  setLastOptions: (options) => ipcRenderer.invoke('settings:set-last-options', options),
+  
+  // Change how many minutes a run may take, 0 for no limit
+  setEngineTimeout: (minutes) => ipcRenderer.invoke('settings:set-engine-timeout', minutes),
+  
+  // Create or replace a named preset
+  savePreset: (name, options) => ipcRenderer.invoke('presets:save', { name, options }),
+  
+  // Delete a named preset
+  deletePreset: (name) => ipcRenderer.invoke('presets:delete', name),
+  
+  // Select a preset, or clear the selection with null
+  selectPreset: (name) => ipcRenderer.invoke('presets:select', name)
+});
+
+/**
+ * Expose the local HTTP API settings to the renderer process
+ * This allows the Advanced options to turn the API on and show its token
+ */
+contextBridge.exposeInMainWorld('localApi', {
+  // Get the state of the HTTP API
+  getStatus: () => ipcRenderer.invoke('api:get'),
+  
+  // Enable or disable the HTTP API on a port
+  set: (enabled, port) => ipcRenderer.invoke('api:set', { enabled, port }),
+  
+  // Replace the token clients must send
+  newToken: () => ipcRenderer.invoke('api:new-token')
+});
+
+/**
+ * Expose the QC rules API to the renderer process
+ * This allows the QC rules to be edited and runs to be checked against them
+ */
+contextBridge.exposeInMainWorld('qc', {
+  // Get the QC rules and the default rules
+  getRules: () => ipcRenderer.invoke('qc:get-rules'),
+  
+  // Replace the QC rules
+  setRules: (rules) => ipcRenderer.invoke('qc:set-rules', rules),
+  
+  // Check result files against the current QC rules
+  evaluate: (outputFiles, options) => ipcRenderer.invoke('qc:evaluate', { outputFiles, options })
+});
+
+/**
+ * Expose the sample sheet API to the renderer process
+ * This allows patient metadata to be imported and joined to the results of the runs
+ */
+contextBridge.exposeInMainWorld('sampleSheet', {
+  // Open a file dialog and import a CSV, TSV or XLSX sample sheet
+  import: () => ipcRenderer.invoke('sample-sheet:import'),
+  
+  // Get the imported sample sheet, or null when none is imported
+  get: () => ipcRenderer.invoke('sample-sheet:get'),
+  
+  // Stop joining the sample sheet to new runs
+  clear: () => ipcRenderer.invoke('sample-sheet:clear'),
+  
+  // Join the imported sample sheet to result files
+  match: (outputFiles, options) => ipcRenderer.invoke('sample-sheet:match', { outputFiles, options })
+});
+
+/**
+ * Expose the updates API to the renderer process
+ * This allows app releases and engine versions to be installed from the update feed
+ */
+contextBridge.exposeInMainWorld('updates', {
+  // Get the update feed, the app version and the engine versions
+  getStatus: () => ipcRenderer.invoke('update:get-status'),
+  
+  // Use a feed folder, feed.json path or http(s) URL, or no feed with null
+  setFeed: (feed) => ipcRenderer.invoke('update:set-feed', feed),
+  
+  // Open a folder dialog to choose the feed folder
+  chooseFeed: () => ipcRenderer.invoke('update:choose-feed'),
+  
+  // Check the feed for a newer app release and for engine versions
+  check: () => ipcRenderer.invoke('update:check'),
+  
+  // Download the installer of the newer app release and verify its checksum
+  downloadApp: () => ipcRenderer.invoke('update:download-app'),
+  
+  // Start the downloaded installer and quit the app
+  installApp: () => ipcRenderer.invoke('update:install-app'),
+  
+  // Download an engine version from the feed and install it
+  installEngine: (version) => ipcRenderer.invoke('engine-versions:install', version),
+  
+  // Make an installed engine version active, or the bundled engine with null
+  activateEngine: (version) => ipcRenderer.invoke('engine-versions:activate', version),
+  
+  // Delete an installed engine version
+  removeEngine: (version) => ipcRenderer.invoke('engine-versions:remove', version)
+});
+
+/**
+ * Expose the application menu API to the renderer process
+ * This allows menu entries and their keyboard shortcuts to act on the page
+ */
+contextBridge.exposeInMainWorld('appMenu', {
+  // Register a callback to be notified of menu commands ({ command, filePath })
+  onCommand: (callback) => ipcRenderer.on('menu:command', (event, payload) => callback(payload))
+});
+
+/**
+ * Expose the i18n API to the renderer process
+ * Messages of the chosen language and switching the language of all windows
+ */
+contextBridge.exposeInMainWorld('i18n', {
+  // Get the messages of the current language
+  getBundle: () => ipcRenderer.invoke('i18n:get'),
+  
+  // Change the language, or follow the system language again with null
+  setLocale: (locale) => ipcRenderer.invoke('i18n:set-locale', locale),
+  
+  // Register a callback to be notified when the language changes
+  onUpdate: (callback) => ipcRenderer.on('i18n:updated', (event, bundle) => callback(bundle))
+});
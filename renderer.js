@@ -8,9 +8,14 @@
 console.log('renderer.js loaded and executing');
 
 // Ensure DOM is fully loaded before binding event listeners
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
   console.log('DOM content loaded, binding event listeners');
 
+  // Translations of the page, loaded before anything is rendered
+  const translations = createTranslations();
+  const { t } = translations;
+  await translations.load();
+
   // Theme is now automatically managed based on system preferences
   console.log('Theme is now automatically managed based on system preferences');
 
@@ -61,37 +66,461 @@ window.addEventListener('DOMContentLoaded', () => {
   // Initialize theme when the application starts
   initializeTheme();
 
+  // Get references to the language switcher
+  const languageSelect = document.getElementById('language-select');
+
   // Get references to file upload DOM elements
-  const fileInput = document.getElementById('file-input');
+  const dropZone = document.getElementById('drop-zone');
   const selectFileButton = document.getElementById('select-file-button');
+  const selectFolderButton = document.getElementById('select-folder-button');
   const selectedFilePath = document.getElementById('selected-file-path');
+  const selectedFileList = document.getElementById('selected-file-list');
   const processFileBtn = document.getElementById('process-file');
   const processingStatus = document.getElementById('processing-status');
   
+  // Get references to engine status DOM elements
+  const engineStatusContainer = document.getElementById('engine-status');
+  const engineStatusText = document.getElementById('engine-status-text');
+  const chooseEngineBtn = document.getElementById('choose-engine');
+  const resetEngineBtn = document.getElementById('reset-engine');
+  const chooseWineBtn = document.getElementById('choose-wine');
+  const resetWineBtn = document.getElementById('reset-wine');
+
+  // Get references to watched folder DOM elements
+  const watchEnabledCheckbox = document.getElementById('watch-enabled');
+  const watchFolderPath = document.getElementById('watch-folder-path');
+  const chooseWatchFolderBtn = document.getElementById('choose-watch-folder');
+
+  // Get references to sample sheet DOM elements
+  const sampleSheetPath = document.getElementById('sample-sheet-path');
+  const importSampleSheetBtn = document.getElementById('import-sample-sheet');
+  const clearSampleSheetBtn = document.getElementById('clear-sample-sheet');
+  const sampleSheetStatus = document.getElementById('sample-sheet-status');
+
   // Get references to processing options DOM elements
   const useAreaCheckbox = document.getElementById('use-area');
   const stdNameInput = document.getElementById('std-name');
   const useGBKCheckbox = document.getElementById('use-gbk');
-  // Development mode is now hidden from UI and disabled by default
-  const devModeCheckbox = { checked: false }; // Simulate checkbox element with dev mode disabled
+  const detectedEncoding = document.getElementById('detected-encoding');
+  const concurrencyInput = document.getElementById('concurrency');
+  const engineTimeoutInput = document.getElementById('engine-timeout');
+  const devModeCheckbox = document.getElementById('dev-mode');
+  const outputDirPath = document.getElementById('output-dir-path');
+  const chooseOutputDirBtn = document.getElementById('choose-output-dir');
+  const clearOutputDirBtn = document.getElementById('clear-output-dir');
+  const moveOutputsCheckbox = document.getElementById('move-outputs');
+
+  // Folder the results are copied or moved to, null keeps them next to the input
+  let outputDir = null;
+
+  // Get references to HTTP API DOM elements
+  const apiEnabledCheckbox = document.getElementById('api-enabled');
+  const apiPortInput = document.getElementById('api-port');
+  const apiDetails = document.getElementById('api-details');
+  const apiTokenInput = document.getElementById('api-token');
+  const copyApiTokenBtn = document.getElementById('copy-api-token');
+  const newApiTokenBtn = document.getElementById('new-api-token');
+  const apiStatusText = document.getElementById('api-status');
+
+  // Last known state of the HTTP API, shown again when the language changes
+  let apiStatus = null;
+
+  // Get references to QC rule DOM elements
+  const qcRulesBody = document.getElementById('qc-rules-body');
+  const addQcRuleBtn = document.getElementById('add-qc-rule');
+  const saveQcRulesBtn = document.getElementById('save-qc-rules');
+  const resetQcRulesBtn = document.getElementById('reset-qc-rules');
+  const qcRulesStatus = document.getElementById('qc-rules-status');
+
+  // QC rule types in the order they are offered, duplicate names need no threshold
+  const QC_RULE_TYPES = ['minPeakHeight', 'minPeakArea', 'stdRatio', 'duplicateName'];
+  const QC_RULES_WITHOUT_THRESHOLD = ['duplicateName'];
+
+  // QC rules being edited, and the defaults offered by Restore Defaults
+  let qcRules = [];
+  let defaultQcRules = [];
+
+  // Get references to update DOM elements
+  const updateFeedInput = document.getElementById('update-feed');
+  const chooseUpdateFeedBtn = document.getElementById('choose-update-feed');
+  const checkUpdatesBtn = document.getElementById('check-updates');
+  const appUpdateContainer = document.getElementById('app-update');
+  const engineVersionsBody = document.getElementById('engine-versions-body');
+  const updateStatusText = document.getElementById('update-status');
+
+  // Last known state of the update feed and the engine versions, shown again when the language changes
+  let updateStatus = null;
+
+  // Get references to preset DOM elements
+  const presetSelect = document.getElementById('preset-select');
+  const presetNameInput = document.getElementById('preset-name');
+  const savePresetBtn = document.getElementById('save-preset');
+  const deletePresetBtn = document.getElementById('delete-preset');
+
+  // Presets loaded from the settings store, as { name, options }
+  let presets = [];
+
+  // Get references to pre-flight validation DOM elements
+  const validationResults = document.getElementById('validation-results');
+  const validationSummary = document.getElementById('validation-summary');
+  const validationTableBody = document.getElementById('validation-table-body');
+
+  // Get references to job queue DOM elements
+  const jobTableBody = document.getElementById('job-table-body');
+  const clearFinishedJobsBtn = document.getElementById('clear-finished-jobs');
+
+  // Get references to log panel DOM elements
+  const logPanel = document.getElementById('log-panel');
+  const logOutput = document.getElementById('log-output');
+  const logAutoscrollCheckbox = document.getElementById('log-autoscroll');
+  const clearLogBtn = document.getElementById('clear-log');
+
+  // Oldest log lines are dropped beyond this limit to keep the panel responsive
+  const MAX_LOG_LINES = 5000;
+
+  // Get references to history DOM elements
+  const historyPanel = document.getElementById('history-panel');
+  const historySearchInput = document.getElementById('history-search');
+  const refreshHistoryBtn = document.getElementById('refresh-history');
+  const historyTableBody = document.getElementById('history-table-body');
+
+  // Timer used to debounce history searches while typing
+  let historySearchTimer = null;
+
+  // Get references to compare DOM elements
+  const comparePanel = document.getElementById('compare-panel');
+  const compareSelects = {
+    left: document.getElementById('compare-left'),
+    right: document.getElementById('compare-right')
+  };
+  const compareRunsBtn = document.getElementById('compare-runs');
+  const compareOnlyChangesCheckbox = document.getElementById('compare-only-changes');
+  const compareExportXlsxBtn = document.getElementById('compare-export-xlsx');
+  const compareExportTsvBtn = document.getElementById('compare-export-tsv');
+  const compareSummary = document.getElementById('compare-summary');
+  const compareTableBody = document.getElementById('compare-table-body');
+
+  // Summary files picked for each side, kept in the dropdowns next to the history runs
+  const comparePickedFiles = { left: [], right: [] };
+
+  // Last comparison and the sources it was made from, used for filtering and export
+  let compareState = null;
+
+  // Get references to result viewer DOM elements, the table and chart are handled by result-viewer.js
+  const resultViewer = document.getElementById('result-viewer');
+  const closeResultViewerBtn = document.getElementById('close-result-viewer');
+  const popOutResultViewerBtn = document.getElementById('pop-out-result-viewer');
+  const resultViewerPanel = createResultViewer({ t });
+
+  // Variable to store the currently selected file paths
+  let currentFilePaths = [];
+
+  // Latest pre-flight validation report of every selected file, keyed by file path
+  let validationReports = new Map();
+
+  // Latest known state of every job, keyed by job ID
+  const jobs = new Map();
+
+  // IDs of the jobs submitted by the last click on the process button
+  let activeBatch = new Set();
+
+  // Job statuses with a translated label
+  const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+  /**
+   * Get the display label of a job or run status
+   * @param {string} status - Job status
+   * @returns {string} - Translated label
+   */
+  const getStatusLabel = (status) => (JOB_STATUSES.includes(status) ? t(`jobs.status.${status}`) : status);
+
+  /**
+   * Show the selected files
+   */
+  const renderSelectedFiles = () => {
+    selectedFilePath.textContent = currentFilePaths.length === 0
+      ? t('input.none')
+      : currentFilePaths.length === 1 ? currentFilePaths[0] : t('input.fileCount', { count: currentFilePaths.length });
+    processFileBtn.disabled = currentFilePaths.length === 0;
 
-  // Variable to store the currently selected file path
-  let currentFilePath = null;
+    // List every file when more than one is selected
+    selectedFileList.replaceChildren();
+    if (currentFilePaths.length > 1) {
+      currentFilePaths.forEach(filePath => {
+        const item = document.createElement('li');
+        item.textContent = filePath;
+        selectedFileList.appendChild(item);
+      });
+    }
+  };
 
   /**
-   * Updates the UI to reflect the selected file
-   * @param {string} filePath - Path to the selected file
+   * Updates the UI to reflect the selected files
+   * @param {string[]} filePaths - Paths to the selected files
    */
-  const updateSelectedFile = (filePath) => {
-    currentFilePath = filePath;
-    selectedFilePath.textContent = filePath || 'None';
-    processFileBtn.disabled = !filePath;
+  const updateSelectedFiles = (filePaths) => {
+    currentFilePaths = filePaths || [];
+    renderSelectedFiles();
     
     // Clear any previous processing status
     processingStatus.textContent = '';
     processingStatus.classList.remove('success', 'error');
     
-    console.log('[File Upload] Selected file:', filePath);
+    console.log('[File Upload] Selected files:', currentFilePaths);
+
+    // Check the new selection before anything is processed
+    runPreflight();
+  };
+
+  /**
+   * Show the pre-flight validation reports as one table row per issue
+   */
+  const renderValidationResults = () => {
+    validationTableBody.replaceChildren();
+    validationResults.hidden = validationReports.size === 0;
+
+    let filesWithErrors = 0;
+    let filesWithWarnings = 0;
+
+    validationReports.forEach(report => {
+      const hasErrors = report.issues.some(issue => issue.level === 'error');
+      const hasWarnings = report.issues.some(issue => issue.level === 'warning');
+      filesWithErrors += hasErrors ? 1 : 0;
+      filesWithWarnings += !hasErrors && hasWarnings ? 1 : 0;
+
+      report.issues.forEach(issue => {
+        const row = document.createElement('tr');
+        row.className = `validation-${issue.level}`;
+
+        const fileCell = document.createElement('td');
+        fileCell.textContent = report.encoding
+          ? `${getFileName(report.filePath)} [${t(`encoding.${report.encoding}`)}]`
+          : getFileName(report.filePath);
+        fileCell.title = report.filePath;
+
+        const rowCell = document.createElement('td');
+        rowCell.textContent = issue.row === null ? '-' : issue.row;
+
+        const levelCell = document.createElement('td');
+        levelCell.textContent = issue.level === 'error' ? t('preflight.error') : t('preflight.warning');
+
+        const messageCell = document.createElement('td');
+        messageCell.textContent = issue.message;
+
+        row.append(fileCell, rowCell, levelCell, messageCell);
+        validationTableBody.appendChild(row);
+      });
+    });
+
+    // Encodings found in the selected files, -GBK is set from them when processing
+    const encodings = new Set(Array.from(validationReports.values(), report => report.encoding).filter(Boolean));
+    detectedEncoding.hidden = encodings.size === 0;
+    detectedEncoding.textContent = t('options.detectedEncoding', {
+      encodings: Array.from(encodings, encoding => t(`encoding.${encoding}`)).join(', ')
+    });
+
+    const passed = validationReports.size - filesWithErrors - filesWithWarnings;
+    validationSummary.textContent = t('preflight.summary', {
+      total: validationReports.size,
+      passed,
+      warnings: filesWithWarnings,
+      errors: filesWithErrors
+    });
+  };
+
+  /**
+   * Validate every selected file with the current options
+   * @returns {Promise<Map>} - Validation reports keyed by file path
+   */
+  const runPreflight = async () => {
+    const filePaths = currentFilePaths;
+    const options = getOptions();
+
+    try {
+      const reports = await Promise.all(filePaths.map(filePath => window.fileProcessor.validateInput(filePath, options)));
+      // Ignore stale results when the selection changed while validating
+      if (filePaths !== currentFilePaths) {
+        return validationReports;
+      }
+      validationReports = new Map(reports.map(report => [report.filePath, report]));
+    } catch (error) {
+      console.error('[Validator] Pre-flight check failed:', error);
+      validationReports = new Map();
+    }
+
+    renderValidationResults();
+    return validationReports;
+  };
+
+  /**
+   * Read the processing options from the form
+   * @returns {Object} - Processing options
+   */
+  const getOptions = () => ({
+    useArea: useAreaCheckbox.checked,
+    stdName: stdNameInput.value.trim(),
+    useGBK: useGBKCheckbox.checked,
+    devMode: devModeCheckbox.checked,
+    outputDir,
+    moveOutputs: Boolean(outputDir) && moveOutputsCheckbox.checked
+  });
+
+  /**
+   * Show the chosen output folder
+   * @param {string|null} folderPath - Output folder, or null for next to the input file
+   */
+  const setOutputDir = (folderPath) => {
+    outputDir = folderPath || null;
+    outputDirPath.textContent = outputDir || t('options.nextToInput');
+    outputDirPath.title = outputDir || '';
+    clearOutputDirBtn.hidden = !outputDir;
+    moveOutputsCheckbox.disabled = !outputDir;
+  };
+
+  /**
+   * Fill the form with processing options
+   * @param {Object} options - Processing options
+   */
+  const applyOptions = (options) => {
+    useAreaCheckbox.checked = Boolean(options.useArea);
+    stdNameInput.value = options.stdName || 'STD';
+    useGBKCheckbox.checked = Boolean(options.useGBK);
+    devModeCheckbox.checked = Boolean(options.devMode);
+    moveOutputsCheckbox.checked = Boolean(options.moveOutputs);
+    setOutputDir(options.outputDir);
+  };
+
+  /**
+   * Rebuild the preset dropdown
+   * @param {string|null} selectedName - Preset to select, or null for "Custom"
+   */
+  const renderPresets = (selectedName) => {
+    presetSelect.replaceChildren();
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.textContent = t('preset.custom');
+    presetSelect.appendChild(customOption);
+
+    presets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.name;
+      option.textContent = preset.name;
+      presetSelect.appendChild(option);
+    });
+
+    presetSelect.value = selectedName || '';
+    deletePresetBtn.disabled = !presetSelect.value;
+  };
+
+  /**
+   * Restore remembered options, presets and the parallel jobs limit
+   */
+  const loadSettings = async () => {
+    try {
+      const stored = await window.settings.get();
+      presets = stored.presets || [];
+      const activePreset = presets.find(preset => preset.name === stored.activePreset);
+
+      applyOptions(activePreset ? activePreset.options : stored.lastOptions);
+      renderPresets(activePreset ? activePreset.name : null);
+      concurrencyInput.value = stored.concurrency;
+      engineTimeoutInput.value = stored.engineTimeoutMinutes;
+      console.log('[Settings] Restored settings, active preset:', stored.activePreset);
+    } catch (error) {
+      console.error('[Settings] Failed to load settings:', error);
+    }
+  };
+
+  /**
+   * Apply the preset chosen in the dropdown
+   */
+  const handlePresetChange = async () => {
+    try {
+      const preset = await window.settings.selectPreset(presetSelect.value || null);
+      if (preset) {
+        applyOptions(preset.options);
+        runPreflight();
+      }
+      deletePresetBtn.disabled = !preset;
+    } catch (error) {
+      console.error('[Settings] Failed to select preset:', error);
+    }
+  };
+
+  /**
+   * Switch the dropdown back to "Custom" once the options no longer match the selected preset
+   */
+  const handleOptionChange = () => {
+    const preset = presets.find(item => item.name === presetSelect.value);
+    if (!preset) {
+      return;
+    }
+
+    const options = getOptions();
+    // Presets saved before an option existed lack it, so missing and empty values are equal
+    const matches = ['useArea', 'stdName', 'useGBK', 'devMode', 'outputDir', 'moveOutputs']
+      .every(key => (preset.options[key] || null) === (options[key] || null));
+    if (!matches) {
+      presetSelect.value = '';
+      handlePresetChange();
+    }
+  };
+
+  /**
+   * Pick the folder the results are copied or moved to
+   */
+  const chooseOutputDir = async () => {
+    try {
+      const result = await window.fileProcessor.openOutputFolderDialog(outputDir);
+      if (!result.canceled) {
+        setOutputDir(result.folderPath);
+        handleOptionChange();
+      }
+    } catch (error) {
+      console.error('[Settings] Failed to choose output folder:', error);
+    }
+  };
+
+  /**
+   * Save the current options under the name typed in the preset name field
+   */
+  const savePreset = async () => {
+    const name = presetNameInput.value.trim() || presetSelect.value;
+    if (!name) {
+      processingStatus.textContent = t('preset.nameRequired');
+      processingStatus.classList.add('error');
+      return;
+    }
+
+    try {
+      const result = await window.settings.savePreset(name, getOptions());
+      if (!result.success) {
+        processingStatus.textContent = t('common.error', { message: result.error });
+        processingStatus.classList.add('error');
+        return;
+      }
+      presets = result.presets;
+      renderPresets(name);
+      presetNameInput.value = '';
+    } catch (error) {
+      console.error('[Settings] Failed to save preset:', error);
+    }
+  };
+
+  /**
+   * Delete the preset selected in the dropdown
+   */
+  const deletePreset = async () => {
+    if (!presetSelect.value) {
+      return;
+    }
+
+    try {
+      presets = await window.settings.deletePreset(presetSelect.value);
+      renderPresets(null);
+    } catch (error) {
+      console.error('[Settings] Failed to delete preset:', error);
+    }
   };
 
   /**
@@ -103,158 +532,1663 @@ window.addEventListener('DOMContentLoaded', () => {
   };
 
   /**
-   * Handle file input change events - this is now unused as we're using openFileDialog directly
-   * @param {Event} event - The change event
+   * Handle files and folders dropped on the drop zone
+   * Real paths are resolved through the preload bridge, folders are expanded in the main process
+   * @param {DragEvent} event - The drop event
    */
-  const handleFileInputChange = (event) => {
-    // This function is now unused, but we'll keep it for compatibility
-    // and clear the input value so it doesn't interfere with our new approach
-    if (event.target) {
-      event.target.value = '';
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('drag-over');
+
+    try {
+      const filePaths = await window.fileProcessor.resolveDroppedFiles(event.dataTransfer.files);
+
+      updateSelectedFiles(filePaths);
+      if (filePaths.length === 0) {
+        processingStatus.textContent = t('input.noneDropped');
+        processingStatus.classList.add('error');
+      }
+    } catch (error) {
+      console.error('[File Upload] Failed to handle dropped files:', error);
     }
   };
 
   /**
-   * Open file dialog to select a file
+   * Show the result of the engine self-check
+   * @param {Object} status - { available, engine, checked, message, winePath, usesWine }
    */
-  const openFileDialog = async () => {
+  const updateEngineStatus = (status) => {
+    engineStatusText.textContent = status.message;
+    engineStatusText.title = status.checked
+      .map(item => `${item.path}: ${item.code ? t(`engine.reason.${item.code}`, { detail: item.detail }) : item.reason}`)
+      .join('\n');
+    engineStatusContainer.classList.toggle('error', !status.available);
+    resetEngineBtn.hidden = !(status.engine && status.engine.kind === 'configured')
+      && !status.checked.some(item => item.kind === 'configured');
+    chooseWineBtn.hidden = !status.usesWine;
+    chooseWineBtn.title = status.winePath || '';
+    resetWineBtn.hidden = !status.winePath;
+  };
+
+  /**
+   * Choose another engine executable, or go back to the bundled one
+   * @param {boolean} reset - Whether to forget the configured executable
+   */
+  const changeEngine = async (reset) => {
     try {
-      const result = await window.fileProcessor.openFileDialog();
-      
-      if (!result.canceled && result.filePath) {
-        updateSelectedFile(result.filePath);
-      }
+      const status = reset
+        ? await window.engine.resetExecutable()
+        : await window.engine.chooseExecutable();
+      updateEngineStatus(status);
     } catch (error) {
-      console.error('[File Upload] Failed to open file dialog:', error);
+      console.error('[Engine] Failed to change engine:', error);
     }
   };
 
   /**
-   * Process the selected file using SHCarrier.exe
+   * Choose the Wine launcher, or go back to the one found on the PATH
+   * @param {boolean} reset - Whether to forget the configured launcher
    */
-  const processFile = async () => {
-    if (!currentFilePath) {
-      processingStatus.textContent = 'Error: No file selected.';
-      processingStatus.classList.add('error');
+  const changeWine = async (reset) => {
+    try {
+      const status = reset
+        ? await window.engine.resetWine()
+        : await window.engine.chooseWine();
+      updateEngineStatus(status);
+    } catch (error) {
+      console.error('[Engine] Failed to change the Wine launcher:', error);
+    }
+  };
+
+  /**
+   * Show the state of the watched folder
+   * @param {Object} status - { enabled, folderPath }
+   */
+  const updateWatchStatus = (status) => {
+    watchEnabledCheckbox.checked = status.enabled;
+    watchFolderPath.textContent = status.folderPath || t('watch.noFolder');
+    watchFolderPath.title = status.folderPath || '';
+  };
+
+  /**
+   * Show the imported sample sheet
+   * @param {Object|null} sheet - { filePath, rows, duplicates, columns }, or null when none is imported
+   */
+  const updateSampleSheetStatus = (sheet) => {
+    sampleSheetPath.textContent = sheet ? getFileName(sheet.filePath) : t('sampleSheet.none');
+    sampleSheetPath.title = sheet ? sheet.filePath : '';
+    clearSampleSheetBtn.hidden = !sheet;
+    sampleSheetStatus.classList.remove('error');
+    if (!sheet) {
+      sampleSheetStatus.textContent = '';
       return;
     }
-    
-    // Disable the process button during processing
-    processFileBtn.disabled = true;
-    
-    // Clear previous status and show processing message
-    processingStatus.textContent = 'Processing file...';
-    processingStatus.classList.remove('success', 'error');
-    
-    // Get processing options
-    const options = {
-      useArea: useAreaCheckbox.checked,
-      stdName: stdNameInput.value.trim(),
-      useGBK: useGBKCheckbox.checked,
-      devMode: devModeCheckbox.checked
-    };
-    
-    console.log('[SHCarrier] Processing file with options:', options);
-    
+    const fields = sheet.columns.filter(field => field !== 'sampleName').map(field => t(`sampleSheet.field.${field}`));
+    sampleSheetStatus.textContent = [
+      t('sampleSheet.loaded', { rows: sheet.rows }),
+      fields.length > 0 ? t('sampleSheet.columns', { fields: fields.join(', ') }) : t('sampleSheet.noMetadata'),
+      sheet.duplicates.length > 0 ? t('sampleSheet.duplicates', { samples: sheet.duplicates.join(', ') }) : null
+    ].filter(Boolean).join(' ');
+  };
+
+  /**
+   * Import a sample sheet, its metadata is joined to the runs finished from now on
+   */
+  const importSampleSheet = async () => {
     try {
-      const result = await window.fileProcessor.processFile(currentFilePath, options);
-      
+      const result = await window.sampleSheet.import();
+      if (result.canceled) {
+        return;
+      }
       if (result.success) {
-        // Show success message with links to output files
-        let statusMessage = 'Processing completed successfully.';
-        
-        if (result.outputFiles) {
-          statusMessage += '<br><br>Output files:';
-          
-          if (result.outputFiles.summary) {
-            statusMessage += `<br><a href="#" class="output-file-link" data-path="${result.outputFiles.summary}">Summary File</a>`;
-          }
-          
-          if (result.outputFiles.calculation) {
-            statusMessage += `<br><a href="#" class="output-file-link" data-path="${result.outputFiles.calculation}">Calculation File</a>`;
-          }
-        }
-        
-        processingStatus.innerHTML = statusMessage;
-        processingStatus.classList.add('success');
-        
-        // Add event listeners to output file links
-        const outputFileLinks = processingStatus.querySelectorAll('.output-file-link');
-        outputFileLinks.forEach(link => {
-          link.addEventListener('click', async (event) => {
-            event.preventDefault();
-            const filePath = event.target.getAttribute('data-path');
-            
-            if (filePath) {
-              try {
-                await window.fileProcessor.openFile(filePath);
-              } catch (error) {
-                console.error('[SHCarrier] Failed to open output file:', error);
-              }
-            }
-          });
-        });
+        updateSampleSheetStatus(result.sampleSheet);
       } else {
-        // Show error message
-        processingStatus.textContent = `Error: Processing failed. ${result.stderr || ''}`;
-        processingStatus.classList.add('error');
+        sampleSheetStatus.textContent = t('sampleSheet.failed', { error: result.error });
+        sampleSheetStatus.classList.add('error');
       }
     } catch (error) {
-      processingStatus.textContent = `Error: ${error.message || 'Unknown error occurred.'}`;
-      processingStatus.classList.add('error');
-      console.error('[SHCarrier] Processing error:', error);
-    } finally {
-      // Re-enable the process button
-      processFileBtn.disabled = !currentFilePath;
+      console.error('[SampleSheet] Failed to import sample sheet:', error);
     }
   };
 
   /**
-   * Register progress update handler
+   * Stop joining the sample sheet to new runs
    */
-  const registerProgressHandler = () => {
+  const clearSampleSheet = async () => {
     try {
-      window.fileProcessor.onProgress((data) => {
-        if (data.output) {
-          console.log('[SHCarrier] Progress:', data.output);
-          // Could update a progress indicator here if needed
-        }
-      });
-      
-      window.fileProcessor.onError((data) => {
-        if (data.error) {
-          console.error('[SHCarrier] Error:', data.error);
-          // Could update an error indicator here if needed
-        }
-      });
-      
-      console.log('[SHCarrier] Progress handlers registered');
+      await window.sampleSheet.clear();
+      updateSampleSheetStatus(null);
     } catch (error) {
-      console.error('[SHCarrier] Failed to register progress handlers:', error);
+      console.error('[SampleSheet] Failed to remove sample sheet:', error);
     }
   };
 
-  // Set up file input event listener
-  if (fileInput) {
-    fileInput.addEventListener('change', handleFileInputChange);
-  } else {
-    console.error('file-input element not found');
-  }
+  /**
+   * Show the state of the HTTP API
+   * @param {Object} status - { enabled, running, port, token, url, error }
+   */
+  const updateApiStatus = (status) => {
+    apiStatus = status;
+    apiEnabledCheckbox.checked = status.enabled;
+    apiPortInput.value = status.port;
+    apiTokenInput.value = status.token || '';
+    apiDetails.hidden = !status.enabled;
+    apiStatusText.classList.toggle('error', Boolean(status.error));
+    if (status.error) {
+      apiStatusText.textContent = t('api.failed', { error: status.error });
+    } else {
+      apiStatusText.textContent = status.running ? t('api.running', { url: status.url }) : '';
+    }
+  };
 
-  // Set up select file button event listener
-  if (selectFileButton) {
-    selectFileButton.addEventListener('click', handleSelectFileButtonClick);
-  } else {
-    console.error('select-file-button element not found');
-  }
+  /**
+   * Turn the HTTP API on or off, or move it to the entered port
+   */
+  const changeApi = async () => {
+    const port = Number(apiPortInput.value);
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      apiStatusText.textContent = t('api.invalidPort');
+      apiStatusText.classList.add('error');
+      return;
+    }
+    try {
+      updateApiStatus(await window.localApi.set(apiEnabledCheckbox.checked, port));
+    } catch (error) {
+      console.error('[API] Failed to change the HTTP API:', error);
+    }
+  };
 
-  // Set up process file button event listener
-  if (processFileBtn) {
-    processFileBtn.addEventListener('click', processFile);
-  } else {
-    console.error('process-file button not found');
-  }
+  /**
+   * Replace the HTTP API token
+   */
+  const renewApiToken = async () => {
+    try {
+      updateApiStatus(await window.localApi.newToken());
+    } catch (error) {
+      console.error('[API] Failed to create a new token:', error);
+    }
+  };
 
-  // Register progress handlers
-  registerProgressHandler();
-});
+  /**
+   * Show a message below the QC rule editor
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Whether the message reports a problem
+   */
+  const showQcRulesStatus = (message, isError) => {
+    qcRulesStatus.textContent = message;
+    qcRulesStatus.classList.toggle('error', isError);
+  };
+
+  /**
+   * Default threshold of a QC rule type
+   * @param {string} type - Rule type
+   * @returns {number|null} - Threshold of the default rule, null for rules without one
+   */
+  const getDefaultQcThreshold = (type) => {
+    const rule = defaultQcRules.find(item => item.type === type);
+    return rule ? rule.threshold : null;
+  };
+
+  /**
+   * Create a select element with translated options
+   * @param {string[]} values - Option values
+   * @param {Function} getLabel - Returns the label of a value
+   * @param {string} selected - Selected value
+   * @returns {HTMLSelectElement} - The select element
+   */
+  const createSelect = (values, getLabel, selected) => {
+    const select = document.createElement('select');
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = getLabel(value);
+      select.appendChild(option);
+    });
+    select.value = selected;
+    return select;
+  };
+
+  /**
+   * Render the QC rule editor, edits change the rules in place until they are saved
+   */
+  const renderQcRules = () => {
+    qcRulesBody.replaceChildren();
+    qcRules.forEach((rule, index) => {
+      const row = document.createElement('tr');
+
+      const enabledCell = document.createElement('td');
+      const enabledCheckbox = document.createElement('input');
+      enabledCheckbox.type = 'checkbox';
+      enabledCheckbox.checked = rule.enabled;
+      enabledCheckbox.addEventListener('change', () => {
+        rule.enabled = enabledCheckbox.checked;
+      });
+      enabledCell.appendChild(enabledCheckbox);
+
+      const typeCell = document.createElement('td');
+      const typeSelect = createSelect(QC_RULE_TYPES, type => t(`qc.type.${type}`), rule.type);
+      typeSelect.addEventListener('change', () => {
+        rule.type = typeSelect.value;
+        rule.threshold = getDefaultQcThreshold(rule.type);
+        renderQcRules();
+      });
+      typeCell.appendChild(typeSelect);
+
+      const thresholdCell = document.createElement('td');
+      if (!QC_RULES_WITHOUT_THRESHOLD.includes(rule.type)) {
+        const thresholdInput = document.createElement('input');
+        thresholdInput.type = 'number';
+        thresholdInput.min = '0';
+        thresholdInput.step = 'any';
+        thresholdInput.value = rule.threshold === null ? '' : rule.threshold;
+        thresholdInput.addEventListener('change', () => {
+          rule.threshold = thresholdInput.value === '' ? null : Number(thresholdInput.value);
+        });
+        thresholdCell.appendChild(thresholdInput);
+      }
+
+      const severityCell = document.createElement('td');
+      const severitySelect = createSelect(['warn', 'fail'], severity => t(`qc.${severity}`), rule.severity);
+      severitySelect.addEventListener('change', () => {
+        rule.severity = severitySelect.value;
+      });
+      severityCell.appendChild(severitySelect);
+
+      const actionsCell = document.createElement('td');
+      const removeButton = document.createElement('button');
+      removeButton.className = 'table-button';
+      removeButton.textContent = t('qc.removeRule');
+      removeButton.addEventListener('click', () => {
+        qcRules.splice(index, 1);
+        renderQcRules();
+      });
+      actionsCell.appendChild(removeButton);
+
+      row.append(enabledCell, typeCell, thresholdCell, severityCell, actionsCell);
+      qcRulesBody.appendChild(row);
+    });
+  };
+
+  /**
+   * Store the edited QC rules, they apply to the runs finished from now on
+   */
+  const saveQcRules = async () => {
+    const invalid = qcRules.some(rule => !QC_RULES_WITHOUT_THRESHOLD.includes(rule.type)
+      && !(Number.isFinite(rule.threshold) && rule.threshold >= 0));
+    if (invalid) {
+      showQcRulesStatus(t('qc.invalidThreshold'), true);
+      return;
+    }
+    try {
+      qcRules = await window.qc.setRules(qcRules);
+      renderQcRules();
+      showQcRulesStatus(t('qc.saved'), false);
+    } catch (error) {
+      console.error('[QC] Failed to save QC rules:', error);
+      showQcRulesStatus(t('qc.saveFailed', { error: error.message }), true);
+    }
+  };
+
+  /**
+   * Label of the engine version recorded with a run
+   * @param {string} version - Installed engine version, or 'bundled'
+   * @returns {string} - Text to show
+   */
+  const getEngineVersionLabel = (version) => (version === 'bundled' ? t('update.bundled') : version);
+
+  /**
+   * Show a message below the update panel
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Whether the message reports a problem
+   */
+  const showUpdateMessage = (message, isError) => {
+    updateStatusText.textContent = message;
+    updateStatusText.classList.toggle('error', isError);
+  };
+
+  /**
+   * Create a button of the update panel
+   * @param {string} key - Translation key of the label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} - The button
+   */
+  const createUpdateButton = (key, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'table-button';
+    button.textContent = t(key);
+    button.addEventListener('click', onClick);
+    return button;
+  };
+
+  /**
+   * Run an update action in the main process and show its outcome
+   * @param {Function} action - Resolves to the update state with success and error
+   * @param {string} pendingMessage - Shown while the action runs
+   * @param {string} doneMessage - Shown when the action succeeded
+   */
+  const runUpdateAction = async (action, pendingMessage, doneMessage) => {
+    showUpdateMessage(pendingMessage, false);
+    try {
+      const status = await action();
+      renderUpdates(status);
+      if (status.success === false) {
+        showUpdateMessage(t('update.failed', { error: status.error }), true);
+      } else {
+        showUpdateMessage(status.canceled ? '' : doneMessage, false);
+      }
+    } catch (error) {
+      console.error('[Update] Update action failed:', error);
+      showUpdateMessage(t('update.failed', { error: error.message }), true);
+    }
+  };
+
+  /**
+   * Make an engine version active and show which engine is used now
+   * @param {string|null} version - Installed engine version, null for the bundled engine
+   */
+  const activateEngineVersion = async (version) => {
+    await runUpdateAction(
+      () => window.updates.activateEngine(version),
+      t('update.activating'),
+      t('update.activated', { version: version || t('update.bundled') })
+    );
+    window.engine.getStatus().then(updateEngineStatus).catch(error => {
+      console.error('[Engine] Failed to load engine status:', error);
+    });
+  };
+
+  /**
+   * Show the app release of the feed and what can be done with it
+   * @param {Object} status - Update state
+   */
+  const renderAppUpdate = (status) => {
+    appUpdateContainer.replaceChildren();
+    const text = document.createElement('span');
+    appUpdateContainer.appendChild(text);
+
+    const app = status.check ? status.check.app : null;
+    if (status.appDownload) {
+      text.textContent = t('update.appDownloaded', { version: status.appDownload.version });
+      appUpdateContainer.appendChild(createUpdateButton('update.installApp', () => runUpdateAction(
+        () => window.updates.installApp(), t('update.installing'), ''
+      )));
+    } else if (app && app.available) {
+      text.textContent = t('update.appAvailable', { version: app.latestVersion, current: app.currentVersion });
+      text.title = app.notes;
+      appUpdateContainer.appendChild(createUpdateButton('update.downloadApp', () => runUpdateAction(
+        () => window.updates.downloadApp(), t('update.downloading'), t('update.downloaded')
+      )));
+    } else if (app) {
+      text.textContent = t('update.appUpToDate', { version: status.appVersion });
+    } else {
+      text.textContent = t('update.appVersion', { version: status.appVersion });
+    }
+  };
+
+  /**
+   * Render the bundled engine, the installed engine versions and those offered by the feed
+   * @param {Object} status - Update state
+   */
+  const renderEngineVersions = (status) => {
+    const versions = new Map(status.installed.map(engine => [engine.version, { ...engine, installed: true }]));
+    (status.check ? status.check.engines : []).forEach(engine => {
+      if (!versions.has(engine.version)) {
+        versions.set(engine.version, { ...engine, installed: false });
+      }
+    });
+    const entries = [{ version: null, notes: '', installed: true }, ...versions.values()];
+
+    engineVersionsBody.replaceChildren();
+    entries.forEach(entry => {
+      const active = entry.version === status.engineVersion;
+      const row = document.createElement('tr');
+      row.classList.toggle('active', active);
+
+      const versionCell = document.createElement('td');
+      versionCell.textContent = entry.version || t('update.bundled');
+      if (entry.installedAt) {
+        versionCell.title = t('update.installedAt', { date: new Date(entry.installedAt).toLocaleString() });
+      }
+
+      const stateCell = document.createElement('td');
+      if (active) {
+        stateCell.textContent = t('update.state.active');
+      } else {
+        stateCell.textContent = t(entry.installed ? 'update.state.installed' : 'update.state.available');
+      }
+
+      const notesCell = document.createElement('td');
+      notesCell.textContent = entry.notes;
+
+      const actionsCell = document.createElement('td');
+      if (!entry.installed) {
+        actionsCell.appendChild(createUpdateButton('update.installEngine', () => runUpdateAction(
+          () => window.updates.installEngine(entry.version),
+          t('update.installingEngine', { version: entry.version }),
+          t('update.installedEngine', { version: entry.version })
+        )));
+      } else if (!active) {
+        actionsCell.appendChild(createUpdateButton('update.activate', () => activateEngineVersion(entry.version)));
+        if (entry.version) {
+          actionsCell.appendChild(createUpdateButton('update.removeEngine', () => runUpdateAction(
+            () => window.updates.removeEngine(entry.version), '', t('update.removedEngine', { version: entry.version })
+          )));
+        }
+      }
+
+      row.append(versionCell, stateCell, notesCell, actionsCell);
+      engineVersionsBody.appendChild(row);
+    });
+  };
+
+  /**
+   * Show the update feed, the app release and the engine versions
+   * @param {Object} status - { feed, appVersion, engineVersion, installed, check, appDownload }
+   */
+  const renderUpdates = (status) => {
+    updateStatus = status;
+    if (document.activeElement !== updateFeedInput) {
+      updateFeedInput.value = status.feed || '';
+    }
+    renderAppUpdate(status);
+    renderEngineVersions(status);
+  };
+
+  /**
+   * Use the entered update feed, an empty field stops using a feed
+   */
+  const changeUpdateFeed = () => {
+    const feed = updateFeedInput.value.trim();
+    runUpdateAction(() => window.updates.setFeed(feed || null), '', '');
+  };
+
+  /**
+   * Start or stop watching the folder
+   * @param {boolean} choose - Whether to pick a new folder before watching
+   */
+  const toggleWatching = async (choose) => {
+    try {
+      const status = watchEnabledCheckbox.checked || choose
+        ? await window.fileProcessor.startWatching(choose)
+        : await window.fileProcessor.stopWatching();
+      updateWatchStatus(status);
+      if (status.error) {
+        processingStatus.textContent = t('watch.failed', { error: status.error });
+        processingStatus.classList.add('error');
+      }
+    } catch (error) {
+      console.error('[Watch] Failed to change watched folder:', error);
+    }
+  };
+
+  /**
+   * Open file dialog to select one or more files
+   */
+  const openFileDialog = async () => {
+    try {
+      const result = await window.fileProcessor.openFileDialog();
+      
+      if (!result.canceled && result.filePaths) {
+        updateSelectedFiles(result.filePaths);
+      }
+    } catch (error) {
+      console.error('[File Upload] Failed to open file dialog:', error);
+    }
+  };
+
+  /**
+   * Open folder dialog and select every input file inside the folder
+   */
+  const openFolderDialog = async () => {
+    try {
+      const result = await window.fileProcessor.openFolderDialog();
+      
+      if (result.canceled) {
+        return;
+      }
+
+      updateSelectedFiles(result.filePaths);
+      if (result.filePaths.length === 0) {
+        processingStatus.textContent = t('input.noneInFolder', { folder: result.folderPath });
+        processingStatus.classList.add('error');
+      }
+    } catch (error) {
+      console.error('[File Upload] Failed to open folder dialog:', error);
+    }
+  };
+
+  /**
+   * Format the current time for log lines
+   * @returns {string} - Time as HH:MM:SS
+   */
+  const formatLogTime = () => new Date().toLocaleTimeString([], { hour12: false });
+
+  /**
+   * Append text to the log panel, one timestamped line per output line
+   * @param {string} text - Text to append
+   * @param {string} [level='info'] - 'info', 'stdout' or 'stderr'
+   * @param {string} [filePath] - Input file the text belongs to
+   */
+  const appendLog = (text, level = 'info', filePath = null) => {
+    const time = formatLogTime();
+    const prefix = filePath ? `[${time}] [${getFileName(filePath)}] ` : `[${time}] `;
+
+    text.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => {
+      const entry = document.createElement('span');
+      entry.className = `log-line log-${level}`;
+      entry.textContent = `${prefix}${line}\n`;
+      logOutput.appendChild(entry);
+    });
+
+    while (logOutput.childNodes.length > MAX_LOG_LINES) {
+      logOutput.removeChild(logOutput.firstChild);
+    }
+
+    if (logAutoscrollCheckbox.checked) {
+      logOutput.scrollTop = logOutput.scrollHeight;
+    }
+  };
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - ID of the job to cancel
+   */
+  const cancelJob = async (jobId) => {
+    try {
+      await window.fileProcessor.cancelJob(jobId);
+    } catch (error) {
+      console.error('[Queue] Failed to cancel job:', error);
+    }
+  };
+
+  /**
+   * Queue a failed or cancelled job again with the same options
+   * @param {string} jobId - ID of the job to retry
+   */
+  const retryJob = async (jobId) => {
+    try {
+      const job = await window.fileProcessor.retryJob(jobId);
+      if (job) {
+        activeBatch.add(job.id);
+        updateBatchStatus();
+      }
+    } catch (error) {
+      console.error('[Queue] Failed to retry job:', error);
+    }
+  };
+
+  /**
+   * Create a link that opens an output file in the system's default application
+   * @param {string} label - Link text
+   * @param {string} filePath - Path to the output file
+   * @returns {HTMLAnchorElement} - The link element
+   */
+  const createOutputFileLink = (label, filePath) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'output-file-link';
+    link.textContent = label;
+    link.title = filePath;
+    link.addEventListener('click', async (event) => {
+      event.preventDefault();
+      try {
+        await window.fileProcessor.openFile(filePath);
+      } catch (error) {
+        console.error('[SHCarrier] Failed to open output file:', error);
+      }
+    });
+    return link;
+  };
+
+  /**
+   * Create a link that exports the report of a recorded run
+   * @param {string} label - Link text
+   * @param {string} historyId - ID of the run in the history
+   * @param {string} format - 'pdf' or 'xlsx'
+   * @returns {HTMLAnchorElement} - The link element
+   */
+  const createExportLink = (label, historyId, format) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'output-file-link';
+    link.textContent = label;
+    link.title = t('report.exportTitle', { format: format.toUpperCase() });
+    link.addEventListener('click', async (event) => {
+      event.preventDefault();
+      try {
+        const result = await window.fileProcessor.exportReport(historyId, format);
+        if (result.canceled) {
+          return;
+        }
+        processingStatus.classList.remove('success', 'error');
+        if (result.success) {
+          processingStatus.textContent = t('report.saved', { path: result.filePath });
+          processingStatus.classList.add('success');
+        } else {
+          processingStatus.textContent = t('report.failed', { error: result.error });
+          processingStatus.classList.add('error');
+        }
+      } catch (error) {
+        console.error('[Report] Failed to export report:', error);
+      }
+    });
+    return link;
+  };
+
+  /**
+   * Add the report export links after the output file links of a cell
+   * @param {HTMLElement} cell - Table cell holding the output links
+   * @param {string} historyId - ID of the run in the history
+   */
+  const appendExportLinks = (cell, historyId) => {
+    cell.appendChild(document.createTextNode(' | '));
+    cell.appendChild(createExportLink('PDF', historyId, 'pdf'));
+    cell.appendChild(document.createTextNode(' | '));
+    cell.appendChild(createExportLink('XLSX', historyId, 'xlsx'));
+  };
+
+  /**
+   * Get the file name part of a path
+   * @param {string} filePath - Full file path
+   * @returns {string} - File name
+   */
+  const getFileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+  /**
+   * Summarize the carrier calls of parsed results
+   * @param {Object} parsed - Parsed results from the main process
+   * @returns {string} - E.g. "24 samples, 2 carrier, 1 abnormal"
+   */
+  const summarizeCalls = (parsed) => {
+    const samples = parsed.samples.filter(sample => !sample.isStandard);
+    const carriers = samples.filter(sample => sample.call === 'carrier').length;
+    const abnormal = samples.filter(sample => sample.call === 'abnormal').length;
+    return t('jobs.calls', { samples: samples.length, carriers, abnormal });
+  };
+
+  /**
+   * Add the QC badge of a run after its status badge
+   * @param {HTMLElement} cell - Status cell
+   * @param {Object} qc - QC result of the run
+   */
+  const appendQcBadge = (cell, qc) => {
+    cell.appendChild(document.createTextNode(' '));
+    cell.appendChild(createQcBadge(qc.status, t('qc.runBadge', { status: t(`qc.${qc.status}`) }), listQcFindings(qc, t)));
+  };
+
+  /**
+   * Render a single job as a table row, replacing the previous row of the same job
+   * @param {Object} job - Job snapshot from the main process
+   */
+  const renderJobRow = (job) => {
+    const row = document.createElement('tr');
+    row.dataset.jobId = job.id;
+
+    const fileCell = document.createElement('td');
+    fileCell.textContent = getFileName(job.filePath);
+    fileCell.title = job.filePath;
+
+    const statusCell = document.createElement('td');
+    const statusBadge = document.createElement('span');
+    statusBadge.className = `job-status job-status-${job.status}`;
+    statusBadge.textContent = getStatusLabel(job.status);
+    statusCell.appendChild(statusBadge);
+    if (job.status === 'failed' && job.error) {
+      const message = document.createElement('div');
+      message.className = 'job-error';
+      message.textContent = job.error;
+      statusCell.appendChild(message);
+    }
+    if (job.result && job.result.qc) {
+      appendQcBadge(statusCell, job.result.qc);
+    }
+    if (job.result && job.result.parsed) {
+      const calls = document.createElement('div');
+      calls.className = 'job-calls';
+      calls.textContent = summarizeCalls(job.result.parsed);
+      statusCell.appendChild(calls);
+    }
+
+    const outputsCell = document.createElement('td');
+    const outputFiles = job.result && job.result.outputFiles;
+    if (outputFiles && outputFiles.summary) {
+      outputsCell.appendChild(createOutputFileLink(t('outputs.summary'), outputFiles.summary));
+    }
+    if (outputFiles && outputFiles.calculation) {
+      if (outputsCell.childNodes.length > 0) {
+        outputsCell.appendChild(document.createTextNode(' | '));
+      }
+      outputsCell.appendChild(createOutputFileLink(t('outputs.calculation'), outputFiles.calculation));
+    }
+    if (outputFiles && (outputFiles.summary || outputFiles.calculation)) {
+      outputsCell.appendChild(document.createTextNode(' | '));
+      const viewLink = document.createElement('a');
+      viewLink.href = '#';
+      viewLink.className = 'output-file-link';
+      viewLink.textContent = t('outputs.view');
+      viewLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        openResultViewer(job.id);
+      });
+      outputsCell.appendChild(viewLink);
+      if (job.result.historyId) {
+        appendExportLinks(outputsCell, job.result.historyId);
+      }
+    }
+
+    const actionsCell = document.createElement('td');
+    if (job.status === 'queued' || job.status === 'running') {
+      const cancelButton = document.createElement('button');
+      cancelButton.className = 'table-button';
+      cancelButton.textContent = t('common.cancel');
+      cancelButton.addEventListener('click', () => {
+        cancelButton.disabled = true;
+        cancelJob(job.id);
+      });
+      actionsCell.appendChild(cancelButton);
+    } else if (job.status === 'failed' || job.status === 'cancelled') {
+      const retryButton = document.createElement('button');
+      retryButton.className = 'table-button';
+      retryButton.textContent = t('jobs.retry');
+      retryButton.title = t('jobs.retryTitle', { attempts: job.attempts });
+      retryButton.addEventListener('click', () => {
+        retryButton.disabled = true;
+        retryJob(job.id);
+      });
+      actionsCell.appendChild(retryButton);
+    }
+
+    row.append(fileCell, statusCell, outputsCell, actionsCell);
+
+    const existingRow = jobTableBody.querySelector(`tr[data-job-id="${job.id}"]`);
+    if (existingRow) {
+      existingRow.replaceWith(row);
+    } else {
+      jobTableBody.appendChild(row);
+    }
+  };
+
+  /**
+   * Re-render the whole job table
+   */
+  const renderJobTable = () => {
+    jobTableBody.replaceChildren();
+    jobs.forEach(renderJobRow);
+  };
+
+  /**
+   * Show the result viewer for a finished job
+   * @param {string|Object} jobOrId - ID of a queued job, or a job-like object with filePath, options and result
+   */
+  const openResultViewer = (jobOrId) => {
+    const job = typeof jobOrId === 'string' ? jobs.get(jobOrId) : jobOrId;
+    if (!job || !job.result || !job.result.outputFiles) {
+      return;
+    }
+
+    resultViewer.hidden = false;
+    resultViewerPanel.open(job);
+    resultViewer.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  /**
+   * Hide the result viewer
+   */
+  const closeResultViewer = () => {
+    resultViewer.hidden = true;
+    resultViewerPanel.clear();
+  };
+
+  /**
+   * Move the shown results into a separate, resizable window
+   */
+  const popOutResultViewer = async () => {
+    const job = resultViewerPanel.getJob();
+    if (!job) {
+      return;
+    }
+    try {
+      await window.viewerWindow.open({ filePath: job.filePath, options: job.options, outputFiles: job.result.outputFiles });
+      closeResultViewer();
+    } catch (error) {
+      console.error('[Viewer] Failed to open viewer window:', error);
+    }
+  };
+
+  /**
+   * Describe processing options in a compact form
+   * @param {Object} options - Processing options
+   * @returns {string} - E.g. "Area, GBK, STD=NC01"
+   */
+  const formatOptions = (options = {}) => [
+    options.useArea ? t('options.area') : t('options.height'),
+    options.useGBK ? 'GBK' : 'UTF-8',
+    `STD=${options.stdName || 'STD'}`,
+    options.devMode ? t('options.dev') : null,
+    options.outputDir ? t(options.moveOutputs ? 'options.moveTo' : 'options.copyTo', { path: options.outputDir }) : null
+  ].filter(Boolean).join(', ');
+
+  /**
+   * Add the given files to the queue with the given options
+   * @param {string[]} filePaths - Input files
+   * @param {Object} options - Processing options
+   */
+  const enqueueFiles = async (filePaths, options) => {
+    const queuedJobs = await window.fileProcessor.enqueue(filePaths, options);
+    activeBatch = new Set(queuedJobs.map(job => job.id));
+    queuedJobs.forEach(job => {
+      // Updates may already have arrived for fast jobs, keep the newest state
+      if (!jobs.has(job.id)) {
+        handleJobUpdate(job);
+      }
+    });
+    updateBatchStatus();
+  };
+
+  /**
+   * Render run records in the history table
+   * @param {Object[]} records - Run records, newest first
+   */
+  const renderHistory = (records) => {
+    historyTableBody.replaceChildren();
+
+    records.forEach(record => {
+      const row = document.createElement('tr');
+
+      const dateCell = document.createElement('td');
+      dateCell.textContent = new Date(record.startedAt).toLocaleString();
+      dateCell.title = t('history.duration', { seconds: (record.durationMs / 1000).toFixed(1) });
+
+      const fileCell = document.createElement('td');
+      fileCell.textContent = getFileName(record.inputFile);
+      fileCell.title = `${record.inputFile}\nSHA-256: ${record.inputHash || t('history.unknownHash')}`
+        + (record.inputEncoding ? `\n${t('history.encoding', { encoding: t(`encoding.${record.inputEncoding}`) })}` : '')
+        + (record.gbkOverride ? `\n${t(`process.gbk.${record.gbkOverride}`, { encoding: t(`encoding.${record.inputEncoding}`) })}` : '');
+
+      const operatorCell = document.createElement('td');
+      operatorCell.textContent = record.operator;
+
+      const optionsCell = document.createElement('td');
+      optionsCell.textContent = formatOptions(record.options);
+      optionsCell.title = (record.args || []).join(' ')
+        + (record.exe && record.exe.version ? `\n${t('history.engineVersion', { version: getEngineVersionLabel(record.exe.version) })}` : '');
+
+      const statusCell = document.createElement('td');
+      const statusBadge = document.createElement('span');
+      statusBadge.className = `job-status job-status-${record.status}`;
+      statusBadge.textContent = getStatusLabel(record.status);
+      statusCell.appendChild(statusBadge);
+      statusCell.title = record.error || t('history.exitCode', { code: record.exitCode });
+      if (record.qc) {
+        appendQcBadge(statusCell, record.qc);
+      }
+
+      const outputsCell = document.createElement('td');
+      const outputFiles = record.outputFiles || {};
+      if (outputFiles.summary) {
+        outputsCell.appendChild(createOutputFileLink(t('outputs.summary'), outputFiles.summary));
+      }
+      if (outputFiles.calculation) {
+        if (outputsCell.childNodes.length > 0) {
+          outputsCell.appendChild(document.createTextNode(' | '));
+        }
+        outputsCell.appendChild(createOutputFileLink(t('outputs.calculation'), outputFiles.calculation));
+      }
+      if (outputFiles.summary || outputFiles.calculation) {
+        outputsCell.appendChild(document.createTextNode(' | '));
+        const viewLink = document.createElement('a');
+        viewLink.href = '#';
+        viewLink.className = 'output-file-link';
+        viewLink.textContent = t('outputs.view');
+        viewLink.addEventListener('click', (event) => {
+          event.preventDefault();
+          openResultViewer({
+            filePath: record.inputFile,
+            options: record.options,
+            result: { outputFiles, qc: record.qc, sampleSheet: record.sampleSheet }
+          });
+        });
+        outputsCell.appendChild(viewLink);
+        appendExportLinks(outputsCell, record.id);
+      }
+
+      const actionsCell = document.createElement('td');
+      const rerunButton = document.createElement('button');
+      rerunButton.className = 'table-button';
+      rerunButton.textContent = t('history.rerun');
+      rerunButton.title = t('history.rerunTitle');
+      rerunButton.addEventListener('click', async () => {
+        try {
+          processingStatus.textContent = t('process.processing');
+          processingStatus.classList.remove('success', 'error');
+          await enqueueFiles([record.inputFile], record.options);
+        } catch (error) {
+          console.error('[History] Failed to re-run:', error);
+        }
+      });
+      actionsCell.appendChild(rerunButton);
+
+      row.append(dateCell, fileCell, operatorCell, optionsCell, statusCell, outputsCell, actionsCell);
+      historyTableBody.appendChild(row);
+    });
+  };
+
+  /**
+   * Load the run history matching the search box
+   */
+  const loadHistory = async () => {
+    try {
+      const records = await window.runHistory.list(historySearchInput.value);
+      renderHistory(records);
+    } catch (error) {
+      console.error('[History] Failed to load history:', error);
+    }
+  };
+
+  /**
+   * Turn the selection of a compare dropdown into a comparison source
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object|null} - { historyId } or { summaryPath, options }, null when nothing is selected
+   */
+  const getCompareSource = (side) => {
+    const value = compareSelects[side].value;
+    if (value.startsWith('file:')) {
+      // Picked files are read with the current encoding and standard sample name
+      return { summaryPath: value.slice('file:'.length), options: getOptions() };
+    }
+    return value ? { historyId: value } : null;
+  };
+
+  /**
+   * Rebuild a compare dropdown from the finished runs and the picked files
+   * @param {string} side - 'left' or 'right'
+   * @param {Object[]} records - History records with a summary file
+   */
+  const fillCompareSelect = (side, records) => {
+    const select = compareSelects[side];
+    const selected = select.value;
+    select.replaceChildren();
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = t('compare.chooseRun');
+    select.appendChild(placeholder);
+
+    comparePickedFiles[side].forEach(filePath => {
+      const option = document.createElement('option');
+      option.value = `file:${filePath}`;
+      option.textContent = t('compare.fileOption', { name: getFileName(filePath) });
+      option.title = filePath;
+      select.appendChild(option);
+    });
+
+    records.forEach(record => {
+      const option = document.createElement('option');
+      option.value = record.id;
+      option.textContent = `${new Date(record.startedAt).toLocaleString()} - ${getFileName(record.inputFile)} (${formatOptions(record.options)})`;
+      select.appendChild(option);
+    });
+
+    select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+  };
+
+  /**
+   * Offer the finished runs from the history in both compare dropdowns
+   */
+  const loadCompareRuns = async () => {
+    try {
+      const records = (await window.runHistory.list(''))
+        .filter(record => record.status === 'done' && record.outputFiles && record.outputFiles.summary);
+      fillCompareSelect('left', records);
+      fillCompareSelect('right', records);
+    } catch (error) {
+      console.error('[Compare] Failed to load runs:', error);
+    }
+  };
+
+  /**
+   * Pick a summary file for one side of the comparison
+   * @param {string} side - 'left' or 'right'
+   */
+  const pickCompareFile = async (side) => {
+    try {
+      const result = await window.compare.chooseSummaryFile();
+      if (result.canceled) {
+        return;
+      }
+      if (!comparePickedFiles[side].includes(result.filePath)) {
+        comparePickedFiles[side].push(result.filePath);
+      }
+      await loadCompareRuns();
+      compareSelects[side].value = `file:${result.filePath}`;
+    } catch (error) {
+      console.error('[Compare] Failed to pick summary file:', error);
+    }
+  };
+
+  /**
+   * Show the aligned samples of the last comparison
+   */
+  const renderCompareTable = () => {
+    compareTableBody.replaceChildren();
+    if (!compareState) {
+      return;
+    }
+
+    const formatCall = (side) => (side ? t(`call.${side.call}`) : '-');
+    const formatRatio = (side) => (side && side.ratio !== null ? String(side.ratio) : '-');
+
+    compareState.comparison.rows
+      .filter(row => !compareOnlyChangesCheckbox.checked || row.changed)
+      .forEach(row => {
+        const tableRow = document.createElement('tr');
+        tableRow.className = row.presence !== 'both' ? 'compare-missing' : row.callChanged ? 'compare-call-changed' : '';
+
+        const cells = [
+          row.name,
+          formatRatio(row.left),
+          formatRatio(row.right),
+          row.ratioDelta === null ? '-' : (row.ratioDelta > 0 ? `+${row.ratioDelta}` : String(row.ratioDelta)),
+          formatCall(row.left),
+          formatCall(row.right)
+        ].map(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          return cell;
+        });
+
+        if (row.ratioChanged) {
+          cells[3].classList.add('compare-changed');
+        }
+        if (row.callChanged) {
+          cells[4].classList.add('compare-changed');
+          cells[5].classList.add('compare-changed');
+        }
+        if (row.presence !== 'both') {
+          tableRow.title = row.presence === 'left' ? t('compare.onlyInA') : t('compare.onlyInB');
+        }
+
+        tableRow.append(...cells);
+        compareTableBody.appendChild(tableRow);
+      });
+  };
+
+  /**
+   * Describe the last comparison above the diff table
+   */
+  const renderCompareSummary = () => {
+    const { sides, comparison } = compareState;
+    compareSummary.textContent = t('compare.summary', {
+      leftLabel: sides.left.label,
+      leftDetail: formatOptions(sides.left.options),
+      rightLabel: sides.right.label,
+      rightDetail: formatOptions(sides.right.options),
+      ...comparison.counts
+    });
+  };
+
+  /**
+   * Compare the two selected runs
+   */
+  const runCompare = async () => {
+    const left = getCompareSource('left');
+    const right = getCompareSource('right');
+    if (!left || !right) {
+      compareSummary.textContent = t('compare.chooseBoth');
+      return;
+    }
+
+    try {
+      const result = await window.compare.run(left, right);
+      if (!result.success) {
+        compareState = null;
+        compareSummary.textContent = t('common.error', { message: result.error });
+      } else {
+        compareState = { left, right, comparison: result.comparison, sides: { left: result.left, right: result.right } };
+        renderCompareSummary();
+      }
+    } catch (error) {
+      console.error('[Compare] Failed to compare runs:', error);
+      compareState = null;
+    }
+
+    compareExportXlsxBtn.disabled = !compareState;
+    compareExportTsvBtn.disabled = !compareState;
+    renderCompareTable();
+  };
+
+  /**
+   * Export the diff table of the last comparison
+   * @param {string} format - 'xlsx' or 'tsv'
+   */
+  const exportCompare = async (format) => {
+    if (!compareState) {
+      return;
+    }
+    try {
+      const result = await window.compare.exportDiff(compareState.left, compareState.right, format);
+      if (result.canceled) {
+        return;
+      }
+      processingStatus.classList.remove('success', 'error');
+      if (result.success) {
+        processingStatus.textContent = t('compare.saved', { path: result.filePath });
+        processingStatus.classList.add('success');
+      } else {
+        processingStatus.textContent = t('compare.exportFailed', { error: result.error });
+        processingStatus.classList.add('error');
+      }
+    } catch (error) {
+      console.error('[Compare] Failed to export comparison:', error);
+    }
+  };
+
+  /**
+   * Update the status message once every job of the current batch has finished
+   */
+  const updateBatchStatus = () => {
+    if (activeBatch.size === 0) {
+      return;
+    }
+
+    const batchJobs = Array.from(activeBatch, id => jobs.get(id)).filter(Boolean);
+    const pending = batchJobs.filter(job => job.status === 'queued' || job.status === 'running').length;
+    const failed = batchJobs.filter(job => job.status === 'failed').length;
+    const cancelled = batchJobs.filter(job => job.status === 'cancelled').length;
+
+    processingStatus.classList.remove('success', 'error');
+    if (pending > 0) {
+      processingStatus.textContent = t('process.progress', { done: batchJobs.length - pending, total: batchJobs.length });
+      return;
+    }
+
+    activeBatch = new Set();
+    if (failed === 0 && cancelled === 0) {
+      processingStatus.textContent = t('process.done');
+      processingStatus.classList.add('success');
+    } else if (failed === 0) {
+      processingStatus.textContent = t('process.cancelled', { cancelled, total: batchJobs.length });
+    } else {
+      processingStatus.textContent = t('process.failed', { failed, total: batchJobs.length });
+      processingStatus.classList.add('error');
+    }
+  };
+
+  /**
+   * Handle a job update from the main process
+   * @param {Object} job - Job snapshot
+   */
+  const handleJobUpdate = (job) => {
+    const previous = jobs.get(job.id);
+    if (!previous || previous.status !== job.status) {
+      const label = getStatusLabel(job.status);
+      const level = job.status === 'failed' ? 'stderr' : 'info';
+      appendLog(job.error && job.status !== 'done' ? `${label}: ${job.error}` : label, level, job.filePath);
+    }
+
+    jobs.set(job.id, job);
+    renderJobRow(job);
+    updateBatchStatus();
+
+    // Finished runs were just written to the history
+    if (historyPanel.open && previous && previous.status !== job.status && job.status !== 'running') {
+      loadHistory();
+    }
+  };
+
+  /**
+   * Process the selected files by adding them to the batch queue
+   */
+  const processFile = async () => {
+    if (currentFilePaths.length === 0) {
+      processingStatus.textContent = t('process.noFile');
+      processingStatus.classList.add('error');
+      return;
+    }
+    
+    // Disable the process button while the files are being queued
+    processFileBtn.disabled = true;
+    
+    // Clear previous status and show processing message
+    processingStatus.textContent = t('process.processing');
+    processingStatus.classList.remove('success', 'error');
+    
+    // Get processing options
+    const options = getOptions();
+    
+    console.log('[SHCarrier] Queueing files with options:', options);
+    
+    try {
+      // Files that fail the pre-flight check are not sent to SHCarrier.exe
+      const reports = await runPreflight();
+      const runnableFilePaths = currentFilePaths.filter(filePath => reports.get(filePath) && reports.get(filePath).valid);
+      const skipped = currentFilePaths.length - runnableFilePaths.length;
+      if (runnableFilePaths.length === 0) {
+        processingStatus.textContent = t('process.preflightFailed');
+        processingStatus.classList.add('error');
+        return;
+      }
+      if (skipped > 0) {
+        appendLog(t('process.skipped', { count: skipped }), 'stderr');
+      }
+
+      // Remember the options for the next start of the app
+      await window.settings.setLastOptions(options);
+
+      await enqueueFiles(runnableFilePaths, options);
+    } catch (error) {
+      processingStatus.textContent = t('common.error', { message: error.message || t('error.unknown') });
+      processingStatus.classList.add('error');
+      console.error('[SHCarrier] Queueing error:', error);
+    } finally {
+      // Re-enable the process button
+      processFileBtn.disabled = currentFilePaths.length === 0;
+    }
+  };
+
+  /**
+   * Apply the parallel jobs setting to the queue
+   */
+  const handleConcurrencyChange = async () => {
+    try {
+      const applied = await window.fileProcessor.setConcurrency(concurrencyInput.value);
+      concurrencyInput.value = applied;
+    } catch (error) {
+      console.error('[Queue] Failed to set concurrency:', error);
+    }
+  };
+
+  /**
+   * Store the time limit of a run, an invalid value falls back to the stored one
+   */
+  const handleEngineTimeoutChange = async () => {
+    const minutes = Number(engineTimeoutInput.value);
+    try {
+      await window.settings.setEngineTimeout(minutes);
+    } catch (error) {
+      console.error('[Settings] Failed to set the time limit:', error);
+      const stored = await window.settings.get();
+      engineTimeoutInput.value = stored.engineTimeoutMinutes;
+    }
+  };
+
+  /**
+   * Remove finished and failed jobs from the queue and the table
+   */
+  const clearFinishedJobs = async () => {
+    try {
+      const remainingJobs = await window.fileProcessor.clearFinishedJobs();
+      jobs.clear();
+      remainingJobs.forEach(job => jobs.set(job.id, job));
+      renderJobTable();
+    } catch (error) {
+      console.error('[Queue] Failed to clear finished jobs:', error);
+    }
+  };
+
+  /**
+   * Register progress update handler
+   */
+  const registerProgressHandler = () => {
+    try {
+      window.fileProcessor.onProgress((data) => {
+        if (data.output) {
+          console.log('[SHCarrier] Progress:', data.output);
+          appendLog(data.output, 'stdout', data.filePath);
+        }
+      });
+      
+      window.fileProcessor.onError((data) => {
+        if (data.error) {
+          console.error('[SHCarrier] Error:', data.error);
+          appendLog(data.error, 'stderr', data.filePath);
+          // Surface errors even when the log panel is collapsed
+          logPanel.open = true;
+        }
+      });
+
+      window.fileProcessor.onQueueUpdate(handleJobUpdate);
+      
+      console.log('[SHCarrier] Progress handlers registered');
+    } catch (error) {
+      console.error('[SHCarrier] Failed to register progress handlers:', error);
+    }
+  };
+
+  /**
+   * Load jobs that are already in the queue (e.g. after a window reload)
+   */
+  const loadExistingJobs = async () => {
+    try {
+      const existingJobs = await window.fileProcessor.listJobs();
+      existingJobs.forEach(job => jobs.set(job.id, job));
+      renderJobTable();
+    } catch (error) {
+      console.error('[Queue] Failed to load jobs:', error);
+    }
+  };
+
+  // Set up drag-and-drop event listeners
+  if (dropZone) {
+    dropZone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', handleDrop);
+  } else {
+    console.error('drop-zone element not found');
+  }
+
+  // Prevent files dropped outside the drop zone from replacing the page
+  document.addEventListener('dragover', (event) => event.preventDefault());
+  document.addEventListener('drop', (event) => event.preventDefault());
+
+  // Set up engine status event listeners
+  if (engineStatusContainer) {
+    chooseEngineBtn.addEventListener('click', () => changeEngine(false));
+    resetEngineBtn.addEventListener('click', () => changeEngine(true));
+    chooseWineBtn.addEventListener('click', () => changeWine(false));
+    resetWineBtn.addEventListener('click', () => changeWine(true));
+    window.engine.getStatus().then(updateEngineStatus).catch(error => {
+      console.error('[Engine] Failed to load engine status:', error);
+    });
+  } else {
+    console.error('engine-status element not found');
+  }
+
+  // Set up watched folder event listeners
+  if (watchEnabledCheckbox) {
+    watchEnabledCheckbox.addEventListener('change', () => toggleWatching(false));
+    chooseWatchFolderBtn.addEventListener('click', () => toggleWatching(true));
+    window.fileProcessor.onWatchUpdate(updateWatchStatus);
+    window.fileProcessor.getWatchStatus().then(updateWatchStatus).catch(error => {
+      console.error('[Watch] Failed to load watch status:', error);
+    });
+  } else {
+    console.error('watch-enabled checkbox not found');
+  }
+
+  // Set up sample sheet event listeners
+  if (importSampleSheetBtn) {
+    importSampleSheetBtn.addEventListener('click', importSampleSheet);
+    clearSampleSheetBtn.addEventListener('click', clearSampleSheet);
+    window.sampleSheet.get().then(updateSampleSheetStatus).catch(error => {
+      console.error('[SampleSheet] Failed to load sample sheet:', error);
+    });
+  } else {
+    console.error('import-sample-sheet button not found');
+  }
+
+  /**
+   * Show the page in a new language: the static labels are translated by
+   * i18n.js, everything built by this script is rendered again
+   * @param {Object} bundle - { locale, messages, preference, supported }
+   */
+  const handleLanguageChange = (bundle) => {
+    languageSelect.value = bundle.preference || '';
+    renderSelectedFiles();
+    renderPresets(presetSelect.value || null);
+    setOutputDir(outputDir);
+    renderJobTable();
+    runPreflight();
+    window.engine.getStatus().then(updateEngineStatus).catch(error => {
+      console.error('[Engine] Failed to load engine status:', error);
+    });
+    window.fileProcessor.getWatchStatus().then(updateWatchStatus).catch(error => {
+      console.error('[Watch] Failed to load watch status:', error);
+    });
+    window.sampleSheet.get().then(updateSampleSheetStatus).catch(error => {
+      console.error('[SampleSheet] Failed to load sample sheet:', error);
+    });
+    if (historyPanel.open) {
+      loadHistory();
+    }
+    if (apiStatus) {
+      updateApiStatus(apiStatus);
+    }
+    renderQcRules();
+    qcRulesStatus.textContent = '';
+    if (updateStatus) {
+      renderUpdates(updateStatus);
+    }
+    updateStatusText.textContent = '';
+    loadCompareRuns();
+    if (compareState) {
+      renderCompareSummary();
+      renderCompareTable();
+    }
+    resultViewerPanel.refresh();
+  };
+
+  // Set up the language switcher, the choice is remembered by the main process
+  if (languageSelect) {
+    languageSelect.value = translations.getBundle().preference || '';
+    languageSelect.addEventListener('change', () => {
+      window.i18n.setLocale(languageSelect.value || null).catch(error => {
+        console.error('[I18n] Failed to change language:', error);
+      });
+    });
+    translations.onChange(handleLanguageChange);
+  } else {
+    console.error('language-select element not found');
+  }
+
+  /**
+   * Run a command chosen in the application menu or with its keyboard shortcut
+   * @param {Object} payload - { command, filePath } from the main process
+   */
+  const handleMenuCommand = ({ command, filePath }) => {
+    switch (command) {
+      case 'open-files':
+        openFileDialog();
+        break;
+      case 'open-folder':
+        openFolderDialog();
+        break;
+      case 'open-recent':
+        updateSelectedFiles([filePath]);
+        break;
+      case 'process':
+        // The button is disabled while files are queued, without files processFile explains what is missing
+        if (!processFileBtn.disabled || currentFilePaths.length === 0) {
+          processFile();
+        }
+        break;
+      case 'show-log':
+        logPanel.open = true;
+        logPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        break;
+      default:
+        console.error('[Menu] Unknown command:', command);
+    }
+  };
+
+  // Set up HTTP API event listeners
+  if (apiEnabledCheckbox) {
+    apiEnabledCheckbox.addEventListener('change', changeApi);
+    apiPortInput.addEventListener('change', changeApi);
+    newApiTokenBtn.addEventListener('click', renewApiToken);
+    copyApiTokenBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(apiTokenInput.value)
+        .then(() => {
+          apiStatusText.textContent = t('api.tokenCopied');
+        })
+        .catch(error => console.error('[API] Failed to copy the token:', error));
+    });
+    window.localApi.getStatus().then(updateApiStatus).catch(error => {
+      console.error('[API] Failed to load the HTTP API state:', error);
+    });
+  } else {
+    console.error('api-enabled checkbox not found');
+  }
+
+  // Set up the QC rule editor
+  if (qcRulesBody) {
+    addQcRuleBtn.addEventListener('click', () => {
+      qcRules.push({ type: 'minPeakHeight', threshold: getDefaultQcThreshold('minPeakHeight'), severity: 'warn', enabled: true });
+      renderQcRules();
+    });
+    saveQcRulesBtn.addEventListener('click', saveQcRules);
+    resetQcRulesBtn.addEventListener('click', () => {
+      qcRules = structuredClone(defaultQcRules);
+      renderQcRules();
+      showQcRulesStatus(t('qc.defaultsRestored'), false);
+    });
+    window.qc.getRules()
+      .then(({ rules, defaults }) => {
+        qcRules = rules;
+        defaultQcRules = defaults;
+        renderQcRules();
+      })
+      .catch(error => console.error('[QC] Failed to load QC rules:', error));
+  } else {
+    console.error('qc-rules-body element not found');
+  }
+
+  // Set up the update feed and the engine versions
+  if (engineVersionsBody) {
+    updateFeedInput.addEventListener('change', changeUpdateFeed);
+    chooseUpdateFeedBtn.addEventListener('click', () => runUpdateAction(() => window.updates.chooseFeed(), '', ''));
+    checkUpdatesBtn.addEventListener('click', () => runUpdateAction(
+      () => window.updates.check(), t('update.checking'), t('update.checked')
+    ));
+    window.updates.getStatus().then(renderUpdates).catch(error => {
+      console.error('[Update] Failed to load the update state:', error);
+    });
+  } else {
+    console.error('engine-versions-body element not found');
+  }
+
+  // Set up application menu commands
+  window.appMenu.onCommand(handleMenuCommand);
+
+  // Set up select file button event listener
+  if (selectFileButton) {
+    selectFileButton.addEventListener('click', handleSelectFileButtonClick);
+  } else {
+    console.error('select-file-button element not found');
+  }
+
+  // Set up select folder button event listener
+  if (selectFolderButton) {
+    selectFolderButton.addEventListener('click', openFolderDialog);
+  } else {
+    console.error('select-folder-button element not found');
+  }
+
+  // Set up process file button event listener
+  if (processFileBtn) {
+    processFileBtn.addEventListener('click', processFile);
+  } else {
+    console.error('process-file button not found');
+  }
+
+  // Set up parallel jobs input event listener
+  if (concurrencyInput) {
+    concurrencyInput.addEventListener('change', handleConcurrencyChange);
+  } else {
+    console.error('concurrency input not found');
+  }
+
+  // Set up time limit input event listener
+  if (engineTimeoutInput) {
+    engineTimeoutInput.addEventListener('change', handleEngineTimeoutChange);
+  } else {
+    console.error('engine-timeout input not found');
+  }
+
+  // Set up clear finished jobs button event listener
+  if (clearFinishedJobsBtn) {
+    clearFinishedJobsBtn.addEventListener('click', clearFinishedJobs);
+  } else {
+    console.error('clear-finished-jobs button not found');
+  }
+
+  // Set up preset and option event listeners
+  if (presetSelect) {
+    presetSelect.addEventListener('change', handlePresetChange);
+    savePresetBtn.addEventListener('click', savePreset);
+    deletePresetBtn.addEventListener('click', deletePreset);
+    [useAreaCheckbox, stdNameInput, useGBKCheckbox].forEach(input => {
+      input.addEventListener('change', handleOptionChange);
+      // Column and standard sample checks depend on the options
+      input.addEventListener('change', runPreflight);
+    });
+    [devModeCheckbox, moveOutputsCheckbox].forEach(input => {
+      input.addEventListener('change', handleOptionChange);
+    });
+  } else {
+    console.error('preset-select element not found');
+  }
+
+  // Set up output folder event listeners
+  if (chooseOutputDirBtn) {
+    chooseOutputDirBtn.addEventListener('click', chooseOutputDir);
+    clearOutputDirBtn.addEventListener('click', () => {
+      setOutputDir(null);
+      handleOptionChange();
+    });
+  } else {
+    console.error('choose-output-dir button not found');
+  }
+
+  // Set up clear log button event listener
+  if (clearLogBtn) {
+    clearLogBtn.addEventListener('click', () => logOutput.replaceChildren());
+  } else {
+    console.error('clear-log button not found');
+  }
+
+  // Set up history event listeners
+  if (historyPanel) {
+    historyPanel.addEventListener('toggle', () => {
+      if (historyPanel.open) {
+        loadHistory();
+      }
+    });
+    historySearchInput.addEventListener('input', () => {
+      clearTimeout(historySearchTimer);
+      historySearchTimer = setTimeout(loadHistory, 300);
+    });
+    refreshHistoryBtn.addEventListener('click', loadHistory);
+  } else {
+    console.error('history-panel element not found');
+  }
+
+  // Set up compare event listeners
+  if (comparePanel) {
+    comparePanel.addEventListener('toggle', () => {
+      if (comparePanel.open) {
+        loadCompareRuns();
+      }
+    });
+    document.querySelectorAll('.compare-pick').forEach(button => {
+      button.addEventListener('click', () => pickCompareFile(button.dataset.side));
+    });
+    compareRunsBtn.addEventListener('click', runCompare);
+    compareOnlyChangesCheckbox.addEventListener('change', renderCompareTable);
+    compareExportXlsxBtn.addEventListener('click', () => exportCompare('xlsx'));
+    compareExportTsvBtn.addEventListener('click', () => exportCompare('tsv'));
+  } else {
+    console.error('compare-panel element not found');
+  }
+
+  // Set up result viewer event listeners
+  if (resultViewer) {
+    closeResultViewerBtn.addEventListener('click', closeResultViewer);
+    popOutResultViewerBtn.addEventListener('click', popOutResultViewer);
+  } else {
+    console.error('result-viewer element not found');
+  }
+
+  // Register progress handlers
+  registerProgressHandler();
+
+  // Show jobs that survived a window reload
+  loadExistingJobs();
+
+  // Restore remembered options and presets
+  loadSettings();
+});
\ No newline at end of file
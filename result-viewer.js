@@ -0,0 +1,558 @@
+/**
+ * Result Viewer
+ *
+ * Sortable result table, ratio chart, QC result and sample sheet metadata of a
+ * run's -summary.tsv and -cal.tsv files. Shared by the main window (renderer.js) and the separate
+ * viewer windows (viewer.js): both pages contain the same viewer markup and
+ * load this script before their own.
+ */
+
+/**
+ * Create the pass, warn or fail badge of a sample or a run
+ * @param {string} status - 'pass', 'warn' or 'fail'
+ * @param {string} text - Badge text
+ * @param {string[]} [findings] - QC findings shown as the tooltip
+ * @returns {HTMLSpanElement} - The badge
+ */
+const createQcBadge = (status, text, findings = []) => {
+  const badge = document.createElement('span');
+  badge.className = `qc-badge qc-badge-${status}`;
+  badge.textContent = text;
+  badge.title = findings.join('\n');
+  return badge;
+};
+
+/**
+ * List the findings of a QC result in the language of the page
+ * @param {Object} qc - QC result from the main process
+ * @param {Function} t - Translate function of the page
+ * @returns {string[]} - One line per issue, sample issues prefixed with the sample name
+ */
+const listQcFindings = (qc, t) => [
+  ...qc.issues.map(issue => t(issue.code, issue.params)),
+  ...qc.samples.flatMap(sample => sample.issues.map(issue => (
+    t('qc.sampleFinding', { name: sample.name, message: t(issue.code, issue.params) })
+  )))
+];
+
+/**
+ * Create the result viewer bound to the viewer elements of the current page
+ * @param {Object} params
+ * @param {Function} params.t - Translate function of the page (see i18n.js)
+ * @returns {Object} - { open, clear, refresh, getJob }
+ */
+const createResultViewer = ({ t }) => {
+  // Get references to result viewer DOM elements
+  const resultViewerTitle = document.getElementById('result-viewer-title');
+  const resultViewerMessage = document.getElementById('result-viewer-message');
+  const resultTable = document.getElementById('result-table');
+  const resultFilterInput = document.getElementById('result-filter');
+  const viewerTabs = document.querySelectorAll('.viewer-tab');
+  const resultChart = document.getElementById('result-chart');
+  const resultQc = document.getElementById('result-qc');
+  const resultSampleSheet = document.getElementById('result-sample-sheet');
+
+  // Sample sheet fields shown as extra columns, in this order
+  const METADATA_FIELDS = ['patientId', 'familyId', 'relationship', 'sampleType'];
+
+  // Namespace of the SVG elements of the ratio chart
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // State of the result viewer: the job shown, which file, the parsed table, chart, QC result,
+  // joined sample sheet, and sorting
+  const viewerState = {
+    job: null,
+    kind: 'summary',
+    table: null,
+    chart: null,
+    qc: null,
+    sampleSheet: null,
+    sortColumn: -1,
+    sortAscending: true
+  };
+
+  /**
+   * Get the file name part of a path
+   * @param {string} filePath - Full file path
+   * @returns {string} - File name
+   */
+  const getFileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+  /**
+   * Compare two table cells, numerically when both are numbers
+   * @param {string} a - First cell
+   * @param {string} b - Second cell
+   * @returns {number} - Sort order
+   */
+  const compareCells = (a, b) => {
+    const numA = Number.parseFloat(a);
+    const numB = Number.parseFloat(b);
+    if (Number.isFinite(numA) && Number.isFinite(numB)) {
+      return numA - numB;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+  };
+
+  /**
+   * Render the parsed result table with the current sort and filter settings
+   */
+  const renderResultTable = () => {
+    const { table, qc, sampleSheet, sortColumn, sortAscending } = viewerState;
+    const thead = resultTable.querySelector('thead');
+    const tbody = resultTable.querySelector('tbody');
+    thead.replaceChildren();
+    tbody.replaceChildren();
+
+    if (!table) {
+      return;
+    }
+
+    // Header row, clicking a header sorts by that column
+    const headerRow = document.createElement('tr');
+    table.headers.forEach((header, index) => {
+      const th = document.createElement('th');
+      th.textContent = header;
+      if (index === sortColumn) {
+        th.classList.add(sortAscending ? 'sorted-asc' : 'sorted-desc');
+      }
+      th.addEventListener('click', () => {
+        viewerState.sortAscending = viewerState.sortColumn === index ? !viewerState.sortAscending : true;
+        viewerState.sortColumn = index;
+        renderResultTable();
+      });
+      headerRow.appendChild(th);
+    });
+
+    // QC badge of the row's sample after the columns of the file
+    const qcSamples = qc && table.sampleColumn >= 0 ? new Map(qc.samples.map(sample => [sample.name, sample])) : null;
+    if (qcSamples) {
+      const th = document.createElement('th');
+      th.textContent = t('qc.column');
+      headerRow.appendChild(th);
+    }
+
+    // Patient metadata of the row's sample from the sample sheet
+    const metadataSamples = sampleSheet && table.sampleColumn >= 0
+      ? new Map(sampleSheet.samples.map(sample => [sample.name, sample]))
+      : null;
+    if (metadataSamples) {
+      METADATA_FIELDS.forEach(field => {
+        const th = document.createElement('th');
+        th.textContent = t(`sampleSheet.field.${field}`);
+        headerRow.appendChild(th);
+      });
+    }
+    thead.appendChild(headerRow);
+
+    // Keep the row flags attached to their rows while sorting and filtering
+    const filterText = resultFilterInput.value.trim().toLowerCase();
+    let entries = table.rows.map((row, index) => ({ row, flags: table.flags[index] }));
+
+    if (filterText) {
+      // Without a recognized sample column, match against any cell
+      entries = entries.filter(({ row }) => {
+        const metadata = metadataSamples && metadataSamples.get(row[table.sampleColumn]);
+        const cells = table.sampleColumn >= 0
+          ? [row[table.sampleColumn], ...(metadata ? [metadata.patientId] : [])]
+          : row;
+        return cells.some(cell => String(cell).toLowerCase().includes(filterText));
+      });
+    }
+
+    if (sortColumn >= 0) {
+      entries.sort((a, b) => {
+        const order = compareCells(a.row[sortColumn], b.row[sortColumn]);
+        return sortAscending ? order : -order;
+      });
+    }
+
+    entries.forEach(({ row, flags }) => {
+      const tr = document.createElement('tr');
+      if (table.sampleColumn >= 0) {
+        tr.dataset.sample = row[table.sampleColumn];
+      }
+      tr.classList.toggle('row-carrier', flags.carrier);
+      tr.classList.toggle('row-abnormal', flags.abnormalRatio && !flags.carrier);
+      row.forEach(cell => {
+        const td = document.createElement('td');
+        td.textContent = cell;
+        tr.appendChild(td);
+      });
+      if (qcSamples) {
+        const td = document.createElement('td');
+        const sample = qcSamples.get(row[table.sampleColumn]);
+        if (sample) {
+          td.appendChild(createQcBadge(sample.status, t(`qc.${sample.status}`), sample.issues.map(issue => t(issue.code, issue.params))));
+        }
+        tr.appendChild(td);
+      }
+      if (metadataSamples) {
+        const metadata = metadataSamples.get(row[table.sampleColumn]);
+        METADATA_FIELDS.forEach(field => {
+          const td = document.createElement('td');
+          td.textContent = metadata ? metadata[field] : '';
+          tr.appendChild(td);
+        });
+      }
+      tbody.appendChild(tr);
+    });
+
+    resultViewerMessage.textContent = t('viewer.showingRows', { shown: entries.length, total: table.rows.length });
+  };
+
+  /**
+   * Load one of the result files of the viewed job into the viewer
+   * @param {string} kind - 'summary' or 'calculation'
+   */
+  const loadResultTable = async (kind) => {
+    const { job } = viewerState;
+    const filePath = job && job.result && job.result.outputFiles && job.result.outputFiles[kind];
+
+    viewerState.kind = kind;
+    viewerState.table = null;
+    viewerState.sortColumn = -1;
+    viewerState.sortAscending = true;
+    viewerTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.kind === kind));
+
+    if (!filePath) {
+      renderResultTable();
+      resultViewerMessage.textContent = t('viewer.fileNotProduced');
+      return;
+    }
+
+    try {
+      const result = await window.fileProcessor.readResultFile(filePath, Boolean(job.options.useGBK));
+      if (!result.success) {
+        renderResultTable();
+        resultViewerMessage.textContent = t('common.error', { message: result.error });
+        return;
+      }
+      viewerState.table = result.table;
+      renderResultTable();
+    } catch (error) {
+      resultViewerMessage.textContent = t('common.error', { message: error.message || t('error.unknown') });
+      console.error('[Viewer] Failed to load result file:', error);
+    }
+  };
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag - SVG tag name
+   * @param {Object} attributes - Attribute values
+   * @returns {SVGElement} - The element
+   */
+  const createSvgElement = (tag, attributes = {}) => {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  };
+
+  /**
+   * Show the result table row of a sample
+   * @param {string} sampleName - Sample clicked in the chart
+   */
+  const focusSampleRow = async (sampleName) => {
+    const { job } = viewerState;
+    const kind = job.result.outputFiles.calculation ? 'calculation' : 'summary';
+    resultFilterInput.value = '';
+    if (viewerState.kind !== kind || !viewerState.table) {
+      await loadResultTable(kind);
+    } else {
+      renderResultTable();
+    }
+
+    const rows = Array.from(resultTable.querySelectorAll('tbody tr'))
+      .filter(row => row.dataset.sample === sampleName);
+    rows.forEach(row => row.classList.add('row-focus'));
+    if (rows.length > 0) {
+      rows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  };
+
+  /**
+   * Draw the ratio of every sample against the carrier, normal and abnormal bands
+   * @param {Object} chart - { points, bands, maxRatio } from the main process
+   */
+  const renderRatioChart = (chart) => {
+    resultChart.replaceChildren();
+    if (chart.points.length === 0) {
+      resultChart.textContent = t('chart.noRatios');
+      return;
+    }
+
+    const width = 720;
+    const height = 240;
+    const margin = { top: 10, right: 10, bottom: 60, left: 40 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const x = (index) => margin.left + ((index + 0.5) * plotWidth) / chart.points.length;
+    const y = (ratio) => margin.top + plotHeight * (1 - Math.min(ratio, chart.maxRatio) / chart.maxRatio);
+
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'ratio-chart', role: 'img' });
+
+    // Background bands of the carrier calls
+    chart.bands.forEach(band => {
+      svg.appendChild(createSvgElement('rect', {
+        x: margin.left,
+        y: y(band.max),
+        width: plotWidth,
+        height: y(band.min) - y(band.max),
+        class: `chart-band chart-band-${band.call}`
+      }));
+    });
+
+    // Horizontal grid lines with ratio labels every 0.5
+    for (let tick = 0; tick <= chart.maxRatio + 1e-9; tick += 0.5) {
+      svg.appendChild(createSvgElement('line', { x1: margin.left, x2: width - margin.right, y1: y(tick), y2: y(tick), class: 'chart-grid' }));
+      const label = createSvgElement('text', { x: margin.left - 6, y: y(tick) + 4, class: 'chart-axis-label', 'text-anchor': 'end' });
+      label.textContent = tick.toFixed(1);
+      svg.appendChild(label);
+    }
+
+    chart.points.forEach((point, index) => {
+      const cx = x(index);
+      const cy = y(point.ratio);
+      const marker = point.isStandard
+        ? createSvgElement('polygon', { points: `${cx},${cy - 7} ${cx + 7},${cy} ${cx},${cy + 7} ${cx - 7},${cy}` })
+        : createSvgElement('circle', { cx, cy, r: 5 });
+      marker.setAttribute('class', `chart-point chart-point-${point.call}${point.isStandard ? ' chart-point-standard' : ''}`);
+
+      const title = createSvgElement('title');
+      title.textContent = t(point.isStandard ? 'chart.pointStandard' : 'chart.point', {
+        name: point.name,
+        ratio: point.ratio,
+        call: t(`call.${point.call}`)
+      });
+      marker.appendChild(title);
+      marker.addEventListener('click', () => focusSampleRow(point.name));
+      svg.appendChild(marker);
+
+      // Sample names below the plot, slanted so long names fit
+      const labelY = height - margin.bottom + 12;
+      const label = createSvgElement('text', {
+        x: cx,
+        y: labelY,
+        class: `chart-axis-label${point.isStandard ? ' chart-label-standard' : ''}`,
+        'text-anchor': 'end',
+        transform: `rotate(-45 ${cx} ${labelY})`
+      });
+      label.textContent = point.name.length > 12 ? `${point.name.slice(0, 11)}…` : point.name;
+      svg.appendChild(label);
+    });
+
+    resultChart.appendChild(svg);
+  };
+
+  /**
+   * Load the ratio chart of the viewed job
+   */
+  const loadRatioChart = async () => {
+    const { job } = viewerState;
+    viewerState.chart = null;
+    resultChart.replaceChildren();
+    try {
+      const result = await window.fileProcessor.getRatioChart(job.result.outputFiles, job.options);
+      if (viewerState.job !== job) {
+        return;
+      }
+      if (result.success) {
+        viewerState.chart = result.chart;
+        renderRatioChart(result.chart);
+      } else {
+        resultChart.textContent = t('common.error', { message: result.error });
+      }
+    } catch (error) {
+      console.error('[Viewer] Failed to load ratio chart:', error);
+    }
+  };
+
+  /**
+   * Show the QC status of the run and list its findings
+   */
+  const renderQc = () => {
+    const { qc } = viewerState;
+    resultQc.replaceChildren();
+    if (!qc) {
+      return;
+    }
+
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    qc.samples.forEach(sample => {
+      counts[sample.status]++;
+    });
+    const summary = document.createElement('span');
+    summary.className = 'result-qc-summary';
+    summary.textContent = t('qc.counts', counts);
+    resultQc.append(createQcBadge(qc.status, t('qc.runBadge', { status: t(`qc.${qc.status}`) })), summary);
+
+    const findings = listQcFindings(qc, t);
+    if (findings.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'result-qc-findings';
+      findings.forEach(finding => {
+        const item = document.createElement('li');
+        item.textContent = finding;
+        list.appendChild(item);
+      });
+      resultQc.appendChild(list);
+    }
+  };
+
+  /**
+   * Load the QC result of the viewed job: the one recorded with the run, or the
+   * result files checked against the current rules when none was recorded
+   */
+  const loadQc = async () => {
+    const { job } = viewerState;
+    viewerState.qc = job.result.qc || null;
+    renderQc();
+    if (viewerState.qc) {
+      return;
+    }
+    try {
+      const result = await window.qc.evaluate(job.result.outputFiles, job.options);
+      if (viewerState.job !== job) {
+        return;
+      }
+      if (result.success) {
+        viewerState.qc = result.qc;
+        renderQc();
+        renderResultTable();
+      } else {
+        resultQc.textContent = t('common.error', { message: result.error });
+      }
+    } catch (error) {
+      console.error('[Viewer] Failed to load QC result:', error);
+    }
+  };
+
+  /**
+   * Show the couple and trio carrier risk and the samples missing from the sample sheet
+   */
+  const renderSampleSheet = () => {
+    const { sampleSheet } = viewerState;
+    resultSampleSheet.replaceChildren();
+    if (!sampleSheet) {
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'result-sample-sheet-summary';
+    summary.textContent = t('sampleSheet.matched', {
+      file: getFileName(sampleSheet.sheetFile),
+      matched: sampleSheet.samples.length
+    });
+    resultSampleSheet.appendChild(summary);
+
+    if (sampleSheet.unmatchedSamples.length > 0) {
+      const warning = document.createElement('div');
+      warning.className = 'result-sample-sheet-unmatched';
+      warning.textContent = t('sampleSheet.unmatchedSamples', { samples: sampleSheet.unmatchedSamples.join(', ') });
+      resultSampleSheet.appendChild(warning);
+    }
+
+    if (sampleSheet.families.length > 0) {
+      const describeMember = (member) => t('sampleSheet.member', {
+        name: member.patientId ? `${member.name} (${member.patientId})` : member.name,
+        call: t(`call.${member.call}`)
+      });
+      const list = document.createElement('ul');
+      list.className = 'result-sample-sheet-families';
+      sampleSheet.families.forEach(family => {
+        const item = document.createElement('li');
+        const badge = document.createElement('span');
+        badge.className = `risk-badge risk-badge-${family.risk}`;
+        badge.textContent = t(`sampleSheet.risk.${family.risk}`);
+        const members = [
+          t('sampleSheet.role.father', { member: describeMember(family.father) }),
+          t('sampleSheet.role.mother', { member: describeMember(family.mother) }),
+          ...(family.proband ? [t('sampleSheet.role.proband', { member: describeMember(family.proband) })] : [])
+        ];
+        item.append(badge, ` ${t(`sampleSheet.kind.${family.kind}`, { family: family.familyId })}: ${members.join('; ')}`);
+        list.appendChild(item);
+      });
+      resultSampleSheet.appendChild(list);
+    }
+  };
+
+  /**
+   * Load the sample sheet metadata of the viewed job: the metadata recorded with the
+   * run, or the imported sample sheet joined to the result files when none was recorded
+   */
+  const loadSampleSheet = async () => {
+    const { job } = viewerState;
+    viewerState.sampleSheet = job.result.sampleSheet || null;
+    renderSampleSheet();
+    if (viewerState.sampleSheet) {
+      return;
+    }
+    try {
+      const result = await window.sampleSheet.match(job.result.outputFiles, job.options);
+      if (viewerState.job !== job) {
+        return;
+      }
+      if (result.success) {
+        viewerState.sampleSheet = result.sampleSheet;
+        renderSampleSheet();
+        renderResultTable();
+      } else {
+        resultSampleSheet.textContent = t('common.error', { message: result.error });
+      }
+    } catch (error) {
+      console.error('[Viewer] Failed to load sample sheet metadata:', error);
+    }
+  };
+
+  /**
+   * Show the results of a finished job
+   * @param {Object} job - Job-like object with filePath, options and result.outputFiles
+   */
+  const open = (job) => {
+    viewerState.job = job;
+    resultViewerTitle.textContent = getFileName(job.filePath);
+    resultFilterInput.value = '';
+    loadRatioChart();
+    loadQc();
+    loadSampleSheet();
+    loadResultTable(job.result.outputFiles.summary ? 'summary' : 'calculation');
+  };
+
+  /**
+   * Forget the shown job and empty the table and chart
+   */
+  const clear = () => {
+    viewerState.job = null;
+    viewerState.table = null;
+    viewerState.chart = null;
+    viewerState.qc = null;
+    viewerState.sampleSheet = null;
+    resultChart.replaceChildren();
+    resultQc.replaceChildren();
+    resultSampleSheet.replaceChildren();
+    renderResultTable();
+  };
+
+  /**
+   * Render the shown results again, e.g. after the language changed
+   */
+  const refresh = () => {
+    if (!viewerState.job) {
+      return;
+    }
+    if (viewerState.chart) {
+      renderRatioChart(viewerState.chart);
+    }
+    renderQc();
+    renderSampleSheet();
+    if (viewerState.table) {
+      renderResultTable();
+    } else {
+      loadResultTable(viewerState.kind);
+    }
+  };
+
+  viewerTabs.forEach(tab => tab.addEventListener('click', () => loadResultTable(tab.dataset.kind)));
+  resultFilterInput.addEventListener('input', renderResultTable);
+
+  return { open, clear, refresh, getJob: () => viewerState.job };
+};
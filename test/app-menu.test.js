@@ -0,0 +1,117 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { MENU_COMMANDS, buildMenuTemplate } = require('../lib/app-menu');
+const { SettingsStore, MAX_RECENT_FILES } = require('../lib/settings-store');
+const { createTranslator } = require('../lib/i18n');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-menu-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a menu template that records what its entries do
+ * @param {Object} [params] - Overrides for buildMenuTemplate
+ * @returns {Object} - { template, calls }
+ */
+const buildRecordingMenu = (params = {}) => {
+  const calls = [];
+  const record = (name) => (...args) => calls.push([name, ...args]);
+  const template = buildMenuTemplate({
+    t: createTranslator(),
+    platform: 'win32',
+    sendCommand: record('send'),
+    actions: {
+      openRecent: record('openRecent'),
+      clearRecent: record('clearRecent'),
+      openOutputFolder: record('openOutputFolder'),
+      showAbout: record('showAbout')
+    },
+    ...params
+  });
+  return { template, calls };
+};
+
+/**
+ * Find a menu item by label anywhere in a template
+ * @param {Object[]} items - Menu items
+ * @param {string} label - Item label
+ * @returns {Object|undefined} - The item
+ */
+const findItem = (items, label) => {
+  for (const item of items) {
+    if (item.label === label) {
+      return item;
+    }
+    const found = item.submenu && findItem(item.submenu, label);
+    if (found) {
+      return found;
+    }
+  }
+  return undefined;
+};
+
+test('the menu entries have their shortcuts and send renderer commands', () => {
+  const { template, calls } = buildRecordingMenu();
+
+  assert.deepEqual(template.map(menu => menu.label), ['File', 'Edit', 'View', 'Help']);
+  assert.equal(findItem(template, 'Open Files...').accelerator, 'CmdOrCtrl+O');
+  assert.equal(findItem(template, 'Process Files').accelerator, 'CmdOrCtrl+Enter');
+
+  findItem(template, 'Open Files...').click();
+  findItem(template, 'Process Files').click();
+  findItem(template, 'Show Log').click();
+  findItem(template, 'Open Output Folder').click();
+  findItem(template, 'About SHCarrier').click();
+  assert.deepEqual(calls, [['send', 'open-files'], ['send', 'process'], ['send', 'show-log'], ['openOutputFolder'], ['showAbout']]);
+  calls.filter(([name]) => name === 'send').forEach(([, command]) => assert.ok(MENU_COMMANDS.includes(command)));
+});
+
+test('Open Recent lists the recent files newest first', () => {
+  const recentFiles = [path.join(tempDir, 'b.txt'), path.join(tempDir, 'a.txt')];
+  const { template, calls } = buildRecordingMenu({ recentFiles });
+  const submenu = findItem(template, 'Open Recent').submenu;
+
+  assert.deepEqual(submenu.slice(0, 2).map(item => item.label), ['b.txt', 'a.txt']);
+  submenu[1].click();
+  findItem(template, 'Clear Recently Opened').click();
+  assert.deepEqual(calls, [['openRecent', recentFiles[1]], ['clearRecent']]);
+
+  const empty = findItem(buildRecordingMenu().template, 'Open Recent').submenu;
+  assert.equal(empty[0].enabled, false);
+  assert.equal(findItem(empty, 'Clear Recently Opened').enabled, false);
+});
+
+test('macOS gets the app menu and keeps Quit there', () => {
+  const { template } = buildRecordingMenu({ platform: 'darwin', t: createTranslator('zh-CN') });
+
+  assert.equal(template[0].role, 'appMenu');
+  assert.equal(template[1].label, '文件');
+  assert.equal(findItem(template, '退出'), undefined);
+});
+
+test('the recent files list is persisted without duplicates and capped', () => {
+  const settingsPath = path.join(tempDir, 'settings.json');
+  const settings = new SettingsStore(settingsPath);
+  const files = Array.from({ length: MAX_RECENT_FILES + 2 }, (value, index) => path.join(tempDir, `${index}.txt`));
+
+  files.forEach(filePath => settings.addRecentFiles([filePath]));
+  settings.addRecentFiles([files[5]]);
+  const recentFiles = new SettingsStore(settingsPath).get('recentFiles');
+
+  assert.equal(recentFiles.length, MAX_RECENT_FILES);
+  assert.equal(recentFiles[0], files[5]);
+  assert.equal(recentFiles[1], files[files.length - 1]);
+  assert.equal(new Set(recentFiles).size, recentFiles.length);
+
+  assert.equal(settings.removeRecentFiles([files[5]]).includes(files[5]), false);
+  assert.deepEqual(settings.removeRecentFiles(), []);
+});
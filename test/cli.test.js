@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EXIT_CODES, isHeadless, parseCliArgs, buildSummary } = require('../lib/cli');
+const { expandInputPatterns } = require('../lib/input-files');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-cli-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Assert that parsing the arguments fails with the usage exit code
+ * @param {string[]} argv - Command-line arguments
+ * @param {RegExp} message - Expected error message
+ */
+const assertUsageError = (argv, message) => {
+  assert.throws(() => parseCliArgs(argv), (error) => {
+    assert.equal(error.name, 'CliError');
+    assert.equal(error.exitCode, EXIT_CODES.USAGE);
+    assert.match(error.message, message);
+    return true;
+  });
+};
+
+test('flags map to the processing options in both value forms', () => {
+  assert.equal(isHeadless(['--input=a.txt']), true);
+  assert.equal(isHeadless(['--inspect']), false);
+
+  const parsed = parseCliArgs(['-i', 'a.txt', '--input=exports/*.txt', '--area', '--std', 'NC01', '-g', '--dev', '--out', 'results', '-c', '3']);
+  assert.deepEqual(parsed.inputs, ['a.txt', 'exports/*.txt']);
+  assert.deepEqual(parsed.options, { useArea: true, stdName: 'NC01', useGBK: true, devMode: true, outputDir: null, moveOutputs: false });
+  assert.equal(parsed.outDir, path.resolve('results'));
+  assert.equal(parsed.concurrency, 3);
+  assert.equal(parseCliArgs(['-i', 'a.txt', '--std=样本 01']).options.stdName, '样本 01');
+  assert.equal(parseCliArgs(['--help']).help, true);
+});
+
+test('invalid arguments exit with the usage code', () => {
+  assertUsageError([], /At least one --input/);
+  assertUsageError(['-i', 'a.txt', '--verbose'], /Unknown argument/);
+  assertUsageError(['-i', 'a.txt', '--std', '-dev'], /Missing value for --std/);
+  assertUsageError(['-i', 'a.txt', '-c', '0'], /positive integer/);
+  // The inline form must not smuggle an engine flag in as the standard sample name
+  assertUsageError(['-i', 'a.txt', '--std=-dev'], /Standard sample name/);
+  assertUsageError(['-i', 'a.txt', '--std=NC01;rm'], /Standard sample name/);
+});
+
+test('folders and globs expand to the input files they contain', () => {
+  const exports = path.join(tempDir, 'exports');
+  fs.mkdirSync(exports);
+  ['plate 1.txt', 'plate 2.TXT', 'plate 1-summary.tsv', 'notes.md', 'other.csv'].forEach(name => {
+    fs.writeFileSync(path.join(exports, name), '');
+  });
+
+  assert.deepEqual(expandInputPatterns(['exports'], tempDir), {
+    files: ['other.csv', 'plate 1.txt', 'plate 2.TXT'].map(name => path.join(exports, name)),
+    unmatched: []
+  });
+  // Globs match case-insensitively, never pick up results and de-duplicate with explicit files
+  assert.deepEqual(expandInputPatterns([path.join(exports, 'plate ?.txt'), 'exports/plate*', 'exports/missing*.txt'], tempDir), {
+    files: ['plate 1.txt', 'plate 2.TXT'].map(name => path.join(exports, name)),
+    unmatched: ['exports/missing*.txt']
+  });
+});
+
+test('the summary exit code reflects the outcome of the runs', () => {
+  const options = parseCliArgs(['-i', 'a.txt']).options;
+  const done = {
+    filePath: '/data/a.txt',
+    status: 'done',
+    error: null,
+    result: {
+      code: 0,
+      outputFiles: { summary: '/data/a-summary.tsv', calculation: '/data/a-cal.tsv' },
+      parsed: { samples: [{ name: 'S01', call: 'carrier' }, { name: 'S02', call: 'normal' }] },
+      engineVersion: 'bundled'
+    }
+  };
+  const failed = { filePath: '/data/b.txt', status: 'failed', error: 'Timed out', result: { code: null, failure: { type: 'timeout' } } };
+
+  const success = buildSummary([done], { options, unmatched: [] });
+  assert.equal(success.exitCode, EXIT_CODES.SUCCESS);
+  assert.equal(success.success, true);
+  assert.deepEqual(success.files[0].carriers, ['S01']);
+  assert.equal(success.files[0].engineVersion, 'bundled');
+
+  const partial = buildSummary([done, failed], { options, unmatched: ['missing.txt'] });
+  assert.equal(partial.exitCode, EXIT_CODES.FAILED);
+  assert.equal(partial.failed, 1);
+  assert.equal(partial.files[1].failure, 'timeout');
+  assert.deepEqual(partial.unmatchedInputs, ['missing.txt']);
+
+  assert.equal(buildSummary([], { options, unmatched: ['missing.txt'] }).exitCode, EXIT_CODES.NO_INPUT);
+});
+
+test('an input that matched no file fails the summary even when the others succeeded', () => {
+  const options = parseCliArgs(['-i', 'a.txt']).options;
+  const done = { filePath: '/data/a.txt', status: 'done', error: null, result: { code: 0, outputFiles: null } };
+
+  const summary = buildSummary([done], { options, unmatched: ['exports/plate l.txt'] });
+  assert.equal(summary.exitCode, EXIT_CODES.NO_INPUT);
+  assert.equal(summary.success, false);
+  assert.equal(summary.failed, 0);
+  assert.deepEqual(summary.unmatchedInputs, ['exports/plate l.txt']);
+});
@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { resolveEngine, describeResolution, checkEngine } = require('../lib/engine-resolver');
+
+let tempDir;
+let resourceDir;
+let binDir;
+
+/**
+ * Write a stub executable shell script
+ * @param {string} filePath - Where to create the stub
+ * @param {boolean} [executable=true] - Whether to set the executable bit
+ */
+const writeStub = (filePath, executable = true) => {
+  fs.writeFileSync(filePath, '#!/bin/sh\necho stub 1.0\n');
+  fs.chmodSync(filePath, executable ? 0o755 : 0o644);
+};
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-resolver-'));
+  resourceDir = path.join(tempDir, 'resources');
+  binDir = path.join(tempDir, 'bin');
+  fs.mkdirSync(resourceDir);
+  fs.mkdirSync(binDir);
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('the bundled exe is used directly on Windows', () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  const { engine } = resolveEngine({ resourceDir, platform: 'win32', env: {} });
+
+  assert.equal(engine.kind, 'native');
+  assert.equal(engine.command, path.join(resourceDir, 'SHCarrier.exe'));
+  assert.deepEqual(engine.prefixArgs, []);
+});
+
+test('a native Linux build is preferred over Wine', () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  writeStub(path.join(resourceDir, 'SHCarrier-linux'));
+  writeStub(path.join(binDir, 'wine'));
+  const { engine } = resolveEngine({ resourceDir, platform: 'linux', env: { PATH: binDir } });
+
+  assert.equal(engine.kind, 'native');
+  assert.equal(engine.command, path.join(resourceDir, 'SHCarrier-linux'));
+});
+
+test('a native build without the executable bit is skipped', () => {
+  writeStub(path.join(resourceDir, 'SHCarrier-linux'), false);
+  const { engine, checked } = resolveEngine({ resourceDir, platform: 'linux', env: {} });
+
+  assert.equal(engine, null);
+  assert.equal(checked[0].reason, 'File is not executable');
+});
+
+test('the bundled exe runs through Wine found on the PATH', () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  writeStub(path.join(binDir, 'wine'));
+  const { engine } = resolveEngine({ resourceDir, platform: 'darwin', env: { PATH: binDir } });
+
+  assert.equal(engine.kind, 'wine');
+  assert.equal(engine.command, path.join(binDir, 'wine'));
+  assert.deepEqual(engine.prefixArgs, [path.join(resourceDir, 'SHCarrier.exe')]);
+});
+
+test('a configured executable takes precedence over the bundled engine', () => {
+  const configuredPath = path.join(tempDir, 'custom-shcarrier');
+  writeStub(configuredPath);
+  writeStub(path.join(resourceDir, 'SHCarrier-linux'));
+  const { engine } = resolveEngine({ resourceDir, configuredPath, platform: 'linux', env: {} });
+
+  assert.equal(engine.kind, 'configured');
+  assert.equal(engine.command, configuredPath);
+  assert.match(describeResolution({ engine, checked: [] }), /^Configured engine/);
+});
+
+test('a configured exe uses the configured Wine launcher', () => {
+  const configuredPath = path.join(tempDir, 'SHCarrier-2.exe');
+  const winePath = path.join(tempDir, 'my-wine');
+  writeStub(configuredPath, false);
+  writeStub(winePath);
+  const { engine } = resolveEngine({ resourceDir, configuredPath, winePath, platform: 'linux', env: {} });
+
+  assert.equal(engine.kind, 'configured');
+  assert.equal(engine.command, winePath);
+  assert.deepEqual(engine.prefixArgs, [configuredPath]);
+});
+
+test('every rejected candidate is listed when no engine is available', () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  const resolution = resolveEngine({ resourceDir, configuredPath: path.join(tempDir, 'missing'), platform: 'linux', env: { PATH: binDir } });
+
+  assert.equal(resolution.engine, null);
+  assert.deepEqual(resolution.checked.map(item => item.reason), [
+    'File does not exist',
+    'File does not exist',
+    'File does not exist',
+    'Wine launcher not found'
+  ]);
+  assert.match(describeResolution(resolution), /^No SHCarrier engine available/);
+});
+
+test('the self-check runs the Wine launcher', { skip: process.platform === 'win32' }, async () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  writeStub(path.join(binDir, 'wine'));
+  const status = await checkEngine({ resourceDir, platform: 'linux', env: { PATH: binDir } });
+
+  assert.equal(status.available, true);
+  assert.match(status.message, /via Wine/);
+});
+
+test('the self-check fails when the Wine launcher does not run', { skip: process.platform === 'win32' }, async () => {
+  writeStub(path.join(resourceDir, 'SHCarrier.exe'));
+  fs.writeFileSync(path.join(binDir, 'wine'), '#!/bin/sh\nexit 3\n');
+  fs.chmodSync(path.join(binDir, 'wine'), 0o755);
+  const status = await checkEngine({ resourceDir, platform: 'linux', env: { PATH: binDir } });
+
+  assert.equal(status.available, false);
+  assert.match(status.message, /Wine launcher failed/);
+});
@@ -0,0 +1,239 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { buildArgs, getOutputPaths, collectOutputs, deliverOutputs, runEngine, killRunningProcesses } = require('../lib/engine');
+const { parseResultFiles } = require('../lib/result-parser');
+
+const FAKE_ENGINE = path.join(__dirname, 'fixtures', 'fake-engine.js');
+
+/**
+ * Engine descriptor that runs the fake engine with Node in the given mode
+ * @param {string} mode - Fake engine behaviour
+ * @returns {Object} - Engine for runEngine
+ */
+const fakeEngine = (mode) => ({ command: process.execPath, prefixArgs: [FAKE_ENGINE, `--mode=${mode}`] });
+
+let tempDir;
+let inputFile;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-engine-'));
+  inputFile = path.join(tempDir, 'run 01.txt');
+  fs.writeFileSync(inputFile, 'Sample Name\tMarker\tHeight\nSTD\tSMN1\t1200\n');
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('buildArgs maps the processing options to SHCarrier flags', () => {
+  assert.deepEqual(buildArgs('a.txt', { stdName: 'STD' }), ['-i', 'a.txt']);
+  assert.deepEqual(
+    buildArgs('a.txt', { useArea: true, stdName: 'NC01', useGBK: true, devMode: true }),
+    ['-i', 'a.txt', '-Area', '-STD', 'NC01', '-GBK', '-dev']
+  );
+});
+
+test('getOutputPaths places the results next to the input', () => {
+  assert.deepEqual(getOutputPaths(inputFile), {
+    summary: path.join(tempDir, 'run 01-summary.tsv'),
+    calculation: path.join(tempDir, 'run 01-cal.tsv')
+  });
+});
+
+test('a successful run returns the output and the result files', async () => {
+  const chunks = [];
+  const result = await runEngine(fakeEngine('success'), inputFile, { stdName: 'NC01' }, { onStdout: chunk => chunks.push(chunk) });
+
+  assert.equal(result.success, true);
+  assert.equal(result.code, 0);
+  assert.match(result.stdout, /Args: \["-i",".*run 01\.txt","-STD","NC01"\]/);
+  assert.equal(chunks.join(''), result.stdout);
+  assert.deepEqual(result.outputFiles, getOutputPaths(inputFile));
+
+  const parsed = parseResultFiles(result.outputFiles, { stdName: 'NC01' });
+  assert.equal(parsed.standardSample, 'NC01');
+  assert.deepEqual(parsed.samples.map(sample => sample.call), ['normal', 'normal', 'carrier']);
+});
+
+test('results are copied into the output folder without overwriting earlier runs', async () => {
+  const outputDir = path.join(tempDir, 'results');
+  const first = await runEngine(fakeEngine('success'), inputFile, { outputDir });
+  const second = await runEngine(fakeEngine('success'), inputFile, { outputDir });
+
+  assert.deepEqual(first.outputFiles, {
+    summary: path.join(outputDir, 'run 01-summary.tsv'),
+    calculation: path.join(outputDir, 'run 01-cal.tsv')
+  });
+  assert.deepEqual(second.outputFiles, {
+    summary: path.join(outputDir, 'run 01 (2)-summary.tsv'),
+    calculation: path.join(outputDir, 'run 01 (2)-cal.tsv')
+  });
+  assert.deepEqual(collectOutputs(inputFile), getOutputPaths(inputFile));
+});
+
+test('moved results leave nothing next to the input', async () => {
+  const outputDir = path.join(tempDir, 'results');
+  const result = await runEngine(fakeEngine('success'), inputFile, { outputDir, moveOutputs: true });
+
+  assert.equal(result.success, true);
+  assert.equal(fs.existsSync(result.outputFiles.summary), true);
+  assert.deepEqual(collectOutputs(inputFile), { summary: null, calculation: null });
+});
+
+test('one taken name gives both result files the next free suffix', () => {
+  const outputDir = path.join(tempDir, 'results');
+  fs.mkdirSync(outputDir);
+  fs.writeFileSync(path.join(outputDir, 'run 01-cal.tsv'), 'earlier run');
+  const outputs = getOutputPaths(inputFile);
+  fs.writeFileSync(outputs.summary, 'summary');
+  fs.writeFileSync(outputs.calculation, 'calculation');
+
+  const delivered = deliverOutputs(outputs, outputDir);
+  assert.equal(path.basename(delivered.summary), 'run 01 (2)-summary.tsv');
+  assert.equal(path.basename(delivered.calculation), 'run 01 (2)-cal.tsv');
+  assert.equal(fs.readFileSync(path.join(outputDir, 'run 01-cal.tsv'), 'utf8'), 'earlier run');
+});
+
+test('an output folder equal to the input folder leaves the results in place', () => {
+  const outputs = getOutputPaths(inputFile);
+  fs.writeFileSync(outputs.summary, 'summary');
+
+  assert.deepEqual(deliverOutputs({ summary: outputs.summary, calculation: null }, tempDir), { summary: outputs.summary, calculation: null });
+});
+
+test('a failure exit code is reported with the error output', async () => {
+  const errors = [];
+  const result = await runEngine(fakeEngine('fail'), inputFile, {}, { onStderr: chunk => errors.push(chunk) });
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 2);
+  assert.match(result.stderr, /standard sample not found/);
+  assert.equal(errors.join(''), result.stderr);
+  assert.equal(result.outputFiles, undefined);
+  assert.deepEqual(result.failure, { type: 'exitCode', params: { code: 2 } });
+});
+
+test('a decoding error in the engine output is reported as an encoding failure', async () => {
+  const result = await runEngine(fakeEngine('encoding-error'), inputFile, {});
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.failure, { type: 'encoding', params: { code: 3 } });
+});
+
+test('error output that only names an encoding is not an encoding failure', async () => {
+  const result = await runEngine(fakeEngine('echo-encoding'), inputFile, { useGBK: true });
+
+  assert.match(result.stderr, /Encoding: GBK/);
+  assert.deepEqual(result.failure, { type: 'exitCode', params: { code: 2 } });
+});
+
+test('exit code 0 without result files is a failure', async () => {
+  const result = await runEngine(fakeEngine('no-output'), inputFile, {});
+
+  assert.equal(result.success, false);
+  assert.equal(result.code, 0);
+  assert.deepEqual(result.outputFiles, { summary: null, calculation: null });
+  assert.deepEqual(result.failure, { type: 'missingOutput', params: { folder: tempDir, missing: ['run 01-summary.tsv', 'run 01-cal.tsv'] } });
+  assert.deepEqual(collectOutputs(inputFile), { summary: null, calculation: null });
+});
+
+test('exit code 0 with only the summary file is a failure', async () => {
+  const result = await runEngine(fakeEngine('summary-only'), inputFile, {});
+
+  assert.equal(result.success, false);
+  assert.equal(result.outputFiles.calculation, null);
+  assert.deepEqual(result.failure, { type: 'missingOutput', params: { folder: tempDir, missing: ['run 01-cal.tsv'] } });
+});
+
+test('results that cannot be written to the output folder are a failure', async () => {
+  // A file where the output folder should be
+  const outputDir = path.join(tempDir, 'results');
+  fs.writeFileSync(outputDir, '');
+  const result = await runEngine(fakeEngine('success'), inputFile, { outputDir });
+
+  assert.equal(result.success, false);
+  assert.equal(result.failure.type, 'deliverOutput');
+  assert.equal(result.failure.params.folder, outputDir);
+  assert.ok(result.failure.params.message);
+});
+
+test('a missing executable rejects with the spawn error', async () => {
+  const engine = { command: path.join(tempDir, 'does-not-exist'), prefixArgs: [] };
+
+  await assert.rejects(runEngine(engine, inputFile, {}), (error) => {
+    assert.equal(error.name, 'EngineError');
+    assert.equal(error.code, 'ENOENT');
+    assert.equal(error.failure.type, 'notFound');
+    assert.match(error.message, /^Failed to start process/);
+    return true;
+  });
+});
+
+test('aborting the signal kills the process and reports a cancelled run', async () => {
+  const controller = new AbortController();
+  const running = runEngine(fakeEngine('hang'), inputFile, {}, {
+    signal: controller.signal,
+    onStdout: () => controller.abort()
+  });
+
+  const result = await running;
+  assert.equal(result.success, false);
+  assert.equal(result.cancelled, true);
+  assert.deepEqual(result.failure, { type: 'cancelled', params: {} });
+});
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} - False once the process is gone
+ */
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wait until a process is gone
+ * @param {number} pid - Process ID
+ * @returns {Promise<boolean>} - Whether it ended within two seconds
+ */
+const waitForExit = async (pid) => {
+  for (let i = 0; i < 40 && isRunning(pid); i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return !isRunning(pid);
+};
+
+test('a run over the time limit is killed together with the processes it started', async () => {
+  let helperPid = null;
+  const result = await runEngine(fakeEngine('hang-tree'), inputFile, {}, {
+    timeoutMs: 500,
+    onStdout: (chunk) => {
+      const match = /Helper PID: (\d+)/.exec(chunk);
+      helperPid = match ? Number(match[1]) : helperPid;
+    }
+  });
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.failure, { type: 'timeout', params: { seconds: 1 } });
+  assert.ok(helperPid);
+  assert.equal(await waitForExit(helperPid), true);
+});
+
+test('running processes are killed when the app quits', async () => {
+  const running = runEngine(fakeEngine('hang'), inputFile, {}, {
+    onStdout: () => killRunningProcesses()
+  });
+
+  const result = await running;
+  assert.equal(result.success, false);
+  assert.notEqual(result.code, 0);
+  assert.equal(killRunningProcesses(), 0);
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Fake Engine
+ *
+ * Stands in for SHCarrier.exe in the test suite. It accepts the SHCarrier
+ * command line, prints canned progress output and writes sample result files
+ * next to the input. Flags before the SHCarrier arguments select the behaviour:
+ *   --mode=success    write <base>-summary.tsv and <base>-cal.tsv, exit 0 (default)
+ *   --mode=fail       print an error, exit 2 without writing results
+ *   --mode=no-output  exit 0 without writing results
+ *   --mode=summary-only  write <base>-summary.tsv only, exit 0
+ *   --mode=hang       keep running until killed
+ *   --mode=hang-tree  start a helper process, print "Helper PID: <pid>" and keep running until killed
+ *   --mode=encoding-error  print a decoding error, exit 3 without writing results
+ *   --mode=echo-encoding   print the chosen encoding to stderr, exit 2 without writing results
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+
+const argv = process.argv.slice(2);
+const modeArg = argv.find(arg => arg.startsWith('--mode='));
+const mode = modeArg ? modeArg.slice('--mode='.length) : 'success';
+const args = argv.filter(arg => !arg.startsWith('--mode='));
+
+const inputIndex = args.indexOf('-i');
+const inputFile = inputIndex >= 0 ? args[inputIndex + 1] : null;
+const stdIndex = args.indexOf('-STD');
+const stdName = stdIndex >= 0 ? args[stdIndex + 1] : 'STD';
+
+if (!inputFile || !fs.existsSync(inputFile)) {
+  process.stderr.write(`Input file not found: ${inputFile}\n`);
+  process.exit(1);
+}
+
+process.stdout.write(`SHCarrier fake engine\nArgs: ${JSON.stringify(args)}\n`);
+process.stdout.write(`Reading ${path.basename(inputFile)}\n`);
+
+if (mode === 'fail') {
+  process.stderr.write('Error: standard sample not found\n');
+  process.exit(2);
+}
+
+if (mode === 'encoding-error') {
+  process.stderr.write('Error: cannot decode the input as UTF-8\n');
+  process.exit(3);
+}
+
+if (mode === 'echo-encoding') {
+  process.stderr.write(`Encoding: ${args.includes('-GBK') ? 'GBK' : 'UTF-8'}\nError: marker SMN1 not found\n`);
+  process.exit(2);
+}
+
+/**
+ * Write canned summary and calculation tables next to the input file
+ */
+const writeResults = ({ calculation = true } = {}) => {
+  const baseName = path.join(path.dirname(inputFile), path.basename(inputFile, path.extname(inputFile)));
+  fs.writeFileSync(`${baseName}-summary.tsv`, [
+    'Sample\tRatio\tResult',
+    `${stdName}\t1.00\tNormal`,
+    'S01\t1.02\tNormal',
+    'S02\t0.51\tCarrier'
+  ].join('\n') + '\n');
+  if (!calculation) {
+    return;
+  }
+  fs.writeFileSync(`${baseName}-cal.tsv`, [
+    'Sample\tMarker\tHeight',
+    `${stdName}\tSMN1\t1200`,
+    'S01\tSMN1\t1224',
+    'S02\tSMN1\t612'
+  ].join('\n') + '\n');
+};
+
+if (mode === 'hang-tree') {
+  // Like Wine, the engine leaves a helper running that must be killed with it
+  const helper = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+  process.stdout.write(`Helper PID: ${helper.pid}\n`);
+  setInterval(() => {}, 1000);
+} else if (mode === 'hang') {
+  // Stay alive until the test kills the process
+  setInterval(() => {}, 1000);
+} else {
+  if (mode === 'success') {
+    writeResults();
+  } else if (mode === 'summary-only') {
+    writeResults({ calculation: false });
+  }
+  process.stdout.write('Done\n');
+}
@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+const { FolderWatcher } = require('../lib/folder-watcher');
+
+let tempDir;
+let watcher;
+let reported;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-watch-'));
+  // Short settle times keep the suite fast: a file counts as complete after 2 unchanged checks 30 ms apart
+  watcher = new FolderWatcher({ stableInterval: 30, stableChecks: 2 });
+  reported = [];
+  watcher.on('file', filePath => reported.push(filePath));
+});
+
+afterEach(() => {
+  watcher.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Wait until the watcher reports a file
+ * @param {number} [timeoutMs=2000] - How long to wait
+ * @returns {Promise<string|null>} - The reported file, or null when none was reported in time
+ */
+const nextFile = (timeoutMs = 2000) => new Promise(resolve => {
+  const handleFile = (filePath) => {
+    clearTimeout(timer);
+    resolve(filePath);
+  };
+  const timer = setTimeout(() => {
+    watcher.off('file', handleFile);
+    resolve(null);
+  }, timeoutMs);
+  watcher.once('file', handleFile);
+});
+
+test('only new input files in the folder are reported', async () => {
+  fs.writeFileSync(path.join(tempDir, 'earlier.txt'), 'Sample Name\n');
+  watcher.start(tempDir);
+
+  // Results written by SHCarrier and other files are not input
+  fs.writeFileSync(path.join(tempDir, 'earlier-summary.tsv'), 'Sample\n');
+  fs.writeFileSync(path.join(tempDir, 'notes.md'), '# Plate 1\n');
+  const inputFile = path.join(tempDir, 'plate 1.txt');
+  fs.writeFileSync(inputFile, 'Sample Name\tMarker\n');
+
+  assert.equal(await nextFile(), inputFile);
+  await delay(200);
+  assert.deepEqual(reported, [inputFile]);
+});
+
+test('a file is reported once its size stops changing', async () => {
+  const inputFile = path.join(tempDir, 'plate 1.txt');
+  fs.writeFileSync(inputFile, '');
+  watcher.track(inputFile);
+
+  // An empty file is still being created
+  await delay(150);
+  assert.deepEqual(reported, []);
+
+  // The instrument keeps appending rows, every change restarts the checks
+  for (let row = 0; row < 10; row++) {
+    fs.appendFileSync(inputFile, `S${row}\tSMN1\n`);
+    watcher.track(inputFile);
+    await delay(10);
+  }
+  assert.deepEqual(reported, []);
+
+  assert.equal(await nextFile(), inputFile);
+  assert.equal(watcher.pending.size, 0);
+});
+
+test('a file version is reported only once', async () => {
+  const inputFile = path.join(tempDir, 'plate 1.txt');
+  fs.writeFileSync(inputFile, 'Sample Name\n');
+  watcher.track(inputFile);
+  assert.equal(await nextFile(), inputFile);
+
+  // Another change event for the same modification time is a duplicate
+  watcher.track(inputFile);
+  assert.equal(await nextFile(300), null);
+
+  // The export was written again, this version is new
+  fs.appendFileSync(inputFile, 'S01\n');
+  fs.utimesSync(inputFile, new Date(), new Date(Date.now() + 5000));
+  watcher.track(inputFile);
+  assert.equal(await nextFile(), inputFile);
+  assert.deepEqual(reported, [inputFile, inputFile]);
+});
+
+test('deleted files and stopping the watch drop pending files', async () => {
+  const deleted = path.join(tempDir, 'deleted.txt');
+  fs.writeFileSync(deleted, 'Sample Name\n');
+  watcher.track(deleted);
+  fs.rmSync(deleted);
+
+  const stopped = path.join(tempDir, 'stopped.txt');
+  fs.writeFileSync(stopped, 'Sample Name\n');
+  watcher.track(stopped);
+  await delay(50);
+  watcher.stop();
+
+  assert.equal(await nextFile(300), null);
+  assert.equal(watcher.pending.size, 0);
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ApiServer } = require('../lib/http-api');
+const { JobQueue } = require('../lib/job-queue');
+const { runEngine } = require('../lib/engine');
+
+const FAKE_ENGINE = path.join(__dirname, 'fixtures', 'fake-engine.js');
+const TOKEN = 'test-token';
+
+let tempDir;
+let inputFile;
+let server;
+let baseUrl;
+
+/**
+ * Send a request to the test server with the token
+ * @param {string} urlPath - Path below the server URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+const request = (urlPath, init = {}) => fetch(`${baseUrl}${urlPath}`, {
+  ...init,
+  headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...init.headers }
+});
+
+beforeEach(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-api-'));
+  inputFile = path.join(tempDir, 'run 01.txt');
+  fs.writeFileSync(inputFile, 'Sample Name\tMarker\tHeight\nNC01\tSMN1\t1200\n');
+
+  // Same runner shape as main.js: the engine output is passed on to the API server
+  const jobQueue = new JobQueue({
+    runner: (job, signal) => runEngine({ command: process.execPath, prefixArgs: [FAKE_ENGINE] }, job.filePath, job.options, {
+      signal,
+      onStdout: output => server.appendOutput(job.id, output)
+    })
+  });
+  server = new ApiServer({ jobQueue, token: TOKEN, port: 0 });
+  baseUrl = `http://127.0.0.1:${await server.start()}`;
+});
+
+afterEach(async () => {
+  await server.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a submitted job runs, streams its output and serves its result files', async () => {
+  const submitted = await request('/jobs', {
+    method: 'POST',
+    body: JSON.stringify({ filePath: inputFile, options: { useArea: true, stdName: 'NC01' } })
+  });
+  assert.equal(submitted.status, 201);
+  const job = await submitted.json();
+  assert.deepEqual(job.options, { useArea: true, stdName: 'NC01', useGBK: false, devMode: false, outputDir: null, moveOutputs: false });
+
+  // The output stream ends when the job is finished
+  const output = await (await request(job.output)).text();
+  assert.match(output, /SHCarrier fake engine/);
+  assert.match(output, /"-Area","-STD","NC01"/);
+
+  const finished = await (await request(`/jobs/${job.id}`)).json();
+  assert.equal(finished.status, 'done');
+  assert.equal(finished.exitCode, 0);
+
+  const summary = await request(finished.files.summary);
+  assert.equal(summary.status, 200);
+  assert.match(summary.headers.get('content-disposition'), /run%2001-summary\.tsv/);
+  assert.match(await summary.text(), /^Sample\tRatio\tResult\nNC01\t1\.00/);
+});
+
+test('requests without the token or from a browser are refused', async () => {
+  assert.equal((await fetch(`${baseUrl}/jobs/1`)).status, 401);
+  assert.equal((await request('/jobs/1', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  assert.equal((await request('/jobs/1', { headers: { Origin: 'http://evil.example' } })).status, 403);
+});
+
+test('invalid submissions are rejected with a reason', async () => {
+  const submit = async (body) => {
+    const response = await request('/jobs', { method: 'POST', body });
+    return { status: response.status, error: (await response.json()).error };
+  };
+
+  assert.equal((await submit('not json')).status, 400);
+  assert.equal((await submit(JSON.stringify({ filePath: 'relative.txt' }))).status, 400);
+  assert.equal((await submit(JSON.stringify({ filePath: path.join(tempDir, 'missing.txt') }))).status, 400);
+  assert.match((await submit(JSON.stringify({ filePath: inputFile, options: { outputDir: tempDir } }))).error, /Unknown option: outputDir/);
+  assert.equal((await submit(JSON.stringify({ filePath: inputFile, options: { stdName: '-dev' } }))).status, 400);
+  assert.equal((await request('/jobs/42')).status, 404);
+  assert.equal((await request('/jobs/42', { method: 'DELETE' })).status, 405);
+});
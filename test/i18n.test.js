@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { SUPPORTED_LOCALES, loadMessages, resolveLocale, formatMessage, getBundle, createTranslator } = require('../lib/i18n');
+const { validateText } = require('../lib/input-validator');
+const { describeResolution } = require('../lib/engine-resolver');
+
+/**
+ * Placeholder names of a message, sorted
+ * @param {string} message - Message with {param} placeholders
+ * @returns {string[]} - Placeholder names
+ */
+const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+
+test('every locale translates the same keys with the same placeholders', () => {
+  const english = loadMessages('en');
+  SUPPORTED_LOCALES.forEach(locale => {
+    const messages = loadMessages(locale);
+    assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), locale);
+    Object.entries(english).forEach(([key, message]) => {
+      assert.deepEqual(placeholders(messages[key]), placeholders(message), `${locale} ${key}`);
+    });
+  });
+});
+
+test('every key used in the pages exists', () => {
+  const english = loadMessages('en');
+  ['index.html', 'viewer.html'].forEach(page => {
+    const html = fs.readFileSync(path.join(__dirname, '..', page), 'utf8');
+    const keys = Array.from(html.matchAll(/data-i18n(?:-placeholder|-title)?="([^"]+)"/g), match => match[1]);
+    assert.ok(keys.length > 0, page);
+    keys.forEach(key => assert.ok(key in english, `${page} ${key}`));
+  });
+});
+
+test('the setting wins over the system language', () => {
+  assert.equal(resolveLocale('en', 'zh-CN'), 'en');
+  assert.equal(resolveLocale(null, 'zh-TW'), 'zh-CN');
+  assert.equal(resolveLocale(null, 'en-US'), 'en');
+  assert.equal(resolveLocale('fr', 'fr-FR'), 'en');
+});
+
+test('placeholders are filled and unknown keys fall back to the key', () => {
+  assert.equal(formatMessage('{a} of {b}', { a: 1, b: 2 }), '1 of 2');
+  assert.equal(formatMessage('{a} of {b}', { a: 1 }), '1 of {b}');
+  assert.equal(createTranslator('zh-CN')('no.such.key'), 'no.such.key');
+  assert.equal(getBundle('zh-CN').locale, 'zh-CN');
+});
+
+test('validation issues are reported in the chosen language', () => {
+  const english = validateText('');
+  const chinese = validateText('', {}, { t: createTranslator('zh-CN') });
+
+  assert.equal(english.issues[0].code, 'validation.emptyFile');
+  assert.equal(chinese.issues[0].code, 'validation.emptyFile');
+  assert.equal(english.issues[0].message, 'The file is empty.');
+  assert.equal(chinese.issues[0].message, '文件为空。');
+});
+
+test('the engine status is described in the chosen language', () => {
+  const resolution = { engine: null, checked: [{ kind: 'bundled', path: '/x/SHCarrier.exe', code: 'missing', reason: 'File does not exist' }] };
+
+  assert.match(describeResolution(resolution), /^No SHCarrier engine available/);
+  assert.match(describeResolution(resolution, createTranslator('zh-CN')), /^没有可用的 SHCarrier 引擎/);
+});
@@ -0,0 +1,123 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { detectEncoding, decodeBuffer, planEncoding, prepareInput } = require('../lib/input-encoding');
+const { runEngine, getOutputPaths } = require('../lib/engine');
+const { readResultTable } = require('../lib/result-table');
+const { validateInputFile } = require('../lib/input-validator');
+
+const FAKE_ENGINE = path.join(__dirname, 'fixtures', 'fake-engine.js');
+
+// Export with a Chinese sample name, in every encoding it can arrive in
+const TEXT = '样本名称\tMarker\tHeight\nSTD\tSMN1\t1200\n样本01\tSMN1\t1224\n';
+// TEXT encoded as GBK, Node cannot encode GBK by itself
+const GBK_BYTES = Buffer.from(
+  'd1f9b1bec3fbb3c6094d61726b6572094865696768740a53544409534d4e310931323030'
+  + '0ad1f9b1be303109534d4e3109313232340a',
+  'hex'
+);
+const ENCODED = {
+  'utf-8': Buffer.from(TEXT, 'utf8'),
+  'utf-8-bom': Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(TEXT, 'utf8')]),
+  'utf-16le': Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(TEXT, 'utf16le')]),
+  'utf-16be': Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(TEXT, 'utf16le').swap16()]),
+  gbk: GBK_BYTES
+};
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-encoding-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('every supported encoding is detected and decoded', () => {
+  Object.entries(ENCODED).forEach(([encoding, buffer]) => {
+    assert.equal(detectEncoding(buffer), encoding);
+    assert.deepEqual(decodeBuffer(buffer), { encoding, text: TEXT });
+  });
+  assert.equal(detectEncoding(Buffer.from('STD\t1200\n')), 'ascii');
+});
+
+test('the -GBK option only decides when the encoding is unknown', () => {
+  assert.deepEqual(planEncoding('gbk', false), { useGBK: true, transcode: false });
+  assert.deepEqual(planEncoding('utf-8', true), { useGBK: false, transcode: false });
+  assert.deepEqual(planEncoding('utf-16le', true), { useGBK: false, transcode: true });
+  assert.deepEqual(planEncoding('unknown', true), { useGBK: true, transcode: false });
+});
+
+test('a GBK input is passed as it is with -GBK', () => {
+  const inputFile = path.join(tempDir, 'gbk.txt');
+  fs.writeFileSync(inputFile, GBK_BYTES);
+  const input = prepareInput(inputFile, { stdName: 'STD', useGBK: false });
+
+  assert.equal(input.encoding, 'gbk');
+  assert.equal(input.transcoded, false);
+  assert.equal(input.runFilePath, inputFile);
+  assert.equal(input.options.useGBK, true);
+  assert.equal(input.gbkOverride, 'added');
+});
+
+test('a -GBK choice dropped for a UTF-8 input is reported', () => {
+  const inputFile = path.join(tempDir, 'utf8.txt');
+  fs.writeFileSync(inputFile, ENCODED['utf-8']);
+
+  assert.equal(prepareInput(inputFile, { stdName: 'STD', useGBK: true }).gbkOverride, 'removed');
+  assert.equal(prepareInput(inputFile, { stdName: 'STD', useGBK: false }).gbkOverride, null);
+});
+
+test('a UTF-16 input is transcoded and its results land next to the input', async () => {
+  const inputFile = path.join(tempDir, 'run 01.txt');
+  fs.writeFileSync(inputFile, ENCODED['utf-16le']);
+  const input = prepareInput(inputFile, { stdName: 'STD', useGBK: true, outputDir: null, moveOutputs: false });
+
+  assert.equal(input.transcoded, true);
+  assert.equal(input.options.useGBK, false);
+  assert.notEqual(path.dirname(input.runFilePath), tempDir);
+  assert.equal(fs.readFileSync(input.runFilePath, 'utf8'), TEXT);
+
+  const engine = { command: process.execPath, prefixArgs: [FAKE_ENGINE] };
+  const result = await runEngine(engine, input.runFilePath, input.runOptions).finally(input.cleanup);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(input.keepOutputs(result.outputFiles), getOutputPaths(inputFile));
+  assert.equal(fs.existsSync(path.dirname(input.runFilePath)), false);
+
+  // A rerun replaces the results like a run on a UTF-8 input does
+  const rerunInput = prepareInput(inputFile, { stdName: 'STD', useGBK: false, outputDir: null, moveOutputs: false });
+  const rerun = await runEngine(engine, rerunInput.runFilePath, rerunInput.runOptions).finally(rerunInput.cleanup);
+  assert.deepEqual(rerun.outputFiles, getOutputPaths(inputFile));
+  assert.deepEqual(fs.readdirSync(tempDir).sort(), ['run 01-cal.tsv', 'run 01-summary.tsv', 'run 01.txt']);
+});
+
+test('a failed transcoded run does not point to results in the removed copy', async () => {
+  const inputFile = path.join(tempDir, 'run 01.txt');
+  fs.writeFileSync(inputFile, ENCODED['utf-8-bom']);
+  const input = prepareInput(inputFile, { stdName: 'STD', useGBK: false, outputDir: null, moveOutputs: false });
+
+  const engine = { command: process.execPath, prefixArgs: [FAKE_ENGINE, '--mode=summary-only'] };
+  const result = await runEngine(engine, input.runFilePath, input.runOptions).finally(input.cleanup);
+
+  assert.equal(result.failure.type, 'missingOutput');
+  assert.equal(path.dirname(result.outputFiles.summary), path.dirname(input.runFilePath));
+  assert.deepEqual(input.keepOutputs(result.outputFiles), { summary: null, calculation: null });
+  assert.deepEqual(fs.readdirSync(tempDir), ['run 01.txt']);
+});
+
+test('result files and pre-flight checks are decoded whatever -GBK says', () => {
+  const resultFile = path.join(tempDir, 'gbk-summary.tsv');
+  fs.writeFileSync(resultFile, GBK_BYTES);
+  assert.equal(readResultTable(resultFile, { useGBK: false }).headers[0], '样本名称');
+
+  const inputFile = path.join(tempDir, 'utf16.txt');
+  fs.writeFileSync(inputFile, ENCODED['utf-16be']);
+  const report = validateInputFile(inputFile, { stdName: 'STD', useGBK: true });
+  assert.equal(report.encoding, 'utf-16be');
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.sampleNames, ['STD', '样本01']);
+});
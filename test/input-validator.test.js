@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { splitLine, validateText, validateInputFile } = require('../lib/input-validator');
+const { createTranslator } = require('../lib/i18n');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-validate-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Codes of the issues found in a report, with their row numbers
+ * @param {Object} report - Result of validateText
+ * @returns {Array<Array>} - [code, row] pairs
+ */
+const issueCodes = (report) => report.issues.map(issue => [issue.code, issue.row]);
+
+test('a well-formed export passes with its columns and sample names', () => {
+  const report = validateText('Sample Name\tMarker\tHeight\tArea\nSTD\tSMN1\t1200\t15000\nS01\tSMN1\t612\t7400\n', { stdName: 'STD' });
+
+  assert.equal(report.delimiter, '\t');
+  assert.deepEqual(report.columns, { sample: 0, height: 2, area: 3 });
+  assert.deepEqual(report.sampleNames, ['STD', 'S01']);
+  assert.equal(report.rowCount, 2);
+  assert.deepEqual(report.issues, []);
+});
+
+test('CSV cells may be quoted and contain the delimiter', () => {
+  assert.deepEqual(splitLine('"S01, twin",SMN1,"say ""hi"""', ','), ['S01, twin', 'SMN1', 'say "hi"']);
+  assert.deepEqual(splitLine(' S01 \t SMN1 ', '\t'), ['S01', 'SMN1']);
+
+  const report = validateText('样本名称,Marker,峰面积\n"STD",SMN1,15000\n', { stdName: 'STD', useArea: true });
+  assert.equal(report.delimiter, ',');
+  assert.deepEqual(report.issues, []);
+});
+
+test('header problems are errors on the header row', () => {
+  assert.deepEqual(issueCodes(validateText('\n\n')), [['validation.emptyFile', null]]);
+  assert.deepEqual(issueCodes(validateText('\nSample Height\n', { stdName: 'STD' })), [
+    ['validation.singleColumn', 2],
+    ['validation.noDataRows', null]
+  ]);
+  // -Area needs an area column, an export with only areas needs -Area
+  assert.deepEqual(issueCodes(validateText('Well\tHeight\nA1\t100\n', { useArea: true })), [
+    ['validation.noSampleColumn', 1],
+    ['validation.noAreaColumn', 1]
+  ]);
+  assert.deepEqual(issueCodes(validateText('Sample\tArea\nSTD\t100\n', { useArea: false })), [['validation.noHeightColumn', 1]]);
+});
+
+test('row problems are warnings, a missing standard sample is an error', () => {
+  const report = validateText([
+    'Sample\tMarker\tHeight',
+    'S01\tSMN1\t612',
+    '\tSMN1\t600',
+    'S02\tSMN1\tn/a',
+    'S03\tSMN1',
+    ''
+  ].join('\n'), { stdName: ' NC01 ' });
+
+  assert.deepEqual(issueCodes(report), [
+    ['validation.emptySampleName', 3],
+    ['validation.notANumber', 4],
+    ['validation.columnCount', 5],
+    ['validation.stdNotFound', null]
+  ]);
+  assert.equal(report.issues[1].message, '"Height" value "n/a" is not a number.');
+  assert.deepEqual(report.issues[2].params, { expected: 3, found: 2 });
+  assert.equal(report.issues[3].level, 'error');
+});
+
+test('row issues beyond the limit are summarized', () => {
+  const rows = Array.from({ length: 205 }, (value, index) => `S${index}\tSMN1\tx`);
+  const report = validateText(['Sample\tMarker\tHeight', 'STD\tSMN1\t1200', ...rows].join('\n'), { stdName: 'STD' });
+
+  assert.equal(report.issues.length, 201);
+  assert.deepEqual(report.issues.at(-1).params, { count: 5 });
+  assert.equal(report.issues.at(-1).code, 'validation.moreIssues');
+});
+
+test('a file is decoded before it is checked and the messages follow the language', () => {
+  const filePath = path.join(tempDir, 'plate.txt');
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Sample\tHeight\nSTD\t1200\n', 'utf16le')]));
+  assert.equal(validateInputFile(filePath, { stdName: 'STD' }).encoding, 'utf-16le');
+  assert.equal(validateInputFile(filePath, { stdName: 'STD' }).valid, true);
+
+  // Bytes that are neither UTF-8 nor GBK are read as the -GBK option says
+  const unknown = path.join(tempDir, 'unknown.txt');
+  fs.writeFileSync(unknown, Buffer.from('Sample\tHeight\nSTD\t1200\nS\x81\t5\n', 'latin1'));
+  const report = validateInputFile(unknown, { stdName: 'STD', useGBK: false }, { t: createTranslator('zh-CN') });
+  assert.equal(report.encoding, 'unknown');
+  assert.equal(report.valid, true);
+  assert.equal(report.issues[0].code, 'validation.unknownEncodingUtf8');
+  assert.equal(report.issues[0].message, createTranslator('zh-CN')('validation.unknownEncodingUtf8'));
+
+  const missingStd = validateInputFile(filePath, { stdName: 'NC01' }, { t: createTranslator('zh-CN') });
+  assert.equal(missingStd.valid, false);
+  assert.match(missingStd.issues[0].message, /NC01/);
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const {
+  IpcValidationError,
+  isTrustedSender,
+  createGuardedHandle,
+  validatePath,
+  validatePathList,
+  validateOptions,
+  validateOutputFiles,
+  validateId,
+  validateChoice,
+  validateFeedLocation,
+  FileAllowlist
+} = require('../lib/ipc-security');
+
+const APP_DIR = path.resolve(__dirname, '..');
+const SENDER_PARAMS = { appDir: APP_DIR, pages: ['index.html', 'viewer.html'] };
+const frameFor = (url, parent = null) => ({ url, parent });
+
+test('the app pages are trusted senders', () => {
+  assert.equal(isTrustedSender(frameFor(pathToFileURL(path.join(APP_DIR, 'index.html')).href), SENDER_PARAMS), true);
+  assert.equal(isTrustedSender(frameFor(`${pathToFileURL(path.join(APP_DIR, 'viewer.html')).href}#results`), SENDER_PARAMS), true);
+});
+
+test('remote pages, other local files and sub-frames are rejected', () => {
+  const indexUrl = pathToFileURL(path.join(APP_DIR, 'index.html')).href;
+  [
+    frameFor('https://example.com/index.html'),
+    frameFor('data:text/html,<script>alert(1)</script>'),
+    frameFor(pathToFileURL(path.join(APP_DIR, 'test', 'index.html')).href),
+    frameFor(pathToFileURL(path.join(APP_DIR, '..', 'evil.html')).href),
+    frameFor(indexUrl, frameFor(indexUrl)),
+    frameFor('not a url'),
+    null
+  ].forEach(frame => assert.equal(isTrustedSender(frame, SENDER_PARAMS), false, frame && frame.url));
+});
+
+test('guarded handlers never run for untrusted senders', async () => {
+  const handlers = new Map();
+  const ipcMain = { handle: (channel, listener) => handlers.set(channel, listener) };
+  const handle = createGuardedHandle(ipcMain, (event) => isTrustedSender(event.senderFrame, SENDER_PARAMS));
+  let calls = 0;
+  handle('open-file', () => ++calls);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.throws(() => handlers.get('open-file')({ senderFrame: frameFor('https://example.com/') }, '/etc/passwd'), /Untrusted sender/);
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(calls, 0);
+
+  handlers.get('open-file')({ senderFrame: frameFor(pathToFileURL(path.join(APP_DIR, 'index.html')).href) });
+  assert.equal(calls, 1);
+});
+
+test('valid options are normalized', () => {
+  assert.deepEqual(validateOptions({ useArea: true, stdName: ' NC 01 ', useGBK: false }), {
+    useArea: true,
+    stdName: 'NC 01',
+    useGBK: false,
+    devMode: false,
+    outputDir: null,
+    moveOutputs: false
+  });
+  assert.equal(validateOptions({ stdName: '标准品-1' }).stdName, '标准品-1');
+});
+
+test('options that could inject engine flags or markup are rejected', () => {
+  [
+    { stdName: '-dev' },
+    { stdName: 'STD`whoami`' },
+    { stdName: '"><img src=x onerror=alert(1)>' },
+    { stdName: 'STD; rm -rf /' },
+    { stdName: 'STD\n-Area' },
+    { stdName: 'x'.repeat(65) },
+    { stdName: 42 },
+    { useArea: 'true' },
+    { devMode: 1 },
+    { outputDir: 'relative/folder' },
+    { outputDir: '/tmp/out\0' },
+    { shell: true },
+    JSON.parse('{"__proto__": {"polluted": true}}'),
+    [],
+    null,
+    'useArea'
+  ].forEach(options => assert.throws(() => validateOptions(options), IpcValidationError, JSON.stringify(options)));
+  assert.equal({}.polluted, undefined);
+});
+
+test('paths must be absolute strings without NUL characters', () => {
+  assert.equal(validatePath('/data/plate 1/../plate 2/run.txt'), path.normalize('/data/plate 2/run.txt'));
+  ['', 'run.txt', '../../etc/passwd', '/data/run.txt\0.png', 42, { toString: () => '/etc/passwd' }, 'x'.repeat(5000)]
+    .forEach(value => assert.throws(() => validatePath(value), IpcValidationError, String(value)));
+  assert.throws(() => validatePathList('/data/run.txt'), IpcValidationError);
+  assert.throws(() => validatePathList(['/data/run.txt', 'run.txt']), IpcValidationError);
+});
+
+test('identifiers, choices and result file sets are checked', () => {
+  assert.equal(validateId('1718000000000-ab12'), '1718000000000-ab12');
+  ['../history', 'id with spaces', '', 7].forEach(value => assert.throws(() => validateId(value), IpcValidationError));
+  assert.throws(() => validateChoice('html', ['pdf', 'xlsx'], 'Format'), IpcValidationError);
+  assert.deepEqual(validateOutputFiles({ summary: '/data/run-summary.tsv' }), { summary: path.normalize('/data/run-summary.tsv'), calculation: null });
+  assert.throws(() => validateOutputFiles({ summary: 'run-summary.tsv' }), IpcValidationError);
+});
+
+test('update feeds are http(s) URLs or absolute paths', () => {
+  assert.equal(validateFeedLocation('https://updates.lab.local/shcarrier'), 'https://updates.lab.local/shcarrier');
+  assert.equal(validateFeedLocation('/mnt/share/updates/../feed'), path.normalize('/mnt/share/feed'));
+  ['https://', 'ftp://updates.lab.local/feed.json', 'updates', 42].forEach(value => {
+    assert.throws(() => validateFeedLocation(value), IpcValidationError, String(value));
+  });
+});
+
+test('only produced or picked files are allowed', () => {
+  const allowlist = new FileAllowlist();
+  allowlist.allow({ summary: '/data/run-summary.tsv', calculation: null }, '/data/report.pdf', null, 'relative.tsv');
+
+  assert.equal(allowlist.has('/data/run-summary.tsv'), true);
+  assert.equal(allowlist.has('/data/other/../run-summary.tsv'), true);
+  assert.equal(allowlist.has('/data/report.pdf'), true);
+  assert.equal(allowlist.has('relative.tsv'), false);
+  assert.equal(allowlist.has('/etc/passwd'), false);
+  assert.doesNotThrow(() => allowlist.assertAllowed({ summary: '/data/run-summary.tsv', calculation: null }));
+  assert.throws(() => allowlist.assertAllowed('/etc/passwd'), /Access denied/);
+  assert.throws(() => allowlist.assertAllowed({ summary: '/data/run-summary.tsv', calculation: '/root/.ssh/id_rsa' }), /Access denied/);
+});
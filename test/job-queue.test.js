@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { JobQueue } = require('../lib/job-queue');
+const { createTranslator } = require('../lib/i18n');
+
+/**
+ * Wait until a job of the queue reaches a status
+ * @param {JobQueue} queue - Queue to watch
+ * @param {string} id - Job ID
+ * @param {string} status - Expected status
+ * @returns {Promise<Object>} - Snapshot of the job
+ */
+const waitForStatus = async (queue, id, status) => {
+  while (queue.get(id).status !== status) {
+    await once(queue, 'update');
+  }
+  return queue.get(id);
+};
+
+test('a failed job is retried in place with the same options', async () => {
+  const results = [
+    { success: false, failure: { type: 'timeout', params: { seconds: 60 } }, error: 'Timed out' },
+    { success: true, code: 0 }
+  ];
+  const runs = [];
+  const queue = new JobQueue({
+    runner: async (job) => {
+      runs.push(job);
+      return results.shift();
+    }
+  });
+
+  const { id } = queue.add('/data/run.txt', { stdName: 'NC01' });
+  const failed = await waitForStatus(queue, id, 'failed');
+  assert.equal(failed.error, 'Timed out');
+  assert.equal(failed.attempts, 1);
+
+  const retried = queue.retry(id);
+  assert.equal(retried.id, id);
+  assert.equal(retried.error, null);
+
+  const done = await waitForStatus(queue, id, 'done');
+  assert.equal(done.attempts, 2);
+  assert.deepEqual(runs.map(job => job.options), [{ stdName: 'NC01' }, { stdName: 'NC01' }]);
+  assert.equal(queue.list().length, 1);
+});
+
+test('only failed and cancelled jobs can be retried', async () => {
+  const queue = new JobQueue({ runner: async () => ({ success: true, code: 0 }) });
+  const { id } = queue.add('/data/run.txt', {});
+  await waitForStatus(queue, id, 'done');
+
+  assert.equal(queue.retry(id), null);
+  assert.equal(queue.retry('42'), null);
+});
+
+test('errors the queue records itself are in the language of the translator', async () => {
+  const queue = new JobQueue({
+    runner: async (job) => (job.filePath.endsWith('crash.txt') ? { success: false, code: 4 } : new Promise(() => {})),
+    t: createTranslator('zh-CN')
+  });
+  const blocking = queue.add('/data/hang.txt', {});
+  const queued = queue.add('/data/later.txt', {});
+
+  assert.equal(queue.cancel(queued.id).error, '已被用户取消。');
+  queue.setConcurrency(2);
+  const { id } = queue.add('/data/crash.txt', {});
+  const failed = await waitForStatus(queue, id, 'failed');
+  assert.equal(failed.error, 'SHCarrier 以退出码 4 结束，详情请查看日志。');
+  assert.equal(queue.get(blocking.id).status, 'running');
+});
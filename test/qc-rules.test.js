@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { DEFAULT_QC_RULES, evaluateQc } = require('../lib/qc-rules');
+const { parseResultFiles } = require('../lib/result-parser');
+const { validateQcRules } = require('../lib/ipc-security');
+const { buildReportData, buildReportSheets } = require('../lib/report');
+const { createTranslator } = require('../lib/i18n');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-qc-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write result files and parse them
+ * @param {string[]} summaryLines - Lines of the summary file
+ * @param {string[]} calculationLines - Lines of the calculation file
+ * @returns {Object} - Parsed results
+ */
+const parseLines = (summaryLines, calculationLines) => {
+  const outputFiles = {
+    summary: path.join(tempDir, 'run-summary.tsv'),
+    calculation: path.join(tempDir, 'run-cal.tsv')
+  };
+  fs.writeFileSync(outputFiles.summary, `${summaryLines.join('\n')}\n`);
+  fs.writeFileSync(outputFiles.calculation, `${calculationLines.join('\n')}\n`);
+  return parseResultFiles(outputFiles, { stdName: 'STD' });
+};
+
+test('every sample gets a status from the rules and the worst is the run status', () => {
+  const parsed = parseLines(
+    ['Sample\tRatio\tResult', 'STD\t1.00\tNormal', 'S01\t1.02\tNormal', 'S02\t0.51\tCarrier', 'S01\t0.98\tNormal'],
+    ['Sample\tMarker\tHeight', 'STD\tSMN1\t1200', 'S01\tSMN1\t1224', 'S02\tSMN1\t80', 'S02\tSMN2\t640']
+  );
+  const qc = evaluateQc(parsed, DEFAULT_QC_RULES);
+
+  assert.equal(qc.status, 'fail');
+  assert.deepEqual(qc.samples.map(sample => [sample.name, sample.status]), [['STD', 'pass'], ['S01', 'fail'], ['S02', 'warn']]);
+  assert.deepEqual(qc.samples[1].issues.map(issue => issue.code), ['qc.duplicateName']);
+  assert.equal(qc.samples[2].issues[0].message, 'Lowest peak height 80 is below 100.');
+  assert.deepEqual(qc.issues, []);
+  // Disabled rules are not checked and not recorded
+  assert.equal(qc.rules.some(rule => rule.type === 'minPeakArea'), false);
+});
+
+test('the standard sample ratio must be within the tolerance and the standard must be present', () => {
+  const rules = [{ type: 'stdRatio', threshold: 0.05, severity: 'fail', enabled: true }];
+  const within = parseLines(['Sample\tRatio', 'STD\t1.05', 'S01\t0.7'], ['Sample\tHeight', 'STD\t900']);
+  const outside = parseLines(['Sample\tRatio', 'STD\t1.12', 'S01\t0.7'], ['Sample\tHeight', 'STD\t900']);
+  const missing = parseLines(['Sample\tRatio', 'NC01\t1.00'], ['Sample\tHeight', 'NC01\t900']);
+
+  assert.equal(evaluateQc(within, rules).status, 'pass');
+
+  const qc = evaluateQc(outside, rules, { t: createTranslator('zh-CN') });
+  assert.equal(qc.samples[0].status, 'fail');
+  assert.deepEqual(qc.samples[0].issues[0].params, { ratio: 1.12, min: 0.95, max: 1.05 });
+  assert.equal(qc.samples[0].issues[0].message, '标准品比值 1.12 超出 0.95 至 1.05 的范围。');
+  assert.equal(qc.samples[1].status, 'pass');
+
+  const missingQc = evaluateQc(missing, rules);
+  assert.equal(missingQc.status, 'fail');
+  assert.deepEqual(missingQc.issues.map(issue => issue.code), ['qc.stdMissing']);
+});
+
+test('edited rules are validated before they are stored', () => {
+  assert.deepEqual(validateQcRules([
+    { type: 'minPeakArea', threshold: 2500, severity: 'fail', enabled: true },
+    { type: 'duplicateName', threshold: 3, severity: 'warn', enabled: false }
+  ]), [
+    { type: 'minPeakArea', threshold: 2500, severity: 'fail', enabled: true },
+    { type: 'duplicateName', threshold: null, severity: 'warn', enabled: false }
+  ]);
+
+  const valid = { type: 'minPeakHeight', threshold: 100, severity: 'warn', enabled: true };
+  assert.throws(() => validateQcRules('rules'), { name: 'IpcValidationError' });
+  assert.throws(() => validateQcRules([{ ...valid, type: 'maxRatio' }]), /type must be one of/);
+  assert.throws(() => validateQcRules([{ ...valid, severity: 'error' }]), /severity must be one of/);
+  assert.throws(() => validateQcRules([{ ...valid, threshold: -1 }]), /threshold must be a number/);
+  assert.throws(() => validateQcRules([{ ...valid, type: 'stdRatio', threshold: 1.5 }]), /between 0 and 1/);
+  assert.throws(() => validateQcRules([{ ...valid, enabled: 'yes' }]), /enabled must be a boolean/);
+  assert.throws(() => validateQcRules(Array(21).fill(valid)), /at most 20 rules/);
+});
+
+test('the report lists the QC status of every sample and the findings in the language of the app', () => {
+  const parsed = parseLines(
+    ['Sample\tRatio\tResult', 'STD\t1.00\tNormal', 'S01\t0.51\tCarrier'],
+    ['Sample\tMarker\tHeight', 'STD\tSMN1\t1200', 'S01\tSMN1\t60']
+  );
+  const qc = evaluateQc(parsed, DEFAULT_QC_RULES, { t: createTranslator('zh-CN') });
+  const record = { inputFile: path.join(tempDir, 'run.txt'), startedAt: new Date().toISOString(), operator: 'lab', options: {} };
+  const data = buildReportData(record, parsed, qc);
+
+  assert.deepEqual(data.sampleTable.headers.slice(0, 4), ['Sample', 'Ratio', 'Call', 'QC']);
+  assert.deepEqual(data.sampleTable.rows.map(row => row[3]), ['Pass', 'Warn']);
+  assert.deepEqual(data.qcTable.rows, [['S01', 'Warn', 'Lowest peak height 60 is below 100.']]);
+
+  const sheets = buildReportSheets(data);
+  assert.deepEqual(sheets.find(sheet => sheet.name === 'Report').rows.at(-1), ['QC', 'Warn (1 pass, 1 warn, 0 fail)']);
+  assert.ok(sheets.some(sheet => sheet.name === 'QC'));
+
+  // The same run exported from the Chinese UI
+  const zh = createTranslator('zh-CN');
+  const zhData = buildReportData(record, parsed, qc, null, { t: zh });
+  assert.deepEqual(zhData.sampleTable.headers.slice(0, 4), ['样本', '比值', '判定', 'QC']);
+  assert.deepEqual(zhData.qcTable.rows, [['S01', '警告', zh('qc.lowHeight', { value: 60, threshold: 100 })]]);
+  assert.deepEqual(buildReportSheets(zhData, { t: zh }).map(sheet => sheet.name), ['报告', '样本', 'QC', '计算']);
+
+  // Reports of runs without a QC result keep their former layout
+  assert.deepEqual(buildReportData(record, parsed).sampleTable.headers.slice(0, 3), ['Sample', 'Ratio', 'Call']);
+  assert.equal(buildReportSheets(buildReportData(record, parsed)).some(sheet => sheet.name === 'QC'), false);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildChartData } = require('../lib/ratio-chart');
+const { NORMAL_RATIO_RANGE } = require('../lib/result-parser');
+
+/**
+ * Minimal parsed sample as produced by parseResultFiles
+ * @param {string} name - Sample name
+ * @param {number|null} ratio - Ratio from the summary
+ * @param {Object[]} calculation - Calculation rows
+ * @returns {Object} - Parsed sample
+ */
+const sample = (name, ratio, calculation = []) => ({
+  name,
+  ratio,
+  call: ratio === null ? 'unknown' : ratio < NORMAL_RATIO_RANGE.min ? 'carrier' : 'normal',
+  isStandard: name === 'STD',
+  calculation
+});
+
+test('ratios from the calculation file are averaged per sample', () => {
+  const chart = buildChartData({
+    calculationColumns: ['Sample', 'Marker', 'Ratio'],
+    samples: [
+      sample('STD', 1, [{ Ratio: 1.0 }, { Ratio: 1.0 }]),
+      sample('S01', 0.6, [{ Ratio: 0.52 }, { Ratio: 0.5 }])
+    ]
+  });
+
+  assert.deepEqual(chart.points, [
+    { name: 'STD', ratio: 1, source: 'calculation', call: 'normal', isStandard: true },
+    { name: 'S01', ratio: 0.51, source: 'calculation', call: 'carrier', isStandard: false }
+  ]);
+});
+
+test('the summary ratio is used when the calculation has none', () => {
+  const chart = buildChartData({
+    calculationColumns: ['Sample', 'Height'],
+    samples: [sample('S01', 0.5, [{ Height: 600 }]), sample('S02', null)]
+  });
+
+  assert.deepEqual(chart.points.map(point => [point.name, point.ratio, point.source]), [['S01', 0.5, 'summary']]);
+});
+
+test('the bands follow the parser thresholds and cover the highest ratio', () => {
+  const chart = buildChartData({ calculationColumns: [], samples: [sample('S01', 2.6)] });
+
+  assert.equal(chart.maxRatio, 2.6);
+  assert.deepEqual(chart.bands, [
+    { call: 'carrier', min: 0, max: NORMAL_RATIO_RANGE.min },
+    { call: 'normal', min: NORMAL_RATIO_RANGE.min, max: NORMAL_RATIO_RANGE.max },
+    { call: 'abnormal', min: NORMAL_RATIO_RANGE.max, max: 2.6 }
+  ]);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { NORMAL_RATIO_RANGE, toTypedValue, classifyRow, flagRow, parseResultFiles } = require('../lib/result-parser');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-parse-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a result file into the temporary folder
+ * @param {string} name - File name
+ * @param {string[]} lines - Lines of the file
+ * @returns {string} - Path to the file
+ */
+const writeResult = (name, lines) => {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+};
+
+test('ratios outside 0.75 to 1.25 are carrier or abnormal, the bounds themselves are normal', () => {
+  assert.deepEqual(NORMAL_RATIO_RANGE, { min: 0.75, max: 1.25 });
+  const headers = ['Sample', 'Ratio'];
+  const callOf = (ratio) => classifyRow(headers, ['S01', ratio]);
+
+  assert.deepEqual(callOf('0.7499'), { call: 'carrier', callSource: 'ratio', ratio: 0.7499 });
+  assert.deepEqual(callOf('0.75'), { call: 'normal', callSource: 'ratio', ratio: 0.75 });
+  assert.deepEqual(callOf('1.25'), { call: 'normal', callSource: 'ratio', ratio: 1.25 });
+  assert.deepEqual(callOf('1.2501'), { call: 'abnormal', callSource: 'ratio', ratio: 1.2501 });
+  assert.deepEqual(callOf('n/a'), { call: 'unknown', callSource: null, ratio: null });
+  assert.deepEqual(classifyRow(['Sample'], ['S01']), { call: 'unknown', callSource: null, ratio: null });
+});
+
+test('a reported call wins over the ratio and "abnormal" is not read as normal', () => {
+  const headers = ['样本', '比值', '结果'];
+  assert.deepEqual(classifyRow(headers, ['S01', '1.00', '携带者']), { call: 'carrier', callSource: 'reported', ratio: 1 });
+  assert.deepEqual(classifyRow(headers, ['S01', '1.00', 'Abnormal']), { call: 'abnormal', callSource: 'reported', ratio: 1 });
+  assert.deepEqual(classifyRow(headers, ['S01', '0.50', '正常']), { call: 'normal', callSource: 'reported', ratio: 0.5 });
+  // An unrecognized call falls back to the ratio
+  assert.deepEqual(classifyRow(headers, ['S01', '0.50', 'Review']), { call: 'carrier', callSource: 'ratio', ratio: 0.5 });
+
+  // The viewer highlights an out-of-range ratio even when the reported call says otherwise
+  assert.deepEqual(flagRow(headers, ['S01', '1.30', 'Normal']), { carrier: false, abnormalRatio: true });
+  assert.deepEqual(flagRow(headers, ['S01', '1.25', 'Normal']), { carrier: false, abnormalRatio: false });
+  assert.deepEqual(flagRow(headers, ['S01', '0.50', 'Carrier']), { carrier: true, abnormalRatio: true });
+});
+
+test('cells become numbers when they hold one', () => {
+  assert.equal(toTypedValue(' 0.51 '), 0.51);
+  assert.equal(toTypedValue('1e3'), 1000);
+  assert.equal(toTypedValue('SMN1'), 'SMN1');
+  assert.equal(toTypedValue('  '), null);
+  assert.equal(toTypedValue(undefined), null);
+});
+
+test('summary and calculation rows are joined per sample in file order', () => {
+  const parsed = parseResultFiles({
+    summary: writeResult('run-summary.tsv', ['Sample\tRatio\tResult', 'NC01\t1.00\tNormal', 'S01\t0.74\t', 'S02\t1.10\tCarrier']),
+    calculation: writeResult('run-cal.tsv', ['Sample\tMarker\tHeight\tRatio', 'S01\tSMN1\t610\t0.90', 'S03\tSMN1\t1300\t1.30', 'S01\tSMN2\t640\t0.95'])
+  }, { stdName: ' NC01 ' });
+
+  assert.equal(parsed.standardSample, 'NC01');
+  assert.deepEqual(parsed.summaryColumns, ['Sample', 'Ratio', 'Result']);
+  assert.deepEqual(parsed.calculationColumns, ['Sample', 'Marker', 'Height', 'Ratio']);
+  assert.deepEqual(parsed.samples.map(sample => [sample.name, sample.isStandard, sample.ratio, sample.call, sample.callSource]), [
+    ['NC01', true, 1, 'normal', 'reported'],
+    // The summary ratio is kept, the calculation rows do not change its call
+    ['S01', false, 0.74, 'carrier', 'ratio'],
+    ['S02', false, 1.1, 'carrier', 'reported'],
+    // A sample only in the calculation file is classified from its ratio there
+    ['S03', false, 1.3, 'abnormal', 'ratio']
+  ]);
+  assert.deepEqual(parsed.samples[1].summary, { Sample: 'S01', Ratio: 0.74, Result: null });
+  assert.deepEqual(parsed.samples[1].calculation.map(row => row.Height), [610, 640]);
+});
+
+test('a missing calculation file and duplicate summary rows are reported, not fatal', () => {
+  const parsed = parseResultFiles({
+    summary: writeResult('run-summary.tsv', ['Sample\tRatio', 'STD\t1.00', 'S01\t0.50', 'S01\t0.52']),
+    calculation: null
+  });
+
+  assert.deepEqual(parsed.calculationColumns, []);
+  assert.equal(parsed.samples[1].summaryRows, 2);
+  assert.equal(parsed.samples[1].summary.Ratio, 0.52);
+  assert.equal(parsed.samples[1].ratio, 0.5);
+
+  assert.equal(parseResultFiles({ summary: writeResult('other-summary.tsv', ['Sample\tRatio', 'S01\t1.00']) }).standardSample, null);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadCompareSource, compareRuns, buildCompareTable, buildCompareTsv } = require('../lib/run-compare');
+
+/**
+ * Minimal parsed results as produced by parseResultFiles
+ * @param {Array<[string, number|null, string]>} samples - [name, ratio, call]
+ * @returns {Object} - Parsed results
+ */
+const parsed = (samples) => ({
+  samples: samples.map(([name, ratio, call]) => ({ name, ratio, call, isStandard: name === 'STD', summary: {}, calculation: [] }))
+});
+
+test('samples are aligned by name and differences are flagged', () => {
+  const left = parsed([['STD', 1, 'normal'], ['S01', 1.02, 'normal'], ['S02', 0.52, 'carrier'], ['S03', 1.0, 'normal']]);
+  const right = parsed([['std', 1, 'normal'], ['S02', 0.9, 'normal'], ['S01', 1.05, 'normal'], ['S04', 1.1, 'normal']]);
+  const comparison = compareRuns(left, right);
+
+  assert.deepEqual(comparison.rows.map(row => [row.name, row.presence, row.ratioChanged, row.callChanged]), [
+    ['STD', 'both', false, false],
+    ['S01', 'both', false, false],
+    ['S02', 'both', true, true],
+    ['S03', 'left', false, false],
+    ['S04', 'right', false, false]
+  ]);
+  assert.equal(comparison.rows[2].ratioDelta, 0.38);
+  assert.deepEqual(comparison.counts, { samples: 5, ratioChanged: 1, callChanged: 1, onlyLeft: 1, onlyRight: 1 });
+});
+
+test('the ratio tolerance decides when a ratio counts as changed', () => {
+  const left = parsed([['S01', 1.0, 'normal']]);
+  const right = parsed([['S01', 1.08, 'normal']]);
+
+  assert.equal(compareRuns(left, right).rows[0].ratioChanged, true);
+  assert.equal(compareRuns(left, right, { ratioTolerance: 0.1 }).rows[0].ratioChanged, false);
+});
+
+test('the diff table lists every sample with its differences', () => {
+  const comparison = compareRuns(parsed([['S01', 1.0, 'normal']]), parsed([['S01', 0.5, 'carrier'], ['S02', 1, 'normal']]));
+  const table = buildCompareTable(comparison);
+
+  assert.deepEqual(table.rows, [
+    ['S01', 1.0, 0.5, -0.5, 'normal', 'carrier', 'Call changed, Ratio changed'],
+    ['S02', null, 1, null, null, 'normal', 'Only in B']
+  ]);
+  assert.equal(buildCompareTsv(comparison).split('\n')[2], 'S02\t\t1\t\t\tnormal\tOnly in B');
+});
+
+test('picked summary files are loaded with their calculation file', (t) => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-compare-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const summaryPath = path.join(tempDir, 'plate-summary.tsv');
+  fs.writeFileSync(summaryPath, 'Sample\tRatio\tResult\nNC01\t1.00\tNormal\nS01\t0.48\tCarrier\n');
+  fs.writeFileSync(path.join(tempDir, 'plate-cal.tsv'), 'Sample\tHeight\nS01\t600\n');
+
+  const source = loadCompareSource({ summaryPath, options: { stdName: 'NC01' } }, { history: null });
+  assert.equal(source.label, 'plate-summary.tsv');
+  assert.equal(source.outputFiles.calculation, path.join(tempDir, 'plate-cal.tsv'));
+  assert.equal(source.parsed.standardSample, 'NC01');
+  assert.equal(source.parsed.samples[1].call, 'carrier');
+});
+
+test('recorded runs are loaded from the history with their options', () => {
+  const history = { get: (id) => (id === 'missing' ? null : { inputFile: 'a.txt', startedAt: '2025-01-01T00:00:00Z', options: {}, outputFiles: { summary: null } }) };
+
+  assert.throws(() => loadCompareSource({ historyId: 'missing' }, { history }), /not found/);
+  assert.throws(() => loadCompareSource({ historyId: 'x' }, { history }), /no summary file/);
+  assert.throws(() => loadCompareSource(null, { history }), /Choose a run/);
+});
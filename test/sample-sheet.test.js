@@ -0,0 +1,171 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseDelimited, readXlsxRows, getRole, readSampleSheet, matchSampleSheet } = require('../lib/sample-sheet');
+const { parseResultFiles } = require('../lib/result-parser');
+const { buildReportData, buildReportSheets } = require('../lib/report');
+const { createZip, writeXlsx } = require('../lib/xlsx-writer');
+const { createTranslator } = require('../lib/i18n');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-sheet-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a summary file and parse it
+ * @param {string[]} lines - Lines of the summary file
+ * @returns {Object} - Parsed results
+ */
+const parseSummary = (lines) => {
+  const summary = path.join(tempDir, 'run-summary.tsv');
+  fs.writeFileSync(summary, `${lines.join('\n')}\n`);
+  return parseResultFiles({ summary, calculation: null }, { stdName: 'STD' });
+};
+
+test('CSV cells may be quoted and the delimiter is taken from the header', () => {
+  assert.deepEqual(parseDelimited('Sample,Note\r\nS01,"Twin, ""A"""\r\n\r\nS02,\n'), [
+    ['Sample', 'Note'],
+    ['S01', 'Twin, "A"'],
+    ['S02', '']
+  ]);
+  assert.deepEqual(parseDelimited('Sample;Patient\nS01;P,1'), [['Sample', 'Patient'], ['S01', 'P,1']]);
+  assert.deepEqual(parseDelimited('样本\t病人编号\nS01\tP1'), [['样本', '病人编号'], ['S01', 'P1']]);
+});
+
+test('a Chinese CSV sheet saved by Excel is read with its columns and roles', async () => {
+  const filePath = path.join(tempDir, 'sheet.csv');
+  // Excel writes "CSV UTF-8" with a byte order mark
+  fs.writeFileSync(filePath, '\ufeff样本名,样本类型,受检者编号,家系,关系\nS01,外周血,P001,F1,丈夫\nS02,外周血,P002,F1,妻子\nS01,外周血,P009,F9,先证者\n');
+
+  const sheet = await readSampleSheet(filePath);
+  assert.deepEqual(sheet.rows.map(row => [row.sampleName, row.patientId, row.familyId, row.role, row.sampleType]), [
+    ['S01', 'P001', 'F1', 'father', '外周血'],
+    ['S02', 'P002', 'F1', 'mother', '外周血']
+  ]);
+  assert.deepEqual(sheet.duplicates, ['S01']);
+});
+
+test('the first worksheet of an XLSX sheet is read, with shared strings', async () => {
+  const inlinePath = path.join(tempDir, 'inline.xlsx');
+  writeXlsx(inlinePath, [{ name: 'Samples', rows: [['Sample Name', 'Patient ID'], ['S01', 1001], ['S02', 'P & 2']] }]);
+  const inline = await readSampleSheet(inlinePath);
+  assert.deepEqual(inline.rows.map(row => [row.sampleName, row.patientId]), [['S01', '1001'], ['S02', 'P & 2']]);
+
+  // Excel itself writes the text of the cells to the shared string table
+  const entry = (name, xml) => ({ name, data: Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>${xml}`) });
+  const sharedPath = path.join(tempDir, 'shared.xlsx');
+  fs.writeFileSync(sharedPath, createZip([
+    entry('xl/workbook.xml', '<workbook xmlns:r="r"><sheets><sheet name="Data" sheetId="1" r:id="rId3"/></sheets></workbook>'),
+    entry('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId3" Type="worksheet" Target="worksheets/data.xml"/></Relationships>'),
+    entry('xl/sharedStrings.xml', '<sst><si><t>Sample</t></si><si><r><t>Rela</t></r><r><t xml:space="preserve">tion</t></r></si><si><t>S01</t></si></sst>'),
+    entry('xl/worksheets/data.xml', '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+      + '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2" t="inlineStr"><is><t>Husband</t></is></c></row></sheetData></worksheet>')
+  ]));
+  const shared = await readSampleSheet(sharedPath);
+  assert.deepEqual(shared.headers, ['Sample', '', 'Relation']);
+  assert.deepEqual(shared.rows.map(row => [row.sampleName, row.relationship, row.role]), [['S01', 'Husband', 'father']]);
+});
+
+test('XLSX cells are read from shared strings, inline strings and values into their columns', async () => {
+  const entry = (name, xml) => ({ name, data: Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>${xml}`) });
+  const filePath = path.join(tempDir, 'sparse.xlsx');
+  fs.writeFileSync(filePath, createZip([
+    entry('xl/sharedStrings.xml', '<sst count="3"><si><t>Sample</t></si><si><t xml:space="preserve"> S01 </t></si><si><t>&lt;P&amp;1&gt;</t></si></sst>'),
+    entry('xl/worksheets/sheet1.xml', '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="D1" t="inlineStr"><is><t>Note</t></is></c></row>'
+      // Formatted but empty rows and cells are written without content
+      + '<row r="2" ht="20" customHeight="1"/>'
+      + '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3" s="1"/><c r="C3"><v>12.5</v></c><c r="D3" t="s"><v>2</v></c></row>'
+      + '<row r="5"><c r="B5" t="inlineStr"><is><r><t>病</t></r><r><t>人</t></r></is></c></row>'
+      + '</sheetData></worksheet>')
+  ]));
+
+  assert.deepEqual(await readXlsxRows(filePath), [
+    ['Sample', '', '', 'Note'],
+    ['S01', '', '12.5', '<P&1>'],
+    ['', '病人']
+  ]);
+});
+
+test('only whole relationship values name a family role', () => {
+  assert.equal(getRole(' Male  partner '), 'father');
+  assert.equal(getRole('FEMALE PARTNER'), 'mother');
+  assert.equal(getRole('母亲'), 'mother');
+  assert.equal(getRole('Son'), 'proband');
+  ['Grandmother', 'stepfather', 'Godmother', 'Grandson', '祖母', '继父', '外祖父', '母亲的姐妹', '', null].forEach(relationship => {
+    assert.equal(getRole(relationship), null, relationship);
+  });
+});
+
+test('sheets without a sample column or rows are rejected with a reason', async () => {
+  const noSample = path.join(tempDir, 'no-sample.csv');
+  fs.writeFileSync(noSample, 'Patient,Family\nP1,F1\n');
+  await assert.rejects(readSampleSheet(noSample), /No sample name column/);
+
+  const empty = path.join(tempDir, 'empty.csv');
+  fs.writeFileSync(empty, 'Sample\n');
+  await assert.rejects(readSampleSheet(empty, { t: createTranslator('zh-CN') }), /表头行/);
+
+  await assert.rejects(readSampleSheet(path.join(tempDir, 'missing.xlsx')), /could not be read/);
+});
+
+test('samples are joined to the sheet, unmatched ones are flagged and couples get a risk', async () => {
+  const parsed = parseSummary([
+    'Sample\tRatio\tResult',
+    'STD\t1.00\tNormal',
+    'S01\t0.51\tCarrier',
+    's02\t0.49\tCarrier',
+    'S03\t0.50\tCarrier',
+    'S04\t1.01\tNormal',
+    'S05\t0.98\tNormal',
+    'S06\t1.02\tNormal',
+    'S07\t1.00\tNormal'
+  ]);
+  const filePath = path.join(tempDir, 'sheet.tsv');
+  fs.writeFileSync(filePath, [
+    'Sample\tPatient ID\tFamily\tRelationship\tSample Type',
+    'S01\tP001\tF1\tHusband\tBlood',
+    'S02\tP002\tF1\tWife\tBlood',
+    'S05\tP005\tF1\tFetus\tAmniotic fluid',
+    'S03\tP003\tF2\tMale partner\tBlood',
+    'S04\tP004\tF2\tFemale partner\tBlood',
+    'S06\tP006\tF3\tMother\tBlood',
+    'S99\tP099\tF4\tFather\tBlood'
+  ].join('\n'));
+
+  const joined = matchSampleSheet(parsed, await readSampleSheet(filePath));
+  assert.deepEqual(joined.samples.map(sample => [sample.name, sample.patientId]), [
+    ['S01', 'P001'], ['s02', 'P002'], ['S03', 'P003'], ['S04', 'P004'], ['S05', 'P005'], ['S06', 'P006']
+  ]);
+  assert.deepEqual(joined.unmatchedSamples, ['S07']);
+  assert.deepEqual(joined.unmatchedRows, ['S99']);
+  // F3 and F4 have one partner only, they get no risk summary
+  assert.deepEqual(joined.families.map(family => [family.familyId, family.kind, family.risk]), [
+    ['F1', 'trio', 'high'],
+    ['F2', 'couple', 'oneCarrier']
+  ]);
+  assert.deepEqual(joined.families[0].proband, { name: 'S05', patientId: 'P005', call: 'normal' });
+
+  const record = { inputFile: path.join(tempDir, 'run.txt'), startedAt: new Date().toISOString(), operator: 'lab', options: {} };
+  const data = buildReportData(record, parsed, null, joined);
+  assert.deepEqual(data.sampleTable.headers.slice(0, 7), ['Sample', 'Ratio', 'Call', 'Patient ID', 'Family', 'Relationship', 'Sample type']);
+  assert.deepEqual(data.sampleTable.rows[1].slice(3, 7), ['P001', 'F1', 'Husband', 'Blood']);
+  assert.deepEqual(data.familyTable.rows[0], [
+    'F1',
+    'S01 (P001): Carrier',
+    's02 (P002): Carrier',
+    'S05 (P005): Normal',
+    'High risk: both partners are carriers, 1 in 4 chance of an affected child'
+  ]);
+  const sheets = buildReportSheets(data);
+  assert.deepEqual(sheets.find(sheet => sheet.name === 'Report').rows.at(-1), ['Sample sheet', 'sheet.tsv (6 matched, 1 not on the sheet: S07)']);
+  assert.ok(sheets.some(sheet => sheet.name === 'Families'));
+});
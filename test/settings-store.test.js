@@ -0,0 +1,82 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { SettingsStore, DEFAULT_SETTINGS, normalizeOptions } = require('../lib/settings-store');
+
+let tempDir;
+let settingsPath;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-settings-'));
+  settingsPath = path.join(tempDir, 'userData', 'settings.json');
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('presets are saved in name order and a preset with the same name is replaced', () => {
+  const settings = new SettingsStore(settingsPath);
+  settings.savePreset('Height', { stdName: 'STD' });
+  const presets = settings.savePreset('  Area + GBK, STD=NC01 ', { useArea: true, useGBK: true, stdName: ' NC01 ', verbose: true });
+
+  assert.deepEqual(presets.map(preset => preset.name), ['Area + GBK, STD=NC01', 'Height']);
+  assert.deepEqual(presets[0].options, { useArea: true, stdName: 'NC01', useGBK: true, devMode: false, outputDir: null, moveOutputs: false });
+  assert.equal(settings.get('activePreset'), 'Area + GBK, STD=NC01');
+
+  settings.savePreset('Height', { useArea: false, stdName: 'NC02' });
+  assert.deepEqual(settings.listPresets().map(preset => [preset.name, preset.options.stdName]), [
+    ['Area + GBK, STD=NC01', 'NC01'],
+    ['Height', 'NC02']
+  ]);
+  assert.throws(() => settings.savePreset('   ', {}), /Preset name is required/);
+
+  // The presets survive a restart
+  assert.deepEqual(new SettingsStore(settingsPath).listPresets(), settings.listPresets());
+});
+
+test('selecting and deleting presets keeps the active preset consistent', () => {
+  const settings = new SettingsStore(settingsPath);
+  settings.savePreset('A', { stdName: 'NC01' });
+  settings.savePreset('B', { stdName: 'NC02' });
+
+  assert.deepEqual(settings.selectPreset('A'), { name: 'A', options: normalizeOptions({ stdName: 'NC01' }) });
+  assert.equal(settings.get('activePreset'), 'A');
+  assert.equal(settings.selectPreset('missing'), null);
+  assert.equal(settings.get('activePreset'), null);
+
+  settings.selectPreset('B');
+  settings.deletePreset('A');
+  assert.equal(settings.get('activePreset'), 'B');
+  assert.deepEqual(settings.deletePreset('B'), []);
+  assert.equal(new SettingsStore(settingsPath).get('activePreset'), null);
+});
+
+test('a missing or corrupt settings file falls back to the defaults', () => {
+  assert.deepEqual(new SettingsStore(settingsPath).getAll(), DEFAULT_SETTINGS);
+
+  const logged = mock.method(console, 'error', () => {});
+  try {
+    fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+    fs.writeFileSync(settingsPath, '{"concurrency": 3,');
+    const settings = new SettingsStore(settingsPath);
+    assert.deepEqual(settings.getAll(), DEFAULT_SETTINGS);
+    assert.equal(logged.mock.callCount(), 1);
+
+    // The next change replaces the corrupt file
+    settings.setLastOptions({ useArea: 'yes', stdName: '', outputDir: '  ' });
+    assert.deepEqual(JSON.parse(fs.readFileSync(settingsPath, 'utf8')).lastOptions, {
+      useArea: true, stdName: 'STD', useGBK: false, devMode: false, outputDir: null, moveOutputs: false
+    });
+  } finally {
+    logged.mock.restore();
+  }
+
+  // Settings added in later versions get their defaults
+  fs.writeFileSync(settingsPath, JSON.stringify({ concurrency: 2 }));
+  const upgraded = new SettingsStore(settingsPath);
+  assert.equal(upgraded.get('concurrency'), 2);
+  assert.deepEqual(upgraded.get('presets'), []);
+});
@@ -0,0 +1,130 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { compareVersions, checkForUpdates, downloadAppUpdate, EngineStore } = require('../lib/updater');
+const { createTranslator } = require('../lib/i18n');
+
+let tempDir;
+let feedDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-update-'));
+  feedDir = path.join(tempDir, 'feed');
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a file into the feed folder
+ * @param {string} relativePath - Path of the file relative to the feed
+ * @param {string} content - Content of the file
+ * @returns {Object} - { path, sha256 } entry for the manifest
+ */
+const addFeedFile = (relativePath, content) => {
+  const filePath = path.join(feedDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return { path: relativePath, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+};
+
+/**
+ * Write the feed.json manifest
+ * @param {Object} manifest - Manifest content
+ */
+const writeFeed = (manifest) => {
+  fs.mkdirSync(feedDir, { recursive: true });
+  fs.writeFileSync(path.join(feedDir, 'feed.json'), JSON.stringify(manifest));
+};
+
+test('versions are compared part by part and pre-releases come first', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.2') > 0);
+  assert.ok(compareVersions('2.4.0', '2.4.1') < 0);
+  assert.equal(compareVersions('2.4.0', '2.4.0'), 0);
+  assert.ok(compareVersions('1.5.0-beta.2', '1.5.0') < 0);
+  assert.ok(compareVersions('1.5.0-beta.10', '1.5.0-beta.2') > 0);
+
+  // Pre-release tags are compared whole, identifier by identifier
+  assert.ok(compareVersions('1.2.0-beta-2', '1.2.0-beta') > 0);
+  assert.ok(compareVersions('1.2.0-alpha', '1.2.0-alpha.1') < 0);
+  assert.ok(compareVersions('1.2.0-1', '1.2.0-alpha') < 0);
+});
+
+test('anything but a semantic version is rejected', () => {
+  ['2.4', '1.2.x', '01.2.3', '1.2.3-', '1.2.3-beta..1', '1.2.3.4', ''].forEach(version => {
+    assert.throws(() => compareVersions(version, '1.0.0'), /Invalid version/);
+  });
+});
+
+test('a local folder feed offers a newer app release and its engine versions', async () => {
+  writeFeed({
+    app: { version: '1.5.0', notes: 'Sample sheets', files: { win32: addFeedFile('SHCarrier Setup 1.5.0.exe', 'installer') } },
+    engines: [
+      { version: '2.3.1', files: [{ name: 'SHCarrier.exe', ...addFeedFile('engines/2.3.1/SHCarrier.exe', 'old') }] },
+      { version: '2.4.0', notes: 'Faster', files: [{ name: 'SHCarrier.exe', ...addFeedFile('engines/2.4.0/SHCarrier.exe', 'new') }] }
+    ]
+  });
+
+  const check = await checkForUpdates({ feed: feedDir, currentVersion: '1.4.2', platform: 'win32' });
+  assert.deepEqual(check.app, { currentVersion: '1.4.2', latestVersion: '1.5.0', notes: 'Sample sheets', available: true });
+  assert.deepEqual(check.engines.map(engine => [engine.version, engine.files]), [['2.4.0', ['SHCarrier.exe']], ['2.3.1', ['SHCarrier.exe']]]);
+
+  // Other platforms are not offered an installer they cannot run
+  const linux = await checkForUpdates({ feed: path.join(feedDir, 'feed.json'), currentVersion: '1.4.2', platform: 'linux' });
+  assert.equal(linux.app.available, false);
+  await assert.rejects(downloadAppUpdate({ feed: feedDir, downloadDir: tempDir, platform: 'linux' }), /no app installer for linux/);
+
+  const download = await downloadAppUpdate({ feed: feedDir, downloadDir: path.join(tempDir, 'updates'), platform: 'win32' });
+  assert.equal(download.version, '1.5.0');
+  assert.equal(fs.readFileSync(download.filePath, 'utf8'), 'installer');
+});
+
+test('unreadable and invalid feeds are reported with a reason', async () => {
+  await assert.rejects(checkForUpdates({ feed: feedDir, currentVersion: '1.0.0' }), /could not be read/);
+  writeFeed({ engines: [{ version: '2.4.0', files: [{ name: 'evil.sh', path: 'evil.sh', sha256: 'a'.repeat(64) }] }] });
+  await assert.rejects(checkForUpdates({ feed: feedDir, currentVersion: '1.0.0' }), /must be named one of/);
+  writeFeed({ engines: [{ version: '../2.4.0', files: [] }] });
+  await assert.rejects(checkForUpdates({ feed: feedDir, currentVersion: '1.0.0', t: createTranslator('zh-CN') }), /更新源无效/);
+});
+
+test('engine versions are installed after checksum verification and can be rolled back', async () => {
+  const binary = addFeedFile('engines/2.4.0/SHCarrier-linux', '#!/bin/sh\necho 2.4.0\n');
+  const exe = addFeedFile('engines/2.4.0/SHCarrier.exe', 'exe');
+  writeFeed({
+    engines: [
+      { version: '2.4.0', files: [{ name: 'SHCarrier.exe', ...exe }, { name: 'SHCarrier-linux', ...binary }] },
+      { version: '2.5.0', files: [{ name: 'SHCarrier.exe', path: 'engines/2.5.0/SHCarrier.exe', sha256: binary.sha256 }] }
+    ]
+  });
+  addFeedFile('engines/2.5.0/SHCarrier.exe', 'tampered');
+  const store = new EngineStore(path.join(tempDir, 'engines'));
+
+  const manifest = await store.install(feedDir, '2.4.0');
+  assert.deepEqual(manifest.files.map(file => file.name), ['SHCarrier.exe', 'SHCarrier-linux']);
+  assert.equal(fs.readFileSync(path.join(store.getFolder('2.4.0'), 'SHCarrier.exe'), 'utf8'), 'exe');
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(path.join(store.getFolder('2.4.0'), 'SHCarrier-linux')).mode & 0o111, 0o111);
+  }
+  assert.deepEqual(await store.verify('2.4.0'), { valid: true, mismatched: [] });
+  assert.equal(store.matches('2.4.0', 'SHCarrier.exe', exe.sha256.toUpperCase()), true);
+  assert.equal(store.matches('2.4.0', 'SHCarrier.exe', binary.sha256), false);
+  assert.equal(store.matches('2.4.0', 'SHCarrier-macos', exe.sha256), false);
+  assert.equal(store.matches('2.3.1', 'SHCarrier.exe', exe.sha256), false);
+
+  // A file whose checksum differs is never installed, the installed versions are kept
+  await assert.rejects(store.install(feedDir, '2.5.0'), /failed checksum verification/);
+  await assert.rejects(store.install(feedDir, '9.9.9'), /not in the update feed/);
+  assert.deepEqual(store.list().map(engine => engine.version), ['2.4.0']);
+  assert.deepEqual(fs.readdirSync(path.join(tempDir, 'engines')), ['2.4.0']);
+
+  fs.appendFileSync(path.join(store.getFolder('2.4.0'), 'SHCarrier-linux'), 'echo patched\n');
+  assert.deepEqual(await store.verify('2.4.0'), { valid: false, mismatched: ['SHCarrier-linux'] });
+
+  store.remove('2.4.0');
+  assert.deepEqual(store.list(), []);
+  assert.throws(() => store.getFolder('../2.4.0'), /Invalid engine version/);
+});
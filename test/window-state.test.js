@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_WINDOW_SIZE, MIN_WINDOW_SIZE, restoreWindowState } = require('../lib/window-state');
+
+const PRIMARY = { x: 0, y: 0, width: 1920, height: 1040 };
+const SECONDARY = { x: 1920, y: 0, width: 1280, height: 1000 };
+
+test('the default size is used on first start and the window is centered', () => {
+  assert.deepEqual(restoreWindowState(null, [PRIMARY]), { ...DEFAULT_WINDOW_SIZE, isMaximized: false });
+});
+
+test('saved bounds on a connected display are restored', () => {
+  const saved = { x: 2000, y: 100, width: 1100, height: 900, isMaximized: true };
+
+  assert.deepEqual(restoreWindowState(saved, [PRIMARY, SECONDARY]), saved);
+});
+
+test('a window on a disconnected display is centered on the remaining one', () => {
+  const state = restoreWindowState({ x: 2000, y: 100, width: 1100, height: 900, isMaximized: false }, [PRIMARY]);
+
+  assert.equal(state.x, undefined);
+  assert.equal(state.y, undefined);
+  assert.equal(state.width, 1100);
+});
+
+test('the size is kept between the minimum and the largest display', () => {
+  assert.deepEqual(
+    restoreWindowState({ x: 0, y: 0, width: 4000, height: 100 }, [PRIMARY]),
+    { x: 0, y: 0, width: PRIMARY.width, height: MIN_WINDOW_SIZE.height, isMaximized: false }
+  );
+});
@@ -0,0 +1,131 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const crc32 = require('buffer-crc32');
+const { escapeXml, columnName, buildSheetXml, createZip, writeXlsx } = require('../lib/xlsx-writer');
+const { readXlsxRows } = require('../lib/sample-sheet');
+const { parseResultFiles } = require('../lib/result-parser');
+const { buildReportData, buildReportSheets } = require('../lib/report');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shcarrier-xlsx-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Unpack a ZIP archive written by createZip, checking every CRC-32
+ * @param {Buffer} archive - ZIP archive
+ * @returns {Map<string, string>} - Text content by entry name
+ */
+const unzip = (archive) => {
+  const entries = new Map();
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(crc32.unsigned(data), archive.readUInt32LE(offset + 14), name);
+    entries.set(name, data.toString('utf8'));
+    offset = dataStart + compressedSize;
+  }
+  return entries;
+};
+
+test('columns are named like Excel names them', () => {
+  assert.deepEqual([0, 25, 26, 51, 701, 702].map(columnName), ['A', 'Z', 'AA', 'AZ', 'ZZ', 'AAA']);
+});
+
+test('cells are written as numbers or escaped inline strings, empty cells are left out', () => {
+  assert.equal(escapeXml('a\x01b & <c> "d"\ttab'), 'ab &amp; &lt;c&gt; &quot;d&quot;\ttab');
+
+  const xml = buildSheetXml([['Sample', 'Ratio'], ['S01 & S02', 0.51], [null, Number.NaN, '', undefined, 3]]);
+  assert.match(xml, /<row r="1"><c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Sample<\/t><\/is><\/c>/);
+  assert.match(xml, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">S01 &amp; S02<\/t><\/is><\/c><c r="B2"><v>0.51<\/v><\/c>/);
+  // NaN is not a number Excel can store, it is kept as text
+  assert.match(xml, /<row r="3"><c r="B3" t="inlineStr"><is><t xml:space="preserve">NaN<\/t><\/is><\/c><c r="E3"><v>3<\/v><\/c><\/row>/);
+});
+
+test('a workbook has one worksheet per table under a valid sheet name', () => {
+  const filePath = path.join(tempDir, 'report.xlsx');
+  writeXlsx(filePath, [
+    { name: 'Samples', rows: [['Sample', 'Ratio'], ['S01', 0.51]] },
+    { name: 'Q1/Q2: [draft] results for the first plate', rows: [['Note']] },
+    { name: '', rows: [] }
+  ]);
+
+  const entries = unzip(fs.readFileSync(filePath));
+  assert.deepEqual(Array.from(entries.keys()), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml',
+    'xl/worksheets/sheet3.xml'
+  ]);
+  const sheetNames = Array.from(entries.get('xl/workbook.xml').matchAll(/<sheet name="([^"]*)"/g), match => match[1]);
+  assert.deepEqual(sheetNames, ['Samples', 'Q1 Q2   draft  results for the ', 'Sheet3']);
+  assert.match(entries.get('[Content_Types].xml'), /\/xl\/worksheets\/sheet3\.xml/);
+});
+
+test('the archive reads back like a workbook saved by Excel', async () => {
+  const filePath = path.join(tempDir, 'names.xlsx');
+  fs.writeFileSync(filePath, createZip([{ name: 'xl/worksheets/sheet1.xml', data: Buffer.from(buildSheetXml([['样本', '比值'], ['S01', 0.5]])) }]));
+  assert.deepEqual(await readXlsxRows(filePath), [['样本', '比值'], ['S01', '0.5']]);
+});
+
+test('the report workbook holds the run details, the samples and the calculation', async () => {
+  const outputFiles = {
+    summary: path.join(tempDir, 'plate-summary.tsv'),
+    calculation: path.join(tempDir, 'plate-cal.tsv')
+  };
+  fs.writeFileSync(outputFiles.summary, 'Sample\tRatio\tResult\nSTD\t1.00\tNormal\nS01\t0.51\tCarrier\nS02\t1.40\t\n');
+  fs.writeFileSync(outputFiles.calculation, 'Sample\tMarker\tHeight\nS01\tSMN1\t612\n');
+  const parsed = parseResultFiles(outputFiles, { stdName: 'STD' });
+  const record = {
+    inputFile: path.join(tempDir, 'plate.txt'),
+    inputHash: 'ab'.repeat(32),
+    startedAt: '2026-03-02T08:30:00.000Z',
+    operator: 'lab',
+    appVersion: '1.4.0',
+    exe: { version: 'bundled', sha256: 'cd'.repeat(32) },
+    options: { useArea: true, stdName: 'STD', outputDir: '/results', moveOutputs: true }
+  };
+
+  const sheets = buildReportSheets(buildReportData(record, parsed));
+  assert.deepEqual(sheets.map(sheet => sheet.name), ['Report', 'Samples', 'Calculation']);
+  assert.deepEqual(sheets[0].rows.slice(5, 12), [
+    ['Options', 'Peak area (-Area), UTF-8 encoding, standard sample STD, results moved to /results'],
+    ['App version', '1.4.0'],
+    ['Engine version', 'bundled'],
+    ['Exe SHA-256', 'cd'.repeat(32)],
+    ['Samples', 2],
+    ['Carriers', 1],
+    ['Abnormal', 1]
+  ]);
+  assert.deepEqual(sheets[1].rows, [
+    ['Sample', 'Ratio', 'Call', 'Result'],
+    ['STD (standard)', 1, 'Normal', 'Normal'],
+    ['S01', 0.51, 'Carrier', 'Carrier'],
+    ['S02', 1.4, 'Abnormal', null]
+  ]);
+  assert.deepEqual(sheets[2].rows, [['Sample', 'Marker', 'Height'], ['S01', 'SMN1', 612]]);
+
+  // The first worksheet of the written file is the report sheet
+  const filePath = path.join(tempDir, 'plate-report.xlsx');
+  writeXlsx(filePath, sheets);
+  const rows = await readXlsxRows(filePath);
+  assert.deepEqual(rows[0], ['Field', 'Value']);
+  assert.deepEqual(rows.at(-1), ['Abnormal', '1']);
+});
@@ -0,0 +1,46 @@
+/**
+ * Viewer Window Script
+ *
+ * Runs in the separate result viewer windows. Asks the main process which run
+ * this window shows and hands it to the shared result viewer.
+ */
+window.addEventListener('DOMContentLoaded', async () => {
+  /**
+   * Updates the body class to reflect the current theme
+   * @param {boolean} isDarkMode - Whether dark mode is active
+   */
+  const updateThemeClass = (isDarkMode) => {
+    document.body.classList.toggle('dark-mode', isDarkMode);
+    document.body.classList.toggle('light-mode', !isDarkMode);
+  };
+
+  // Follow the theme of the main window
+  updateThemeClass(window.matchMedia('(prefers-color-scheme: dark)').matches);
+  window.darkMode.onUpdate(updateThemeClass);
+
+  // Follow the language of the main window
+  const translations = createTranslations();
+  const { t } = translations;
+  await translations.load();
+
+  const resultViewerPanel = createResultViewer({ t });
+
+  try {
+    const payload = await window.viewerWindow.getJob();
+    if (!payload) {
+      document.getElementById('result-viewer-message').textContent = t('viewer.nothingToShow');
+      return;
+    }
+    const showTitle = () => {
+      document.title = t('viewer.windowTitleFile', { name: payload.filePath.split(/[\\/]/).pop() });
+    };
+    resultViewerPanel.open({ filePath: payload.filePath, options: payload.options, result: { outputFiles: payload.outputFiles } });
+    showTitle();
+    translations.onChange(() => {
+      showTitle();
+      resultViewerPanel.refresh();
+    });
+  } catch (error) {
+    console.error('[Viewer] Failed to load viewer window:', error);
+  }
+});